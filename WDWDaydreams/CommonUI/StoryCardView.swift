@@ -248,13 +248,17 @@ struct DisneyPromptView: View {
     }
 
     private func presentShare() {
-        let textToShare = ShareService.shared.shareText(for: prompt.promptText, storyText: prompt.storyText)
-        let activityVC = UIActivityViewController(activityItems: [textToShare], applicationActivities: nil)
-        if let windowScene = UIApplication.shared.connectedScenes.first as? UIWindowScene,
-           let root = windowScene.windows.first(where: { $0.isKeyWindow })?.rootViewController {
-            root.present(activityVC, animated: true, completion: nil)
-        } else {
-            print("⚠️ Could not find window to present share sheet")
+        Task { @MainActor in
+            // Share a public link when the story can have one; otherwise fall back to the text
+            let link = try? await ShareService.shared.createShareLink(for: prompt)
+            let textToShare = ShareService.shared.shareText(for: prompt.promptText, storyText: prompt.storyText, link: link?.url)
+            let activityVC = UIActivityViewController(activityItems: [textToShare], applicationActivities: nil)
+            if let windowScene = UIApplication.shared.connectedScenes.first as? UIWindowScene,
+               let root = windowScene.windows.first(where: { $0.isKeyWindow })?.rootViewController {
+                root.present(activityVC, animated: true, completion: nil)
+            } else {
+                print("⚠️ Could not find window to present share sheet")
+            }
         }
     }
 }
@@ -2,6 +2,7 @@
 import Foundation
 import Combine
 import FirebaseFirestore
+import FirebaseFunctions
 
 @MainActor
 class ScenarioManager: ObservableObject {
@@ -22,60 +23,10 @@ class ScenarioManager: ObservableObject {
             if enabledCategories != oldValue {
                 print("📝 Categories changed from \(oldValue.map{$0.rawValue}) to \(enabledCategories.map{$0.rawValue})")
                 savePartnershipSettings()
-                rebuildDeck()
             }
         }
     }
 
-    // MARK: - Achievements
-    func checkAndAwardBadges() async {
-        guard !currentUserId.isEmpty else { return }
-
-        var toAward: [String] = []
-
-        if totalStoriesCount >= 1 { toAward.append("first_story") }
-        if totalStoriesCount >= 10 { toAward.append("ten_stories") }
-        if currentStreak >= 7 { toAward.append("week_streak") }
-
-        do {
-            if let profile = try await userService.getUserProfile(userId: currentUserId) {
-                var updatedAchievements = profile.achievements
-                var changed = false
-                for id in toAward {
-                    if !updatedAchievements.contains(id) {
-                        updatedAchievements.append(id)
-                        changed = true
-                    }
-                }
-
-                if changed {
-                    // Build a new UserProfile with updated achievements and save
-                    let updatedProfile = UserProfile(id: profile.id,
-                                                     email: profile.email,
-                                                     displayName: profile.displayName,
-                                                     avatarURL: profile.avatarURL,
-                                                     bio: profile.bio,
-                                                     createdAt: profile.createdAt,
-                                                     connectionIds: profile.connectionIds,
-                                                     pendingInvitations: profile.pendingInvitations,
-                                                     achievements: updatedAchievements,
-                                                     preferences: profile.preferences)
-
-                    try await userService.updateUserProfile(updatedProfile)
-
-                    // Notify user about new badge(s)
-                    let newly = toAward.filter { updatedAchievements.contains($0) }
-                    if !newly.isEmpty {
-                        let names = newly.map { id in Badge.allBadges.first(where: { $0.id == id })?.name ?? id }
-                        let message = "Achievement unlocked: \(names.joined(separator: ", "))"
-                        UIFeedbackCenter.shared.present(message: message, style: .success)
-                    }
-                }
-            }
-        } catch {
-            print("⚠️ Failed to check/award badges: \(error)")
-        }
-    }
     @Published var tripDate: Date? {
         didSet {
             if tripDate != oldValue {
@@ -88,12 +39,11 @@ class ScenarioManager: ObservableObject {
     @Published var isLoadingPartnership: Bool = false
 
     // MARK: - Private Properties
-    private var deck: [DaydreamStory] = []
-    private var deckIndex = 0
     private var firebaseService = FirebaseDataService.shared
     private var palsService = PalsService()
     private var userService = UserService()
     private var fcmService = FCMService.shared
+    private lazy var functions = Functions.functions()
     private var isGeneratingPrompt = false
     private var currentUserId: String = ""
 
@@ -170,7 +120,6 @@ class ScenarioManager: ObservableObject {
         }
         tripDate = partnership.sharedTripDate
 
-        rebuildDeck()
         setupOptimizedListeners(for: partnership.id)
         fetchPartnershipStories(partnershipId: partnership.id)
         await generateOrUpdateDailyPrompt()
@@ -216,6 +165,10 @@ class ScenarioManager: ObservableObject {
 
                 let stories = documents.compactMap { doc -> DaydreamStory? in
                     let data = doc.data()
+                    // Stories by someone this user blocked are hidden server-side via hiddenFor
+                    if let hiddenFor = data["hiddenFor"] as? [String], hiddenFor.contains(self.currentUserId) {
+                        return nil
+                    }
                     guard let dateTimestamp = data["date"] as? Timestamp,
                           let itemsDict = data["items"] as? [String: String] else {
                         print("⚠️ Missing required fields in document: \(doc.documentID)")
@@ -292,55 +245,10 @@ class ScenarioManager: ObservableObject {
         }
     }
 
-    // MARK: - Deck Management
-
-    private func rebuildDeck() {
-        guard !enabledCategories.isEmpty else {
-            print("⚠️ Cannot rebuild deck with no categories")
-            return
-        }
-
-        print("🔄 Rebuilding deck with categories: \(enabledCategories.map { $0.rawValue })")
-        let cats = enabledCategories
-        let lists = cats.map { DataModel.shared.list(for: $0) }
-        let combos = cartesianProduct(lists)
-
-        guard let partnership = selectedPartnership else {
-            print("⚠️ No partnership selected")
-            return
-        }
-
-        let currentAuthor = StoryAuthor(
-            userId: currentUserId,
-            displayName: firebaseService.currentUserDisplayName
-        )
-
-        deck = combos.map { values in
-            var dict: [Category: String] = [:]
-            for (i, cat) in cats.enumerated() {
-                dict[cat] = values[i]
-            }
-
-            return DaydreamStory(
-                dateAssigned: Date(),
-                items: dict,
-                assignedAuthor: currentAuthor,
-                partnershipId: partnership.id
-            )
-        }
-
-        deck.shuffle()
-        deckIndex = 0
-        print("🎯 Deck rebuilt with \(deck.count) combinations")
-    }
-
-    private func cartesianProduct<T>(_ arrays: [[T]]) -> [[T]] {
-        guard let first = arrays.first else { return [[]] }
-        let rest = Array(arrays.dropFirst())
-        let restProd = cartesianProduct(rest)
-        return first.flatMap { x in restProd.map { [x] + $0 } }
-    }
+    // MARK: - Daily Prompt
 
+    /// Asks the server for today's prompt. The server picks the items, rotates the author
+    /// and notifies them; the stories listener picks up the new document.
     func next() async {
         guard !isGeneratingPrompt else {
             print("⏳ Already generating a prompt, skipping...")
@@ -352,78 +260,26 @@ class ScenarioManager: ObservableObject {
             return
         }
 
-        guard let partnerId = partnership.getPartnerId(for: currentUserId),
-              let partnerProfile = partnerProfiles[partnerId] else {
-            print("❌ Partner profile not found")
-            return
-        }
-
         isGeneratingPrompt = true
         isLoading = true
-
-        print("🎲 Generating new prompt...")
-
-        // Ensure we have a deck
-        if deck.isEmpty {
-            print("❌ Deck is empty, rebuilding...")
-            rebuildDeck()
-
-            // Check if rebuild was successful
-            if deck.isEmpty {
-                print("❌ Still no deck after rebuild")
-                isGeneratingPrompt = false
-                isLoading = false
-                return
-            }
+        defer {
+            isGeneratingPrompt = false
+            isLoading = false
         }
 
-        // Reset deck if we've used all cards
-        if deckIndex >= deck.count {
-            print("🔄 Reached end of deck, shuffling...")
-            deck.shuffle()
-            deckIndex = 0
-        }
-
-        var story = deck[deckIndex]
-        deckIndex += 1
-
-        story.dateAssigned = Date()
-        story.partnershipId = partnership.id
+        print("🎲 Requesting today's prompt from the server...")
 
-        print("🎯 Generated story with items: \(story.items)")
-
-        firebaseService.determineNextAuthor(
-            partnership: partnership,
-            currentUserId: currentUserId,
-            partnerProfile: partnerProfile
-        ) { nextAuthor in
-            Task { @MainActor in
-                story.assignedAuthor = nextAuthor
-                print("👤 Assigned to: \(nextAuthor.displayName)")
-
-                self.currentStoryPrompt = story
-                self.isLoading = false
-                self.isGeneratingPrompt = false
-
-                self.firebaseService.saveDailyPrompt(story, partnershipId: partnership.id) { success in
-                    if !success {
-                        print("❌ Failed to save daily prompt")
-                    } else {
-                        print("✅ Daily prompt saved to Firebase")
-
-                        // Send FCM notification to partner about new prompt
-                        let promptPreview = story.promptText
-                        self.fcmService.notifyPartnerOfNewPrompt(
-                            assignedAuthor: nextAuthor.displayName,
-                            promptPreview: promptPreview,
-                            partnerUserId: partnerId
-                        )
+        do {
+            let result = try await functions.httpsCallable("ensureDailyPrompt").call(["partnershipId": partnership.id])
+            let created = (result.data as? [String: Any])?["created"] as? Bool ?? false
+            print(created ? "✅ Daily prompt created by server" : "✅ Daily prompt already exists")
 
-                        // Trigger haptic feedback
-                        HapticManager.instance.impact(style: .medium)
-                    }
-                }
+            if created {
+                // Trigger haptic feedback
+                HapticManager.instance.impact(style: .medium)
             }
+        } catch {
+            print("❌ Failed to get daily prompt: \(error.localizedDescription)")
         }
     }
 
@@ -612,9 +468,7 @@ class ScenarioManager: ObservableObject {
 
                     // Trigger haptic feedback
                     HapticManager.instance.notification(type: .success)
-                    Task {
-                        await self?.checkAndAwardBadges()
-                    }
+                    // Badges are awarded server-side and arrive as an achievement_unlocked push
                 } else {
                     print("❌ Failed to mark story as completed: \(errorMessage ?? "unknown error")")
 
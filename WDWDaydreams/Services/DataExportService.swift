@@ -7,6 +7,7 @@
 
 import Foundation
 import FirebaseFirestore
+import FirebaseFunctions
 
 struct UserDataExport: Codable {
     let exportDate: String
@@ -58,6 +59,38 @@ struct UserDataExport: Codable {
 
 class DataExportService {
     private let db = Firestore.firestore()
+    private lazy var functions = Functions.functions()
+
+    /// Requests a complete export from the `exportUserData` Cloud Function and downloads
+    /// the archive (data.json and storybook.md) to temporary files for sharing.
+    /// The server's download links expire after an hour.
+    func downloadServerExport() async throws -> [URL] {
+        let result = try await functions.httpsCallable("exportUserData").call()
+
+        guard let response = result.data as? [String: Any],
+              let dataURLString = response["dataUrl"] as? String,
+              let storyBookURLString = response["storyBookUrl"] as? String,
+              let dataURL = URL(string: dataURLString),
+              let storyBookURL = URL(string: storyBookURLString) else {
+            throw NSError(domain: "DataExportService", code: 500, userInfo: [NSLocalizedDescriptionKey: "Unexpected export response"])
+        }
+
+        let timestamp = Int(Date().timeIntervalSince1970)
+        var fileURLs: [URL] = []
+
+        for (remoteURL, filename) in [
+            (dataURL, "WDWDaydreams_UserData_\(timestamp).json"),
+            (storyBookURL, "WDWDaydreams_StoryBook_\(timestamp).md")
+        ] {
+            let (downloadedURL, _) = try await URLSession.shared.download(from: remoteURL)
+            let fileURL = FileManager.default.temporaryDirectory.appendingPathComponent(filename)
+            try? FileManager.default.removeItem(at: fileURL)
+            try FileManager.default.moveItem(at: downloadedURL, to: fileURL)
+            fileURLs.append(fileURL)
+        }
+
+        return fileURLs
+    }
 
     func exportUserData(userId: String) async throws -> UserDataExport {
         // Fetch user profile
@@ -84,8 +84,9 @@ class FCMService: NSObject, ObservableObject {
         }
     }
     
-    /// SECURITY: Save FCM token to secure private subcollection
-    /// Tokens are stored in /users/{userId}/private/notifications for privacy
+    /// SECURITY: Save FCM token to the per-device token registry
+    /// Tokens are stored in /users/{userId}/fcmTokens/{deviceId} so every signed-in device
+    /// receives pushes. The device ID matches the one used for /users/{userId}/sessions.
     private func saveFCMToken(_ token: String) {
         guard let currentUser = Auth.auth().currentUser else {
             print("❌ FCM: No authenticated user to save token for")
@@ -93,26 +94,27 @@ class FCMService: NSObject, ObservableObject {
         }
 
         let userId = currentUser.uid
+        let deviceInfo = SessionManager.shared.getDeviceFingerprint()
 
-        // SECURITY: Store token in private subcollection with restricted access
-        let privateTokenRef = db.collection("users")
+        // SECURITY: Store token in owner-only subcollection with restricted access
+        let deviceTokenRef = db.collection("users")
             .document(userId)
-            .collection("private")
-            .document("notifications")
+            .collection("fcmTokens")
+            .document(deviceInfo.deviceId)
 
         let tokenData: [String: Any] = [
-            "fcmToken": token,
+            "token": token,
             "platform": "ios",
-            "lastUpdated": Timestamp(date: Date()),
-            "tokenVersion": 1, // For future token rotation
-            "createdAt": Timestamp(date: Date())
+            "deviceName": deviceInfo.deviceName,
+            "appVersion": deviceInfo.appVersion,
+            "updatedAt": Timestamp(date: Date())
         ]
 
-        privateTokenRef.setData(tokenData, merge: true) { [weak self] error in
+        deviceTokenRef.setData(tokenData, merge: true) { [weak self] error in
             if let error = error {
-                print("❌ FCM: Error saving token to secure storage: \(error.localizedDescription)")
+                print("❌ FCM: Error saving device token: \(error.localizedDescription)")
             } else {
-                print("✅ FCM: Token saved to secure private subcollection")
+                print("✅ FCM: Token saved for device \(deviceInfo.deviceId.prefix(8))...")
 
                 // Also update a flag in the main user document to indicate token exists
                 // This doesn't expose the actual token
@@ -135,86 +137,20 @@ class FCMService: NSObject, ObservableObject {
         }
     }
     
-    // MARK: - Partner Token Retrieval
-
-    /// Retrieves a user's FCM token from secure private subcollection
-    /// - Parameters:
-    ///   - userId: The user ID whose FCM token to retrieve
-    ///   - completion: Completion handler with the FCM token (or nil if not found)
-    func getUserFCMToken(userId: String, completion: @escaping (String?) -> Void) {
-        // SECURITY: Read from secure private subcollection instead of public user document
-        db.collection("users")
-            .document(userId)
-            .collection("private")
-            .document("notifications")
-            .getDocument { document, error in
-                if let error = error {
-                    print("❌ FCM: Error fetching secure token: \(error.localizedDescription)")
-                    completion(nil)
-                    return
-                }
-
-                guard let document = document, document.exists else {
-                    print("❌ FCM: No secure token document found for userId: \(userId)")
-                    completion(nil)
-                    return
-                }
-
-                let token = document.data()?["fcmToken"] as? String
-                print("✅ FCM: Retrieved token from secure storage: \(token?.prefix(20) ?? "nil")...")
-                completion(token)
-            }
-    }
-    
     // MARK: - Send Notifications
-    
-    func notifyPartnerOfStoryCompletion(authorName: String, storyPrompt: String, partnerUserId: String) {
-        getUserFCMToken(userId: partnerUserId) { [weak self] partnerToken in
-            guard let partnerToken = partnerToken else {
-                print("❌ FCM: No partner token available for notification")
-                return
-            }
 
-            self?.sendPushNotification(
-                to: partnerToken,
-                title: "Story Complete! ✨",
-                body: "\(authorName) just finished their Disney Daydream! Read it now!",
-                data: [
-                    "type": "story_completed",
-                    "author": authorName,
-                    "prompt": storyPrompt
-                ]
-            )
-        }
+    /// The server renders the text from its own templates; only the type and pal are sent
+    func notifyPartnerOfStoryCompletion(authorName: String, storyPrompt: String, partnerUserId: String) {
+        requestPartnerNotification(type: "story_completed", partnerUserId: partnerUserId)
     }
 
     func notifyPartnerOfNewPrompt(assignedAuthor: String, promptPreview: String, partnerUserId: String) {
-        getUserFCMToken(userId: partnerUserId) { [weak self] partnerToken in
-            guard let partnerToken = partnerToken else {
-                print("❌ FCM: No partner token available for notification")
-                return
-            }
-
-            let title = "New Disney Daydream! ✨"
-            let body = "It's \(assignedAuthor)'s turn to write today's story!"
-
-            self?.sendPushNotification(
-                to: partnerToken,
-                title: title,
-                body: body,
-                data: [
-                    "type": "new_prompt",
-                    "assigned_author": assignedAuthor,
-                    "prompt_preview": promptPreview
-                ]
-            )
-        }
+        requestPartnerNotification(type: "new_prompt", partnerUserId: partnerUserId)
     }
-    
-    private func sendPushNotification(to token: String, title: String, body: String, data: [String: String] = [:]) {
-        // This will be handled by Cloud Functions
-        // For now, we'll save the notification request to Firestore
-        // and let Cloud Functions pick it up and send it
+
+    private func requestPartnerNotification(type: String, partnerUserId: String) {
+        // Cloud Functions pick up the request, check that we're still pals and not
+        // blocked, apply rate limits and send to all of the partner's devices
 
         guard let currentUserId = Auth.auth().currentUser?.uid else {
             print("❌ FCM: No authenticated user to send notification from")
@@ -223,12 +159,10 @@ class FCMService: NSObject, ObservableObject {
 
         // SECURITY: Include requesterId for audit trail and spam prevention
         let notificationData: [String: Any] = [
-            "targetToken": token,
-            "title": title,
-            "body": body,
-            "data": data,
             "requesterId": currentUserId, // SECURITY: Track who requested this notification
-            "timestamp": Timestamp(date: Date()),
+            "targetUserId": partnerUserId,
+            "type": type,
+            "createdAt": FieldValue.serverTimestamp(),
             "processed": false
         ]
 
@@ -258,6 +192,8 @@ class FCMService: NSObject, ObservableObject {
             handleNewPromptNotification(userInfo)
         case "daily_reminder":
             handleDailyReminderNotification(userInfo)
+        case "achievement_unlocked":
+            handleAchievementUnlockedNotification(userInfo)
         default:
             print("❌ FCM: Unknown notification type: \(type)")
         }
@@ -296,6 +232,23 @@ class FCMService: NSObject, ObservableObject {
         }
     }
     
+    private func handleAchievementUnlockedNotification(_ userInfo: [AnyHashable: Any]) {
+        let badgeId = userInfo["badgeId"] as? String ?? ""
+        let badgeName = Badge.allBadges.first(where: { $0.id == badgeId })?.name ?? "a new badge"
+
+        DispatchQueue.main.async {
+            HapticManager.instance.notification(type: .success)
+            UIFeedbackCenter.shared.present(message: "Achievement unlocked: \(badgeName)", style: .success)
+
+            // Post notification so the profile can reload its achievements
+            NotificationCenter.default.post(
+                name: NSNotification.Name("AchievementUnlocked"),
+                object: nil,
+                userInfo: userInfo
+            )
+        }
+    }
+
     private func handleDailyReminderNotification(_ userInfo: [AnyHashable: Any]) {
         DispatchQueue.main.async {
             // Post notification for the app to handle daily reminder
@@ -76,6 +76,8 @@ class FirebaseDataService {
             }
 
             guard snapshot?.exists != true else {
+                // Keep the time zone current so the server creates prompts at local midnight
+                userSettingsRef.setData(["timeZone": TimeZone.current.identifier], merge: true)
                 DispatchQueue.main.async {
                     completion(true)
                 }
@@ -84,7 +86,8 @@ class FirebaseDataService {
 
             let settings: [String: Any] = [
                 "enabledCategories": ["park", "ride", "food"],
-                "tripDate": NSNull() // Explicitly set no trip date initially
+                "tripDate": NSNull(), // Explicitly set no trip date initially
+                "timeZone": TimeZone.current.identifier
             ]
 
             userSettingsRef.setData(settings, merge: true) { error in
@@ -159,7 +162,8 @@ class FirebaseDataService {
         
         // Create data dictionary
         var data: [String: Any] = [
-            "enabledCategories": categoryStrings
+            "enabledCategories": categoryStrings,
+            "timeZone": TimeZone.current.identifier
         ]
         
         // Add trip date if provided (use NSNull() for nil to explicitly remove it)
@@ -430,6 +434,10 @@ class FirebaseDataService {
 
                 let stories = documents.compactMap { doc -> DaydreamStory? in
                     let data = doc.data()
+                    // Stories by someone this user blocked are hidden server-side via hiddenFor
+                    if let hiddenFor = data["hiddenFor"] as? [String], hiddenFor.contains(self.userId) {
+                        return nil
+                    }
                     guard let dateTimestamp = data["date"] as? Timestamp,
                           let itemsDict = data["items"] as? [String: String] else {
                         return nil
@@ -468,94 +476,6 @@ class FirebaseDataService {
             }
     }
     
-    // MARK: - Daily Prompt Management (Partnership-based)
-
-    func saveDailyPrompt(_ prompt: DaydreamStory, partnershipId: String, completion: @escaping (Bool) -> Void) {
-        guard ensureAuthenticated() else {
-            completion(false)
-            return
-        }
-
-        // Convert to Firebase-friendly format
-        var firebaseData: [String: Any] = [
-            "date": Timestamp(date: prompt.dateAssigned),
-            "authorId": prompt.assignedAuthor.userId,
-            "authorName": prompt.assignedAuthor.displayName,
-            "isFavorite": prompt.isFavorite,
-            "partnershipId": partnershipId
-        ]
-
-        // Add items as a dictionary with string keys
-        var itemsDict: [String: String] = [:]
-        for (category, value) in prompt.items {
-            itemsDict[category.rawValue] = value
-        }
-        firebaseData["items"] = itemsDict
-
-        // Add story text if available
-        if let text = prompt.storyText {
-            firebaseData["text"] = text
-        }
-
-        // Save to partnership's stories collection
-        let dateKey = DateFormatter.shared.string(from: prompt.dateAssigned)
-        let partnershipRef = db.collection("partnerships")
-            .document(partnershipId)
-            .collection("stories")
-            .document(dateKey)
-
-        partnershipRef.setData(firebaseData, merge: true) { error in
-            if let error = error {
-                print("❌ Error saving partnership story: \(error.localizedDescription)")
-                completion(false)
-            } else {
-                print("✅ Partnership story saved")
-                completion(true)
-            }
-        }
-    }
-    
-    func determineNextAuthor(partnership: StoryPartnership, currentUserId: String, partnerProfile: UserProfile, completion: @escaping (StoryAuthor) -> Void) {
-        guard ensureAuthenticated() else {
-            completion(StoryAuthor(userId: currentUserId, displayName: currentUserDisplayName))
-            return
-        }
-
-        // Check if partnership has a nextAuthorId set
-        if let nextAuthorId = partnership.nextAuthorId {
-            let displayName = nextAuthorId == currentUserId ? currentUserDisplayName : partnerProfile.displayName
-            completion(StoryAuthor(userId: nextAuthorId, displayName: displayName))
-            return
-        }
-
-        // Check the most recent story in this partnership
-        db.collection("partnerships")
-            .document(partnership.id)
-            .collection("stories")
-            .order(by: "date", descending: true)
-            .limit(to: 1)
-            .getDocuments { snapshot, error in
-                if let error = error {
-                    print("Error determining next author: \(error.localizedDescription)")
-                    // Default to current user
-                    completion(StoryAuthor(userId: currentUserId, displayName: self.currentUserDisplayName))
-                    return
-                }
-
-                if let document = snapshot?.documents.first,
-                   let lastAuthorId = document.data()["authorId"] as? String {
-                    // Alternate from the last author
-                    let nextAuthorId = lastAuthorId == partnership.user1Id ? partnership.user2Id : partnership.user1Id
-                    let displayName = nextAuthorId == currentUserId ? self.currentUserDisplayName : partnerProfile.displayName
-                    completion(StoryAuthor(userId: nextAuthorId, displayName: displayName))
-                } else {
-                    // No previous stories, start with user1
-                    let displayName = partnership.user1Id == currentUserId ? self.currentUserDisplayName : partnerProfile.displayName
-                    completion(StoryAuthor(userId: partnership.user1Id, displayName: displayName))
-                }
-            }
-    }
-    
     // MARK: - Story Completion Tracking
     
     func markStoryAsCompleted(_ story: DaydreamStory, partnershipId: String, completion: @escaping (Bool, String?) -> Void) {
@@ -1,90 +1,55 @@
 import FirebaseFirestore
+import FirebaseFunctions
 import Foundation
 
 class PalsService {
     private let db = Firestore.firestore()
     private let invitationsCollection = "palInvitations"
-    private let partnershipsCollection = "storyPartnerships"
+    private let partnershipsCollection = "partnerships"
+    private lazy var functions = Functions.functions()
 
     // MARK: - Invitation Management
 
+    /// Invitations are created by the `createInvitation` Cloud Function, which generates the
+    /// code and enforces the pending (10) and hourly (5) invitation limits
     func createInvitation(fromUser: UserProfile) async throws -> PalInvitation {
-        // Rate limiting: Check pending invitations count
-        let pendingCount = try await getPendingInvitationCount(userId: fromUser.id)
-        guard pendingCount < 10 else {
-            throw NSError(
-                domain: "PalsService",
-                code: 429,
-                userInfo: [NSLocalizedDescriptionKey: "You have reached the maximum of 10 pending invitations. Please wait for some to be accepted or expire before creating more."]
-            )
-        }
+        let result = try await functions.httpsCallable("createInvitation").call()
 
-        // Rate limiting: Check recent invitation creation (last hour)
-        let recentCount = try await getRecentInvitationCount(userId: fromUser.id, withinHours: 1)
-        guard recentCount < 5 else {
-            throw NSError(
-                domain: "PalsService",
-                code: 429,
-                userInfo: [NSLocalizedDescriptionKey: "You can only create 5 invitations per hour. Please try again later."]
-            )
+        guard let response = result.data as? [String: Any],
+              let invitationId = response["invitationId"] as? String,
+              let invitationCode = response["invitationCode"] as? String else {
+            throw NSError(domain: "PalsService", code: 500, userInfo: [NSLocalizedDescriptionKey: "Unexpected invitation response"])
         }
 
-        // Generate a unique 6-character invitation code
-        let invitationCode = generateInvitationCode()
+        let formatter = ISO8601DateFormatter()
+        formatter.formatOptions = [.withInternetDateTime, .withFractionalSeconds]
+        let createdAt = (response["createdAt"] as? String).flatMap { formatter.date(from: $0) } ?? Date()
+        let expiresAt = (response["expiresAt"] as? String).flatMap { formatter.date(from: $0) }
+            ?? Date().addingTimeInterval(7 * 24 * 60 * 60)
 
-        let invitation = PalInvitation(
+        return PalInvitation(
+            id: invitationId,
             fromUserId: fromUser.id,
             fromUserName: fromUser.displayName,
             fromUserEmail: fromUser.email,
-            invitationCode: invitationCode
+            invitationCode: invitationCode,
+            createdAt: createdAt,
+            expiresAt: expiresAt
         )
-
-        try await db.collection(invitationsCollection)
-            .document(invitation.id)
-            .setData(invitation.dictionary)
-
-        return invitation
     }
 
-    func getInvitationByCode(_ code: String) async throws -> PalInvitation? {
-        let query = try await db.collection(invitationsCollection)
-            .whereField("invitationCode", isEqualTo: code)
-            .whereField("status", isEqualTo: InvitationStatus.pending.rawValue)
-            .getDocuments()
+    /// Redeems an invitation code through the `redeemInvitation` Cloud Function, which checks
+    /// expiry, self-invites, existing partnerships and blocks before creating the partnership
+    func redeemInvitation(code: String) async throws -> (partnershipId: String, palId: String, palName: String?) {
+        let result = try await functions.httpsCallable("redeemInvitation").call(["code": code])
 
-        guard let document = query.documents.first else {
-            return nil
+        guard let response = result.data as? [String: Any],
+              let partnershipId = response["partnershipId"] as? String,
+              let palId = response["palId"] as? String else {
+            throw NSError(domain: "PalsService", code: 500, userInfo: [NSLocalizedDescriptionKey: "Unexpected invitation response"])
         }
 
-        return PalInvitation(document: document)
-    }
-
-    func acceptInvitation(_ invitation: PalInvitation, byUser userId: String) async throws -> StoryPartnership {
-        // Update invitation status
-        try await db.collection(invitationsCollection)
-            .document(invitation.id)
-            .updateData([
-                "status": InvitationStatus.accepted.rawValue,
-                "toUserId": userId
-            ])
-
-        // Create partnership
-        let partnership = StoryPartnership(
-            user1Id: invitation.fromUserId,
-            user2Id: userId,
-            nextAuthorId: invitation.fromUserId // First author is the inviter
-        )
-
-        try await db.collection(partnershipsCollection)
-            .document(partnership.id)
-            .setData(partnership.dictionary)
-
-        // Add connection to both users
-        let userService = UserService()
-        try await userService.addConnection(userId: invitation.fromUserId, connectionId: userId)
-        try await userService.addConnection(userId: userId, connectionId: invitation.fromUserId)
-
-        return partnership
+        return (partnershipId, palId, response["palName"] as? String)
     }
 
     func declineInvitation(_ invitationId: String) async throws {
@@ -168,56 +133,6 @@ class PalsService {
 
     // MARK: - Helper Methods
 
-    private func generateInvitationCode() -> String {
-        let characters = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789" // Removed ambiguous characters
-        return String((0..<6).compactMap { _ in characters.randomElement() })
-    }
-
-    /// Get the count of pending invitations for a user (for rate limiting)
-    private func getPendingInvitationCount(userId: String) async throws -> Int {
-        let query = try await db.collection(invitationsCollection)
-            .whereField("fromUserId", isEqualTo: userId)
-            .whereField("status", isEqualTo: InvitationStatus.pending.rawValue)
-            .getDocuments()
-
-        return query.documents.count
-    }
-
-    /// Get the count of invitations created within the last N hours (for rate limiting)
-    private func getRecentInvitationCount(userId: String, withinHours hours: Int) async throws -> Int {
-        let cutoffDate = Calendar.current.date(byAdding: .hour, value: -hours, to: Date()) ?? Date()
-
-        let query = try await db.collection(invitationsCollection)
-            .whereField("fromUserId", isEqualTo: userId)
-            .whereField("createdAt", isGreaterThan: Timestamp(date: cutoffDate))
-            .getDocuments()
-
-        return query.documents.count
-    }
-
-    /// Cleanup expired invitations - should be called periodically (e.g., daily via Cloud Function)
-    func cleanupExpiredInvitations() async throws {
-        let query = try await db.collection(invitationsCollection)
-            .whereField("status", isEqualTo: InvitationStatus.pending.rawValue)
-            .getDocuments()
-
-        let batch = db.batch()
-        var updateCount = 0
-
-        for document in query.documents {
-            if let invitation = PalInvitation(document: document), invitation.isExpired {
-                let ref = db.collection(invitationsCollection).document(document.documentID)
-                batch.updateData(["status": InvitationStatus.expired.rawValue], forDocument: ref)
-                updateCount += 1
-            }
-        }
-
-        if updateCount > 0 {
-            try await batch.commit()
-            print("✅ Cleaned up \(updateCount) expired invitations")
-        }
-    }
-
     /// Delete old expired and declined invitations (cleanup for database size management)
     func deleteOldInvitations(olderThanDays days: Int = 30) async throws {
         let cutoffDate = Calendar.current.date(byAdding: .day, value: -days, to: Date()) ?? Date()
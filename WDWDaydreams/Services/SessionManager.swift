@@ -1,6 +1,7 @@
 import Foundation
 import FirebaseAuth
 import FirebaseFirestore
+import FirebaseFunctions
 import UIKit
 
 /// Manages user sessions, device tracking, and session timeout
@@ -8,11 +9,11 @@ class SessionManager: ObservableObject {
     static let shared = SessionManager()
 
     private let db = Firestore.firestore()
+    private lazy var functions = Functions.functions()
 
     // Session configuration
     private let sessionTimeout: TimeInterval = 30 * 24 * 60 * 60 // 30 days
     private let inactivityTimeout: TimeInterval = 15 * 60 // 15 minutes
-    private let maxConcurrentSessions = 5
 
     @Published var isSessionValid = true
     @Published var requiresReauthentication = false
@@ -56,8 +57,7 @@ class SessionManager: ObservableObject {
                 "lastActiveAt": FieldValue.serverTimestamp()
             ])
 
-        // Check for concurrent session limit
-        try await enforceConcurrentSessionLimit(userId: userId)
+        // The concurrent session limit is enforced by the enforceSessionLimit Cloud Function
 
         lastActivityDate = Date()
         startInactivityTimer()
@@ -107,6 +107,13 @@ class SessionManager: ObservableObject {
                 "endedAt": FieldValue.serverTimestamp()
             ])
 
+        // A signed-out device shouldn't keep receiving this user's pushes
+        try await db.collection("users")
+            .document(userId)
+            .collection("fcmTokens")
+            .document(deviceId)
+            .delete()
+
         stopInactivityTimer()
         lastActivityDate = nil
 
@@ -217,58 +224,28 @@ class SessionManager: ObservableObject {
         }
     }
 
-    /// Revoke a specific session
-    func revokeSession(userId: String, sessionId: String) async throws {
-        try await db.collection("users")
-            .document(userId)
-            .collection("sessions")
-            .document(sessionId)
-            .updateData([
-                "isActive": false,
-                "revokedAt": FieldValue.serverTimestamp()
-            ])
-
+    /// Revoke a specific session, e.g. a lost or stolen device. The server revokes the
+    /// account's refresh tokens, so this device has to sign in again too.
+    func revokeSession(sessionId: String) async throws {
+        _ = try await functions.httpsCallable("revokeSession").call(["sessionId": sessionId])
         print("✅ Session revoked: \(sessionId)")
+        try signOutForReauthentication()
     }
 
-    /// Revoke all sessions except current
-    func revokeAllOtherSessions(userId: String) async throws {
+    /// Revoke all sessions except current. This device signs in again afterwards.
+    func revokeAllOtherSessions() async throws {
         let currentDeviceId = getDeviceFingerprint().deviceId
-
-        let snapshot = try await db.collection("users")
-            .document(userId)
-            .collection("sessions")
-            .whereField("isActive", isEqualTo: true)
-            .getDocuments()
-
-        for doc in snapshot.documents {
-            if doc.documentID != currentDeviceId {
-                try await revokeSession(userId: userId, sessionId: doc.documentID)
-            }
-        }
-
+        _ = try await functions.httpsCallable("revokeOtherSessions").call(["currentSessionId": currentDeviceId])
         print("✅ All other sessions revoked")
+        try signOutForReauthentication()
     }
 
-    /// Enforce concurrent session limit
-    private func enforceConcurrentSessionLimit(userId: String) async throws {
-        let snapshot = try await db.collection("users")
-            .document(userId)
-            .collection("sessions")
-            .whereField("isActive", isEqualTo: true)
-            .order(by: "lastActiveAt", descending: true)
-            .getDocuments()
-
-        // If over limit, revoke oldest sessions
-        if snapshot.documents.count > maxConcurrentSessions {
-            let sessionsToRevoke = snapshot.documents.dropFirst(maxConcurrentSessions)
-
-            for session in sessionsToRevoke {
-                try await revokeSession(userId: userId, sessionId: session.documentID)
-            }
-
-            print("⚠️ Enforced session limit: revoked \(sessionsToRevoke.count) sessions")
-        }
+    /// Tokens issued before a revocation can no longer write, so sign in again right away
+    private func signOutForReauthentication() throws {
+        stopInactivityTimer()
+        lastActivityDate = nil
+        requiresReauthentication = true
+        try Auth.auth().signOut()
     }
 
     // MARK: - Inactivity Monitoring
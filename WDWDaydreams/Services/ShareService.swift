@@ -1,16 +1,28 @@
+import FirebaseFunctions
 import Foundation
 
+/// A public link to one story, made by the `createStoryShareLink` Cloud Function
+struct StoryShareLink {
+    let shareId: String
+    let url: URL
+    let expiresAt: Date
+}
+
 final class ShareService {
     static let shared = ShareService()
+    private lazy var functions = Functions.functions()
     private init() {}
 
-    /// Returns a shareable string containing a deep link plus App Store fallback.
-    func shareText(for promptText: String, storyText: String?) -> String {
+    /// Returns a shareable string with the story's public link when there is one, plus a deep
+    /// link and App Store fallback.
+    func shareText(for promptText: String, storyText: String?, link: URL? = nil) -> String {
         // Deep link scheme (configure your Universal Link / URL scheme in app)
         let deepLink = "wdwdaydreams://"
 
         var body = "I just wrote a Disney Daydream!\n\nPrompt: \(promptText)"
-        if let s = storyText {
+        if let link = link {
+            body += "\n\nRead it here: \(link.absoluteString)"
+        } else if let s = storyText {
             body += "\n\nStory:\n\(s)"
         }
 
@@ -20,4 +32,32 @@ final class ShareService {
         body += "\n\nOpen in app: \(deepLink) or get it on the App Store: \(appStore)"
         return body
     }
+
+    /// Only finished stories that passed moderation can be shared. Links expire after
+    /// `expiresInDays` (1-30) and can be turned off with `revokeShareLink`.
+    func createShareLink(for story: DaydreamStory, expiresInDays: Int = 7) async throws -> StoryShareLink {
+        guard let partnershipId = story.partnershipId else {
+            throw NSError(domain: "ShareService", code: 400, userInfo: [NSLocalizedDescriptionKey: "This story isn't part of a partnership"])
+        }
+
+        let result = try await functions.httpsCallable("createStoryShareLink").call([
+            "partnershipId": partnershipId,
+            "storyId": DateFormatter.shared.string(from: story.dateAssigned),
+            "expiresInDays": expiresInDays
+        ])
+
+        let formatter = ISO8601DateFormatter()
+        formatter.formatOptions = [.withInternetDateTime, .withFractionalSeconds]
+        guard let response = result.data as? [String: Any],
+              let shareId = response["shareId"] as? String,
+              let url = (response["url"] as? String).flatMap(URL.init(string:)),
+              let expiresAt = (response["expiresAt"] as? String).flatMap({ formatter.date(from: $0) }) else {
+            throw NSError(domain: "ShareService", code: 500, userInfo: [NSLocalizedDescriptionKey: "Unexpected share link response"])
+        }
+        return StoryShareLink(shareId: shareId, url: url, expiresAt: expiresAt)
+    }
+
+    func revokeShareLink(shareId: String) async throws {
+        _ = try await functions.httpsCallable("revokeStoryShareLink").call(["shareId": shareId])
+    }
 }
@@ -29,6 +29,8 @@ class UserService {
     func updateUserProfile(_ userProfile: UserProfile) async throws {
         var updateData = userProfile.dictionary
         updateData["lastActiveAt"] = Timestamp(date: Date())
+        // Achievements are awarded by Cloud Functions; a stale local copy must not overwrite them
+        updateData.removeValue(forKey: "achievements")
 
         // SECURITY: Sync denormalized searchable field with privacy settings
         updateData["searchable"] = userProfile.preferences.privacy.allowConnectionDiscovery
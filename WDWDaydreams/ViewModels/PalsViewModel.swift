@@ -81,34 +81,17 @@ class PalsViewModel: ObservableObject {
         successMessage = nil
 
         do {
-            guard let invitation = try await palsService.getInvitationByCode(code) else {
-                errorMessage = "Invalid or expired invitation code"
-                isLoading = false
-                return
-            }
-
-            if invitation.fromUserId == userId {
-                errorMessage = "You cannot accept your own invitation"
-                isLoading = false
-                return
-            }
-
-            if invitation.isExpired {
-                errorMessage = "This invitation has expired"
-                isLoading = false
-                return
-            }
-
-            let partnership = try await palsService.acceptInvitation(invitation, byUser: userId)
-            partnerships.append(partnership)
+            // The server validates the code and creates the partnership
+            let redeemed = try await palsService.redeemInvitation(code: code)
+            await loadPartnerships(for: userId)
 
             // Load partner profile
-            if let profile = try await userService.getUserProfile(userId: invitation.fromUserId) {
-                partnerProfiles[invitation.fromUserId] = profile
+            if let profile = try await userService.getUserProfile(userId: redeemed.palId) {
+                partnerProfiles[redeemed.palId] = profile
             }
 
-            successMessage = "Successfully connected with \(invitation.fromUserName)!"
-            print("✅ Accepted invitation and created partnership")
+            successMessage = "Successfully connected with \(redeemed.palName ?? "your new pal")!"
+            print("✅ Accepted invitation and created partnership \(redeemed.partnershipId)")
 
             // Trigger haptic feedback
             HapticManager.instance.notification(type: .success)
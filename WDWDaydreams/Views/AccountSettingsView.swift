@@ -19,7 +19,7 @@ struct AccountSettingsView: View {
     @State private var showingDeleteConfirmation = false
     @State private var isExportingData = false
     @State private var exportError: String?
-    @State private var exportFileURL: URL?
+    @State private var exportFileURLs: [URL] = []
     @State private var showingShareSheet = false
 
     var body: some View {
@@ -155,8 +155,8 @@ struct AccountSettingsView: View {
             LegalDocumentView(documentType: .termsOfService)
         }
         .sheet(isPresented: $showingShareSheet) {
-            if let fileURL = exportFileURL {
-                ShareSheet(items: [fileURL])
+            if !exportFileURLs.isEmpty {
+                ShareSheet(items: exportFileURLs)
             }
         }
         .alert("Delete Account", isPresented: $showingDeleteConfirmation) {
@@ -170,7 +170,7 @@ struct AccountSettingsView: View {
     }
 
     private func exportUserData() {
-        guard let userId = Auth.auth().currentUser?.uid else {
+        guard Auth.auth().currentUser != nil else {
             exportError = "User not authenticated"
             return
         }
@@ -180,12 +180,12 @@ struct AccountSettingsView: View {
 
         Task {
             do {
+                // The full archive is assembled server-side (JSON plus a story book)
                 let dataExportService = DataExportService()
-                let exportData = try await dataExportService.exportUserData(userId: userId)
-                let fileURL = try dataExportService.generateJSONFile(export: exportData)
+                let fileURLs = try await dataExportService.downloadServerExport()
 
                 await MainActor.run {
-                    exportFileURL = fileURL
+                    exportFileURLs = fileURLs
                     showingShareSheet = true
                     isExportingData = false
                 }
@@ -120,12 +120,11 @@ struct ActiveSessionsView: View {
     }
 
     private func revokeSession(_ session: UserSession) {
-        guard let userId = Auth.auth().currentUser?.uid,
-              let sessionId = session.id else { return }
+        guard let sessionId = session.id else { return }
 
         Task {
             do {
-                try await sessionManager.revokeSession(userId: userId, sessionId: sessionId)
+                try await sessionManager.revokeSession(sessionId: sessionId)
                 await MainActor.run {
                     sessions.removeAll { $0.id == sessionId }
                     sessionToRevoke = nil
@@ -141,11 +140,9 @@ struct ActiveSessionsView: View {
     }
 
     private func revokeAllOtherSessions() {
-        guard let userId = Auth.auth().currentUser?.uid else { return }
-
         Task {
             do {
-                try await sessionManager.revokeAllOtherSessions(userId: userId)
+                try await sessionManager.revokeAllOtherSessions()
                 await MainActor.run {
                     loadSessions()
                 }
@@ -0,0 +1,73 @@
+// ===== PROMPT CATALOG =====
+//
+// Bundled prompt vocabulary, matching DataModel.swift (`Category` lists). Add or retire items
+// through the admin catalog functions (services/promptCatalog.js) instead of editing these.
+
+const CATEGORY_CATALOG = {
+    hotel: [
+        'All‑Star Movies Resort', 'All‑Star Music Resort', 'All‑Star Sports Resort',
+        'Art of Animation Resort', 'Pop Century Resort',
+        'Caribbean Beach Resort', 'Coronado Springs Resort',
+        'Port Orleans – Riverside', 'Port Orleans – French Quarter', 'Fort Wilderness Campground',
+        'Animal Kingdom Lodge', 'Beach Club Resort', 'BoardWalk Inn',
+        'Contemporary Resort', 'Grand Floridian Resort & Spa',
+        'Polynesian Village Resort', 'Wilderness Lodge', 'Yacht Club Resort',
+        'Animal Kingdom Villas – Jambo House', 'Kidani Village',
+        'Bay Lake Tower', 'Boulder Ridge Villas', 'Copper Creek Villas',
+        'Polynesian Villas & Bungalows', 'Riviera Resort',
+        'Beach Club Villas', 'BoardWalk Villas', 'Old Key West Resort', 'Saratoga Springs'
+    ],
+    park: ['Magic Kingdom', 'Epcot', 'Hollywood Studios', 'Animal Kingdom'],
+    ride: [
+        'Seven Dwarfs Mine Train', 'Space Mountain', 'Big Thunder Mountain Railroad',
+        'Haunted Mansion', 'Jungle Cruise', 'Peter Pan\'s Flight', 'Tron Lightcycle / Run',
+        'Spaceship Earth', 'Soarin\' Around the World', 'Test Track', 'Frozen Ever After',
+        'Remy\'s Ratatouille Adventure', 'Guardians of the Galaxy: Cosmic Rewind',
+        'Star Wars: Rise of the Resistance', 'Slinky Dog Dash', 'Tower of Terror',
+        'Rock \'n\' Roller Coaster', 'Mickey & Minnie\'s Runaway Railway',
+        'Avatar Flight of Passage', 'Kilimanjaro Safaris', 'Expedition Everest',
+        'Kali River Rapids', 'DINOSAUR', 'it\'s Tough to be a Bug!'
+    ],
+    food: ['Dole Whip', 'Churros', 'Le Cellier Steakhouse', 'Mickey Ice Cream Bar', 'Beignets (Port Orleans)', 'Zebra Domes (AKL)'],
+    beverage: ['Frozen Margarita (La Cava)', 'School Bread (Kringla)', 'Pongu Lumpia (AK)', 'Mint Julep (MK)'],
+    souvenir: ['Mickey Ear Hat', 'Figment Plush', 'MagicBand+', 'Loungefly Backpack', 'Spirit Jersey'],
+    character: ['Meeting Cinderella', 'Meeting Mickey', 'Meet & Greet Buzz Lightyear', 'Hugging Chewbacca', 'Finding Winnie the Pooh'],
+    event: ['Food & Wine Festival', 'Not‑So‑Scary Halloween Party', 'Festival of the Arts', 'Flower & Garden Festival', 'Candlelight Processional']
+};
+
+const CATEGORIES = Object.keys(CATEGORY_CATALOG);
+
+// Server-only questions that theme the daily prompt around a pal's trip (see promptTheme in
+// services/prompts.js). The prompt's items still come from the categories above.
+const PROMPT_THEMES = {
+    first_ride: [
+        'What\'s the very first ride you\'re heading to?',
+        'Rope drop or sleep in? Plan your first morning in the parks.',
+        'Which snack are you grabbing the minute you walk in?',
+        'Which attraction are you saving for the last night?'
+    ],
+    packing: [
+        'What\'s going in your park bag? Ponchos, chargers, Mickey ears?',
+        'Which Disney shirt are you packing for the first day?',
+        'What\'s the one thing you always forget to pack?',
+        'Pin trading, autographs or photos: what are you bringing home?'
+    ],
+    trip_day: [
+        'What was the best moment in the parks today?',
+        'Which ride did you go on first, and was it worth the wait?',
+        'What was the tastiest thing you ate today?',
+        'Who was the best character you saw today?'
+    ],
+    welcome_home: [
+        'What\'s the memory from the trip you keep replaying?',
+        'Which ride would you go back for tomorrow?',
+        'What souvenir made it home, and what\'s the story behind it?',
+        'What are you doing differently on the next trip?'
+    ]
+};
+
+module.exports = {
+    CATEGORY_CATALOG,
+    CATEGORIES,
+    PROMPT_THEMES
+};
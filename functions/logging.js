@@ -0,0 +1,84 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('firebase-functions/logger');
+
+// ===== STRUCTURED LOGGING =====
+//
+// Every entry is a JSON payload for Cloud Logging: a plain message plus queryable fields.
+// instrument() wraps each function handler so all entries written during an invocation
+// carry `function`, along with anything the handler annotates (userId, partnershipId,
+// outcome...), and ends the invocation with one "Invocation finished" entry holding the
+// outcome and latencyMs. Alerts and log-based metrics key off that entry.
+
+const invocations = new AsyncLocalStorage();
+
+function currentFields() {
+    const invocation = invocations.getStore();
+    return invocation ? invocation.fields : {};
+}
+
+// Errors are flattened so message, code and stack are searchable fields
+function errorFields(error) {
+    if (!error) {
+        return {};
+    }
+    return {
+        error: {
+            message: error.message || String(error),
+            code: error.code || null,
+            stack: error.stack || null
+        }
+    };
+}
+
+function write(level, message, fields = {}, error) {
+    logger[level](message, { ...currentFields(), ...fields, ...errorFields(error) });
+}
+
+const log = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields, error) => write('warn', message, fields, error),
+    error: (message, fields, error) => write('error', message, fields, error)
+};
+
+// Add fields to every later entry of the current invocation, including the final one.
+// Setting `outcome` records how the invocation ended when it didn't simply succeed.
+function annotate(fields) {
+    const invocation = invocations.getStore();
+    if (invocation) {
+        Object.assign(invocation.fields, fields);
+    }
+}
+
+function instrument(functionName, handler) {
+    return (...args) => {
+        const invocation = { fields: { function: functionName } };
+
+        return invocations.run(invocation, async () => {
+            const startedAt = Date.now();
+            try {
+                const result = await handler(...args);
+                log.info('Invocation finished', {
+                    outcome: invocation.fields.outcome || 'success',
+                    latencyMs: Date.now() - startedAt
+                });
+                return result;
+            } catch (error) {
+                const latencyMs = Date.now() - startedAt;
+                // HttpsErrors are answers to the caller (bad input, no permission), not failures
+                if (error && error.httpErrorCode) {
+                    log.warn('Invocation rejected', { outcome: error.code, latencyMs, reason: error.message });
+                } else {
+                    log.error('Invocation failed', { outcome: 'error', latencyMs }, error);
+                }
+                throw error;
+            }
+        });
+    };
+}
+
+module.exports = {
+    log,
+    annotate,
+    instrument
+};
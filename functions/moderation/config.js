@@ -0,0 +1,51 @@
+const { log } = require('../logging');
+
+// ===== MODERATION CONFIG LOADING =====
+//
+// Moderation settings live in the moderationConfig collection so they can be tuned
+// without a deploy. Each document is cached for CONFIG_CACHE_TTL_MS and then re-read.
+
+const CONFIG_COLLECTION = 'moderationConfig';
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+
+// Returns a loader for one config document in `db`. `build` merges the stored data over
+// defaults.
+function createConfigLoader(db, documentId, build) {
+    let cachedConfig = null;
+    let cachedAt = 0;
+
+    async function load({ forceRefresh = false } = {}) {
+        const now = Date.now();
+        if (!forceRefresh && cachedConfig && now - cachedAt < CONFIG_CACHE_TTL_MS) {
+            return cachedConfig;
+        }
+
+        try {
+            const configDoc = await db
+                .collection(CONFIG_COLLECTION)
+                .doc(documentId)
+                .get();
+
+            cachedConfig = build(configDoc.exists ? configDoc.data() : {});
+        } catch (error) {
+            // Keep moderating with the last known (or default) config rather than failing open
+            log.error('Could not load moderation config, using cached or default config', { configDoc: `${CONFIG_COLLECTION}/${documentId}` }, error);
+            if (!cachedConfig) {
+                cachedConfig = build({});
+            }
+        }
+
+        cachedAt = now;
+        return cachedConfig;
+    }
+
+    load.invalidate = () => {
+        cachedConfig = null;
+    };
+
+    return load;
+}
+
+module.exports = {
+    createConfigLoader
+};
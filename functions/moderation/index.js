@@ -0,0 +1,103 @@
+const { BUILT_IN_RULES } = require('./rules');
+const { createConfigLoader } = require('./config');
+const { MODERATION_REVIEW_THRESHOLD, MODERATION_BLOCK_THRESHOLD, paramValue } = require('../params');
+const { log } = require('../logging');
+
+// ===== MODERATION RULE ENGINE =====
+//
+// Rules are registered plugins (see rules.js). Their configuration lives in the
+// moderationConfig/rules document so patterns, severities and thresholds can be
+// changed without redeploying (see config.js for caching).
+//
+// Every hit adds its severity score to the content's total. Content scoring below the
+// review threshold is approved, content at or above it is queued for review, and content
+// at or above the block threshold is removed until a moderator looks at it.
+
+const DEFAULT_SEVERITY_SCORES = { none: 0, low: 1, medium: 3, high: 10 };
+
+const DECISIONS = {
+    ALLOW: 'allow',
+    REVIEW: 'review',
+    BLOCK: 'block'
+};
+
+const registeredRules = new Map();
+// Loaders made by createModerationConfigLoader, refreshed when the set of rules changes
+const configLoaders = new Set();
+
+// Register a moderation rule plugin; a later registration with the same name replaces it
+function registerRule(rule) {
+    if (!rule || typeof rule.name !== 'string' || typeof rule.evaluate !== 'function') {
+        throw new Error('Moderation rules need a name and an evaluate(text, options) function');
+    }
+    registeredRules.set(rule.name, rule);
+    configLoaders.forEach(load => load.invalidate());
+}
+
+// Merge the stored config over each rule's defaults so partial documents still work
+function buildConfig(stored) {
+    const storedRules = stored.rules || {};
+    const rules = {};
+
+    for (const [name, rule] of registeredRules) {
+        rules[name] = { ...rule.defaults, ...(storedRules[name] || {}) };
+    }
+
+    return {
+        rules,
+        severityScores: { ...DEFAULT_SEVERITY_SCORES, ...(stored.severityScores || {}) },
+        // Deployment params set the default thresholds; the stored config can still tune them
+        thresholds: {
+            review: paramValue(MODERATION_REVIEW_THRESHOLD),
+            block: paramValue(MODERATION_BLOCK_THRESHOLD),
+            ...(stored.thresholds || {})
+        }
+    };
+}
+
+// Loader for the moderationConfig/rules document in `db`
+function createModerationConfigLoader(db) {
+    const load = createConfigLoader(db, 'rules', buildConfig);
+    configLoaders.add(load);
+    return load;
+}
+
+BUILT_IN_RULES.forEach(registerRule);
+
+function evaluateContent(text, config) {
+    const hits = [];
+
+    for (const [name, rule] of registeredRules) {
+        const options = config.rules[name];
+        if (!options || !options.enabled) {
+            continue;
+        }
+
+        try {
+            for (const hit of rule.evaluate(text, options)) {
+                hits.push({ rule: name, ...hit, severity: hit.severity || options.severity });
+            }
+        } catch (error) {
+            // A bad pattern in one rule shouldn't take down the rest of the pipeline
+            log.error('Moderation rule failed', { rule: name }, error);
+        }
+    }
+
+    const score = hits.reduce((total, hit) => total + (config.severityScores[hit.severity] || 0), 0);
+
+    let decision = DECISIONS.ALLOW;
+    if (score >= config.thresholds.block) {
+        decision = DECISIONS.BLOCK;
+    } else if (score >= config.thresholds.review) {
+        decision = DECISIONS.REVIEW;
+    }
+
+    return { decision, score, hits };
+}
+
+module.exports = {
+    DECISIONS,
+    registerRule,
+    createModerationConfigLoader,
+    evaluateContent
+};
@@ -0,0 +1,162 @@
+const admin = require('firebase-admin');
+const { DECISIONS, createModerationConfigLoader, evaluateContent } = require('./index');
+const { STRIKE_SOURCES } = require('./strikes');
+const { log } = require('../logging');
+
+// ===== MODERATION PIPELINE =====
+//
+// Runs text through the rule engine, queues anything that isn't allowed for a moderator,
+// and records a strike against the author.
+
+// Map a rule-engine decision onto the moderationStatus stored with the content
+const MODERATION_STATUS_BY_DECISION = {
+    [DECISIONS.ALLOW]: 'approved',
+    [DECISIONS.REVIEW]: 'flagged',
+    [DECISIONS.BLOCK]: 'removed'
+};
+
+// Content in these states is hidden from the author's pals until a moderator approves it,
+// least severe first
+const HIDDEN_CONTENT_STATUSES = ['flagged', 'removed'];
+
+// Queue items still waiting on a moderator
+const OPEN_QUEUE_STATUSES = ['pending', 'escalated', 'in_review'];
+
+// `notifications` is the notification service, used to tell users about restrictions;
+// `strikes` is the strike service
+function createModerationPipeline({ db, notifications, strikes }) {
+    const loadModerationConfig = createModerationConfigLoader(db);
+
+    // Record a strike and tell the user if it pushed them into a new restriction.
+    // Strike failures are logged but never block moderation itself.
+    async function recordStrike(userId, strikeId, details) {
+        if (!userId) {
+            return;
+        }
+
+        try {
+            const { activePoints, newlyRestricted } = await strikes.recordStrike(userId, strikeId, details);
+            log.info('Strike recorded', { userId, source: details.source, activePoints });
+
+            if (newlyRestricted.length > 0) {
+                log.warn('Restrictions applied', { userId, restrictions: newlyRestricted });
+                await notifications.send(userId, {
+                    title: 'Account Temporarily Restricted',
+                    body: 'Some features are paused for a while after repeated community guideline violations.'
+                }, {
+                    type: 'account_restricted',
+                    restrictions: newlyRestricted.join(',')
+                });
+            }
+        } catch (error) {
+            log.error('Could not record strike', { userId, strikeId }, error);
+        }
+    }
+
+    async function moderateContent(text, contentType, userId, contentId) {
+        const config = await loadModerationConfig();
+        const { decision, score, hits } = evaluateContent(text, config);
+
+        if (decision !== DECISIONS.ALLOW) {
+            log.warn('Content flagged', { userId, contentType, contentId, decision, score, reasons: hits.map(hit => hit.reason) });
+
+            // Add to moderation queue
+            const queueRef = await db.collection('moderationQueue').add({
+                contentType,
+                userId,
+                contentId,
+                content: text.substring(0, 1000), // Store first 1000 chars
+                flagReasons: hits.map(hit => hit.reason),
+                details: hits,
+                score,
+                decision,
+                status: 'pending',
+                priority: decision === DECISIONS.BLOCK ? 'high' : 'normal',
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                autoFlagged: true
+            });
+
+            await recordStrike(userId, queueRef.id, {
+                source: STRIKE_SOURCES.AUTO_MODERATION,
+                decision,
+                reasons: hits.map(hit => hit.reason),
+                contentType,
+                contentId
+            });
+
+            return {
+                approved: false,
+                decision,
+                score,
+                reasons: hits,
+                queueItemId: queueRef.id
+            };
+        }
+
+        log.info('Content approved', { userId, contentType, contentId, score, reasons: hits.map(hit => hit.reason) });
+        return { approved: true, decision, score, reasons: hits };
+    }
+
+    // After edited content is moderated again, its open auto-flagged queue items describe text
+    // that is gone. They are superseded by the new item when the edit was queued too, taking
+    // their strikes with them so the content only ever holds the latest one, and otherwise
+    // refreshed in place so the moderator reviews the text pals would now see.
+    // Returns how many items were changed.
+    async function updateOpenQueueItems(contentType, contentId, text, result) {
+        const query = db.collection('moderationQueue').where('contentId', '==', contentId);
+        const strikesConfig = await strikes.loadConfig();
+
+        return db.runTransaction(async (transaction) => {
+            const snapshot = await transaction.get(query);
+            const stale = snapshot.docs.filter((doc) => {
+                const item = doc.data();
+                return item.autoFlagged && item.contentType === contentType &&
+                    OPEN_QUEUE_STATUSES.includes(item.status) && doc.id !== result.queueItemId;
+            });
+
+            if (result.queueItemId) {
+                const authorIds = [...new Set(stale.map(doc => doc.data().userId).filter(Boolean))];
+                for (const authorId of authorIds) {
+                    const strikeIds = stale.filter(doc => doc.data().userId === authorId).map(doc => doc.id);
+                    await strikes.voidStrikesInTransaction(transaction, authorId, strikeIds, 'system', strikesConfig);
+                }
+            }
+
+            const now = admin.firestore.FieldValue.serverTimestamp();
+            for (const doc of stale) {
+                if (result.queueItemId) {
+                    transaction.update(doc.ref, {
+                        status: 'superseded',
+                        supersededBy: result.queueItemId,
+                        supersededAt: now,
+                        claimedBy: admin.firestore.FieldValue.delete(),
+                        claimedAt: admin.firestore.FieldValue.delete()
+                    });
+                } else {
+                    transaction.update(doc.ref, {
+                        content: text.substring(0, 1000),
+                        flagReasons: result.reasons.map(hit => hit.reason),
+                        details: result.reasons,
+                        score: result.score,
+                        decision: result.decision,
+                        contentEditedAt: now
+                    });
+                }
+            }
+            return stale.length;
+        });
+    }
+
+    return {
+        moderateContent,
+        recordStrike,
+        updateOpenQueueItems
+    };
+}
+
+module.exports = {
+    MODERATION_STATUS_BY_DECISION,
+    HIDDEN_CONTENT_STATUSES,
+    OPEN_QUEUE_STATUSES,
+    createModerationPipeline
+};
@@ -0,0 +1,241 @@
+// ===== BUILT-IN MODERATION RULES =====
+//
+// Each rule is a plugin: { name, defaults, evaluate(text, options) }.
+// `defaults` is the rule's configuration when moderationConfig doesn't override it,
+// and `evaluate` returns a list of hits ({ reason, severity, ...details }).
+// Patterns may be plain strings (rule severity applies) or { pattern, severity }.
+
+const { PARK_VOCABULARY, IDIOM_PHRASES, canonicalize, maskPhrases } = require('./vocabulary');
+
+// Profanity is matched against text with park vocabulary and idioms masked out, so
+// "Haunted Mansion" or "I'd kill for a Dole Whip" never count. Violent words on their own
+// are only a spooky theme (scored as 'none'); it takes a threat phrase to flag them.
+const profanityRule = {
+    name: 'profanity',
+    defaults: {
+        enabled: true,
+        severity: 'medium',
+        patterns: [
+            // Common profanity (add more as needed)
+            { pattern: '\\bdamn\\b', severity: 'low' },
+            { pattern: '\\bhell\\b', severity: 'low' },
+            { pattern: '\\bcrap\\b', severity: 'low' },
+            '\\bpiss\\b', '\\bbastard\\b',
+            // Hate speech indicators
+            '\\bi\\s+(hate|despise)\\s+(you|u)\\b',
+            // Sexual content
+            { pattern: '\\bsex\\b', severity: 'high' },
+            { pattern: '\\bporn\\b', severity: 'high' },
+            { pattern: '\\bxxx\\b', severity: 'high' },
+            { pattern: '\\bnude\\b', severity: 'high' }
+        ],
+        // Phrases that turn violent vocabulary into an actual threat
+        threatPatterns: [
+            '\\b(i\\s*will|i\\s*\'ll|ill|im\\s+gonna|i\\s*\'m\\s+gonna|gonna|going\\s+to|want\\s+to|wanna)\\s+(kill|murder|hurt|stab|shoot|strangle)\\s+(you|u|ya|him|her|them)\\b',
+            '\\b(you|u)\\s+(should|deserve\\s+to|need\\s+to|better|are\\s+going\\s+to|will)\\s+die\\b',
+            '\\b(kill|hurt)\\s+(yourself|urself|your\\s+self)\\b',
+            '\\b(go|just)\\s+die\\b',
+            '\\bi\\s+know\\s+where\\s+you\\s+live\\b'
+        ],
+        threatSeverity: 'high',
+        // Violent words that are fine in a ghost story or on Tower of Terror
+        spookyPatterns: [
+            '\\b(die|dies|died|dying|dead|death|kill|kills|killed|killer|murder|grave|ghosts?|haunt(ed|s)?|scream(ed|s)?|terror)\\b'
+        ],
+        allowPhrases: IDIOM_PHRASES,
+        useParkVocabulary: true
+    },
+    evaluate(text, options) {
+        const normalized = normalizeText(text);
+        const hits = [];
+
+        // Threats are checked before masking so "I'll kill you on Space Mountain" still counts
+        const threats = matchPatterns(normalized, {
+            patterns: options.threatPatterns || [],
+            severity: options.threatSeverity
+        });
+        for (const { pattern, severity } of threats) {
+            hits.push({ reason: 'violent_threat', severity, pattern });
+        }
+
+        const allowPhrases = [
+            ...(options.useParkVocabulary ? PARK_VOCABULARY : []),
+            ...(options.allowPhrases || []).map(canonicalize)
+        ].sort((a, b) => b.length - a.length);
+        const masked = maskPhrases(normalized, allowPhrases);
+
+        for (const { pattern, severity } of matchPatterns(masked, options)) {
+            hits.push({ reason: 'profanity', severity, pattern });
+        }
+
+        if (threats.length === 0) {
+            const spooky = matchPatterns(masked, { patterns: options.spookyPatterns || [], severity: 'none' });
+            if (spooky.length > 0) {
+                hits.push({ reason: 'spooky_theme', severity: 'none' });
+            }
+        }
+
+        return hits;
+    }
+};
+
+const spamRule = {
+    name: 'spam',
+    defaults: {
+        enabled: true,
+        severity: 'medium',
+        patterns: [
+            'click here', 'buy now', 'limited time', 'act now',
+            'free money', 'earn cash', 'work from home',
+            'lose weight', 'get rich', 'subscribe',
+            'follow me', 'check out my', 'visit my'
+        ],
+        maxUrls: 3,
+        maxCapsRatio: 0.3
+    },
+    evaluate(text, options) {
+        const hits = [];
+        const lowercased = text.toLowerCase();
+
+        // Spam keywords are matched literally, not as regular expressions
+        for (const entry of options.patterns) {
+            const { pattern, severity } = normalizePatternEntry(entry, options.severity);
+            if (lowercased.includes(pattern.toLowerCase())) {
+                hits.push({ reason: 'spam_keyword', severity, keyword: pattern });
+            }
+        }
+
+        // Check for excessive URLs
+        const urlMatches = (text.match(/(https?:\/\/|www\.)/gi) || []).length;
+        if (urlMatches > options.maxUrls) {
+            hits.push({ reason: 'excessive_urls', severity: options.severity, count: urlMatches });
+        }
+
+        // Check for excessive capitalization
+        const uppercaseCount = (text.match(/[A-Z]/g) || []).length;
+        const letterCount = (text.match(/[A-Za-z]/g) || []).length;
+        if (letterCount > 0 && uppercaseCount / letterCount > options.maxCapsRatio) {
+            hits.push({ reason: 'excessive_caps', severity: 'low', ratio: uppercaseCount / letterCount });
+        }
+
+        return hits;
+    }
+};
+
+const personalInfoRule = {
+    name: 'personalInfo',
+    defaults: {
+        enabled: true,
+        severity: 'high',
+        patterns: {
+            phone: '\\b\\d{3}[-.]?\\d{3}[-.]?\\d{4}\\b|\\(\\d{3}\\)\\s*\\d{3}[-.]?\\d{4}',
+            email: '[A-Z0-9._%+-]+@[A-Z0-9.-]+\\.[A-Z]{2,}',
+            address: '\\b\\d+\\s+(st|street|ave|avenue|rd|road|blvd|boulevard|dr|drive|ln|lane|ct|court)\\b',
+            ssn: '\\b\\d{3}-\\d{2}-\\d{4}\\b'
+        }
+    },
+    evaluate(text, options) {
+        const hits = [];
+        for (const [type, entry] of Object.entries(options.patterns)) {
+            const { pattern, severity } = normalizePatternEntry(entry, options.severity);
+            if (compilePattern(pattern).test(text)) {
+                hits.push({ reason: 'personal_info', severity, type });
+            }
+        }
+        return hits;
+    }
+};
+
+const repetitionRule = {
+    name: 'repetition',
+    defaults: {
+        enabled: true,
+        severity: 'low',
+        maxCharacterRun: 10,
+        maxWordRun: 5
+    },
+    evaluate(text, options) {
+        const hits = [];
+
+        // Check for same character repeated too many times
+        if (new RegExp(`(.)\\1{${options.maxCharacterRun},}`).test(text)) {
+            hits.push({ reason: 'character_repetition', severity: options.severity });
+        }
+
+        // Check for same word repeated too many times consecutively
+        const words = text.split(/\s+/);
+        let consecutiveCount = 1;
+        let previousWord = '';
+
+        for (const word of words) {
+            if (word && word.toLowerCase() === previousWord) {
+                consecutiveCount++;
+                if (consecutiveCount > options.maxWordRun) {
+                    hits.push({ reason: 'word_repetition', severity: options.severity, word: previousWord });
+                    break;
+                }
+            } else {
+                consecutiveCount = 1;
+                previousWord = word.toLowerCase();
+            }
+        }
+
+        return hits;
+    }
+};
+
+// ===== PATTERN HELPERS =====
+
+const LEET_SUBSTITUTIONS = {
+    '0': 'o', '1': 'i', '3': 'e', '4': 'a',
+    '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i'
+};
+
+// Undo leetspeak only inside words that already contain letters ("k1ll", "h3ll"), so
+// numbers like "7 dwarfs" or "$20" and sentence punctuation ("wow!") are left alone.
+function normalizeText(text) {
+    return canonicalize(text).replace(/[a-z0-9@$!]+/g, (token) => {
+        if (!/[a-z]/.test(token)) {
+            return token;
+        }
+        return token.replace(/[013457@]|[$!](?=[a-z0-9@])/g, (character) => LEET_SUBSTITUTIONS[character]);
+    });
+}
+
+function normalizePatternEntry(entry, fallbackSeverity) {
+    if (typeof entry === 'string') {
+        return { pattern: entry, severity: fallbackSeverity };
+    }
+    return { pattern: entry.pattern, severity: entry.severity || fallbackSeverity };
+}
+
+// Compiled patterns are cached because config patterns arrive as strings
+const compiledPatterns = new Map();
+
+function compilePattern(pattern) {
+    if (!compiledPatterns.has(pattern)) {
+        compiledPatterns.set(pattern, new RegExp(pattern, 'i'));
+    }
+    return compiledPatterns.get(pattern);
+}
+
+function matchPatterns(text, options) {
+    const matches = [];
+    for (const entry of options.patterns) {
+        const { pattern, severity } = normalizePatternEntry(entry, options.severity);
+        if (compilePattern(pattern).test(text)) {
+            matches.push({ pattern, severity });
+        }
+    }
+    return matches;
+}
+
+const BUILT_IN_RULES = [profanityRule, spamRule, personalInfoRule, repetitionRule];
+
+module.exports = {
+    BUILT_IN_RULES,
+    normalizeText,
+    normalizePatternEntry,
+    compilePattern,
+    matchPatterns
+};
@@ -0,0 +1,268 @@
+const admin = require('firebase-admin');
+const { createConfigLoader } = require('./config');
+
+// ===== STRIKES AND ACCOUNT RESTRICTIONS =====
+//
+// Every flag or upheld report against a user is written to userStrikes/{uid}/strikes.
+// Strikes decay after `decayDays`; the points still active decide which restrictions
+// apply. Restrictions are stored in userRestrictions/{uid} as "suspended until" timestamps
+// that firestore.rules checks, and liftExpiredRestrictions clears them once they pass.
+
+const STRIKE_SOURCES = {
+    AUTO_MODERATION: 'auto_moderation',
+    UPHELD_REPORT: 'upheld_report'
+};
+
+// Restriction name -> field in userRestrictions/{uid} that firestore.rules reads
+const RESTRICTION_FIELDS = {
+    stories: 'storiesSuspendedUntil',
+    profile: 'profileEditsSuspendedUntil'
+};
+
+const DEFAULT_STRIKES_CONFIG = {
+    decayDays: 90,
+    points: {
+        review: 1,
+        block: 2,
+        [STRIKE_SOURCES.UPHELD_REPORT]: 3
+    },
+    // Highest matching level wins
+    levels: [
+        { points: 3, restrictions: ['stories'], durationHours: 24 },
+        { points: 6, restrictions: ['stories', 'profile'], durationHours: 24 * 7 },
+        { points: 10, restrictions: ['stories', 'profile'], durationHours: 24 * 30 }
+    ]
+};
+
+// Stored strikes config merged over the defaults
+function buildStrikesConfig(stored) {
+    return {
+        decayDays: stored.decayDays || DEFAULT_STRIKES_CONFIG.decayDays,
+        points: { ...DEFAULT_STRIKES_CONFIG.points, ...(stored.points || {}) },
+        levels: [...(stored.levels || DEFAULT_STRIKES_CONFIG.levels)].sort((a, b) => a.points - b.points)
+    };
+}
+
+function sumActivePoints(strikeDocs, now) {
+    return strikeDocs
+        .map(doc => doc.data())
+        .filter(strike => !strike.voided && strike.expiresAt.toMillis() > now)
+        .reduce((total, strike) => total + (strike.points || 0), 0);
+}
+
+function levelForPoints(levels, points) {
+    let matched = null;
+    for (const level of levels) {
+        if (points >= level.points) {
+            matched = level;
+        }
+    }
+    return matched;
+}
+
+function createStrikeService({ db }) {
+    const loadConfig = createConfigLoader(db, 'strikes', buildStrikesConfig);
+
+    function strikesRef(userId) {
+        return db.collection('userStrikes').doc(userId).collection('strikes');
+    }
+
+    function restrictionsRef(userId) {
+        return db.collection('userRestrictions').doc(userId);
+    }
+
+    // Recalculate active points and extend restrictions. Must run inside a transaction.
+    // `pendingStrikes` ([{ id, data }]) are the strikes this transaction writes.
+    async function applyRestrictions(transaction, userId, config, pendingStrikes) {
+        const now = Date.now();
+        const restrictionDoc = await transaction.get(restrictionsRef(userId));
+        const activeStrikes = await transaction.get(
+            strikesRef(userId).where('expiresAt', '>', admin.firestore.Timestamp.fromMillis(now))
+        );
+
+        // The strikes being written in this transaction aren't visible to the query yet
+        const pendingIds = pendingStrikes.map(strike => strike.id);
+        const otherStrikes = activeStrikes.docs.filter(doc => !pendingIds.includes(doc.id));
+        const added = pendingStrikes.filter(strike => !strike.data.voided);
+        const voiding = added.length < pendingStrikes.length;
+        const activePoints = sumActivePoints(otherStrikes, now) +
+            added.reduce((total, strike) => total + strike.data.points, 0);
+
+        const current = restrictionDoc.exists ? restrictionDoc.data() : {};
+        const update = {
+            userId,
+            activePoints,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        const level = levelForPoints(config.levels, activePoints);
+        const newlyRestricted = [];
+
+        if (level && added.length > 0) {
+            const until = now + level.durationHours * 60 * 60 * 1000;
+            let restrictedUntil = current.restrictedUntil ? current.restrictedUntil.toMillis() : 0;
+
+            for (const restriction of level.restrictions) {
+                const field = RESTRICTION_FIELDS[restriction];
+                if (!field) {
+                    continue;
+                }
+                const existing = current[field] ? current[field].toMillis() : 0;
+                if (until > existing) {
+                    update[field] = admin.firestore.Timestamp.fromMillis(until);
+                    if (existing <= now) {
+                        newlyRestricted.push(restriction);
+                    }
+                }
+                restrictedUntil = Math.max(restrictedUntil, until, existing);
+            }
+
+            update.restricted = true;
+            update.restrictedUntil = admin.firestore.Timestamp.fromMillis(restrictedUntil);
+            update.level = level.points;
+        } else if (!level && voiding && current.restricted) {
+            // Voiding dropped the user below every level, so nothing should stay restricted
+            for (const field of Object.values(RESTRICTION_FIELDS)) {
+                update[field] = admin.firestore.FieldValue.delete();
+            }
+            update.restricted = false;
+            update.restrictedUntil = admin.firestore.FieldValue.delete();
+            update.level = admin.firestore.FieldValue.delete();
+        }
+
+        transaction.set(restrictionsRef(userId), update, { merge: true });
+        return { activePoints, newlyRestricted };
+    }
+
+    // Record a strike against a user. `strikeId` makes retries idempotent (we use the
+    // moderation queue item id). Returns the active points and any newly applied restrictions.
+    async function recordStrike(userId, strikeId, { source, decision, reasons, contentType, contentId }) {
+        const config = await loadConfig();
+        const points = source === STRIKE_SOURCES.UPHELD_REPORT
+            ? config.points[STRIKE_SOURCES.UPHELD_REPORT]
+            : config.points[decision] || 0;
+
+        const strikeRef = strikesRef(userId).doc(strikeId);
+        const now = Date.now();
+
+        return db.runTransaction(async (transaction) => {
+            const existing = await transaction.get(strikeRef);
+            if (existing.exists) {
+                return { activePoints: null, newlyRestricted: [], duplicate: true };
+            }
+
+            const strike = {
+                source,
+                decision: decision || null,
+                reasons: reasons || [],
+                contentType: contentType || null,
+                contentId: contentId || null,
+                points,
+                voided: false,
+                createdAt: admin.firestore.Timestamp.fromMillis(now),
+                expiresAt: admin.firestore.Timestamp.fromMillis(now + config.decayDays * 24 * 60 * 60 * 1000)
+            };
+
+            const result = await applyRestrictions(transaction, userId, config, [{ id: strikeId, data: strike }]);
+            transaction.set(strikeRef, strike);
+            return result;
+        });
+    }
+
+    // Void strikes inside the caller's transaction, before it writes anything (transactions
+    // read first). `config` comes from loadConfig. Returns null when none were still active.
+    async function voidStrikesInTransaction(transaction, userId, strikeIds, voidedBy, config) {
+        const strikeDocs = await Promise.all(strikeIds.map(strikeId => transaction.get(strikesRef(userId).doc(strikeId))));
+        const voiding = strikeDocs.filter(doc => doc.exists && !doc.data().voided);
+        if (voiding.length === 0) {
+            return null;
+        }
+
+        const result = await applyRestrictions(transaction, userId, config,
+            voiding.map(doc => ({ id: doc.id, data: { ...doc.data(), voided: true } })));
+        for (const doc of voiding) {
+            transaction.update(doc.ref, {
+                voided: true,
+                voidedBy,
+                voidedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+        return result;
+    }
+
+    // Void a strike when a moderator decides the content was fine after all
+    async function voidStrike(userId, strikeId, moderatorId) {
+        const config = await loadConfig();
+        return db.runTransaction(transaction => voidStrikesInTransaction(transaction, userId, [strikeId], moderatorId, config));
+    }
+
+    // Whether `restriction` ('stories' or 'profile') is in force, as firestore.rules sees it.
+    // For functions that write on a user's behalf.
+    async function isRestricted(userId, restriction) {
+        const restrictionDoc = await restrictionsRef(userId).get();
+        const until = restrictionDoc.exists ? restrictionDoc.data()[RESTRICTION_FIELDS[restriction]] : null;
+        return Boolean(until) && until.toMillis() > Date.now();
+    }
+
+    // Clear restriction fields whose time has passed and refresh the decayed point total
+    async function liftRestrictionsIfExpired(userId) {
+        const now = Date.now();
+
+        return db.runTransaction(async (transaction) => {
+            const restrictionDoc = await transaction.get(restrictionsRef(userId));
+            if (!restrictionDoc.exists) {
+                return [];
+            }
+
+            const current = restrictionDoc.data();
+            const activeStrikes = await transaction.get(
+                strikesRef(userId).where('expiresAt', '>', admin.firestore.Timestamp.fromMillis(now))
+            );
+
+            const update = {
+                activePoints: sumActivePoints(activeStrikes.docs, now),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+            const lifted = [];
+            let restrictedUntil = 0;
+
+            for (const [restriction, field] of Object.entries(RESTRICTION_FIELDS)) {
+                if (!current[field]) {
+                    continue;
+                }
+                if (current[field].toMillis() <= now) {
+                    update[field] = admin.firestore.FieldValue.delete();
+                    lifted.push(restriction);
+                } else {
+                    restrictedUntil = Math.max(restrictedUntil, current[field].toMillis());
+                }
+            }
+
+            if (restrictedUntil > 0) {
+                update.restrictedUntil = admin.firestore.Timestamp.fromMillis(restrictedUntil);
+            } else {
+                update.restricted = false;
+                update.restrictedUntil = admin.firestore.FieldValue.delete();
+                update.level = admin.firestore.FieldValue.delete();
+            }
+
+            transaction.update(restrictionDoc.ref, update);
+            return lifted;
+        });
+    }
+
+    return {
+        loadConfig,
+        recordStrike,
+        voidStrike,
+        voidStrikesInTransaction,
+        isRestricted,
+        liftRestrictionsIfExpired
+    };
+}
+
+module.exports = {
+    STRIKE_SOURCES,
+    RESTRICTION_FIELDS,
+    createStrikeService
+};
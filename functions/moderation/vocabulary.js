@@ -0,0 +1,80 @@
+const { CATEGORY_CATALOG } = require('../catalog');
+
+// ===== PARK VOCABULARY =====
+//
+// Phrases that are masked out before profanity matching so park names and
+// attraction lore never count against a story.
+
+// Attraction lore and theming that isn't a catalog entry but shows up in daydreams
+const THEMED_PHRASES = [
+    'grim grinning ghosts', '999 happy haunts', 'hitchhiking ghosts', 'ghost host',
+    'hollywood tower hotel', 'twilight zone', 'dead men tell no tales', 'dead man\'s chest',
+    'not-so-scary', 'headless horseman', 'hocus pocus', 'evil queen', 'poison apple'
+];
+
+// Everyday idioms that use violent words without any threat behind them
+const IDIOM_PHRASES = [
+    'to die for', 'dying to', 'i could die', 'i\'d die', 'id die', 'die of happiness',
+    'die laughing', 'dying of laughter', 'nearly died', 'almost died',
+    'kill for', 'killing it', 'killed it', 'kill time', 'killing time',
+    'scared to death', 'scare me to death', 'bored to death', 'death by chocolate',
+    'a hell of a', 'hell of a', 'hate to leave', 'hate to say', 'hate waiting', 'hated to leave',
+    'love-hate'
+];
+
+// Canonicalize dashes and quotes so catalog entries match what people type
+function canonicalize(text) {
+    return text
+        .toLowerCase()
+        .replace(/[‐-―]/g, '-')
+        .replace(/[‘’]/g, '\'');
+}
+
+function catalogPhrases() {
+    const phrases = [];
+    for (const items of Object.values(CATEGORY_CATALOG)) {
+        for (const item of items) {
+            phrases.push(canonicalize(item));
+            // "Beignets (Port Orleans)" is usually written without the parenthetical
+            const withoutQualifier = item.replace(/\s*\(.*\)\s*$/, '');
+            if (withoutQualifier !== item) {
+                phrases.push(canonicalize(withoutQualifier));
+            }
+        }
+    }
+    return phrases;
+}
+
+// Longest phrases first so "haunted mansion" is masked before "haunted"
+const PARK_VOCABULARY = [...new Set([...catalogPhrases(), ...THEMED_PHRASES])]
+    .sort((a, b) => b.length - a.length);
+
+const phrasePatterns = new Map();
+
+// Whole words only, like the rule patterns, so "skilled it" keeps its "killed it"
+function phrasePattern(phrase) {
+    if (!phrasePatterns.has(phrase)) {
+        const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const start = /^\w/.test(phrase) ? '\\b' : '';
+        const end = /\w$/.test(phrase) ? '\\b' : '';
+        phrasePatterns.set(phrase, new RegExp(`${start}${escaped}${end}`, 'g'));
+    }
+    return phrasePatterns.get(phrase);
+}
+
+function maskPhrases(text, phrases) {
+    let masked = text;
+    for (const phrase of phrases) {
+        if (phrase && masked.includes(phrase)) {
+            masked = masked.replace(phrasePattern(phrase), ' ');
+        }
+    }
+    return masked;
+}
+
+module.exports = {
+    PARK_VOCABULARY,
+    IDIOM_PHRASES,
+    canonicalize,
+    maskPhrases
+};
@@ -0,0 +1,89 @@
+const { defineInt, defineString, defineSecret } = require('firebase-functions/params');
+
+// ===== DEPLOYMENT PARAMETERS =====
+//
+// Values that differ between projects or get tuned without a code change. The Firebase
+// CLI reads them from functions/.env.<project> (or prompts, offering the default) when
+// deploying or starting the emulator. Settings stored in moderationConfig still override
+// the moderation thresholds at runtime. Credentials belong in defineSecret params, bound
+// only to the functions that read them.
+
+const REGION = defineString('FUNCTIONS_REGION', {
+    default: 'us-central1',
+    description: 'Region for every function; must match the Firestore database location'
+});
+
+const MODERATION_REVIEW_THRESHOLD = defineInt('MODERATION_REVIEW_THRESHOLD', {
+    default: 3,
+    description: 'Moderation score at which content is queued for review'
+});
+
+const MODERATION_BLOCK_THRESHOLD = defineInt('MODERATION_BLOCK_THRESHOLD', {
+    default: 10,
+    description: 'Moderation score at which content is removed until reviewed'
+});
+
+const NOTIFICATIONS_PER_MINUTE = defineInt('NOTIFICATIONS_PER_MINUTE', {
+    default: 3,
+    description: 'Pushes a user can ask to send their pal per minute'
+});
+
+const NOTIFICATIONS_PER_HOUR = defineInt('NOTIFICATIONS_PER_HOUR', {
+    default: 20,
+    description: 'Pushes a user can ask to send their pal per hour'
+});
+
+const INVITATIONS_MAX_PENDING = defineInt('INVITATIONS_MAX_PENDING', {
+    default: 10,
+    description: 'Unredeemed invitations a user can have at once'
+});
+
+const INVITATIONS_PER_HOUR = defineInt('INVITATIONS_PER_HOUR', {
+    default: 5,
+    description: 'Invitations a user can create per hour'
+});
+
+const INVITATION_REDEEM_FAILURES_PER_HOUR = defineInt('INVITATION_REDEEM_FAILURES_PER_HOUR', {
+    default: 10,
+    description: 'Failed invitation redeems a user can make per hour before redeeming is refused'
+});
+
+const CIRCLE_MAX_MEMBERS = defineInt('CIRCLE_MAX_MEMBERS', {
+    default: 8,
+    description: 'Members a story circle can have'
+});
+
+const DATA_EXPORTS_PER_DAY = defineInt('DATA_EXPORTS_PER_DAY', {
+    default: 3,
+    description: 'Data exports a user can request per day'
+});
+
+const SHARE_LINK_BASE_URL = defineString('SHARE_LINK_BASE_URL', {
+    default: '',
+    description: 'Public URL that serves the sharedStory function (e.g. a Hosting rewrite); empty uses the function URL'
+});
+
+// Signs story share link tokens. Rotating it invalidates every link already shared.
+const SHARE_LINK_SECRET = defineSecret('SHARE_LINK_SECRET');
+
+// Param values are only populated inside a deployed function or the emulator. Elsewhere
+// (tests calling functions directly, scripts) fall back to the declared default.
+function paramValue(param) {
+    return process.env[param.name] === undefined ? param.options.default : param.value();
+}
+
+module.exports = {
+    REGION,
+    MODERATION_REVIEW_THRESHOLD,
+    MODERATION_BLOCK_THRESHOLD,
+    NOTIFICATIONS_PER_MINUTE,
+    NOTIFICATIONS_PER_HOUR,
+    INVITATIONS_MAX_PENDING,
+    INVITATIONS_PER_HOUR,
+    INVITATION_REDEEM_FAILURES_PER_HOUR,
+    CIRCLE_MAX_MEMBERS,
+    DATA_EXPORTS_PER_DAY,
+    SHARE_LINK_BASE_URL,
+    SHARE_LINK_SECRET,
+    paramValue
+};
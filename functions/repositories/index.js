@@ -0,0 +1,22 @@
+const { createUserRepository } = require('./users');
+const { createPartnershipRepository } = require('./partnerships');
+const { createStoryRepository } = require('./stories');
+const { createSecurityIncidentLog } = require('./securityIncidents');
+
+// ===== REPOSITORIES =====
+//
+// Firestore access for the collections most functions share. Each repository is built
+// around the Firestore instance it is given, so tests can pass their own.
+
+function createRepositories(db) {
+    return {
+        users: createUserRepository(db),
+        partnerships: createPartnershipRepository(db),
+        stories: createStoryRepository(db),
+        securityIncidents: createSecurityIncidentLog(db)
+    };
+}
+
+module.exports = {
+    createRepositories
+};
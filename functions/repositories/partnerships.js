@@ -0,0 +1,152 @@
+const admin = require('firebase-admin');
+
+// ===== PARTNERSHIPS REPOSITORY =====
+//
+// partnerships/{partnershipId} is a story circle. A pair of pals is stored as user1Id and
+// user2Id, and counts as a two-member circle where both pals are owners. Larger circles
+// have kind 'circle', members in join order in memberIds (the author rotation follows
+// that order), a role per member in `roles` and the members who muted its pushes in
+// mutedBy. Older documents have no status, which counts as active.
+
+const PARTNERSHIP_PAGE_SIZE = 200;
+
+const CIRCLE_ROLES = {
+    OWNER: 'owner',
+    MEMBER: 'member'
+};
+
+function isActivePartnership(partnership) {
+    return !partnership.status || partnership.status === 'active';
+}
+
+function isCircle(partnership) {
+    return partnership.kind === 'circle';
+}
+
+function memberIds(partnership) {
+    return isCircle(partnership)
+        ? partnership.memberIds || []
+        : [partnership.user1Id, partnership.user2Id].filter(Boolean);
+}
+
+function isMember(partnership, userId) {
+    return Boolean(userId) && memberIds(partnership).includes(userId);
+}
+
+function roleOf(partnership, userId) {
+    if (!isMember(partnership, userId)) {
+        return null;
+    }
+    return isCircle(partnership) ? (partnership.roles || {})[userId] || CIRCLE_ROLES.MEMBER : CIRCLE_ROLES.OWNER;
+}
+
+// The other member of a pair
+function palOf(partnership, userId) {
+    return partnership.user1Id === userId ? partnership.user2Id : partnership.user1Id;
+}
+
+// Everyone but `userId`: who hears about a member's story
+function otherMembers(partnership, userId) {
+    return memberIds(partnership).filter(member => member !== userId);
+}
+
+// Round robin in member order; someone no longer in the circle hands over to the first member
+function nextInRotation(partnership, userId) {
+    const members = memberIds(partnership);
+    const index = members.indexOf(userId);
+    return members[(index + 1) % members.length];
+}
+
+function createPartnershipRepository(db) {
+    const partnerships = db.collection('partnerships');
+
+    function ref(partnershipId) {
+        return partnerships.doc(partnershipId);
+    }
+
+    async function get(partnershipId) {
+        const doc = await ref(partnershipId).get();
+        return doc.exists ? doc.data() : null;
+    }
+
+    // Both orderings of a pair, so callers can also read them inside a transaction
+    function queriesBetween(userA, userB) {
+        return [
+            partnerships.where('user1Id', '==', userA).where('user2Id', '==', userB),
+            partnerships.where('user1Id', '==', userB).where('user2Id', '==', userA)
+        ];
+    }
+
+    // Every pair partnership between two users, in either order and with any status
+    async function between(userA, userB) {
+        const snapshots = await Promise.all(queriesBetween(userA, userB).map(query => query.get()));
+        return snapshots.flatMap(snapshot => snapshot.docs);
+    }
+
+    // Circles `userId` belongs to, with any status
+    function circlesOfQuery(userId) {
+        return partnerships.where('memberIds', 'array-contains', userId);
+    }
+
+    // Circles both users belong to, with any status
+    async function circlesWith(userA, userB) {
+        const snapshot = await circlesOfQuery(userA).get();
+        return snapshot.docs.filter(doc => isMember(doc.data(), userB));
+    }
+
+    // The active pair partnership of two users, else an active circle they share
+    async function findActive(userA, userB) {
+        const docs = [...await between(userA, userB), ...await circlesWith(userA, userB)];
+        return docs.find(doc => isActivePartnership(doc.data())) || null;
+    }
+
+    // Walk every active partnership a page at a time so the whole collection is never loaded at once
+    async function forEachActive(callback) {
+        let lastDoc = null;
+
+        while (true) {
+            let query = partnerships
+                .orderBy(admin.firestore.FieldPath.documentId())
+                .limit(PARTNERSHIP_PAGE_SIZE);
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
+
+            const page = await query.get();
+            for (const doc of page.docs) {
+                if (isActivePartnership(doc.data())) {
+                    await callback(doc);
+                }
+            }
+
+            if (page.size < PARTNERSHIP_PAGE_SIZE) {
+                return;
+            }
+            lastDoc = page.docs[page.docs.length - 1];
+        }
+    }
+
+    return {
+        ref,
+        get,
+        queriesBetween,
+        between,
+        circlesOfQuery,
+        circlesWith,
+        findActive,
+        forEachActive
+    };
+}
+
+module.exports = {
+    CIRCLE_ROLES,
+    isActivePartnership,
+    isCircle,
+    memberIds,
+    isMember,
+    roleOf,
+    palOf,
+    otherMembers,
+    nextInRotation,
+    createPartnershipRepository
+};
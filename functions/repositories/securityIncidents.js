@@ -0,0 +1,25 @@
+const admin = require('firebase-admin');
+
+// ===== SECURITY INCIDENTS =====
+//
+// Append-only audit trail in securityIncidents, readable only with admin privileges
+
+function createSecurityIncidentLog(db) {
+    const incidents = db.collection('securityIncidents');
+
+    function record(type, details = {}) {
+        return incidents.add({
+            type,
+            ...details,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    return {
+        record
+    };
+}
+
+module.exports = {
+    createSecurityIncidentLog
+};
@@ -0,0 +1,59 @@
+const admin = require('firebase-admin');
+
+// ===== STORIES REPOSITORY =====
+//
+// Stories live at partnerships/{partnershipId}/stories/{storyId}, keyed by the author's
+// local date (yyyy-MM-dd). Elsewhere a story is referred to as "partnershipId/storyId".
+
+function createStoryRepository(db) {
+    function collection(partnershipId) {
+        return db.collection('partnerships').doc(partnershipId).collection('stories');
+    }
+
+    function ref(partnershipId, storyId) {
+        return collection(partnershipId).doc(storyId);
+    }
+
+    // Resolve a "partnershipId/storyId" content id
+    function refFromContentId(contentId) {
+        const [partnershipId, storyId] = String(contentId || '').split('/');
+        return partnershipId && storyId ? ref(partnershipId, storyId) : null;
+    }
+
+    // The most recent story, also usable inside a transaction
+    function latestQuery(partnershipId) {
+        return collection(partnershipId).orderBy('date', 'desc').limit(1);
+    }
+
+    async function latest(partnershipId) {
+        const snapshot = await latestQuery(partnershipId).get();
+        return snapshot.empty ? null : snapshot.docs[0];
+    }
+
+    // Hide or reveal `authorId`'s stories for `viewerId` in the given partnerships
+    async function setHidden(writer, partnershipDocs, authorId, viewerId, hidden) {
+        for (const partnershipDoc of partnershipDocs) {
+            const authored = await partnershipDoc.ref.collection('stories').where('authorId', '==', authorId).get();
+            for (const story of authored.docs) {
+                writer.update(story.ref, {
+                    hiddenFor: hidden
+                        ? admin.firestore.FieldValue.arrayUnion(viewerId)
+                        : admin.firestore.FieldValue.arrayRemove(viewerId)
+                });
+            }
+        }
+    }
+
+    return {
+        collection,
+        ref,
+        refFromContentId,
+        latestQuery,
+        latest,
+        setHidden
+    };
+}
+
+module.exports = {
+    createStoryRepository
+};
@@ -0,0 +1,79 @@
+// ===== USERS REPOSITORY =====
+//
+// users/{uid} profiles and the per-user documents around them: settings, blocks and the
+// FCM tokens of each registered device.
+
+function createUserRepository(db) {
+    const users = db.collection('users');
+
+    function ref(userId) {
+        return users.doc(userId);
+    }
+
+    async function get(userId) {
+        const doc = await ref(userId).get();
+        return doc.exists ? doc.data() : null;
+    }
+
+    async function displayName(userId, fallback) {
+        const user = userId ? await get(userId) : null;
+        return (user && user.displayName) || fallback;
+    }
+
+    function settingsRef(userId) {
+        return db.collection('userSettings').doc(userId);
+    }
+
+    async function getSettings(userId) {
+        const doc = await settingsRef(userId).get();
+        return doc.exists ? doc.data() : {};
+    }
+
+    function blockRef(userId, blockedUserId) {
+        return ref(userId).collection('blockedUsers').doc(blockedUserId);
+    }
+
+    async function isBlockedEitherWay(userA, userB) {
+        const [aBlockedB, bBlockedA] = await Promise.all([
+            blockRef(userA, userB).get(),
+            blockRef(userB, userA).get()
+        ]);
+        return aBlockedB.exists || bBlockedA.exists;
+    }
+
+    // Each device registers its FCM token at users/{uid}/fcmTokens/{deviceId}, keyed by the
+    // same device fingerprint as users/{uid}/sessions. Older app versions wrote a single token
+    // to users/{uid}/private/notifications, which is still read until those installs update.
+    async function getDeviceTokens(userId) {
+        const [deviceTokens, legacyDoc] = await Promise.all([
+            ref(userId).collection('fcmTokens').get(),
+            ref(userId).collection('private').doc('notifications').get()
+        ]);
+
+        const entries = deviceTokens.docs
+            .filter(doc => typeof doc.data().token === 'string' && doc.data().token.length > 0)
+            .map(doc => ({ token: doc.data().token, ref: doc.ref, legacy: false }));
+
+        const legacyToken = legacyDoc.exists ? legacyDoc.data().fcmToken : null;
+        if (legacyToken && !entries.some(entry => entry.token === legacyToken)) {
+            entries.push({ token: legacyToken, ref: legacyDoc.ref, legacy: true });
+        }
+
+        return entries;
+    }
+
+    return {
+        ref,
+        get,
+        displayName,
+        settingsRef,
+        getSettings,
+        blockRef,
+        isBlockedEitherWay,
+        getDeviceTokens
+    };
+}
+
+module.exports = {
+    createUserRepository
+};
@@ -0,0 +1,453 @@
+const admin = require('firebase-admin');
+const { log } = require('../logging');
+const { removalUpdate } = require('./circles');
+
+// ===== ACCOUNT DELETION JOBS =====
+//
+// Deleting an account creates accountDeletionJobs/{uid}. The job works through
+// DELETION_PHASES in order, one page at a time, and checkpoints the page cursor after each
+// page so a timeout or failure resumes where it stopped instead of starting over. Every
+// page operation is idempotent (delete, or an update that can safely be applied twice).
+// `attempts` counts failed runs since the job last made progress; a job that keeps failing
+// without getting anywhere stalls for an admin to look at.
+//
+// Stories the user wrote stay in their pal's or circle's history, but are anonymized.
+// Circles they belonged to carry on without them.
+
+const DELETION_JOB_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    STALLED: 'stalled'
+};
+
+const DELETED_USER_ID = 'deleted_user';
+const DELETED_USER_NAME = 'Former Pal';
+
+const PHASE_PAGE_SIZE = 200;
+// Partnerships also anonymize their stories, so they are processed in smaller pages
+const PARTNERSHIP_PAGE_SIZE = 20;
+// Longer than the function timeout, so a crashed run's lease always expires
+const JOB_LEASE_MS = 10 * 60 * 1000;
+const MAX_JOB_ATTEMPTS = 10;
+
+function userRef(db, userId) {
+    return db.collection('users').doc(userId);
+}
+
+function deleteDoc(writer, doc) {
+    writer.delete(doc.ref);
+}
+
+async function anonymizePartnership(writer, doc, userId) {
+    const partnership = doc.data();
+    const update = {
+        status: 'user_deleted',
+        deletedUserId: userId,
+        deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+        [`${partnership.user1Id === userId ? 'user1' : 'user2'}Deleted`]: true
+    };
+    if (partnership.nextAuthorId === userId) {
+        update.nextAuthorId = admin.firestore.FieldValue.delete();
+    }
+    writer.update(doc.ref, update);
+    await anonymizeStories(writer, doc, userId);
+}
+
+// Keep the stories in the pal's or circle's history without the deleted user's identity
+async function anonymizeStories(writer, partnershipDoc, userId) {
+    const authoredStories = await partnershipDoc.ref.collection('stories').where('authorId', '==', userId).get();
+    for (const story of authoredStories.docs) {
+        writer.update(story.ref, {
+            authorId: DELETED_USER_ID,
+            authorName: DELETED_USER_NAME,
+            authorDeleted: true
+        });
+    }
+}
+
+// The rest of the circle carries on without the user
+async function leaveCircle(writer, doc, userId) {
+    writer.update(doc.ref, removalUpdate(doc.data(), userId));
+    await anonymizeStories(writer, doc, userId);
+}
+
+async function deleteDelivery(writer, doc) {
+    const attempts = await doc.ref.collection('attempts').get();
+    for (const attempt of attempts.docs) {
+        writer.delete(attempt.ref);
+    }
+    writer.delete(doc.ref);
+}
+
+// Each phase is a query for the user's documents and what to do with each one, called as
+// apply(writer, doc, userId, storage). Subcollections are cleared before the parent
+// documents in the final phase.
+const DELETION_PHASES = [
+    { name: 'privateData', query: (db, uid) => userRef(db, uid).collection('private'), apply: deleteDoc },
+    { name: 'deviceTokens', query: (db, uid) => userRef(db, uid).collection('fcmTokens'), apply: deleteDoc },
+    { name: 'sessions', query: (db, uid) => userRef(db, uid).collection('sessions'), apply: deleteDoc },
+    { name: 'blockedUsers', query: (db, uid) => userRef(db, uid).collection('blockedUsers'), apply: deleteDoc },
+    {
+        name: 'favoriteStories',
+        query: (db, uid) => db.collection('userStories').doc(uid).collection('favorites'),
+        apply: deleteDoc
+    },
+    {
+        name: 'storyHistory',
+        query: (db, uid) => db.collection('userStories').doc(uid).collection('history'),
+        apply: deleteDoc
+    },
+    {
+        name: 'sentInvitations',
+        query: (db, uid) => db.collection('palInvitations').where('fromUserId', '==', uid),
+        apply: deleteDoc
+    },
+    {
+        name: 'receivedInvitations',
+        query: (db, uid) => db.collection('palInvitations').where('toUserId', '==', uid),
+        apply: deleteDoc
+    },
+    {
+        name: 'partnershipsAsUser1',
+        query: (db, uid) => db.collection('partnerships').where('user1Id', '==', uid),
+        apply: anonymizePartnership,
+        pageSize: PARTNERSHIP_PAGE_SIZE
+    },
+    {
+        name: 'partnershipsAsUser2',
+        query: (db, uid) => db.collection('partnerships').where('user2Id', '==', uid),
+        apply: anonymizePartnership,
+        pageSize: PARTNERSHIP_PAGE_SIZE
+    },
+    {
+        name: 'circles',
+        query: (db, uid) => db.collection('partnerships').where('memberIds', 'array-contains', uid),
+        apply: leaveCircle,
+        pageSize: PARTNERSHIP_PAGE_SIZE
+    },
+    {
+        name: 'storySharesCreated',
+        query: (db, uid) => db.collection('storyShares').where('createdBy', '==', uid),
+        apply: deleteDoc
+    },
+    {
+        // Links pals made to the user's stories stop working with the account
+        name: 'storySharesOfStories',
+        query: (db, uid) => db.collection('storyShares').where('authorId', '==', uid),
+        apply: deleteDoc
+    },
+    {
+        name: 'requestedNotifications',
+        query: (db, uid) => db.collection('notificationQueue').where('requesterId', '==', uid),
+        apply: deleteDoc
+    },
+    {
+        name: 'targetedNotifications',
+        query: (db, uid) => db.collection('notificationQueue').where('targetUserId', '==', uid),
+        apply: deleteDoc
+    },
+    {
+        // Delivery records hold the user's device tokens
+        name: 'notificationDeliveries',
+        query: (db, uid) => db.collection('notificationDeliveries').where('userId', '==', uid),
+        apply: deleteDelivery
+    },
+    {
+        name: 'reminderLog',
+        query: (db, uid) => db.collection('reminderLog').where('userId', '==', uid),
+        apply: deleteDoc
+    },
+    {
+        // Reports are kept for the moderation audit trail, without the user's id
+        name: 'reportsFiled',
+        query: (db, uid) => db.collection('contentReports').where('reporterId', '==', uid),
+        apply: (writer, doc) => writer.update(doc.ref, {
+            reporterId: DELETED_USER_ID,
+            reporterDeleted: true,
+            deletedAt: admin.firestore.FieldValue.serverTimestamp()
+        })
+    },
+    {
+        name: 'reportsAboutUser',
+        query: (db, uid) => db.collection('contentReports').where('reportedUserId', '==', uid),
+        apply: (writer, doc) => writer.update(doc.ref, {
+            reportedUserId: DELETED_USER_ID,
+            reportedUserDeleted: true,
+            deletedAt: admin.firestore.FieldValue.serverTimestamp()
+        })
+    },
+    {
+        name: 'moderationQueueReports',
+        query: (db, uid) => db.collection('moderationQueue').where('reporterId', '==', uid),
+        apply: (writer, doc) => writer.update(doc.ref, {
+            reporterId: DELETED_USER_ID,
+            reporterDeleted: true
+        })
+    },
+    {
+        name: 'moderationQueue',
+        query: (db, uid) => db.collection('moderationQueue').where('userId', '==', uid),
+        apply: (writer, doc) => writer.update(doc.ref, {
+            userDeleted: true,
+            deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+            status: 'user_deleted'
+        })
+    },
+    {
+        name: 'strikes',
+        query: (db, uid) => db.collection('userStrikes').doc(uid).collection('strikes'),
+        apply: deleteDoc
+    },
+    {
+        // Archives from user data exports, in Storage and their Firestore records
+        name: 'dataExports',
+        query: (db, uid) => db.collection('dataExports').where('userId', '==', uid),
+        apply: async (writer, doc, userId, storage) => {
+            await storage.bucket().deleteFiles({ prefix: `${doc.data().path}/` });
+            writer.delete(doc.ref);
+        }
+    },
+    {
+        name: 'connectionTests',
+        query: (db, uid) => db.collection('connectionTest').where('userId', '==', uid),
+        apply: deleteDoc
+    },
+    {
+        name: 'userDocuments',
+        documents: (db, uid) => [
+            userRef(db, uid),
+            db.collection('userStories').doc(uid),
+            db.collection('userSettings').doc(uid),
+            db.collection('userStats').doc(uid),
+            db.collection('userRestrictions').doc(uid),
+            db.collection('userStrikes').doc(uid),
+            db.collection('notificationRateLimits').doc(uid),
+            db.collection('dataExportLimits').doc(uid),
+            db.collection('invitationRateLimits').doc(uid),
+            db.collection('sessionRevocations').doc(uid)
+        ]
+    }
+];
+
+// `storage` is the Cloud Storage client holding the user's export archives
+function createAccountDeletionService({ db, storage }) {
+    function deletionJobsRef() {
+        return db.collection('accountDeletionJobs');
+    }
+
+    // Create the job for a deleted user. Returns false if one already exists.
+    async function createDeletionJob(userId) {
+        const phases = {};
+        for (const phase of DELETION_PHASES) {
+            phases[phase.name] = { done: false, processed: 0, cursor: null };
+        }
+
+        try {
+            await deletionJobsRef().doc(userId).create({
+                userId,
+                status: DELETION_JOB_STATUS.PENDING,
+                phases,
+                attempts: 0,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return true;
+        } catch (error) {
+            if (error.code === 6 || error.code === 'already-exists') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    // Take the job lease so only one invocation works on a user at a time. A run whose lease
+    // expired died without recording its failure, so taking over from it counts as one.
+    async function claimDeletionJob(userId) {
+        const jobRef = deletionJobsRef().doc(userId);
+        const now = Date.now();
+
+        return db.runTransaction(async (transaction) => {
+            const jobDoc = await transaction.get(jobRef);
+            if (!jobDoc.exists) {
+                return null;
+            }
+
+            const job = jobDoc.data();
+            const leased = job.status === DELETION_JOB_STATUS.RUNNING &&
+                job.leaseExpiresAt && job.leaseExpiresAt.toMillis() > now;
+            if (job.status === DELETION_JOB_STATUS.COMPLETED || job.status === DELETION_JOB_STATUS.STALLED || leased) {
+                return null;
+            }
+
+            const attempts = (job.attempts || 0) + (job.status === DELETION_JOB_STATUS.RUNNING ? 1 : 0);
+            if (attempts >= MAX_JOB_ATTEMPTS) {
+                transaction.update(jobRef, {
+                    status: DELETION_JOB_STATUS.STALLED,
+                    attempts,
+                    lastError: 'Run timed out',
+                    leaseExpiresAt: admin.firestore.FieldValue.delete(),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                return null;
+            }
+
+            transaction.update(jobRef, {
+                status: DELETION_JOB_STATUS.RUNNING,
+                attempts,
+                leaseExpiresAt: admin.firestore.Timestamp.fromMillis(now + JOB_LEASE_MS),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return { ...job, attempts };
+        });
+    }
+
+    // Process one page of a phase and checkpoint it. Returns the phase's new checkpoint.
+    async function runPhasePage(jobRef, phase, checkpoint, userId) {
+        const writer = db.bulkWriter();
+        let next;
+
+        if (phase.documents) {
+            const refs = phase.documents(db, userId);
+            refs.forEach(ref => writer.delete(ref));
+            await writer.close();
+            next = { done: true, processed: refs.length, cursor: null };
+        } else {
+            const pageSize = phase.pageSize || PHASE_PAGE_SIZE;
+            let query = phase.query(db, userId)
+                .orderBy(admin.firestore.FieldPath.documentId())
+                .limit(pageSize);
+            if (checkpoint.cursor) {
+                query = query.startAfter(checkpoint.cursor);
+            }
+
+            const page = await query.get();
+            for (const doc of page.docs) {
+                await phase.apply(writer, doc, userId, storage);
+            }
+            await writer.close();
+
+            next = {
+                done: page.size < pageSize,
+                processed: (checkpoint.processed || 0) + page.size,
+                cursor: page.empty ? checkpoint.cursor : page.docs[page.docs.length - 1].id
+            };
+        }
+
+        // Progress clears the failures counted so far
+        await jobRef.update({
+            [`phases.${phase.name}`]: next,
+            currentPhase: phase.name,
+            attempts: 0,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return next;
+    }
+
+    // Work on a job until it finishes or `deadline` (ms since epoch) passes. Returns the
+    // job's status afterwards (null if another run holds it); a paused job stays pending and
+    // is picked up again by the resume schedule.
+    async function runDeletionJob(userId, deadline) {
+        const job = await claimDeletionJob(userId);
+        if (!job) {
+            return null;
+        }
+
+        const jobRef = deletionJobsRef().doc(userId);
+        let failedAttempts = job.attempts || 0;
+
+        try {
+            for (const phase of DELETION_PHASES) {
+                let checkpoint = (job.phases && job.phases[phase.name]) || { done: false, processed: 0, cursor: null };
+
+                while (!checkpoint.done) {
+                    if (Date.now() >= deadline) {
+                        log.info('Deletion job paused', { userId, phase: phase.name });
+                        await jobRef.update({
+                            status: DELETION_JOB_STATUS.PENDING,
+                            leaseExpiresAt: admin.firestore.FieldValue.delete(),
+                            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                        });
+                        return DELETION_JOB_STATUS.PENDING;
+                    }
+
+                    checkpoint = await runPhasePage(jobRef, phase, checkpoint, userId);
+                    failedAttempts = 0;
+                }
+            }
+
+            await jobRef.update({
+                status: DELETION_JOB_STATUS.COMPLETED,
+                currentPhase: admin.firestore.FieldValue.delete(),
+                leaseExpiresAt: admin.firestore.FieldValue.delete(),
+                completedAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return DELETION_JOB_STATUS.COMPLETED;
+        } catch (error) {
+            // Give up retrying after MAX_JOB_ATTEMPTS; an admin can inspect and restart it
+            failedAttempts++;
+            const status = failedAttempts >= MAX_JOB_ATTEMPTS ? DELETION_JOB_STATUS.STALLED : DELETION_JOB_STATUS.PENDING;
+            await jobRef.update({
+                status,
+                attempts: failedAttempts,
+                lastError: error.message,
+                lastErrorAt: admin.firestore.FieldValue.serverTimestamp(),
+                leaseExpiresAt: admin.firestore.FieldValue.delete(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            throw error;
+        }
+    }
+
+    // Put a stalled job back in the queue with a fresh attempt budget
+    async function restartDeletionJob(userId) {
+        const jobRef = deletionJobsRef().doc(userId);
+        const jobDoc = await jobRef.get();
+        if (!jobDoc.exists || jobDoc.data().status !== DELETION_JOB_STATUS.STALLED) {
+            return false;
+        }
+        await jobRef.update({
+            status: DELETION_JOB_STATUS.PENDING,
+            attempts: 0,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+    }
+
+    return {
+        deletionJobsRef,
+        createDeletionJob,
+        runDeletionJob,
+        restartDeletionJob
+    };
+}
+
+// Admin-facing view of a job: which phases are finished and which remain
+function summarizeDeletionJob(jobDoc) {
+    const job = jobDoc.data();
+    const phases = DELETION_PHASES.map(phase => ({
+        name: phase.name,
+        done: Boolean(job.phases && job.phases[phase.name] && job.phases[phase.name].done),
+        processed: (job.phases && job.phases[phase.name] && job.phases[phase.name].processed) || 0
+    }));
+
+    return {
+        userId: jobDoc.id,
+        status: job.status,
+        attempts: job.attempts || 0,
+        currentPhase: job.currentPhase || null,
+        lastError: job.lastError || null,
+        createdAt: job.createdAt ? job.createdAt.toDate().toISOString() : null,
+        updatedAt: job.updatedAt ? job.updatedAt.toDate().toISOString() : null,
+        completedAt: job.completedAt ? job.completedAt.toDate().toISOString() : null,
+        phases,
+        remainingPhases: phases.filter(phase => !phase.done).map(phase => phase.name)
+    };
+}
+
+module.exports = {
+    DELETION_JOB_STATUS,
+    summarizeDeletionJob,
+    createAccountDeletionService
+};
@@ -0,0 +1,271 @@
+const admin = require('firebase-admin');
+const { memberIds } = require('../repositories/partnerships');
+
+// ===== STORY STATS AND BADGES =====
+//
+// Authoritative counters for each user (userStats/{uid}) and partnership
+// (partnershipStats/{partnershipId}), updated when moderation approves a written story, so
+// stories it flags or removes only count once a moderator approves them. Every counted
+// story is recorded in partnershipStats/{partnershipId}/countedStories/{storyId} in the
+// same transaction, so a retried trigger never counts a story twice.
+//
+// Streaks count consecutive days with a completed story. Pals take turns writing, so every
+// member of a pair or circle shares the day. `currentStreak` is the streak as of
+// `lastStoryDate`; treat it as broken once that date is before yesterday.
+
+// Mirrors Badge.allBadges in Badge.swift
+const BADGES = [
+    { id: 'first_story', name: 'Storyteller', description: 'Write your first story', earned: stats => (stats.storiesWritten || 0) >= 1 },
+    { id: 'ten_stories', name: 'Prolific', description: 'Write 10 stories', earned: stats => (stats.storiesWritten || 0) >= 10 },
+    { id: 'week_streak', name: 'Consistent', description: 'Maintain a 7-day streak', earned: stats => stats.longestStreak >= 7 },
+    { id: 'daily_master', name: 'Daily Master', description: 'Write every day for 30 days', earned: stats => stats.longestStreak >= 30 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const PARTNERSHIP_PAGE_SIZE = 200;
+
+function dayNumber(dateKey) {
+    return Math.floor(Date.parse(`${dateKey}T00:00:00Z`) / DAY_MS);
+}
+
+// Story documents are keyed by their yyyy-MM-dd date
+function storyDateKey(storyId, story) {
+    if (DATE_KEY_PATTERN.test(storyId)) {
+        return storyId;
+    }
+    if (typeof story.date === 'string' && DATE_KEY_PATTERN.test(story.date)) {
+        return story.date;
+    }
+    if (story.date && typeof story.date.toDate === 'function') {
+        return story.date.toDate().toISOString().slice(0, 10);
+    }
+    return null;
+}
+
+function isCountableStory(story) {
+    return (story.text || '').trim().length > 0 && story.moderationStatus === 'approved';
+}
+
+function emptyStats() {
+    return {
+        totalStories: 0,
+        currentStreak: 0,
+        longestStreak: 0,
+        lastStoryDate: null,
+        categoryCounts: {}
+    };
+}
+
+// Add one completed story to a stats object. Stories arriving out of order still count
+// toward totals, but only the backfill can place them in a streak.
+function applyStory(stats, { dateKey, categories, authored }) {
+    const next = {
+        ...stats,
+        totalStories: stats.totalStories + 1,
+        categoryCounts: { ...stats.categoryCounts }
+    };
+
+    if (authored) {
+        next.storiesWritten = (stats.storiesWritten || 0) + 1;
+    }
+
+    for (const category of categories) {
+        next.categoryCounts[category] = (next.categoryCounts[category] || 0) + 1;
+    }
+
+    if (dateKey) {
+        const day = dayNumber(dateKey);
+        const lastDay = stats.lastStoryDate ? dayNumber(stats.lastStoryDate) : null;
+
+        if (lastDay === null || day > lastDay) {
+            next.currentStreak = lastDay !== null && day - lastDay === 1 ? stats.currentStreak + 1 : 1;
+            next.lastStoryDate = dateKey;
+            next.longestStreak = Math.max(stats.longestStreak, next.currentStreak);
+        }
+    }
+
+    return next;
+}
+
+function earnedBadgeIds(stats) {
+    return BADGES.filter(badge => badge.earned(stats)).map(badge => badge.id);
+}
+
+function storyEvent(storyId, story) {
+    return {
+        dateKey: storyDateKey(storyId, story),
+        categories: Object.keys(story.items || {}),
+        authorId: story.authorId
+    };
+}
+
+function createAchievementService({ db }) {
+    function userStatsRef(userId) {
+        return db.collection('userStats').doc(userId);
+    }
+
+    function partnershipStatsRef(partnershipId) {
+        return db.collection('partnershipStats').doc(partnershipId);
+    }
+
+    // Count a newly approved story for the partnership and every member and award any
+    // badges it unlocks. Returns { duplicate, awarded: { userId: [badgeId] } }.
+    async function recordCompletedStory(partnershipId, storyId, story, userIds) {
+        const ledgerRef = partnershipStatsRef(partnershipId).collection('countedStories').doc(storyId);
+        const event = storyEvent(storyId, story);
+
+        return db.runTransaction(async (transaction) => {
+            const ledgerDoc = await transaction.get(ledgerRef);
+            if (ledgerDoc.exists) {
+                return { duplicate: true, awarded: {} };
+            }
+
+            const partnershipStatsDoc = await transaction.get(partnershipStatsRef(partnershipId));
+            const members = await Promise.all(userIds.map(async (userId) => ({
+                userId,
+                statsDoc: await transaction.get(userStatsRef(userId)),
+                userDoc: await transaction.get(db.collection('users').doc(userId))
+            })));
+
+            const partnershipStats = applyStory(
+                partnershipStatsDoc.exists ? partnershipStatsDoc.data() : emptyStats(),
+                event
+            );
+            transaction.set(partnershipStatsRef(partnershipId), {
+                ...partnershipStats,
+                partnershipId,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            const awarded = {};
+            for (const { userId, statsDoc, userDoc } of members) {
+                const stats = applyStory(statsDoc.exists ? statsDoc.data() : emptyStats(), {
+                    ...event,
+                    authored: event.authorId === userId
+                });
+                transaction.set(userStatsRef(userId), {
+                    ...stats,
+                    userId,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+
+                if (!userDoc.exists) {
+                    continue;
+                }
+                const current = userDoc.data().achievements || [];
+                const newlyEarned = earnedBadgeIds(stats).filter(id => !current.includes(id));
+                if (newlyEarned.length > 0) {
+                    transaction.update(userDoc.ref, {
+                        achievements: admin.firestore.FieldValue.arrayUnion(...newlyEarned)
+                    });
+                    awarded[userId] = newlyEarned;
+                }
+            }
+
+            transaction.set(ledgerRef, {
+                authorId: event.authorId || null,
+                dateKey: event.dateKey,
+                countedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return { duplicate: false, awarded };
+        });
+    }
+
+    // Recompute every stats document from story history and award the badges it earns.
+    // Existing counters are overwritten, so this is safe to re-run.
+    async function rebuildAllStats() {
+        const writer = db.bulkWriter();
+        const userEvents = new Map();
+        const summary = { partnerships: 0, stories: 0, users: 0, badgesAwarded: 0 };
+        let lastDoc = null;
+
+        for (;;) {
+            let query = db.collection('partnerships')
+                .orderBy(admin.firestore.FieldPath.documentId())
+                .limit(PARTNERSHIP_PAGE_SIZE);
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
+
+            const page = await query.get();
+            if (page.empty) {
+                break;
+            }
+
+            for (const partnershipDoc of page.docs) {
+                const partnership = partnershipDoc.data();
+                const members = memberIds(partnership);
+                const storiesSnapshot = await partnershipDoc.ref.collection('stories').get();
+
+                const events = storiesSnapshot.docs
+                    .filter(doc => isCountableStory(doc.data()))
+                    .map(doc => ({ storyId: doc.id, ...storyEvent(doc.id, doc.data()) }))
+                    .sort((a, b) => (a.dateKey || '').localeCompare(b.dateKey || ''));
+
+                const partnershipStats = events.reduce((stats, event) => applyStory(stats, event), emptyStats());
+                writer.set(partnershipStatsRef(partnershipDoc.id), {
+                    ...partnershipStats,
+                    partnershipId: partnershipDoc.id,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+
+                for (const event of events) {
+                    writer.set(partnershipStatsRef(partnershipDoc.id).collection('countedStories').doc(event.storyId), {
+                        authorId: event.authorId || null,
+                        dateKey: event.dateKey,
+                        countedAt: admin.firestore.FieldValue.serverTimestamp()
+                    });
+
+                    for (const userId of members) {
+                        if (!userEvents.has(userId)) {
+                            userEvents.set(userId, []);
+                        }
+                        userEvents.get(userId).push({ ...event, authored: event.authorId === userId });
+                    }
+                }
+
+                summary.partnerships++;
+                summary.stories += events.length;
+            }
+
+            lastDoc = page.docs[page.docs.length - 1];
+        }
+
+        for (const [userId, events] of userEvents) {
+            // A user's days can come from several partnerships, so sort across all of them
+            events.sort((a, b) => (a.dateKey || '').localeCompare(b.dateKey || ''));
+            const stats = events.reduce((current, event) => applyStory(current, event), emptyStats());
+            writer.set(userStatsRef(userId), {
+                ...stats,
+                userId,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            const userDoc = await db.collection('users').doc(userId).get();
+            const earned = earnedBadgeIds(stats);
+            if (userDoc.exists && earned.length > 0) {
+                writer.update(userDoc.ref, {
+                    achievements: admin.firestore.FieldValue.arrayUnion(...earned)
+                });
+                summary.badgesAwarded += earned.filter(id => !(userDoc.data().achievements || []).includes(id)).length;
+            }
+            summary.users++;
+        }
+
+        await writer.close();
+        return summary;
+    }
+
+    return {
+        recordCompletedStory,
+        rebuildAllStats
+    };
+}
+
+module.exports = {
+    BADGES,
+    isCountableStory,
+    createAchievementService
+};
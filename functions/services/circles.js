@@ -0,0 +1,170 @@
+const admin = require('firebase-admin');
+const {
+    CIRCLE_ROLES,
+    isActivePartnership,
+    isCircle,
+    memberIds,
+    isMember,
+    roleOf,
+    otherMembers,
+    nextInRotation
+} = require('../repositories/partnerships');
+const { DEFAULT_PROMPT_CATEGORIES } = require('./prompts');
+
+// ===== STORY CIRCLES =====
+//
+// Circles are created by one owner and grow through invitations the owners create (see
+// triggers/invitations.js). Owners manage members and roles; any member can leave or mute
+// the circle's pushes. Membership only changes here, firestore.rules keeps clients away
+// from memberIds and roles.
+
+const CIRCLE_NAME_MAX_LENGTH = 50;
+
+// The update that takes `userId` out of a circle: hands the next turn and, if they were the
+// last owner, ownership to the next member, and closes the circle once nobody is left
+function removalUpdate(circle, userId) {
+    const remaining = memberIds(circle).filter(member => member !== userId);
+    const update = {
+        memberIds: admin.firestore.FieldValue.arrayRemove(userId),
+        mutedBy: admin.firestore.FieldValue.arrayRemove(userId),
+        [`roles.${userId}`]: admin.firestore.FieldValue.delete(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    if (circle.nextAuthorId === userId) {
+        update.nextAuthorId = remaining.length > 0 ? nextInRotation(circle, userId) : admin.firestore.FieldValue.delete();
+    }
+    const ownersLeft = remaining.filter(member => roleOf(circle, member) === CIRCLE_ROLES.OWNER);
+    if (ownersLeft.length === 0 && remaining.length > 0) {
+        update[`roles.${remaining[0]}`] = CIRCLE_ROLES.OWNER;
+    }
+    if (remaining.length === 0) {
+        update.status = 'closed';
+    }
+    return update;
+}
+
+// `notifications` sends the pushes; `users` checks blocks and mutes for them
+function createCircleService({ db, users, partnerships, notifications }) {
+    async function create(ownerId, name) {
+        const circleRef = db.collection('partnerships').doc();
+        const circle = {
+            id: circleRef.id,
+            kind: 'circle',
+            name,
+            memberIds: [ownerId],
+            roles: { [ownerId]: CIRCLE_ROLES.OWNER },
+            mutedBy: [],
+            createdBy: ownerId,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            enabledCategories: DEFAULT_PROMPT_CATEGORIES,
+            nextAuthorId: ownerId,
+            status: 'active'
+        };
+        await circleRef.set(circle);
+        return circle;
+    }
+
+    // Run `change(circle, transaction)` on an active circle the caller belongs to. It returns
+    // the result, or { error } without writing anything.
+    function updateCircle(circleId, actorId, change) {
+        const circleRef = partnerships.ref(circleId);
+
+        return db.runTransaction(async (transaction) => {
+            const circleDoc = await transaction.get(circleRef);
+            if (!circleDoc.exists || !isCircle(circleDoc.data()) || !isMember(circleDoc.data(), actorId)) {
+                return { error: 'not_found' };
+            }
+            if (!isActivePartnership(circleDoc.data())) {
+                return { error: 'inactive' };
+            }
+            return change(circleDoc.data(), transaction, circleRef);
+        });
+    }
+
+    // Owners can remove anyone; everyone can remove themselves
+    function removeMember(circleId, actorId, userId) {
+        return updateCircle(circleId, actorId, (circle, transaction, circleRef) => {
+            if (actorId !== userId && roleOf(circle, actorId) !== CIRCLE_ROLES.OWNER) {
+                return { error: 'not_owner' };
+            }
+            if (!isMember(circle, userId)) {
+                return { error: 'not_member' };
+            }
+            transaction.update(circleRef, removalUpdate(circle, userId));
+            return { removed: userId };
+        });
+    }
+
+    // Owners change roles. A circle always keeps at least one owner.
+    function setRole(circleId, actorId, userId, role) {
+        return updateCircle(circleId, actorId, (circle, transaction, circleRef) => {
+            if (roleOf(circle, actorId) !== CIRCLE_ROLES.OWNER) {
+                return { error: 'not_owner' };
+            }
+            if (!isMember(circle, userId)) {
+                return { error: 'not_member' };
+            }
+            const owners = memberIds(circle).filter(member => roleOf(circle, member) === CIRCLE_ROLES.OWNER);
+            if (role === CIRCLE_ROLES.MEMBER && owners.length === 1 && owners[0] === userId) {
+                return { error: 'last_owner' };
+            }
+            transaction.update(circleRef, {
+                [`roles.${userId}`]: role,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return { userId, role };
+        });
+    }
+
+    function setMuted(circleId, userId, muted) {
+        return updateCircle(circleId, userId, (circle, transaction, circleRef) => {
+            transaction.update(circleRef, {
+                mutedBy: muted
+                    ? admin.firestore.FieldValue.arrayUnion(userId)
+                    : admin.firestore.FieldValue.arrayRemove(userId)
+            });
+            return { muted };
+        });
+    }
+
+    // Members who should hear about something `authorId` did: not muted, not hidden from the
+    // story, and not blocked either way. Works the same for pairs.
+    async function recipients(partnership, authorId, story = {}) {
+        const mutedBy = partnership.mutedBy || [];
+        const hiddenFor = story.hiddenFor || [];
+        const candidates = otherMembers(partnership, authorId)
+            .filter(member => !mutedBy.includes(member) && !hiddenFor.includes(member));
+
+        const blocked = await Promise.all(candidates.map(member => users.isBlockedEitherWay(authorId, member)));
+        return candidates.filter((member, index) => !blocked[index]);
+    }
+
+    // Push every recipient; each gets their own delivery id so retries stay per member.
+    // Returns how many were delivered.
+    async function notifyMembers(partnership, authorId, story, message, data, { deliveryId, badge } = {}) {
+        let delivered = 0;
+        for (const memberId of await recipients(partnership, authorId, story)) {
+            const memberDeliveryId = deliveryId ? `${deliveryId}_${memberId}` : undefined;
+            if (await notifications.send(memberId, message, data, { badge, deliveryId: memberDeliveryId })) {
+                delivered++;
+            }
+        }
+        return delivered;
+    }
+
+    return {
+        create,
+        removeMember,
+        setRole,
+        setMuted,
+        recipients,
+        notifyMembers
+    };
+}
+
+module.exports = {
+    CIRCLE_NAME_MAX_LENGTH,
+    removalUpdate,
+    createCircleService
+};
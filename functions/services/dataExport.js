@@ -0,0 +1,294 @@
+const admin = require('firebase-admin');
+const { isCircle, palOf } = require('../repositories/partnerships');
+const { HIDDEN_CONTENT_STATUSES } = require('../moderation/pipeline');
+
+// ===== USER DATA EXPORT =====
+//
+// Builds a complete copy of everything stored about a user, including data the app can't
+// read through firestore.rules (reports about them, moderation outcomes, security
+// incidents). The archive is written to Cloud Storage under EXPORT_PREFIX as JSON plus a
+// Markdown story book, and handed out through signed URLs that expire after
+// EXPORT_LINK_TTL_MS. purgeExpiredExports removes the files afterwards.
+
+const EXPORT_PREFIX = 'dataExports';
+const EXPORT_LINK_TTL_MS = 60 * 60 * 1000;
+// Files are kept a little longer than their links so a download in progress can finish
+const EXPORT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Fields that are credentials or identify other people rather than the user. Moderators
+// stay anonymous like reporters do.
+const REDACTED_FIELDS = [
+    'token', 'fcmToken', 'pendingTokens', 'stack',
+    'claimedBy', 'resolvedBy', 'moderatedBy', 'escalatedBy', 'reviewedBy', 'voidedBy'
+];
+
+// What moderation made of a pal's story is the pal's, not the user's
+const STORY_MODERATION_FIELDS = ['moderationStatus', 'moderationReasons', 'moderationScore', 'moderatedAt'];
+
+// Blocks are never revealed to the blocked user (see triggers/blocking.js), so the records
+// of their requests being refused because of one stay out of the export
+function revealsBlock(incident) {
+    return incident.type === 'blocked_invitation_redeem' ||
+        (incident.type === 'notification_rejected' && incident.reason === 'blocked');
+}
+
+// Firestore values -> plain JSON (timestamps as ISO strings, references as paths)
+function toPlain(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (value instanceof admin.firestore.Timestamp) {
+        return value.toDate().toISOString();
+    }
+    if (value instanceof admin.firestore.DocumentReference) {
+        return value.path;
+    }
+    if (value instanceof admin.firestore.GeoPoint) {
+        return { latitude: value.latitude, longitude: value.longitude };
+    }
+    if (Array.isArray(value)) {
+        return value.map(toPlain);
+    }
+    if (typeof value === 'object') {
+        const result = {};
+        for (const [key, nested] of Object.entries(value)) {
+            if (!REDACTED_FIELDS.includes(key)) {
+                result[key] = toPlain(nested);
+            }
+        }
+        return result;
+    }
+    return value;
+}
+
+function docToPlain(doc, omit = []) {
+    const data = toPlain(doc.data());
+    for (const field of omit) {
+        delete data[field];
+    }
+    return { id: doc.id, ...data };
+}
+
+async function queryDocs(query, omit) {
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => docToPlain(doc, omit));
+}
+
+async function getDoc(ref) {
+    const doc = await ref.get();
+    return doc.exists ? docToPlain(doc) : null;
+}
+
+// Merge results of several queries on the same collection, dropping duplicates
+async function queryUnion(queries, omit) {
+    const results = new Map();
+    for (const query of queries) {
+        for (const item of await queryDocs(query, omit)) {
+            results.set(item.id, item);
+        }
+    }
+    return [...results.values()];
+}
+
+// Human-readable story book: every completed story, grouped by pal or circle
+function renderStoryBook(exportData) {
+    const name = (exportData.profile && exportData.profile.displayName) || 'You';
+    const lines = [
+        `# ${name}'s Disney Daydreams`,
+        '',
+        `Exported ${exportData.exportDate}`,
+        ''
+    ];
+
+    for (const partnership of exportData.partnerships) {
+        const stories = partnership.stories.filter(story => (story.text || '').trim().length > 0);
+        if (stories.length === 0) {
+            continue;
+        }
+
+        const heading = isCircle(partnership)
+            ? `## Stories from ${partnership.name || 'a story circle'}`
+            : `## Stories with ${partnership.palDisplayName || 'a former pal'}`;
+        lines.push(heading, '');
+        for (const story of stories) {
+            const prompt = Object.entries(story.items || {})
+                .map(([category, item]) => `${category}: ${item}`)
+                .join(', ');
+            lines.push(
+                `### ${story.id} — by ${story.authorName || 'Unknown'}`,
+                '',
+                `*${prompt}*`,
+                '',
+                story.text.trim(),
+                ''
+            );
+        }
+    }
+
+    return lines.join('\n');
+}
+
+// `storage` is the Cloud Storage client the archives are written to
+function createDataExportService({ db, storage }) {
+    function exportsRef() {
+        return db.collection('dataExports');
+    }
+
+    async function buildPartnerships(userId) {
+        const partnershipsSnapshot = await Promise.all([
+            db.collection('partnerships').where('user1Id', '==', userId).get(),
+            db.collection('partnerships').where('user2Id', '==', userId).get(),
+            db.collection('partnerships').where('memberIds', 'array-contains', userId).get()
+        ]);
+
+        const partnerships = [];
+        for (const doc of partnershipsSnapshot.flatMap(snapshot => snapshot.docs)) {
+            const partnership = doc.data();
+            // Circles are listed by name, so only pairs look up the pal
+            const palId = isCircle(partnership) ? null : palOf(partnership, userId);
+            const palDoc = palId ? await db.collection('users').doc(palId).get() : null;
+
+            // Story ids are yyyy-MM-dd, so document order is date order. Stories a block
+            // hides from the user are left out, and hiddenFor would name who blocked them.
+            // So are pals' stories moderation holds back, as the rules hide them too.
+            const storiesSnapshot = await doc.ref.collection('stories').get();
+            const stories = storiesSnapshot.docs
+                .filter((story) => {
+                    const data = story.data();
+                    return !(data.hiddenFor || []).includes(userId) &&
+                        (data.authorId === userId || !HIDDEN_CONTENT_STATUSES.includes(data.moderationStatus));
+                })
+                .map(story => docToPlain(story, story.data().authorId === userId
+                    ? ['hiddenFor']
+                    : ['hiddenFor', ...STORY_MODERATION_FIELDS]));
+            // Earlier versions of the user's own stories
+            for (const story of stories) {
+                if (story.authorId === userId && story.revisionCount > 0) {
+                    story.revisions = await queryDocs(doc.ref.collection('stories').doc(story.id).collection('revisions').orderBy('revisedAt'));
+                }
+            }
+
+            partnerships.push({
+                ...docToPlain(doc),
+                palDisplayName: (palDoc && palDoc.exists && palDoc.data().displayName) || null,
+                stories
+            });
+        }
+        return partnerships;
+    }
+
+    async function buildUserExport(userId) {
+        const userRef = db.collection('users').doc(userId);
+
+        return {
+            exportDate: new Date().toISOString(),
+            userId,
+            profile: await getDoc(userRef),
+            devices: await queryDocs(userRef.collection('fcmTokens')),
+            sessions: await queryDocs(userRef.collection('sessions')),
+            blockedUsers: await queryDocs(userRef.collection('blockedUsers')),
+            settings: await getDoc(db.collection('userSettings').doc(userId)),
+            stats: await getDoc(db.collection('userStats').doc(userId)),
+            favorites: await queryDocs(db.collection('userStories').doc(userId).collection('favorites')),
+            history: await queryDocs(db.collection('userStories').doc(userId).collection('history')),
+            partnerships: await buildPartnerships(userId),
+            shareLinks: await queryDocs(db.collection('storyShares').where('createdBy', '==', userId)),
+            invitations: {
+                sent: await queryDocs(db.collection('palInvitations').where('fromUserId', '==', userId)),
+                received: await queryDocs(db.collection('palInvitations').where('toUserId', '==', userId))
+            },
+            reports: {
+                filed: await queryDocs(db.collection('contentReports').where('reporterId', '==', userId)),
+                // Reporters stay anonymous to the person they reported
+                aboutYou: await queryDocs(
+                    db.collection('contentReports').where('reportedUserId', '==', userId),
+                    ['reporterId']
+                )
+            },
+            moderation: {
+                queueItems: await queryDocs(
+                    db.collection('moderationQueue').where('userId', '==', userId),
+                    ['actions', 'reporterId']
+                ),
+                strikes: await queryDocs(db.collection('userStrikes').doc(userId).collection('strikes')),
+                restrictions: await getDoc(db.collection('userRestrictions').doc(userId))
+            },
+            securityIncidents: (await queryUnion([
+                db.collection('securityIncidents').where('userId', '==', userId),
+                db.collection('securityIncidents').where('authorId', '==', userId),
+                db.collection('securityIncidents').where('requesterId', '==', userId)
+            ])).filter(incident => !revealsBlock(incident)),
+            notifications: {
+                deliveries: await queryDocs(db.collection('notificationDeliveries').where('userId', '==', userId)),
+                reminders: await queryDocs(db.collection('reminderLog').where('userId', '==', userId))
+            }
+        };
+    }
+
+    // Write the archive to Storage and return signed links to it
+    async function writeExport(userId, exportData) {
+        const exportRef = exportsRef().doc();
+        const bucket = storage.bucket();
+        const basePath = `${EXPORT_PREFIX}/${userId}/${exportRef.id}`;
+        const expires = Date.now() + EXPORT_LINK_TTL_MS;
+
+        const files = [
+            { name: 'data.json', contents: JSON.stringify(exportData, null, 2), contentType: 'application/json' },
+            { name: 'storybook.md', contents: renderStoryBook(exportData), contentType: 'text/markdown; charset=utf-8' }
+        ];
+
+        const links = {};
+        for (const file of files) {
+            const storageFile = bucket.file(`${basePath}/${file.name}`);
+            await storageFile.save(file.contents, {
+                contentType: file.contentType,
+                resumable: false,
+                metadata: { cacheControl: 'private, no-store' }
+            });
+            const [url] = await storageFile.getSignedUrl({ action: 'read', expires });
+            links[file.name] = url;
+        }
+
+        await exportRef.set({
+            userId,
+            path: basePath,
+            files: files.map(file => file.name),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            linksExpireAt: admin.firestore.Timestamp.fromMillis(expires),
+            deleteAfter: admin.firestore.Timestamp.fromMillis(Date.now() + EXPORT_RETENTION_MS)
+        });
+
+        return {
+            exportId: exportRef.id,
+            expiresAt: new Date(expires).toISOString(),
+            dataUrl: links['data.json'],
+            storyBookUrl: links['storybook.md']
+        };
+    }
+
+    // Delete export files past their retention period
+    async function purgeExpiredExports() {
+        const bucket = storage.bucket();
+        const expired = await exportsRef()
+            .where('deleteAfter', '<=', admin.firestore.Timestamp.now())
+            .limit(100)
+            .get();
+
+        for (const doc of expired.docs) {
+            await bucket.deleteFiles({ prefix: `${doc.data().path}/` });
+            await doc.ref.delete();
+        }
+        return expired.size;
+    }
+
+    return {
+        buildUserExport,
+        writeExport,
+        purgeExpiredExports
+    };
+}
+
+module.exports = {
+    renderStoryBook,
+    createDataExportService
+};
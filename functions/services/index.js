@@ -0,0 +1,69 @@
+const admin = require('firebase-admin');
+const { createRepositories } = require('../repositories');
+const { createNotificationService } = require('./notifications');
+const { createPromptService } = require('./prompts');
+const { createPromptCatalogService } = require('./promptCatalog');
+const { createReminderService } = require('./reminders');
+const { createLegacyMigrationService } = require('./legacyMigration');
+const { createMetricsService } = require('./metrics');
+const { createStoryRevisionService } = require('./storyRevisions');
+const { createStoryShareService } = require('./storyShares');
+const { createCircleService } = require('./circles');
+const { createSessionService } = require('./sessions');
+const { createTripCountdownService } = require('./tripCountdown');
+const { createAchievementService } = require('./achievements');
+const { createDataExportService } = require('./dataExport');
+const { createAccountDeletionService } = require('./accountDeletion');
+const { createStrikeService } = require('../moderation/strikes');
+const { createModerationPipeline } = require('../moderation/pipeline');
+
+// ===== SERVICES =====
+//
+// Wires the repositories and services together around one Firestore instance and one
+// messaging, Auth and Storage client each. Functions use getServices(); tests can call
+// createServices() with their own clients to exercise the logic without deploying anything.
+
+function createServices({ db, messaging, auth, storage }) {
+    const repositories = createRepositories(db);
+    const metrics = createMetricsService({ db });
+    const notifications = createNotificationService({ db, messaging, users: repositories.users, metrics });
+    const circles = createCircleService({ db, ...repositories, notifications });
+    const promptCatalog = createPromptCatalogService({ db });
+    const strikes = createStrikeService({ db });
+    const dependencies = { db, ...repositories, metrics, notifications, circles, promptCatalog, strikes };
+
+    return {
+        ...dependencies,
+        prompts: createPromptService(dependencies),
+        reminders: createReminderService(dependencies),
+        tripCountdown: createTripCountdownService(dependencies),
+        moderation: createModerationPipeline(dependencies),
+        legacyMigration: createLegacyMigrationService(dependencies),
+        storyRevisions: createStoryRevisionService(dependencies),
+        storyShares: createStoryShareService(dependencies),
+        sessions: createSessionService({ ...dependencies, auth }),
+        achievements: createAchievementService(dependencies),
+        dataExport: createDataExportService({ ...dependencies, storage }),
+        accountDeletion: createAccountDeletionService({ ...dependencies, storage })
+    };
+}
+
+let defaultServices = null;
+
+// Built on first use, after admin.initializeApp() has run
+function getServices() {
+    if (!defaultServices) {
+        defaultServices = createServices({
+            db: admin.firestore(),
+            messaging: admin.messaging(),
+            auth: admin.auth(),
+            storage: admin.storage()
+        });
+    }
+    return defaultServices;
+}
+
+module.exports = {
+    createServices,
+    getServices
+};
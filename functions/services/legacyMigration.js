@@ -0,0 +1,464 @@
+const admin = require('firebase-admin');
+const { isActivePartnership } = require('../repositories/partnerships');
+const { DEFAULT_PROMPT_CATEGORIES, resolveTimeZone, localDateKey } = require('./prompts');
+
+// ===== LEGACY SHARED STORIES MIGRATION =====
+//
+// Before partnerships, the original two users shared one sharedStories collection. Each
+// legacy story names its author either by uid (authorId/authorName) or by the old enum
+// value (author: "Jon", or authorId "legacy_jon"), so the admin running the migration
+// passes authorAliases mapping those names to real uids. The pal is the other user in the
+// aliases, unless the story already carries a partnershipId.
+//
+// The job walks sharedStories a page at a time. Each page's stories, the partnerships they
+// need and the job checkpoint are written in one batch, so a timeout or failure resumes
+// after the last committed page. Migrated legacy documents get a `migration` marker, which
+// also makes a restarted job skip them. Migrated stories are created, not completed, so
+// nobody gets a push, and they arrive already approved, so moderateStoryContent leaves the
+// old text alone (no queue items, no strikes). Run backfillStoryStats afterwards to count
+// them in stats.
+
+const MIGRATION_JOB_ID = 'sharedStories';
+const MIGRATION_PAGE_SIZE = 100;
+// Longer than the function timeout, so a crashed run's lease always expires
+const MIGRATION_LEASE_MS = 10 * 60 * 1000;
+// Per-story entries returned to the admin; the totals always cover everything
+const MIGRATION_REPORT_ENTRIES_MAX = 200;
+
+const MIGRATION_STATUS = {
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    COMPLETED: 'completed'
+};
+
+const SKIP_REASONS = {
+    MISSING_DATE: 'missing_date',
+    UNRESOLVED_AUTHOR: 'unresolved_author',
+    UNRESOLVED_PAL: 'unresolved_pal',
+    UNKNOWN_USER: 'unknown_user',
+    BLOCKED: 'blocked'
+};
+
+function isLegacyUserId(userId) {
+    return typeof userId === 'string' && userId.startsWith('legacy_');
+}
+
+// Aliases can be keyed by the old enum value ("Jon") or its placeholder uid ("legacy_jon")
+function resolveAlias(aliases, story) {
+    if (story.authorId && !isLegacyUserId(story.authorId)) {
+        return story.authorId;
+    }
+    const legacyName = isLegacyUserId(story.authorId) ? story.authorId.slice('legacy_'.length) : null;
+    const candidates = [story.authorId, story.author, legacyName].filter(Boolean);
+    for (const candidate of candidates) {
+        const match = Object.keys(aliases).find(key => key.toLowerCase() === String(candidate).toLowerCase());
+        if (match) {
+            return aliases[match];
+        }
+    }
+    return null;
+}
+
+function legacyPartnershipId(userA, userB) {
+    return `legacy_${[userA, userB].sort().join('_')}`;
+}
+
+function emptyReport(dryRun) {
+    return {
+        dryRun,
+        scanned: 0,
+        migrated: 0,
+        alreadyMigrated: 0,
+        partnershipsCreated: 0,
+        skipped: {},
+        entries: []
+    };
+}
+
+function addEntry(report, entry) {
+    if (report.entries.length < MIGRATION_REPORT_ENTRIES_MAX) {
+        report.entries.push(entry);
+    }
+}
+
+// The running totals kept on the job, without the per-story entries
+function countsOf(report) {
+    const { dryRun, entries, ...counts } = report;
+    return counts;
+}
+
+function mergeReports(into, from) {
+    for (const field of ['scanned', 'migrated', 'alreadyMigrated', 'partnershipsCreated']) {
+        into[field] = (into[field] || 0) + from[field];
+    }
+    for (const [reason, count] of Object.entries(from.skipped)) {
+        into.skipped[reason] = (into.skipped[reason] || 0) + count;
+    }
+    for (const entry of from.entries) {
+        addEntry(into, entry);
+    }
+}
+
+function createLegacyMigrationService({ db, users, partnerships, stories }) {
+    const legacyStories = db.collection('sharedStories');
+    const jobRef = db.collection('migrationJobs').doc(MIGRATION_JOB_ID);
+
+    // Per-run lookups, so a page of stories by the same pair reads each user once
+    function createPlanner(aliases) {
+        const profiles = new Map();
+        const timeZones = new Map();
+        const pairs = new Map();
+        const plannedStoryIds = new Set();
+        const aliasUserIds = [...new Set(Object.values(aliases))];
+
+        async function profile(userId) {
+            if (!profiles.has(userId)) {
+                profiles.set(userId, await users.get(userId));
+            }
+            return profiles.get(userId);
+        }
+
+        async function timeZone(userId) {
+            if (!timeZones.has(userId)) {
+                const settings = await users.getSettings(userId);
+                timeZones.set(userId, resolveTimeZone(settings.timeZone));
+            }
+            return timeZones.get(userId);
+        }
+
+        // The partnership a pair's stories go to: an active one, else any earlier one, else
+        // a new partnership with a deterministic id so a retried page creates the same one
+        async function pairPartnership(authorId, palId) {
+            const key = [authorId, palId].sort().join('/');
+            if (!pairs.has(key)) {
+                const existing = await partnerships.between(authorId, palId);
+                const chosen = existing.find(doc => isActivePartnership(doc.data())) || existing[0];
+                if (chosen) {
+                    pairs.set(key, { partnershipId: chosen.id, partnership: chosen.data(), created: false });
+                } else if (await users.isBlockedEitherWay(authorId, palId)) {
+                    pairs.set(key, { skip: SKIP_REASONS.BLOCKED });
+                } else {
+                    const partnershipId = legacyPartnershipId(authorId, palId);
+                    const createdDoc = await partnerships.ref(partnershipId).get();
+                    pairs.set(key, createdDoc.exists
+                        ? { partnershipId, partnership: createdDoc.data(), created: false }
+                        : { partnershipId, partnership: null, created: true, authorId, palId });
+                }
+            }
+            return pairs.get(key);
+        }
+
+        async function storyPartnership(story, authorId) {
+            if (story.partnershipId) {
+                const partnership = await partnerships.get(story.partnershipId);
+                if (partnership && [partnership.user1Id, partnership.user2Id].includes(authorId)) {
+                    return { partnershipId: story.partnershipId, partnership, created: false };
+                }
+            }
+
+            const palIds = aliasUserIds.filter(userId => userId !== authorId);
+            if (aliasUserIds.length !== 2 || palIds.length !== 1) {
+                return { skip: SKIP_REASONS.UNRESOLVED_PAL };
+            }
+            if (!(await profile(palIds[0]))) {
+                return { skip: SKIP_REASONS.UNKNOWN_USER };
+            }
+            return pairPartnership(authorId, palIds[0]);
+        }
+
+        // Story ids are the author's local date; a second story on the same day keeps its legacy id
+        async function storyId(partnershipId, dateKey, legacyId, isNewPartnership) {
+            const key = `${partnershipId}/${dateKey}`;
+            const taken = plannedStoryIds.has(key) ||
+                (!isNewPartnership && (await stories.ref(partnershipId, dateKey).get()).exists);
+            const id = taken ? `${dateKey}_${legacyId}` : dateKey;
+            plannedStoryIds.add(`${partnershipId}/${id}`);
+            return id;
+        }
+
+        // Work out where one legacy story goes, without writing anything
+        async function plan(legacyDoc) {
+            const legacy = legacyDoc.data();
+            if (legacy.migration && legacy.migration.storyId) {
+                return { action: 'already_migrated', ...legacy.migration };
+            }
+
+            const date = legacy.date || legacy.dateAssigned || legacy.createdAt;
+            if (!date || typeof date.toDate !== 'function') {
+                return { action: 'skip', reason: SKIP_REASONS.MISSING_DATE };
+            }
+
+            const authorId = resolveAlias(aliases, legacy);
+            if (!authorId) {
+                return { action: 'skip', reason: SKIP_REASONS.UNRESOLVED_AUTHOR };
+            }
+            const author = await profile(authorId);
+            if (!author) {
+                return { action: 'skip', reason: SKIP_REASONS.UNKNOWN_USER };
+            }
+
+            const target = await storyPartnership(legacy, authorId);
+            if (target.skip) {
+                return { action: 'skip', reason: target.skip };
+            }
+
+            const authorTimeZone = await timeZone(authorId);
+            const dateKey = localDateKey(date.toDate(), authorTimeZone);
+            const newPartnership = target.created && !target.planned;
+            const id = await storyId(target.partnershipId, dateKey, legacyDoc.id, target.created);
+
+            const palId = target.created
+                ? [target.authorId, target.palId].find(userId => userId !== authorId)
+                : [target.partnership.user1Id, target.partnership.user2Id].find(userId => userId !== authorId);
+            const hiddenFor = palId && (await users.blockRef(palId, authorId).get()).exists ? [palId] : null;
+
+            target.planned = true;
+            const text = legacy.text || legacy.storyText || '';
+            const story = {
+                date,
+                authorId,
+                authorName: legacy.authorName || author.displayName || legacy.author || 'Your pal',
+                isFavorite: Boolean(legacy.isFavorite),
+                partnershipId: target.partnershipId,
+                items: legacy.items || {},
+                timeZone: authorTimeZone,
+                createdAt: legacy.createdAt || date,
+                migratedFrom: { collection: 'sharedStories', id: legacyDoc.id }
+            };
+            if (text) {
+                story.text = text;
+                story.completedAt = legacy.completedAt || legacy.lastModified || date;
+                story.moderationStatus = 'approved';
+                story.moderatedAt = admin.firestore.FieldValue.serverTimestamp();
+                story.moderatedBy = 'legacy_migration';
+            }
+            if (legacy.lastModified) {
+                story.lastModified = legacy.lastModified;
+            }
+            if (legacy.version) {
+                story.version = legacy.version;
+            }
+            if (hiddenFor) {
+                story.hiddenFor = hiddenFor;
+            }
+
+            return {
+                action: 'migrate',
+                partnershipId: target.partnershipId,
+                storyId: id,
+                story,
+                newPartnership: newPartnership ? { authorId: target.authorId, palId: target.palId } : null
+            };
+        }
+
+        return { plan };
+    }
+
+    // Stage a planned story, its legacy marker and any new partnership on the page's batch
+    function stagePlan(batch, legacyDoc, plan) {
+        if (plan.newPartnership) {
+            const { authorId, palId } = plan.newPartnership;
+            batch.set(partnerships.ref(plan.partnershipId), {
+                id: plan.partnershipId,
+                user1Id: authorId,
+                user2Id: palId,
+                createdAt: plan.story.date,
+                enabledCategories: DEFAULT_PROMPT_CATEGORIES,
+                nextAuthorId: authorId,
+                status: 'active',
+                migratedFrom: 'sharedStories'
+            });
+            batch.set(users.ref(authorId), { connectionIds: admin.firestore.FieldValue.arrayUnion(palId) }, { merge: true });
+            batch.set(users.ref(palId), { connectionIds: admin.firestore.FieldValue.arrayUnion(authorId) }, { merge: true });
+        }
+
+        batch.create(stories.ref(plan.partnershipId, plan.storyId), plan.story);
+        batch.update(legacyDoc.ref, {
+            migration: {
+                partnershipId: plan.partnershipId,
+                storyId: plan.storyId,
+                migratedAt: admin.firestore.FieldValue.serverTimestamp()
+            }
+        });
+    }
+
+    function record(report, legacyDoc, plan) {
+        report.scanned++;
+        if (plan.action === 'already_migrated') {
+            report.alreadyMigrated++;
+        } else if (plan.action === 'skip') {
+            report.skipped[plan.reason] = (report.skipped[plan.reason] || 0) + 1;
+        } else {
+            report.migrated++;
+            if (plan.newPartnership) {
+                report.partnershipsCreated++;
+            }
+        }
+
+        if (plan.action !== 'already_migrated') {
+            addEntry(report, {
+                legacyId: legacyDoc.id,
+                action: plan.action,
+                reason: plan.reason || null,
+                partnershipId: plan.partnershipId || null,
+                storyId: plan.storyId || null,
+                newPartnership: Boolean(plan.newPartnership)
+            });
+        }
+    }
+
+    async function fetchPage(cursor) {
+        let query = legacyStories
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(MIGRATION_PAGE_SIZE);
+        if (cursor) {
+            query = query.startAfter(cursor);
+        }
+        return query.get();
+    }
+
+    // Report what a migration would do, starting after `cursor`. Nothing is written; a
+    // report that isn't done carries nextCursor to continue from.
+    async function dryRun(aliases, cursor, deadline) {
+        const report = emptyReport(true);
+        const planner = createPlanner(aliases);
+        let nextCursor = cursor || null;
+
+        for (;;) {
+            if (Date.now() >= deadline) {
+                return { ...report, done: false, nextCursor };
+            }
+
+            const page = await fetchPage(nextCursor);
+            for (const legacyDoc of page.docs) {
+                record(report, legacyDoc, await planner.plan(legacyDoc));
+            }
+
+            if (page.size < MIGRATION_PAGE_SIZE) {
+                return { ...report, done: true, nextCursor: null };
+            }
+            nextCursor = page.docs[page.docs.length - 1].id;
+        }
+    }
+
+    // Take the job lease so only one run migrates at a time. Returns the job, or null if
+    // another run holds it.
+    async function claimJob(aliases, restart) {
+        const now = Date.now();
+
+        return db.runTransaction(async (transaction) => {
+            const jobDoc = await transaction.get(jobRef);
+            const job = jobDoc.exists ? jobDoc.data() : null;
+
+            if (job && job.status === MIGRATION_STATUS.RUNNING && job.leaseExpiresAt && job.leaseExpiresAt.toMillis() > now) {
+                return null;
+            }
+
+            // A finished job only runs again when restarted
+            if (job && job.status === MIGRATION_STATUS.COMPLETED && !restart) {
+                return { completed: true, totals: job.totals };
+            }
+
+            const fresh = !job || restart;
+            const claimed = {
+                status: MIGRATION_STATUS.RUNNING,
+                authorAliases: Object.keys(aliases).length > 0 ? aliases : ((job && job.authorAliases) || {}),
+                cursor: fresh ? null : job.cursor || null,
+                totals: fresh ? countsOf(emptyReport(false)) : job.totals,
+                leaseExpiresAt: admin.firestore.Timestamp.fromMillis(now + MIGRATION_LEASE_MS),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+            if (fresh) {
+                claimed.startedAt = admin.firestore.FieldValue.serverTimestamp();
+                claimed.completedAt = admin.firestore.FieldValue.delete();
+            }
+            transaction.set(jobRef, claimed, { merge: true });
+            return claimed;
+        });
+    }
+
+    // Migrate until the collection is done or `deadline` (ms since epoch) passes. Returns
+    // this run's report with the job's running totals; null if another run holds the job.
+    async function migrate(aliases, { restart = false, deadline }) {
+        const job = await claimJob(aliases, restart);
+        if (!job) {
+            return null;
+        }
+
+        const report = emptyReport(false);
+        if (job.completed) {
+            return { ...report, done: true, totals: job.totals };
+        }
+
+        const totals = { ...emptyReport(false), ...job.totals, entries: [] };
+        const planner = createPlanner(job.authorAliases);
+        let cursor = job.cursor;
+
+        try {
+            for (;;) {
+                if (Date.now() >= deadline) {
+                    await jobRef.update({
+                        status: MIGRATION_STATUS.PAUSED,
+                        leaseExpiresAt: admin.firestore.FieldValue.delete(),
+                        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                    });
+                    return { ...report, done: false, totals: countsOf(totals) };
+                }
+
+                const page = await fetchPage(cursor);
+                const batch = db.batch();
+                const pageReport = emptyReport(false);
+
+                for (const legacyDoc of page.docs) {
+                    const plan = await planner.plan(legacyDoc);
+                    if (plan.action === 'migrate') {
+                        stagePlan(batch, legacyDoc, plan);
+                    }
+                    record(pageReport, legacyDoc, plan);
+                }
+
+                mergeReports(totals, pageReport);
+                cursor = page.empty ? cursor : page.docs[page.docs.length - 1].id;
+                const done = page.size < MIGRATION_PAGE_SIZE;
+
+                // The checkpoint commits with the page's writes
+                batch.update(jobRef, {
+                    cursor,
+                    totals: countsOf(totals),
+                    status: done ? MIGRATION_STATUS.COMPLETED : MIGRATION_STATUS.RUNNING,
+                    ...(done ? { completedAt: admin.firestore.FieldValue.serverTimestamp(), leaseExpiresAt: admin.firestore.FieldValue.delete() } : {}),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                await batch.commit();
+                mergeReports(report, pageReport);
+
+                if (done) {
+                    break;
+                }
+            }
+        } catch (error) {
+            await jobRef.update({
+                status: MIGRATION_STATUS.PAUSED,
+                lastError: error.message,
+                lastErrorAt: admin.firestore.FieldValue.serverTimestamp(),
+                leaseExpiresAt: admin.firestore.FieldValue.delete(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            throw error;
+        }
+
+        return { ...report, done: true, totals: countsOf(totals) };
+    }
+
+    return {
+        jobRef,
+        dryRun,
+        migrate
+    };
+}
+
+module.exports = {
+    MIGRATION_STATUS,
+    SKIP_REASONS,
+    createLegacyMigrationService
+};
@@ -0,0 +1,73 @@
+const admin = require('firebase-admin');
+const { log } = require('../logging');
+
+// ===== DAILY METRICS =====
+//
+// metrics/{yyyy-MM-dd} (UTC) holds the day's counters for the admin dashboard. Functions
+// add to them as they go; once the day is over finalizeDay() adds the derived rates and
+// marks it final. Counting never fails the function doing the work.
+
+const METRIC_COUNTERS = [
+    'storiesModerated',
+    'storiesFlagged',
+    'notificationsSent',
+    'notificationsFailed',
+    'deletionsCompleted'
+];
+
+function metricsDateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function ratio(part, total) {
+    return total > 0 ? Math.round((part / total) * 10000) / 10000 : null;
+}
+
+function createMetricsService({ db }) {
+    const metrics = db.collection('metrics');
+
+    // Add to today's counters, e.g. increment({ storiesModerated: 1, storiesFlagged: 1 })
+    async function increment(counters, now = new Date()) {
+        const update = { date: metricsDateKey(now), updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+        for (const [name, amount] of Object.entries(counters)) {
+            if (amount) {
+                update[name] = admin.firestore.FieldValue.increment(amount);
+            }
+        }
+
+        try {
+            await metrics.doc(metricsDateKey(now)).set(update, { merge: true });
+        } catch (error) {
+            log.warn('Could not record metrics', { counters }, error);
+        }
+    }
+
+    // Fill in the rates for a finished day; every counter is present even if nothing happened
+    async function finalizeDay(dateKey) {
+        const dayRef = metrics.doc(dateKey);
+        const dayDoc = await dayRef.get();
+        const counts = Object.fromEntries(METRIC_COUNTERS.map(name => [name, (dayDoc.exists && dayDoc.data()[name]) || 0]));
+
+        const summary = {
+            date: dateKey,
+            ...counts,
+            flaggedRate: ratio(counts.storiesFlagged, counts.storiesModerated),
+            notificationFailureRate: ratio(counts.notificationsFailed, counts.notificationsSent + counts.notificationsFailed),
+            finalized: true,
+            finalizedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        await dayRef.set(summary, { merge: true });
+        return summary;
+    }
+
+    return {
+        increment,
+        finalizeDay
+    };
+}
+
+module.exports = {
+    METRIC_COUNTERS,
+    metricsDateKey,
+    createMetricsService
+};
@@ -0,0 +1,318 @@
+const admin = require('firebase-admin');
+const { log } = require('../logging');
+
+// ===== NOTIFICATION DELIVERY =====
+//
+// Every push is recorded in notificationDeliveries/{deliveryId}, with one document per send
+// attempt in its `attempts` subcollection. Devices that fail with a retryable FCM error are
+// retried by retryNotificationDeliveries with exponential backoff; after maxAttempts the
+// delivery is moved to the dead-letter state so undelivered pushes stay visible. A delivery
+// is created as `sending` with a lease in nextAttemptAt, so one whose sender died before
+// recording the attempt is picked up by the retry worker rather than left behind.
+
+const DEAD_TOKEN_ERRORS = [
+    'messaging/registration-token-not-registered',
+    'messaging/invalid-registration-token'
+];
+
+const DELIVERY_STATUS = {
+    SENDING: 'sending',
+    DELIVERED: 'delivered',
+    RETRYING: 'retrying',
+    DEAD_LETTER: 'dead_letter',
+    NO_DEVICES: 'no_devices',
+    CANCELLED: 'cancelled'
+};
+
+// Transient FCM and network failures; anything else is treated as permanent
+const RETRYABLE_MESSAGING_ERRORS = [
+    'messaging/internal-error',
+    'messaging/server-unavailable',
+    'messaging/unknown-error',
+    'messaging/message-rate-exceeded',
+    'messaging/device-message-rate-exceeded',
+    'messaging/quota-exceeded',
+    'app/network-error',
+    'app/network-timeout'
+];
+
+const DELIVERY_RETRY = {
+    maxAttempts: 6,
+    baseDelayMs: 60 * 1000,
+    maxDelayMs: 60 * 60 * 1000,
+    // Well past the sending functions' timeouts, so only a dead sender's delivery expires
+    sendingLeaseMs: 10 * 60 * 1000
+};
+
+// Deliveries the retry worker may still pick up
+const PENDING_DELIVERY_STATUSES = [DELIVERY_STATUS.SENDING, DELIVERY_STATUS.RETRYING];
+
+// FCM data payloads only accept string values
+function stringifyData(data) {
+    const result = {};
+    for (const [key, value] of Object.entries(data || {})) {
+        if (value !== null && value !== undefined) {
+            result[key] = String(value);
+        }
+    }
+    return result;
+}
+
+function isRetryableMessagingError(error) {
+    // Errors thrown without a code come from the transport rather than FCM
+    return !error || !error.code || RETRYABLE_MESSAGING_ERRORS.includes(error.code);
+}
+
+function retryDelayMs(attemptCount) {
+    return Math.min(DELIVERY_RETRY.baseDelayMs * 2 ** (attemptCount - 1), DELIVERY_RETRY.maxDelayMs);
+}
+
+// `users` is the users repository, used to look up device tokens; `metrics` counts sends
+function createNotificationService({ db, messaging, users, metrics }) {
+    function deliveriesRef() {
+        return db.collection('notificationDeliveries');
+    }
+
+    // Send one attempt of a delivery to the given devices and record the outcome
+    async function attemptDelivery(deliveryRef, delivery, entries) {
+        const attemptCount = (delivery.attemptCount || 0) + 1;
+        const aps = { alert: delivery.notification, sound: 'default' };
+        if (delivery.badge !== null && delivery.badge !== undefined) {
+            aps.badge = delivery.badge;
+        }
+
+        let results;
+        try {
+            const response = await messaging.sendEachForMulticast({
+                tokens: entries.map(entry => entry.token),
+                notification: delivery.notification,
+                data: delivery.data,
+                apns: { payload: { aps } }
+            });
+            results = response.responses.map((result, index) => ({ entry: entries[index], ...result }));
+        } catch (error) {
+            log.error('Notification send failed', { userId: delivery.userId, deliveryId: deliveryRef.id }, error);
+            results = entries.map(entry => ({ entry, success: false, error }));
+        }
+
+        const pruned = [];
+        const retryTokens = [];
+        const failures = [];
+        let successCount = 0;
+
+        for (const { entry, success, error } of results) {
+            if (success) {
+                successCount++;
+                continue;
+            }
+
+            const code = (error && error.code) || 'unknown';
+            const retryable = isRetryableMessagingError(error);
+            failures.push({ code, retryable, message: (error && error.message) || null });
+
+            if (DEAD_TOKEN_ERRORS.includes(code)) {
+                // The legacy doc may hold other settings, so only its token field is removed
+                pruned.push(entry.legacy
+                    ? entry.ref.update({ fcmToken: admin.firestore.FieldValue.delete() })
+                    : entry.ref.delete());
+            } else if (retryable) {
+                retryTokens.push(entry.token);
+            } else {
+                log.error('Permanent notification error for a device', { userId: delivery.userId, deliveryId: deliveryRef.id }, error);
+            }
+        }
+
+        if (pruned.length > 0) {
+            await Promise.all(pruned);
+            log.warn('Removed invalid device tokens', { userId: delivery.userId, tokenCount: pruned.length });
+        }
+
+        const deliveredCount = (delivery.deliveredCount || 0) + successCount;
+        const update = {
+            attemptCount,
+            deliveredCount,
+            pendingTokens: retryTokens,
+            lastError: failures.length > 0 ? failures[failures.length - 1] : null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        if (retryTokens.length > 0 && attemptCount < DELIVERY_RETRY.maxAttempts) {
+            update.status = DELIVERY_STATUS.RETRYING;
+            update.nextAttemptAt = admin.firestore.Timestamp.fromMillis(Date.now() + retryDelayMs(attemptCount));
+        } else {
+            // Only pending deliveries carry nextAttemptAt, so the worker can query on it alone
+            update.nextAttemptAt = admin.firestore.FieldValue.delete();
+            update.status = retryTokens.length === 0 && deliveredCount > 0
+                ? DELIVERY_STATUS.DELIVERED
+                : DELIVERY_STATUS.DEAD_LETTER;
+        }
+
+        if (successCount > 0 && !delivery.deliveredAt) {
+            update.deliveredAt = admin.firestore.FieldValue.serverTimestamp();
+        }
+
+        const batch = db.batch();
+        batch.set(deliveryRef.collection('attempts').doc(String(attemptCount)), {
+            attempt: attemptCount,
+            tokenCount: entries.length,
+            successCount,
+            failures,
+            attemptedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        batch.update(deliveryRef, update);
+        await batch.commit();
+        await metrics.increment({ notificationsSent: successCount, notificationsFailed: failures.length });
+
+        const fields = {
+            userId: delivery.userId,
+            deliveryId: deliveryRef.id,
+            notificationType: delivery.type,
+            attempt: attemptCount,
+            deviceCount: entries.length,
+            successCount,
+            status: update.status
+        };
+        if (update.status === DELIVERY_STATUS.DEAD_LETTER) {
+            log.error('Notification moved to dead letter', fields);
+        } else {
+            log.info('Notification attempt recorded', fields);
+        }
+
+        return { delivered: successCount > 0, status: update.status };
+    }
+
+    // Send a push to every device a user has registered. Tokens FCM reports as dead are pruned
+    // one by one; the rest are kept. Returns true if at least one device accepted the message.
+    // Pass a `deliveryId` to make the send idempotent when a trigger is retried.
+    async function send(userId, notification, data = {}, { badge, deliveryId } = {}) {
+        const deliveryRef = deliveryId ? deliveriesRef().doc(deliveryId) : deliveriesRef().doc();
+        const entries = await users.getDeviceTokens(userId);
+
+        const delivery = {
+            userId,
+            type: data.type || null,
+            notification,
+            data: stringifyData(data),
+            badge: badge === undefined ? null : badge,
+            status: entries.length > 0 ? DELIVERY_STATUS.SENDING : DELIVERY_STATUS.NO_DEVICES,
+            attemptCount: 0,
+            deliveredCount: 0,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        if (entries.length > 0) {
+            delivery.pendingTokens = entries.map(entry => entry.token);
+            delivery.nextAttemptAt = admin.firestore.Timestamp.fromMillis(Date.now() + DELIVERY_RETRY.sendingLeaseMs);
+        }
+
+        try {
+            await deliveryRef.create(delivery);
+        } catch (error) {
+            if (error.code === 6 || error.code === 'already-exists') {
+                log.info('Notification already sent', { userId, deliveryId: deliveryRef.id });
+                return false;
+            }
+            throw error;
+        }
+
+        if (entries.length === 0) {
+            log.info('No devices registered for notification', { userId, deliveryId: deliveryRef.id });
+            return false;
+        }
+
+        const { delivered } = await attemptDelivery(deliveryRef, delivery, entries);
+        return delivered;
+    }
+
+    // Retry one delivery that is due, sending only to the devices that failed last time (or,
+    // for a delivery whose sender died, to the devices it was sending to)
+    async function retry(deliveryRef) {
+        const now = Date.now();
+
+        // Claim the delivery so an overlapping worker run doesn't send it twice
+        const delivery = await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(deliveryRef);
+            if (!doc.exists) {
+                return null;
+            }
+            const data = doc.data();
+            if (!PENDING_DELIVERY_STATUSES.includes(data.status) || !data.nextAttemptAt || data.nextAttemptAt.toMillis() > now) {
+                return null;
+            }
+            transaction.update(deliveryRef, {
+                nextAttemptAt: admin.firestore.Timestamp.fromMillis(now + DELIVERY_RETRY.maxDelayMs)
+            });
+            return data;
+        });
+
+        if (!delivery) {
+            return;
+        }
+
+        // Devices that were unregistered since the last attempt are dropped from the retry
+        const pendingTokens = delivery.pendingTokens || [];
+        const entries = (await users.getDeviceTokens(delivery.userId))
+            .filter(entry => pendingTokens.includes(entry.token));
+
+        if (entries.length === 0) {
+            await deliveryRef.update({
+                status: delivery.deliveredCount > 0 ? DELIVERY_STATUS.DELIVERED : DELIVERY_STATUS.DEAD_LETTER,
+                pendingTokens: [],
+                nextAttemptAt: admin.firestore.FieldValue.delete(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return;
+        }
+
+        await attemptDelivery(deliveryRef, delivery, entries);
+    }
+
+    // Deliveries whose backoff or sending lease has passed, oldest first
+    async function dueForRetry(limit) {
+        const due = await deliveriesRef()
+            .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+            .orderBy('nextAttemptAt')
+            .limit(limit)
+            .get();
+        return due.docs;
+    }
+
+    // Stop retrying pushes to `userId` whose data payload matches; returns how many were cancelled
+    async function cancelRetrying(writer, userId, matches) {
+        const retrying = await deliveriesRef()
+            .where('userId', '==', userId)
+            .where('status', 'in', PENDING_DELIVERY_STATUSES)
+            .get();
+
+        let cancelled = 0;
+        for (const doc of retrying.docs) {
+            if (matches(doc.data().data || {})) {
+                writer.update(doc.ref, {
+                    status: DELIVERY_STATUS.CANCELLED,
+                    pendingTokens: [],
+                    nextAttemptAt: admin.firestore.FieldValue.delete(),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                cancelled++;
+            }
+        }
+        return cancelled;
+    }
+
+    return {
+        deliveriesRef,
+        send,
+        retry,
+        dueForRetry,
+        cancelRetrying
+    };
+}
+
+module.exports = {
+    DEAD_TOKEN_ERRORS,
+    DELIVERY_STATUS,
+    DELIVERY_RETRY,
+    stringifyData,
+    isRetryableMessagingError,
+    retryDelayMs,
+    createNotificationService
+};
@@ -0,0 +1,235 @@
+const admin = require('firebase-admin');
+const { CATEGORY_CATALOG, CATEGORIES } = require('../catalog');
+const { log } = require('../logging');
+
+// ===== PROMPT CATALOG =====
+//
+// The prompt vocabulary is the bundled CATEGORY_CATALOG (catalog.js) overlaid with the
+// entries in promptCatalogEntries, so a new ride or a holiday party goes live without an
+// app release. Entry ids come from the category and name, so an entry for a bundled item
+// overrides it (to retire or schedule it). promptCatalog/current records the schema version
+// and a catalog version that every change bumps; each instance keeps the entries until the
+// version moves. If the catalog can't be read, prompts use the bundled lists.
+
+const PROMPT_CATALOG_SCHEMA_VERSION = 1;
+const CATALOG_NAME_MAX_LENGTH = 80;
+
+const CATALOG_ENTRY_STATUS = {
+    ACTIVE: 'active',
+    RETIRED: 'retired'
+};
+
+// "ride__space-mountain"; empty when the name has nothing to build an id from
+function catalogEntryId(category, name) {
+    const slug = name
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug ? `${category}__${slug}` : '';
+}
+
+// True for ids catalogEntryId builds, so a malformed one never reaches a document path
+function isCatalogEntryId(entryId) {
+    const match = /^([a-z]+)__[a-z0-9]+(?:-[a-z0-9]+)*$/.exec(entryId);
+    return Boolean(match && CATEGORIES.includes(match[1]));
+}
+
+const BUNDLED_ENTRIES = new Map(CATEGORIES.flatMap(category => CATEGORY_CATALOG[category].map((name) => {
+    const id = catalogEntryId(category, name);
+    return [id, { id, category, name, status: CATALOG_ENTRY_STATUS.ACTIVE, bundled: true }];
+})));
+
+function millis(timestamp) {
+    return timestamp ? timestamp.toMillis() : null;
+}
+
+// Active, and inside its availability window when it has one
+function isAvailable(entry, now) {
+    const from = millis(entry.availableFrom);
+    const until = millis(entry.availableUntil);
+    return entry.status === CATALOG_ENTRY_STATUS.ACTIVE &&
+        (from === null || from <= now.getTime()) &&
+        (until === null || until > now.getTime());
+}
+
+// Bundled entries with the stored ones laid over them. Entries written by a newer schema
+// than this code understands are left out.
+function mergeEntries(storedEntries) {
+    const merged = new Map(BUNDLED_ENTRIES);
+    for (const entry of storedEntries) {
+        if ((entry.schemaVersion || 0) <= PROMPT_CATALOG_SCHEMA_VERSION && CATEGORY_CATALOG[entry.category]) {
+            merged.set(entry.id, { ...entry, bundled: BUNDLED_ENTRIES.has(entry.id) });
+        }
+    }
+    return [...merged.values()];
+}
+
+// The names live at `now` for each category, plus when that next changes (the nearest
+// window start or end). A category with nothing live falls back to its bundled list less
+// the retired entries; when every one of those is retired too the list stays empty.
+function buildCatalog(storedEntries, categories, now) {
+    const lists = Object.fromEntries(categories.map(category => [category, []]));
+    const entries = mergeEntries(storedEntries);
+    const retiredIds = new Set(entries.filter(entry => entry.status === CATALOG_ENTRY_STATUS.RETIRED).map(entry => entry.id));
+    let refreshAt = null;
+
+    for (const entry of entries) {
+        if (lists[entry.category] && isAvailable(entry, now)) {
+            lists[entry.category].push(entry.name);
+        }
+        for (const boundary of [millis(entry.availableFrom), millis(entry.availableUntil)]) {
+            if (boundary !== null && boundary > now.getTime() && (refreshAt === null || boundary < refreshAt)) {
+                refreshAt = boundary;
+            }
+        }
+    }
+    for (const category of categories) {
+        if (lists[category].length === 0) {
+            lists[category] = CATEGORY_CATALOG[category].filter(name => !retiredIds.has(catalogEntryId(category, name)));
+        }
+    }
+    return { categories: lists, refreshAt: refreshAt === null ? null : new Date(refreshAt) };
+}
+
+function createPromptCatalogService({ db }) {
+    let cached = null;
+
+    function metaRef() {
+        return db.collection('promptCatalog').doc('current');
+    }
+
+    function entriesRef() {
+        return db.collection('promptCatalogEntries');
+    }
+
+    // Stored entries, re-read only when the catalog has changed. updatedAt is part of the key
+    // so a recreated meta doc, whose version starts over, isn't mistaken for the cached one.
+    async function loadEntries() {
+        const metaDoc = await metaRef().get();
+        const meta = metaDoc.exists ? metaDoc.data() : {};
+        const version = meta.version || 0;
+        const changedAt = millis(meta.updatedAt);
+        if (cached && cached.version === version && cached.changedAt === changedAt) {
+            return cached;
+        }
+
+        const snapshot = version > 0 ? await entriesRef().get() : { docs: [] };
+        cached = { version, changedAt, entries: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) };
+        return cached;
+    }
+
+    // The live catalog for `categories`: { version, categories: { park: [...] }, refreshAt }
+    async function activeCatalog(now = new Date(), categories = CATEGORIES) {
+        try {
+            const { version, entries } = await loadEntries();
+            return { version, ...buildCatalog(entries, categories, now) };
+        } catch (error) {
+            log.warn('Prompt catalog unavailable, using the bundled lists', {}, error);
+            return { version: 0, ...buildCatalog([], categories, now) };
+        }
+    }
+
+    // Every entry, bundled ones included, for the admin tools
+    async function listEntries() {
+        const { version, entries } = await loadEntries();
+        return { version, entries: mergeEntries(entries) };
+    }
+
+    // Write the fields `change(current)` returns to an entry and bump the catalog version.
+    // `current` is the stored or bundled entry, or null; change returns { error } to stop.
+    function writeEntry(adminId, entryId, change) {
+        if (!isCatalogEntryId(entryId)) {
+            return Promise.resolve({ error: 'invalid_entry_id' });
+        }
+        const entryRef = entriesRef().doc(entryId);
+
+        return db.runTransaction(async (transaction) => {
+            const entryDoc = await transaction.get(entryRef);
+            const current = entryDoc.exists ? { id: entryId, ...entryDoc.data() } : BUNDLED_ENTRIES.get(entryId) || null;
+            const fields = change(current);
+            if (fields.error) {
+                return fields;
+            }
+
+            const now = admin.firestore.FieldValue.serverTimestamp();
+            transaction.set(entryRef, {
+                schemaVersion: PROMPT_CATALOG_SCHEMA_VERSION,
+                ...(current ? { category: current.category, name: current.name } : {}),
+                ...fields,
+                ...(entryDoc.exists ? {} : { createdAt: now }),
+                updatedAt: now,
+                updatedBy: adminId
+            }, { merge: true });
+            transaction.set(metaRef(), {
+                schemaVersion: PROMPT_CATALOG_SCHEMA_VERSION,
+                version: admin.firestore.FieldValue.increment(1),
+                updatedAt: now
+            }, { merge: true });
+            return { entryId };
+        });
+    }
+
+    // Add a name to a category, optionally only for a window. Re-adding a retired entry
+    // brings it back.
+    function addEntry(adminId, category, name, { availableFrom = null, availableUntil = null } = {}) {
+        return writeEntry(adminId, catalogEntryId(category, name), (current) => {
+            if (current && current.status === CATALOG_ENTRY_STATUS.ACTIVE) {
+                return { error: 'already_exists' };
+            }
+            return {
+                category,
+                name,
+                status: CATALOG_ENTRY_STATUS.ACTIVE,
+                availableFrom,
+                availableUntil,
+                retiredAt: admin.firestore.FieldValue.delete(),
+                retiredBy: admin.firestore.FieldValue.delete()
+            };
+        });
+    }
+
+    // Take an entry (bundled or added) out of new prompts
+    function retireEntry(adminId, entryId) {
+        return writeEntry(adminId, entryId, (current) => {
+            if (!current) {
+                return { error: 'not_found' };
+            }
+            return {
+                status: CATALOG_ENTRY_STATUS.RETIRED,
+                retiredAt: admin.firestore.FieldValue.serverTimestamp(),
+                retiredBy: adminId
+            };
+        });
+    }
+
+    // Limit an entry to a window; null on either side leaves it open
+    function scheduleEntry(adminId, entryId, { availableFrom = null, availableUntil = null }) {
+        return writeEntry(adminId, entryId, (current) => {
+            if (!current) {
+                return { error: 'not_found' };
+            }
+            return { availableFrom, availableUntil };
+        });
+    }
+
+    return {
+        activeCatalog,
+        listEntries,
+        addEntry,
+        retireEntry,
+        scheduleEntry
+    };
+}
+
+module.exports = {
+    PROMPT_CATALOG_SCHEMA_VERSION,
+    CATALOG_NAME_MAX_LENGTH,
+    CATALOG_ENTRY_STATUS,
+    catalogEntryId,
+    isCatalogEntryId,
+    isAvailable,
+    buildCatalog,
+    createPromptCatalogService
+};
@@ -0,0 +1,233 @@
+const admin = require('firebase-admin');
+const { CATEGORY_CATALOG, PROMPT_THEMES } = require('../catalog');
+const { isActivePartnership, memberIds, nextInRotation } = require('../repositories/partnerships');
+
+// ===== DAILY PROMPTS =====
+//
+// The server creates each partnership's daily prompt so it exists even if nobody opens
+// the app, and so two devices can't race to create different prompts for the same day.
+// Story documents are keyed by the author's local date (yyyy-MM-dd), like the app's keys.
+// Around a partnership's trip the prompt also carries a themed question (see promptTheme).
+
+const DEFAULT_TIME_ZONE = 'America/New_York';
+const DEFAULT_PROMPT_CATEGORIES = ['park', 'ride', 'food'];
+const TRIP_DEFAULT_LENGTH_DAYS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function resolveTimeZone(timeZone) {
+    if (!timeZone) {
+        return DEFAULT_TIME_ZONE;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return timeZone;
+    } catch (error) {
+        return DEFAULT_TIME_ZONE;
+    }
+}
+
+// en-CA formats dates as yyyy-MM-dd
+function localDateKey(date, timeZone) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(date);
+}
+
+// Whole days from one yyyy-MM-dd key to another
+function daysBetween(fromKey, toKey) {
+    return Math.round((Date.parse(toKey) - Date.parse(fromKey)) / DAY_MS);
+}
+
+// Where today falls around the partnership's trip in one member's time zone: daysOut counts
+// down to the first day, daysSinceEnd counts up from the last. The trip starts on
+// sharedTripDate (the app copies it from the trip date in settings) and runs to
+// sharedTripEndDate, or TRIP_DEFAULT_LENGTH_DAYS without one. Null without a trip date.
+function tripSchedule(partnership, now, timeZone) {
+    if (!partnership.sharedTripDate) {
+        return null;
+    }
+    const todayKey = localDateKey(now, timeZone);
+    const startKey = localDateKey(partnership.sharedTripDate.toDate(), timeZone);
+    const endKey = partnership.sharedTripEndDate
+        ? localDateKey(partnership.sharedTripEndDate.toDate(), timeZone)
+        : localDateKey(new Date(Date.parse(startKey) + (TRIP_DEFAULT_LENGTH_DAYS - 1) * DAY_MS), 'UTC');
+
+    return {
+        startKey,
+        endKey,
+        daysOut: daysBetween(todayKey, startKey),
+        daysSinceEnd: daysBetween(endKey, todayKey)
+    };
+}
+
+// Prompt modes around a trip: getting ready in the last week, the parks during the trip and
+// memories for a few days after. Keys match PROMPT_THEMES in catalog.js.
+const PROMPT_THEME_WINDOWS = [
+    { theme: 'first_ride', applies: ({ daysOut }) => daysOut >= 4 && daysOut <= 7 },
+    { theme: 'packing', applies: ({ daysOut }) => daysOut >= 1 && daysOut <= 3 },
+    { theme: 'trip_day', applies: ({ daysOut, daysSinceEnd }) => daysOut <= 0 && daysSinceEnd <= 0 },
+    { theme: 'welcome_home', applies: ({ daysSinceEnd }) => daysSinceEnd >= 1 && daysSinceEnd <= 3 }
+];
+
+function promptTheme(schedule) {
+    const window = schedule && PROMPT_THEME_WINDOWS.find(candidate => candidate.applies(schedule));
+    return window ? window.theme : null;
+}
+
+function randomItem(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+// Pick one item per enabled category, re-rolling a few times to avoid repeating the last prompt.
+// `catalog` is the live list per category (see promptCatalog.js), defaulting to the bundled one.
+// Categories with nothing to pick from are skipped.
+function pickPromptItems(categories, previousItems = {}, catalog = CATEGORY_CATALOG) {
+    const hasItems = category => Boolean(catalog[category] && catalog[category].length > 0);
+    const enabled = (categories || []).filter(hasItems);
+    const chosen = enabled.length > 0 ? enabled : DEFAULT_PROMPT_CATEGORIES.filter(hasItems);
+
+    let items = {};
+    for (let attempt = 0; attempt < 5; attempt++) {
+        items = {};
+        for (const category of chosen) {
+            items[category] = randomItem(catalog[category]);
+        }
+        const repeatsPrevious = chosen.every(category => previousItems[category] === items[category]);
+        if (!repeatsPrevious) {
+            break;
+        }
+    }
+    return items;
+}
+
+// Matches DaydreamStory.promptText on the device: "Food: Dole Whip, Park: Epcot"
+function promptPreview(items) {
+    return Object.keys(items)
+        .sort()
+        .map(category => `${category.charAt(0).toUpperCase()}${category.slice(1)}: ${items[category]}`)
+        .join(', ');
+}
+
+function createPromptService({ db, users, partnerships, stories, notifications, promptCatalog }) {
+    // Members who blocked the author or whom the author blocked. Inside a circle a block hides
+    // each one's stories from the other (see triggers/blocking.js), and that has to hold for
+    // stories created after the block too. A pair with a block is no longer active.
+    async function blockedMembers(transaction, members, authorId) {
+        const others = members.filter(userId => userId !== authorId);
+        const blocks = await transaction.getAll(...others.flatMap(userId => [
+            users.blockRef(userId, authorId),
+            users.blockRef(authorId, userId)
+        ]));
+        return others.filter((userId, index) => blocks[2 * index].exists || blocks[2 * index + 1].exists);
+    }
+
+    // Create today's prompt for a partnership if it doesn't exist yet. Everything happens in
+    // one transaction so the scheduler and a device asking for the prompt can't both create it.
+    async function createDailyPrompt(partnershipId, now = new Date()) {
+        const partnershipRef = partnerships.ref(partnershipId);
+        const catalog = await promptCatalog.activeCatalog(now);
+
+        return db.runTransaction(async (transaction) => {
+            const partnershipDoc = await transaction.get(partnershipRef);
+            if (!partnershipDoc.exists || !isActivePartnership(partnershipDoc.data())) {
+                return { created: false, reason: 'inactive' };
+            }
+
+            const partnership = partnershipDoc.data();
+            const members = memberIds(partnership);
+            if (members.length < 2) {
+                return { created: false, reason: 'incomplete_partnership' };
+            }
+
+            const lastStorySnapshot = await transaction.get(stories.latestQuery(partnershipId));
+            const lastStory = lastStorySnapshot.empty ? null : lastStorySnapshot.docs[0].data();
+
+            // Same rotation as the app used: explicit nextAuthorId, else the member after the
+            // last author. Pairs alternate; circles go round in member order.
+            let authorId = members.includes(partnership.nextAuthorId) ? partnership.nextAuthorId : null;
+            if (!authorId && lastStory && members.includes(lastStory.authorId)) {
+                authorId = nextInRotation(partnership, lastStory.authorId);
+            }
+            authorId = authorId || members[0];
+
+            const settingsDoc = await transaction.get(users.settingsRef(authorId));
+            const timeZone = resolveTimeZone(settingsDoc.exists ? settingsDoc.data().timeZone : null);
+            const dateKey = localDateKey(now, timeZone);
+
+            const storyRef = stories.ref(partnershipId, dateKey);
+            const existingStory = await transaction.get(storyRef);
+            if (existingStory.exists) {
+                return { created: false, reason: 'exists', storyId: dateKey, authorId: existingStory.data().authorId };
+            }
+
+            const authorDoc = await transaction.get(users.ref(authorId));
+            const authorName = (authorDoc.exists && authorDoc.data().displayName) || 'Your pal';
+            const hiddenFor = await blockedMembers(transaction, members, authorId);
+
+            const items = pickPromptItems(partnership.enabledCategories, lastStory ? lastStory.items : {}, catalog.categories);
+            const theme = promptTheme(tripSchedule(partnership, now, timeZone));
+            const themePrompt = theme ? randomItem(PROMPT_THEMES[theme]) : null;
+
+            transaction.set(storyRef, {
+                date: admin.firestore.Timestamp.fromDate(now),
+                authorId,
+                authorName,
+                isFavorite: false,
+                partnershipId,
+                items,
+                timeZone,
+                ...(theme ? { theme, themePrompt } : {}),
+                ...(hiddenFor.length ? { hiddenFor } : {}),
+                catalogVersion: catalog.version,
+                generatedBy: 'server',
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            transaction.update(partnershipRef, {
+                nextAuthorId: nextInRotation(partnership, authorId),
+                lastPromptDate: dateKey
+            });
+
+            return { created: true, storyId: dateKey, authorId, authorName, items, theme, themePrompt };
+        });
+    }
+
+    async function notifyPromptAuthor(partnershipId, prompt) {
+        const preview = promptPreview(prompt.items);
+        await notifications.send(prompt.authorId, {
+            title: 'Your Turn to Daydream! ✨',
+            body: prompt.themePrompt
+                ? `${prompt.themePrompt} Today's Disney Daydream: ${preview}`
+                : `Today's Disney Daydream is ready for you: ${preview}`
+        }, {
+            type: 'new_prompt',
+            partnershipId,
+            storyId: prompt.storyId,
+            assigned_author: prompt.authorName,
+            prompt_preview: preview,
+            ...(prompt.theme ? { theme: prompt.theme } : {})
+        });
+    }
+
+    return {
+        createDailyPrompt,
+        notifyPromptAuthor
+    };
+}
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    DEFAULT_PROMPT_CATEGORIES,
+    TRIP_DEFAULT_LENGTH_DAYS,
+    resolveTimeZone,
+    localDateKey,
+    daysBetween,
+    tripSchedule,
+    promptTheme,
+    pickPromptItems,
+    promptPreview,
+    createPromptService
+};
@@ -0,0 +1,170 @@
+const admin = require('firebase-admin');
+const { isCircle, palOf } = require('../repositories/partnerships');
+const { resolveTimeZone, localDateKey } = require('./prompts');
+const { log } = require('../logging');
+
+// ===== DAILY REMINDERS =====
+//
+// Reminders escalate through the evening in the author's time zone. Each send is logged in
+// reminderLog under a deterministic id, so a retry or overlapping run can't notify twice.
+// A run claims the entry before sending; if the send fails, or the run dies holding the
+// claim, a later run sends it instead.
+
+const REMINDER_STAGES = [
+    {
+        stage: 'gentle',
+        localHour: 17,
+        title: () => 'Time to Daydream ✨',
+        body: () => 'Today\'s Disney Daydream is waiting for your story!'
+    },
+    {
+        stage: 'pal_waiting',
+        localHour: 20,
+        title: () => 'Your Pal is Waiting! 🏰',
+        body: (palName) => `${palName} is waiting to read today's Disney Daydream. There's still time to write it!`
+    }
+];
+
+const DEFAULT_QUIET_HOURS = { start: 22, end: 8 };
+
+// Longer than the reminder job's timeout, so a claim this old belongs to a dead run
+const REMINDER_CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+const REMINDER_LOG_STATUS = {
+    SENDING: 'sending',
+    SENT: 'sent',
+    FAILED: 'failed'
+};
+
+function localHour(date, timeZone) {
+    return Number(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour: 'numeric',
+        hourCycle: 'h23'
+    }).format(date));
+}
+
+// Quiet hours may wrap past midnight (22 -> 8)
+function isQuietHour(hour, settings) {
+    const start = Number.isInteger(settings.quietHoursStart) ? settings.quietHoursStart : DEFAULT_QUIET_HOURS.start;
+    const end = Number.isInteger(settings.quietHoursEnd) ? settings.quietHoursEnd : DEFAULT_QUIET_HOURS.end;
+    if (start === end) {
+        return false;
+    }
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+function createReminderService({ db, users, stories, notifications }) {
+    // Claim today's entry for a stage. Entries from before statuses were kept count as sent.
+    function claimReminder(logRef, entry) {
+        return db.runTransaction(async (transaction) => {
+            const logDoc = await transaction.get(logRef);
+            if (logDoc.exists) {
+                const existing = logDoc.data();
+                const abandoned = existing.status === REMINDER_LOG_STATUS.SENDING &&
+                    existing.claimedAt && existing.claimedAt.toMillis() < Date.now() - REMINDER_CLAIM_TIMEOUT_MS;
+                if (existing.status !== REMINDER_LOG_STATUS.FAILED && !abandoned) {
+                    return false;
+                }
+            }
+
+            transaction.set(logRef, {
+                ...entry,
+                status: REMINDER_LOG_STATUS.SENDING,
+                claimedAt: admin.firestore.Timestamp.now(),
+                ...(logDoc.exists ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() })
+            }, { merge: true });
+            return true;
+        });
+    }
+
+    async function sendDailyReminder(partnershipId, partnership, now) {
+        const storyDoc = await stories.latest(partnershipId);
+        if (!storyDoc) {
+            return false;
+        }
+
+        const story = storyDoc.data();
+        const authorId = story.authorId;
+        if (!authorId || (story.text || '').trim().length > 0) {
+            return false;
+        }
+
+        const settings = await users.getSettings(authorId);
+        if (settings.dailyReminders === false) {
+            return false;
+        }
+
+        // Only remind about today's prompt, in the author's own time zone
+        const timeZone = resolveTimeZone(settings.timeZone);
+        const dateKey = localDateKey(now, timeZone);
+        if (storyDoc.id !== dateKey) {
+            return false;
+        }
+
+        const hour = localHour(now, timeZone);
+        if (isQuietHour(hour, settings)) {
+            return false;
+        }
+
+        const dueStages = REMINDER_STAGES.filter(stage => hour >= stage.localHour);
+        if (dueStages.length === 0) {
+            return false;
+        }
+        const reminder = dueStages[dueStages.length - 1];
+
+        const palName = isCircle(partnership)
+            ? partnership.name || 'Your story circle'
+            : await users.displayName(palOf(partnership, authorId), 'Your pal');
+
+        const logRef = db.collection('reminderLog').doc(`${partnershipId}_${dateKey}_${reminder.stage}`);
+        const claimed = await claimReminder(logRef, {
+            userId: authorId,
+            partnershipId,
+            storyId: storyDoc.id,
+            dateKey,
+            stage: reminder.stage
+        });
+        if (!claimed) {
+            return false;
+        }
+
+        let delivered;
+        try {
+            delivered = await notifications.send(authorId, {
+                title: reminder.title(palName),
+                body: reminder.body(palName)
+            }, {
+                type: 'daily_reminder',
+                stage: reminder.stage,
+                partnershipId,
+                storyId: storyDoc.id
+            });
+        } catch (error) {
+            // The next hourly run tries again
+            await logRef.update({ status: REMINDER_LOG_STATUS.FAILED, failedAt: admin.firestore.FieldValue.serverTimestamp() });
+            throw error;
+        }
+
+        await logRef.update({
+            status: REMINDER_LOG_STATUS.SENT,
+            delivered,
+            sentAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        log.info('Daily reminder sent', { userId: authorId, partnershipId, stage: reminder.stage, delivered });
+        return delivered;
+    }
+
+    return {
+        sendDailyReminder
+    };
+}
+
+module.exports = {
+    REMINDER_STAGES,
+    REMINDER_LOG_STATUS,
+    localHour,
+    isQuietHour,
+    createReminderService
+};
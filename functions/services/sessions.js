@@ -0,0 +1,171 @@
+const admin = require('firebase-admin');
+
+// ===== SESSIONS =====
+//
+// Each device keeps a users/{uid}/sessions/{deviceId} document (SessionManager.swift). The
+// server makes the limits stick: revoking sessions revokes the user's refresh tokens and
+// records the time in sessionRevocations/{uid}, which the rules check so tokens issued
+// earlier can't write. Firebase revokes per user, not per device, so every device signs in
+// again, including the one that asked. Sessions past the concurrent limit are revoked on
+// their own: revoking tokens would sign out the new device as well, so instead the session
+// records revokedAt and the rules refuse to mark it active again until its device signs in
+// afresh, which counts against the limit like any other sign-in. A daily sweep ends idle
+// sessions and deletes old ones; ended sessions lose their push token either way.
+
+const MAX_CONCURRENT_SESSIONS = 5;
+const SESSION_IDLE_DAYS = 30;
+const SESSION_RETENTION_DAYS = 90;
+const SESSION_SWEEP_PAGE_SIZE = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SESSION_END_REASONS = {
+    REVOKED: 'revoked',
+    SESSION_LIMIT: 'session_limit',
+    INACTIVE: 'inactive'
+};
+
+function createSessionService({ db, auth, users, securityIncidents }) {
+    function sessionsRef(userId) {
+        return users.ref(userId).collection('sessions');
+    }
+
+    function revocationRef(userId) {
+        return db.collection('sessionRevocations').doc(userId);
+    }
+
+    // End a session as revoked and stop pushes to its device
+    function revokeInBatch(batch, userId, sessionId, revokedBy, reason) {
+        batch.update(sessionsRef(userId).doc(sessionId), {
+            isActive: false,
+            revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+            revokedBy,
+            revokeReason: reason
+        });
+        batch.delete(users.ref(userId).collection('fcmTokens').doc(sessionId));
+    }
+
+    // Sign the user out everywhere and end `sessionIds`. Returns when tokens become valid again.
+    async function revokeTokens(userId, sessionIds) {
+        await auth.revokeRefreshTokens(userId);
+        const user = await auth.getUser(userId);
+        const validAfterSeconds = Math.floor(new Date(user.tokensValidAfterTime).getTime() / 1000);
+
+        const batch = db.batch();
+        for (const sessionId of sessionIds) {
+            revokeInBatch(batch, userId, sessionId, userId, SESSION_END_REASONS.REVOKED);
+        }
+        batch.set(revocationRef(userId), {
+            validAfterSeconds,
+            revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+            sessionIds
+        });
+        await batch.commit();
+
+        await securityIncidents.record('sessions_revoked', { userId, sessionIds });
+        return { revokedSessions: sessionIds.length, validAfter: new Date(validAfterSeconds * 1000) };
+    }
+
+    // Revoke one of the user's sessions, e.g. a lost or stolen device
+    async function revokeSession(userId, sessionId) {
+        const sessionDoc = await sessionsRef(userId).doc(sessionId).get();
+        if (!sessionDoc.exists) {
+            return { error: 'not_found' };
+        }
+        return revokeTokens(userId, [sessionId]);
+    }
+
+    // Revoke every active session but the caller's
+    async function revokeOtherSessions(userId, currentSessionId) {
+        const active = await sessionsRef(userId).where('isActive', '==', true).get();
+        return revokeTokens(userId, active.docs.map(doc => doc.id).filter(id => id !== currentSessionId));
+    }
+
+    // After `sessionId` becomes active, end the least recently used sessions past
+    // MAX_CONCURRENT_SESSIONS. They stay ended until their device signs in again (revokedAt).
+    // Returns the ids that were ended.
+    async function enforceSessionLimit(userId, sessionId) {
+        const active = await sessionsRef(userId).where('isActive', '==', true).get();
+        const lastActive = doc => (doc.data().lastActiveAt ? doc.data().lastActiveAt.toMillis() : 0);
+        const others = active.docs
+            .filter(doc => doc.id !== sessionId)
+            .sort((a, b) => lastActive(b) - lastActive(a));
+
+        const ended = others.slice(MAX_CONCURRENT_SESSIONS - 1).map(doc => doc.id);
+        if (ended.length === 0) {
+            return ended;
+        }
+
+        const batch = db.batch();
+        for (const endedId of ended) {
+            revokeInBatch(batch, userId, endedId, 'system', SESSION_END_REASONS.SESSION_LIMIT);
+        }
+        await batch.commit();
+        return ended;
+    }
+
+    // End sessions idle for SESSION_IDLE_DAYS and delete those idle for SESSION_RETENTION_DAYS
+    async function sweepStaleSessions(now = new Date()) {
+        const sessions = db.collectionGroup('sessions');
+        const retentionCutoff = admin.firestore.Timestamp.fromMillis(now.getTime() - SESSION_RETENTION_DAYS * DAY_MS);
+        const idleCutoff = admin.firestore.Timestamp.fromMillis(now.getTime() - SESSION_IDLE_DAYS * DAY_MS);
+        let deleted = 0;
+        let ended = 0;
+
+        for (;;) {
+            const page = await sessions.where('lastActiveAt', '<', retentionCutoff).limit(SESSION_SWEEP_PAGE_SIZE).get();
+            if (page.empty) {
+                break;
+            }
+            const batch = db.batch();
+            page.docs.forEach(doc => batch.delete(doc.ref));
+            await batch.commit();
+            deleted += page.size;
+        }
+
+        let cursor = null;
+        for (;;) {
+            let query = sessions.where('lastActiveAt', '<', idleCutoff).orderBy('lastActiveAt').limit(SESSION_SWEEP_PAGE_SIZE);
+            if (cursor) {
+                query = query.startAfter(cursor);
+            }
+            const page = await query.get();
+            if (page.empty) {
+                break;
+            }
+
+            const idle = page.docs.filter(doc => doc.data().isActive === true);
+            if (idle.length > 0) {
+                const batch = db.batch();
+                idle.forEach(doc => {
+                    batch.update(doc.ref, {
+                        isActive: false,
+                        endedAt: admin.firestore.FieldValue.serverTimestamp(),
+                        endReason: SESSION_END_REASONS.INACTIVE
+                    });
+                    batch.delete(doc.ref.parent.parent.collection('fcmTokens').doc(doc.id));
+                });
+                await batch.commit();
+                ended += idle.length;
+            }
+            cursor = page.docs[page.docs.length - 1];
+        }
+
+        return { ended, deleted };
+    }
+
+    return {
+        revokeSession,
+        revokeOtherSessions,
+        enforceSessionLimit,
+        sweepStaleSessions
+    };
+}
+
+module.exports = {
+    MAX_CONCURRENT_SESSIONS,
+    SESSION_IDLE_DAYS,
+    SESSION_RETENTION_DAYS,
+    SESSION_END_REASONS,
+    createSessionService
+};
@@ -0,0 +1,249 @@
+const zlib = require('zlib');
+
+// ===== SHARE CARD IMAGES =====
+//
+// The preview image link unfurlers show for a shared story (og:image). Scrapers want a PNG,
+// so the card is drawn into an RGB buffer with a small 5x7 pixel font and encoded with zlib,
+// which keeps image libraries with native builds out of the functions bundle.
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const CARD_MARGIN = 80;
+
+const COLORS = {
+    skyTop: [27, 31, 94],
+    skyBottom: [106, 63, 160],
+    gold: [245, 196, 81],
+    white: [255, 255, 255],
+    lilac: [214, 200, 255]
+};
+
+// 5x7 glyphs, one 5-bit row per entry (most significant bit on the left)
+const GLYPHS = {
+    'A': [0x0E, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    'B': [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+    'C': [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+    'D': [0x1E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x1E],
+    'E': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+    'F': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+    'G': [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+    'H': [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    'I': [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+    'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+    'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+    'M': [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+    'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+    'O': [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    'P': [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+    'Q': [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+    'R': [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+    'S': [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+    'T': [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+    'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+    'X': [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+    'Y': [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04],
+    'Z': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+    '0': [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+    '1': [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    '2': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+    '3': [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+    '4': [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+    '5': [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+    '6': [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+    '7': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+    '8': [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+    '9': [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+    ' ': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+    '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C],
+    ',': [0x00, 0x00, 0x00, 0x00, 0x0C, 0x04, 0x08],
+    '!': [0x04, 0x04, 0x04, 0x04, 0x04, 0x00, 0x04],
+    '?': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x00, 0x04],
+    '\'': [0x0C, 0x04, 0x08, 0x00, 0x00, 0x00, 0x00],
+    '-': [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+    ':': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00],
+    '&': [0x0C, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0D],
+    '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+    '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+    ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+    '+': [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00],
+    '*': [0x00, 0x04, 0x15, 0x0E, 0x15, 0x04, 0x00]
+};
+
+// Fold text into what the font can draw: accents dropped, typographic dashes and quotes
+// made plain, anything else left out
+function cardText(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[\u2010-\u2015]/g, '-')
+        .replace(/[\u2018\u2019]/g, '\'')
+        .toUpperCase()
+        .split('')
+        .filter(character => GLYPHS[character])
+        .join('')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Greedy word wrap to `maxChars`, ending with an ellipsis when it runs past `maxLines`
+function wrapText(text, maxChars, maxLines) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(' ')) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (candidate.length <= maxChars) {
+            line = candidate;
+            continue;
+        }
+        if (line) {
+            lines.push(line);
+        }
+        line = word.slice(0, maxChars);
+    }
+    if (line) {
+        lines.push(line);
+    }
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxChars - 3)}...`;
+    }
+    return lines;
+}
+
+function createCanvas(width, height) {
+    const pixels = Buffer.alloc(width * height * 3);
+
+    function fillRect(x, y, w, h, color) {
+        for (let row = Math.max(0, y); row < Math.min(height, y + h); row++) {
+            for (let column = Math.max(0, x); column < Math.min(width, x + w); column++) {
+                pixels.set(color, (row * width + column) * 3);
+            }
+        }
+    }
+
+    function verticalGradient(top, bottom) {
+        for (let row = 0; row < height; row++) {
+            const t = row / (height - 1);
+            fillRect(0, row, width, 1, top.map((value, index) => Math.round(value + (bottom[index] - value) * t)));
+        }
+    }
+
+    // Draw one line of card text centered on `y` (its top edge)
+    function drawCentered(text, y, scale, color) {
+        const advance = 6 * scale;
+        let x = Math.round((width - (text.length * advance - scale)) / 2);
+        for (const character of text) {
+            GLYPHS[character].forEach((bits, row) => {
+                for (let column = 0; column < 5; column++) {
+                    if (bits & (0x10 >> column)) {
+                        fillRect(x + column * scale, y + row * scale, scale, scale, color);
+                    }
+                }
+            });
+            x += advance;
+        }
+    }
+
+    return { width, height, pixels, fillRect, verticalGradient, drawCentered };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (unused, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+// 8-bit truecolor PNG, no filtering
+function encodePng({ width, height, pixels }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 2, 0, 0, 0], 8);
+
+    const rowLength = width * 3;
+    const scanlines = Buffer.alloc((rowLength + 1) * height);
+    for (let row = 0; row < height; row++) {
+        pixels.copy(scanlines, row * (rowLength + 1) + 1, row * rowLength, (row + 1) * rowLength);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(scanlines)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// Stars scattered above the title, the same way every time for the same seed
+function drawStars(canvas, seed) {
+    let state = [...seed].reduce((hash, character) => (hash * 31 + character.charCodeAt(0)) >>> 0, 7);
+    for (let star = 0; star < 40; star++) {
+        state = (state * 1103515245 + 12345) >>> 0;
+        const x = CARD_MARGIN + (state % (canvas.width - 2 * CARD_MARGIN));
+        state = (state * 1103515245 + 12345) >>> 0;
+        const y = 44 + (state % 48);
+        const size = star % 5 === 0 ? 6 : 3;
+        canvas.fillRect(x, y, size, size, star % 3 === 0 ? COLORS.gold : COLORS.white);
+    }
+}
+
+// `card` is { title, lines, footer, seed }; returns the PNG bytes
+function renderShareCard({ title, lines = [], footer = '', seed = '' }) {
+    const canvas = createCanvas(CARD_WIDTH, CARD_HEIGHT);
+    canvas.verticalGradient(COLORS.skyTop, COLORS.skyBottom);
+    drawStars(canvas, seed);
+
+    // Gold frame
+    canvas.fillRect(24, 24, CARD_WIDTH - 48, 8, COLORS.gold);
+    canvas.fillRect(24, CARD_HEIGHT - 32, CARD_WIDTH - 48, 8, COLORS.gold);
+    canvas.fillRect(24, 24, 8, CARD_HEIGHT - 48, COLORS.gold);
+    canvas.fillRect(CARD_WIDTH - 32, 24, 8, CARD_HEIGHT - 48, COLORS.gold);
+
+    const usableWidth = CARD_WIDTH - 2 * CARD_MARGIN;
+    canvas.drawCentered(wrapText(cardText(title), Math.floor(usableWidth / 54), 1)[0] || '', 110, 9, COLORS.gold);
+
+    let y = 250;
+    const bodyLines = lines.flatMap(line => wrapText(cardText(line), Math.floor(usableWidth / 36), 2)).slice(0, 5);
+    for (const line of bodyLines) {
+        canvas.drawCentered(line, y, 6, COLORS.white);
+        y += 62;
+    }
+
+    const footerLine = wrapText(cardText(footer), Math.floor(usableWidth / 30), 1)[0];
+    if (footerLine) {
+        canvas.drawCentered(footerLine, CARD_HEIGHT - 110, 5, COLORS.lilac);
+    }
+
+    return encodePng(canvas);
+}
+
+module.exports = {
+    CARD_WIDTH,
+    CARD_HEIGHT,
+    cardText,
+    wrapText,
+    encodePng,
+    renderShareCard
+};
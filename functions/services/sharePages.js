@@ -0,0 +1,132 @@
+const { DEFAULT_TIME_ZONE, resolveTimeZone, promptPreview } = require('./prompts');
+const { renderShareCard } = require('./shareCard');
+
+// ===== SHARED STORY PAGES =====
+//
+// The public page behind a share link. It shows the story, its prompt and the author's
+// display name, and nothing about the other members. Open Graph and Twitter tags point at
+// the generated card so the link unfurls nicely in messages and social apps.
+
+const DESCRIPTION_MAX_LENGTH = 200;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function excerpt(text, maxLength) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    return flat.length <= maxLength ? flat : `${flat.slice(0, maxLength - 1).trimEnd()}…`;
+}
+
+// "March 1, 2026", in the time zone the prompt was created for
+function storyDate(story) {
+    if (!story.date) {
+        return '';
+    }
+    return story.date.toDate().toLocaleDateString('en-US', {
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric',
+        timeZone: resolveTimeZone(story.timeZone || DEFAULT_TIME_ZONE)
+    });
+}
+
+function authorName(story) {
+    return story.authorName || 'A Disney pal';
+}
+
+function page({ title, head = '', body }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+${head}
+<style>
+body { margin: 0; min-height: 100vh; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+  background: linear-gradient(#1b1f5e, #6a3fa0); color: #fff; display: flex; align-items: center; justify-content: center; }
+main { max-width: 640px; margin: 32px 20px; padding: 32px; border: 4px solid #f5c451; border-radius: 20px; background: rgba(27, 31, 94, 0.6); }
+h1 { color: #f5c451; font-size: 1.6em; margin-top: 0; }
+.prompt { color: #d6c8ff; font-weight: 600; }
+.story { font-size: 1.15em; line-height: 1.6; white-space: pre-wrap; }
+footer { color: #d6c8ff; font-size: 0.9em; margin-top: 24px; }
+</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+// `pageUrl` and `imageUrl` are absolute, for the unfurl tags
+function renderStoryPage({ story, pageUrl, imageUrl }) {
+    const title = `A Disney Daydream by ${authorName(story)}`;
+    const description = excerpt(story.text, DESCRIPTION_MAX_LENGTH);
+    const prompt = promptPreview(story.items || {});
+    const date = storyDate(story);
+
+    const head = [
+        ['og:type', 'article'],
+        ['og:site_name', 'WDW Daydreams'],
+        ['og:title', title],
+        ['og:description', description],
+        ['og:url', pageUrl],
+        ['og:image', imageUrl],
+        ['og:image:width', '1200'],
+        ['og:image:height', '630']
+    ].map(([property, content]) => `<meta property="${property}" content="${escapeHtml(content)}">`)
+        .concat([
+            ['twitter:card', 'summary_large_image'],
+            ['twitter:title', title],
+            ['twitter:description', description],
+            ['twitter:image', imageUrl],
+            ['description', description]
+        ].map(([name, content]) => `<meta name="${name}" content="${escapeHtml(content)}">`))
+        .join('\n');
+
+    return page({
+        title,
+        head,
+        body: [
+            `<h1>${escapeHtml(title)}</h1>`,
+            prompt ? `<p class="prompt">${escapeHtml(prompt)}</p>` : '',
+            `<p class="story">${escapeHtml(story.text.trim())}</p>`,
+            `<footer>${date ? `${escapeHtml(date)} · ` : ''}Written with WDW Daydreams ✨</footer>`
+        ].filter(Boolean).join('\n')
+    });
+}
+
+// Expired, revoked and unknown links all look the same
+function renderUnavailablePage() {
+    return page({
+        title: 'Disney Daydream unavailable',
+        body: '<h1>This Disney Daydream isn\'t available</h1>\n<p>The link may have expired or been turned off by the person who shared it.</p>'
+    });
+}
+
+function renderStoryCard(story, seed) {
+    const items = story.items || {};
+    return renderShareCard({
+        title: 'A Disney Daydream',
+        lines: Object.keys(items).sort().map(category => `${category}: ${items[category]}`),
+        footer: [`By ${authorName(story)}`, storyDate(story)].filter(Boolean).join(' - '),
+        seed
+    });
+}
+
+module.exports = {
+    escapeHtml,
+    renderStoryPage,
+    renderUnavailablePage,
+    renderStoryCard
+};
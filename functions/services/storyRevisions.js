@@ -0,0 +1,154 @@
+const admin = require('firebase-admin');
+const { HIDDEN_CONTENT_STATUSES } = require('../moderation/pipeline');
+
+// ===== STORY REVISIONS =====
+//
+// When a completed story's text changes, the text it replaced is kept in
+// partnerships/{partnershipId}/stories/{storyId}/revisions. Revisions hold no author
+// identity (the story has it), so account deletion only needs to anonymize the story.
+// Restoring a revision writes its text back to the story, which in turn snapshots the
+// text being replaced, so nothing is ever lost by restoring.
+
+const REVISION_LIST_MAX = 50;
+const REVISION_DELETE_PAGE_SIZE = 200;
+
+function storyText(story) {
+    return ((story && story.text) || '').trim();
+}
+
+// Ignore whitespace and case, so tidying a story doesn't re-moderate it or ping the pal
+function normalizeText(text) {
+    return text.replace(/\s+/g, ' ').toLowerCase();
+}
+
+function isMeaningfulEdit(beforeText, afterText) {
+    return normalizeText(beforeText.trim()) !== normalizeText(afterText.trim());
+}
+
+// `stories` is the story repository; `users`, `circles` and `notifications` are used to tell
+// the other members
+function createStoryRevisionService({ db, users, stories, circles, notifications }) {
+    function revisionsRef(partnershipId, storyId) {
+        return stories.ref(partnershipId, storyId).collection('revisions');
+    }
+
+    // Keep the text `before` had. `revisionId` comes from the triggering event, so a retried
+    // event finds its revision already written and returns null.
+    async function recordRevision(partnershipId, storyId, revisionId, before, after) {
+        const revisionRef = revisionsRef(partnershipId, storyId).doc(revisionId);
+        const restored = after.restoredFrom && after.restoredFrom !== before.restoredFrom;
+        const revision = {
+            text: storyText(before),
+            moderationStatus: before.moderationStatus || null,
+            reason: restored ? 'restore' : 'edit',
+            meaningful: isMeaningfulEdit(storyText(before), storyText(after)),
+            revisedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        try {
+            await revisionRef.create(revision);
+        } catch (error) {
+            if (error.code === 6 || error.code === 'already-exists') {
+                return null;
+            }
+            throw error;
+        }
+
+        await stories.ref(partnershipId, storyId).update({
+            revisionCount: admin.firestore.FieldValue.increment(1),
+            revisedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { id: revisionId, ...revision };
+    }
+
+    // Push the other members about a revised story, unless they opted out, muted the circle,
+    // can't see the story or blocked the author. Returns how many were told.
+    async function notifyMembers(partnership, partnershipId, storyId, revisionId, story) {
+        const authorName = story.authorName || 'Your partner';
+        let notified = 0;
+
+        for (const memberId of await circles.recipients(partnership, story.authorId, story)) {
+            const settings = await users.getSettings(memberId);
+            if (settings.storyRevisionNotifications === false) {
+                continue;
+            }
+            const delivered = await notifications.send(memberId, {
+                title: 'Story Revised ✏️',
+                body: `${authorName} revised a Disney Daydream. Take another look!`
+            }, {
+                type: 'story_revised',
+                partnershipId,
+                storyId,
+                revisionId
+            }, { deliveryId: `story_revised_${partnershipId}_${storyId}_${revisionId}_${memberId}` });
+            if (delivered) {
+                notified++;
+            }
+        }
+        return notified;
+    }
+
+    // Newest first
+    async function list(partnershipId, storyId) {
+        const snapshot = await revisionsRef(partnershipId, storyId)
+            .orderBy('revisedAt', 'desc')
+            .limit(REVISION_LIST_MAX)
+            .get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    // Put a revision's text back on the story. False if there's no such revision; text that
+    // moderation flagged or removed can't be brought back.
+    async function restore(partnershipId, storyId, revisionId) {
+        const storyRef = stories.ref(partnershipId, storyId);
+        const revisionRef = revisionsRef(partnershipId, storyId).doc(revisionId);
+
+        return db.runTransaction(async (transaction) => {
+            const [storyDoc, revisionDoc] = await Promise.all([
+                transaction.get(storyRef),
+                transaction.get(revisionRef)
+            ]);
+            if (!storyDoc.exists || !revisionDoc.exists || HIDDEN_CONTENT_STATUSES.includes(revisionDoc.data().moderationStatus)) {
+                return false;
+            }
+
+            transaction.update(storyRef, {
+                text: revisionDoc.data().text,
+                restoredFrom: revisionId,
+                restoredAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return true;
+        });
+    }
+
+    // A deleted story takes its history with it
+    async function deleteAll(partnershipId, storyId) {
+        let deleted = 0;
+        for (;;) {
+            const page = await revisionsRef(partnershipId, storyId).limit(REVISION_DELETE_PAGE_SIZE).get();
+            if (page.empty) {
+                return deleted;
+            }
+            const batch = db.batch();
+            page.docs.forEach(doc => batch.delete(doc.ref));
+            await batch.commit();
+            deleted += page.size;
+        }
+    }
+
+    return {
+        revisionsRef,
+        recordRevision,
+        notifyMembers,
+        list,
+        restore,
+        deleteAll
+    };
+}
+
+module.exports = {
+    REVISION_LIST_MAX,
+    storyText,
+    isMeaningfulEdit,
+    createStoryRevisionService
+};
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { isActivePartnership, isMember } = require('../repositories/partnerships');
+
+// ===== STORY SHARE LINKS =====
+//
+// A share link shows one approved story to anyone who has it. Each link is a storyShares
+// document plus a token carrying the document id and expiry, signed with SHARE_LINK_SECRET,
+// so tokens can't be guessed or stretched. A link stops working once it's revoked or
+// expires, and whenever the story is deleted, loses its approval after an edit, or is
+// hidden from the person who shared it.
+
+const SHARE_LINK_DEFAULT_DAYS = 7;
+const SHARE_LINK_MAX_DAYS = 30;
+const SHARE_ID_PATTERN = /^[A-Za-z0-9]{1,64}$/;
+
+function tokenSignature(secret, shareId, expiresAtMillis) {
+    return crypto.createHmac('sha256', secret).update(`${shareId}.${expiresAtMillis}`).digest('base64url');
+}
+
+function signShareToken(secret, shareId, expiresAt) {
+    const expiresAtMillis = expiresAt.getTime();
+    return `${shareId}.${expiresAtMillis.toString(36)}.${tokenSignature(secret, shareId, expiresAtMillis)}`;
+}
+
+// The share id and expiry a token carries, or null if it's malformed, forged or expired
+function verifyShareToken(secret, token, now = Date.now()) {
+    const parts = String(token || '').split('.');
+    if (!secret || parts.length !== 3 || !SHARE_ID_PATTERN.test(parts[0])) {
+        return null;
+    }
+
+    const [shareId, expiry, signature] = parts;
+    const expiresAtMillis = parseInt(expiry, 36);
+    if (!Number.isSafeInteger(expiresAtMillis) || expiresAtMillis <= now) {
+        return null;
+    }
+
+    const expected = Buffer.from(tokenSignature(secret, shareId, expiresAtMillis));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return null;
+    }
+    return { shareId, expiresAt: new Date(expiresAtMillis) };
+}
+
+// Finished stories moderation has approved
+function isShareable(story) {
+    return Boolean(story && (story.text || '').trim() && story.moderationStatus === 'approved');
+}
+
+function createStoryShareService({ db, partnerships, stories }) {
+    function sharesRef() {
+        return db.collection('storyShares');
+    }
+
+    // Create a link to a story the member can see. Returns { share } or { error }.
+    async function create(userId, partnershipId, storyId, expiresAt) {
+        const partnership = await partnerships.get(partnershipId);
+        if (!partnership || !isMember(partnership, userId)) {
+            return { error: 'not_member' };
+        }
+        if (!isActivePartnership(partnership)) {
+            return { error: 'inactive' };
+        }
+
+        const storyDoc = await stories.ref(partnershipId, storyId).get();
+        if (!storyDoc.exists || (storyDoc.data().hiddenFor || []).includes(userId)) {
+            return { error: 'not_found' };
+        }
+        if (!isShareable(storyDoc.data())) {
+            return { error: 'not_shareable' };
+        }
+
+        const shareRef = sharesRef().doc();
+        const share = {
+            partnershipId,
+            storyId,
+            createdBy: userId,
+            authorId: storyDoc.data().authorId,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+            revoked: false,
+            viewCount: 0
+        };
+        await shareRef.set(share);
+        return { share: { id: shareRef.id, ...share } };
+    }
+
+    // Whoever created the link, or the story's author, can revoke it. Revoking twice is fine.
+    function revoke(shareId, userId) {
+        const shareRef = sharesRef().doc(shareId);
+
+        return db.runTransaction(async (transaction) => {
+            const shareDoc = await transaction.get(shareRef);
+            if (!shareDoc.exists) {
+                return { error: 'not_found' };
+            }
+            const share = shareDoc.data();
+            if (share.createdBy !== userId && share.authorId !== userId) {
+                return { error: 'not_allowed' };
+            }
+            if (!share.revoked) {
+                transaction.update(shareRef, {
+                    revoked: true,
+                    revokedBy: userId,
+                    revokedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+            return { shareId, storyId: share.storyId, partnershipId: share.partnershipId };
+        });
+    }
+
+    // Links the user made for a story that still work, newest first
+    async function listForStory(userId, partnershipId, storyId, now = new Date()) {
+        const snapshot = await sharesRef()
+            .where('createdBy', '==', userId)
+            .where('partnershipId', '==', partnershipId)
+            .where('storyId', '==', storyId)
+            .get();
+
+        return snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(share => !share.revoked && share.expiresAt.toMillis() > now.getTime())
+            .sort((a, b) => b.expiresAt.toMillis() - a.expiresAt.toMillis());
+    }
+
+    // The share and story a link should show right now, or null if it shouldn't show anything.
+    // Sharers who left the circle take their links with them.
+    async function resolve(shareId, now = new Date()) {
+        const shareDoc = await sharesRef().doc(shareId).get();
+        if (!shareDoc.exists) {
+            return null;
+        }
+        const share = { id: shareDoc.id, ...shareDoc.data() };
+        if (share.revoked || share.expiresAt.toMillis() <= now.getTime()) {
+            return null;
+        }
+
+        const [partnership, storyDoc] = await Promise.all([
+            partnerships.get(share.partnershipId),
+            stories.ref(share.partnershipId, share.storyId).get()
+        ]);
+        if (!partnership || !isActivePartnership(partnership) || !isMember(partnership, share.createdBy) || !storyDoc.exists) {
+            return null;
+        }
+
+        const story = storyDoc.data();
+        if (!isShareable(story) || (story.hiddenFor || []).includes(share.createdBy)) {
+            return null;
+        }
+        return { share, story };
+    }
+
+    async function recordView(shareId) {
+        await sharesRef().doc(shareId).update({
+            viewCount: admin.firestore.FieldValue.increment(1),
+            lastViewedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    return {
+        sharesRef,
+        create,
+        revoke,
+        listForStory,
+        resolve,
+        recordView
+    };
+}
+
+module.exports = {
+    SHARE_LINK_DEFAULT_DAYS,
+    SHARE_LINK_MAX_DAYS,
+    signShareToken,
+    verifyShareToken,
+    isShareable,
+    createStoryShareService
+};
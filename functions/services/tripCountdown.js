@@ -0,0 +1,127 @@
+const { isCircle, memberIds, palOf } = require('../repositories/partnerships');
+const { resolveTimeZone, tripSchedule } = require('./prompts');
+const { localHour, isQuietHour } = require('./reminders');
+const { log } = require('../logging');
+
+// ===== TRIP COUNTDOWN =====
+//
+// Milestone pushes counting down to a partnership's trip and welcoming everyone home after
+// it (tripSchedule in prompts.js works out the days). Each member hears in the morning of
+// their own time zone. Delivery ids name the trip and the milestone, so hourly runs and
+// retries send each milestone once, and moving the trip starts a fresh countdown.
+
+const MILESTONE_LOCAL_HOUR = 9;
+
+const TRIP_MILESTONES = [
+    {
+        milestone: 'days_100',
+        applies: ({ daysOut }) => daysOut === 100,
+        title: 'Only 100 Days to Go! 🗓️',
+        body: (palName) => `100 days until your Walt Disney World trip with ${palName}. Let the daydreaming begin!`
+    },
+    {
+        milestone: 'days_50',
+        applies: ({ daysOut }) => daysOut === 50,
+        title: 'Halfway There: 50 Days! 🏰',
+        body: (palName) => `50 days until your trip with ${palName}. Time to start planning those park days!`
+    },
+    {
+        milestone: 'days_30',
+        applies: ({ daysOut }) => daysOut === 30,
+        title: 'One Month to Magic! ✨',
+        body: (palName) => `30 days until your trip with ${palName}!`
+    },
+    {
+        milestone: 'days_7',
+        applies: ({ daysOut }) => daysOut === 7,
+        title: 'One Week to Go! 🎒',
+        body: (palName) => `7 days until your trip with ${palName}. This week's daydreams are all about getting ready.`
+    },
+    {
+        milestone: 'days_1',
+        applies: ({ daysOut }) => daysOut === 1,
+        title: 'Tomorrow Is the Day! 🎆',
+        body: (palName) => `Your trip with ${palName} starts tomorrow. Sleep tight!`
+    },
+    {
+        milestone: 'trip_day',
+        applies: ({ daysOut }) => daysOut === 0,
+        title: 'It\'s Trip Day! 🏰',
+        body: (palName) => `Have a magical first day with ${palName}!`
+    },
+    {
+        milestone: 'welcome_home',
+        applies: ({ daysSinceEnd }) => daysSinceEnd === 1,
+        title: 'Welcome Home! 🏡',
+        body: (palName) => `Welcome back from your trip with ${palName}. Time to turn it into daydreams!`
+    }
+];
+
+function milestoneFor(schedule) {
+    return (schedule && TRIP_MILESTONES.find(candidate => candidate.applies(schedule))) || null;
+}
+
+function createTripCountdownService({ users, notifications }) {
+    // Push today's milestone to every member who is due one. Members who muted the circle or
+    // turned off trip countdowns are skipped. Returns how many were delivered.
+    async function sendMilestones(partnershipId, partnership, now) {
+        if (!partnership.sharedTripDate) {
+            return 0;
+        }
+
+        const mutedBy = partnership.mutedBy || [];
+        let delivered = 0;
+        for (const memberId of memberIds(partnership)) {
+            if (mutedBy.includes(memberId)) {
+                continue;
+            }
+            const settings = await users.getSettings(memberId);
+            if (settings.tripCountdownNotifications === false) {
+                continue;
+            }
+
+            const timeZone = resolveTimeZone(settings.timeZone);
+            const hour = localHour(now, timeZone);
+            if (hour < MILESTONE_LOCAL_HOUR || isQuietHour(hour, settings)) {
+                continue;
+            }
+
+            const schedule = tripSchedule(partnership, now, timeZone);
+            const milestone = milestoneFor(schedule);
+            if (!milestone) {
+                continue;
+            }
+
+            const palName = isCircle(partnership)
+                ? partnership.name || 'your story circle'
+                : await users.displayName(palOf(partnership, memberId), 'your pal');
+
+            const sent = await notifications.send(memberId, {
+                title: milestone.title,
+                body: milestone.body(palName)
+            }, {
+                type: 'trip_milestone',
+                milestone: milestone.milestone,
+                partnershipId,
+                tripDate: schedule.startKey
+            }, { deliveryId: `trip_${milestone.milestone}_${partnershipId}_${schedule.startKey}_${memberId}` });
+
+            if (sent) {
+                delivered++;
+                log.info('Trip milestone sent', { userId: memberId, partnershipId, milestone: milestone.milestone });
+            }
+        }
+        return delivered;
+    }
+
+    return {
+        sendMilestones
+    };
+}
+
+module.exports = {
+    MILESTONE_LOCAL_HOUR,
+    TRIP_MILESTONES,
+    milestoneFor,
+    createTripCountdownService
+};
@@ -0,0 +1,178 @@
+const { test, admin, db, myFunctions, storage, resetAll, signedInAs, getData, queryData, wrapCallable, wrapScheduled } = require('./helpers');
+const { seedPals, seedStory, seedSettings, seedInvitation, seedBlock } = require('./fixtures');
+const { getServices } = require('../services');
+
+// Delete the account in the Auth emulator and return the record onUserDelete receives
+async function deleteAccount(uid) {
+    const record = await admin.auth().createUser({ uid, email: `${uid}@example.com` });
+    await admin.auth().deleteUser(uid);
+    return test.auth.makeUserRecord(record.toJSON());
+}
+
+// Everything a typical user leaves behind
+async function seedAccount() {
+    await seedPals();
+    await seedSettings('alice');
+    await seedBlock('alice', 'mallory');
+    await db.doc('users/alice/private/notifications').set({ fcmToken: 'legacy-token' });
+    await db.doc('users/alice/sessions/phone').set({ deviceId: 'phone', isActive: true });
+    await db.doc('userStories/alice/favorites/2026-03-01').set({ partnershipId: 'pair' });
+    await seedStory('pair', '2026-03-01', 'alice', { text: 'Our first daydream.' });
+    await seedStory('pair', '2026-03-02', 'bob', { text: 'Bob\'s daydream.' });
+    await seedInvitation('sent', 'alice');
+    await db.doc('notificationQueue/request').set({ requesterId: 'alice', targetUserId: 'bob', type: 'new_prompt', processed: true });
+    await db.doc('notificationDeliveries/push').set({ userId: 'alice', status: 'delivered' });
+    await db.doc('notificationDeliveries/push/attempts/1').set({ attempt: 1 });
+    await db.doc('contentReports/aboutAlice').set({ reporterId: 'bob', reportedUserId: 'alice' });
+    await db.doc('contentReports/byAlice').set({ reporterId: 'alice', reportedUserId: 'mallory', reason: 'spam' });
+    await db.doc('moderationQueue/byAlice').set({ reporterId: 'alice', userId: 'mallory', reportId: 'byAlice', status: 'pending' });
+    await db.doc('userStats/alice').set({ totalStories: 1 });
+    await storage.bucket().file('dataExports/alice/export1/data.json').save('{}', {});
+    await db.doc('dataExports/export1').set({ userId: 'alice', path: 'dataExports/alice/export1' });
+}
+
+describe('onUserDelete', () => {
+    const onUserDelete = test.wrap(myFunctions.onUserDelete);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('removes the user\'s data and anonymizes what their pal keeps', async () => {
+        await seedAccount();
+
+        await onUserDelete(await deleteAccount('alice'));
+
+        for (const path of ['users/alice', 'userSettings/alice', 'userStats/alice', 'users/alice/private/notifications',
+            'users/alice/sessions/phone', 'users/alice/fcmTokens/phone', 'users/alice/blockedUsers/mallory',
+            'userStories/alice/favorites/2026-03-01', 'palInvitations/sent', 'notificationQueue/request',
+            'notificationDeliveries/push', 'notificationDeliveries/push/attempts/1', 'dataExports/export1']) {
+            expect(await getData(path)).toBeUndefined();
+        }
+        expect(storage.files.size).toBe(0);
+
+        expect(await getData('partnerships/pair')).toMatchObject({ status: 'user_deleted', deletedUserId: 'alice', user1Deleted: true });
+        expect(await getData('partnerships/pair/stories/2026-03-01')).toMatchObject({
+            authorId: 'deleted_user',
+            authorName: 'Former Pal',
+            authorDeleted: true,
+            text: 'Our first daydream.'
+        });
+        expect(await getData('contentReports/aboutAlice')).toMatchObject({ reporterId: 'bob', reportedUserId: 'deleted_user', reportedUserDeleted: true });
+        expect(await getData('contentReports/byAlice')).toMatchObject({ reporterId: 'deleted_user', reportedUserId: 'mallory', reason: 'spam' });
+        expect(await getData('moderationQueue/byAlice')).toMatchObject({ reporterId: 'deleted_user', userId: 'mallory', status: 'pending' });
+
+        expect(await getData('accountDeletionJobs/alice')).toMatchObject({ status: 'completed' });
+        const [incident] = await queryData('securityIncidents', 'type', 'user_account_deleted');
+        expect(incident).toMatchObject({ userId: 'alice', cleanupCompleted: true });
+        expect(incident.details.partnershipsAsUser1).toBe(1);
+    });
+
+    it('leaves the pal\'s own data alone', async () => {
+        await seedAccount();
+
+        await onUserDelete(await deleteAccount('alice'));
+
+        expect(await getData('users/bob')).toBeDefined();
+        expect(await getData('users/bob/fcmTokens/phone')).toBeDefined();
+        expect(await getData('partnerships/pair/stories/2026-03-02')).toMatchObject({ authorId: 'bob', authorName: 'Bob' });
+    });
+
+    it('does not start a second job when the trigger is retried', async () => {
+        await seedAccount();
+        const user = await deleteAccount('alice');
+
+        await onUserDelete(user);
+        await onUserDelete(user);
+
+        expect((await getData('accountDeletionJobs/alice')).attempts).toBe(0);
+        expect(await queryData('securityIncidents', 'type', 'user_account_deleted')).toHaveLength(1);
+    });
+});
+
+describe('resumeAccountDeletions', () => {
+    const resumeAccountDeletions = wrapScheduled(myFunctions.resumeAccountDeletions);
+
+    beforeEach(resetAll);
+
+    it('finishes paused jobs from their checkpoint', async () => {
+        await seedAccount();
+        await getServices().accountDeletion.createDeletionJob('alice');
+        // A run that hit its deadline before finishing
+        await getServices().accountDeletion.runDeletionJob('alice', Date.now());
+        expect(await getData('accountDeletionJobs/alice')).toMatchObject({ status: 'pending', attempts: 0 });
+
+        await resumeAccountDeletions({});
+
+        expect(await getData('accountDeletionJobs/alice')).toMatchObject({ status: 'completed' });
+        expect(await getData('users/alice')).toBeUndefined();
+    });
+
+    it('skips jobs another run is still working on', async () => {
+        await seedAccount();
+        await getServices().accountDeletion.createDeletionJob('alice');
+        await db.doc('accountDeletionJobs/alice').update({
+            status: 'running',
+            leaseExpiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + 5 * 60 * 1000)
+        });
+
+        await resumeAccountDeletions({});
+
+        expect((await getData('accountDeletionJobs/alice')).status).toBe('running');
+        expect(await getData('users/alice')).toBeDefined();
+    });
+
+    it('counts a run that died holding the job as a failure and stalls after too many', async () => {
+        await seedAccount();
+        await getServices().accountDeletion.createDeletionJob('alice');
+        const diedRunning = { status: 'running', leaseExpiresAt: admin.firestore.Timestamp.fromMillis(Date.now() - 1000) };
+
+        await db.doc('accountDeletionJobs/alice').update({ ...diedRunning, attempts: 9 });
+        await resumeAccountDeletions({});
+
+        expect(await getData('accountDeletionJobs/alice')).toMatchObject({ status: 'stalled', attempts: 10 });
+        expect(await getData('users/alice')).toBeDefined();
+
+        await db.doc('accountDeletionJobs/alice').update({ ...diedRunning, attempts: 3 });
+        await resumeAccountDeletions({});
+
+        expect(await getData('accountDeletionJobs/alice')).toMatchObject({ status: 'completed', attempts: 0 });
+    });
+});
+
+describe('account deletion admin callables', () => {
+    const getAccountDeletionStatus = wrapCallable(myFunctions.getAccountDeletionStatus);
+    const restartAccountDeletion = wrapCallable(myFunctions.restartAccountDeletion);
+
+    beforeEach(resetAll);
+
+    it('reports job progress to admins only', async () => {
+        await getServices().accountDeletion.createDeletionJob('alice');
+        const rootAdmin = await signedInAs('root', { admin: true });
+
+        const { jobs } = await getAccountDeletionStatus({ userId: 'alice' }, rootAdmin);
+        expect(jobs[0]).toMatchObject({ userId: 'alice', status: 'pending' });
+        expect(jobs[0].remainingPhases).toContain('userDocuments');
+
+        expect((await getAccountDeletionStatus({}, rootAdmin)).jobs).toHaveLength(1);
+        await expect(getAccountDeletionStatus({ userId: 'nobody' }, rootAdmin)).rejects.toMatchObject({ code: 'not-found' });
+        await expect(getAccountDeletionStatus({}, await signedInAs('mod1', { moderator: true })))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(getAccountDeletionStatus({ userId: 'alice' }, await signedInAs('alice')))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+    });
+
+    it('restarts stalled jobs only', async () => {
+        await getServices().accountDeletion.createDeletionJob('alice');
+        await getServices().accountDeletion.createDeletionJob('bob');
+        await db.doc('accountDeletionJobs/alice').update({ status: 'stalled', attempts: 10 });
+        const rootAdmin = await signedInAs('root', { admin: true });
+
+        expect(await restartAccountDeletion({ userId: 'alice' }, rootAdmin)).toEqual({ restarted: true });
+        expect(await getData('accountDeletionJobs/alice')).toMatchObject({ status: 'pending', attempts: 0 });
+
+        await expect(restartAccountDeletion({ userId: 'bob' }, rootAdmin)).rejects.toMatchObject({ code: 'failed-precondition' });
+        await expect(restartAccountDeletion({}, rootAdmin)).rejects.toMatchObject({ code: 'invalid-argument' });
+        await expect(restartAccountDeletion({ userId: 'alice' }, await signedInAs('alice')))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+    });
+});
@@ -0,0 +1,128 @@
+const { test, admin, db, myFunctions, resetAll, createDocument, signedInAs, getData, wrapTrigger, wrapCallable } = require('./helpers');
+const { seedPals, seedStory, seedInvitation } = require('./fixtures');
+
+const context = { params: { userId: 'alice', blockedUserId: 'bob' } };
+
+function blockPath(userId, blockedUserId) {
+    return `users/${userId}/blockedUsers/${blockedUserId}`;
+}
+
+async function blockBob() {
+    return createDocument(blockPath('alice', 'bob'), { blockedAt: admin.firestore.Timestamp.now() });
+}
+
+describe('handleUserBlock', () => {
+    const handleUserBlock = wrapTrigger(myFunctions.handleUserBlock);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('blocks the partnership and hides only the blocked user\'s stories', async () => {
+        await seedPals();
+        await seedStory('pair', '2026-01-01', 'bob', { text: 'A day at the Magic Kingdom' });
+        await seedStory('pair', '2026-01-02', 'alice', { text: 'Dinner at Be Our Guest' });
+
+        await handleUserBlock(await blockBob(), context);
+
+        expect(await getData('partnerships/pair')).toMatchObject({ status: 'blocked', blockedBy: 'alice' });
+        expect((await getData('partnerships/pair/stories/2026-01-01')).hiddenFor).toEqual(['alice']);
+        expect((await getData('partnerships/pair/stories/2026-01-02')).hiddenFor).toBeUndefined();
+    });
+
+    it('removes invitations between the pair in both directions and keeps accepted ones', async () => {
+        await seedInvitation('sent', 'alice', { toUserId: 'bob' });
+        await seedInvitation('received', 'bob', { toUserId: 'alice', status: 'declined', invitationCode: 'DEF567' });
+        await seedInvitation('history', 'bob', { toUserId: 'alice', status: 'accepted', invitationCode: 'GHJ892' });
+        await seedInvitation('other', 'bob', { toUserId: 'carol', invitationCode: 'KMN345' });
+
+        await handleUserBlock(await blockBob(), context);
+
+        const remaining = (await db.collection('palInvitations').get()).docs.map(doc => doc.id).sort();
+        expect(remaining).toEqual(['history', 'other']);
+    });
+
+    it('leaves invitation codes without a recipient for redeemInvitation to refuse', async () => {
+        const redeemInvitation = wrapCallable(myFunctions.redeemInvitation);
+        await seedPals();
+        await seedInvitation('sent', 'alice');
+        await seedInvitation('other', 'bob', { invitationCode: 'XYZ789' });
+
+        await handleUserBlock(await blockBob(), context);
+
+        await expect(redeemInvitation({ code: 'ABC234' }, await signedInAs('bob'))).rejects.toMatchObject({ code: 'not-found' });
+        await expect(redeemInvitation({ code: 'XYZ789' }, await signedInAs('alice'))).rejects.toMatchObject({ code: 'not-found' });
+        expect((await getData('palInvitations/sent')).status).toBe('pending');
+        expect((await getData('palInvitations/other')).status).toBe('pending');
+    });
+
+    it('stops queued and retrying notifications between the pair', async () => {
+        await seedPals();
+        const retry = {
+            status: 'retrying',
+            pendingTokens: ['token'],
+            nextAttemptAt: admin.firestore.Timestamp.now()
+        };
+        await db.doc('notificationQueue/fromBob').set({ requesterId: 'bob', targetUserId: 'alice', type: 'new_prompt', processed: false });
+        await db.doc('notificationQueue/fromAlice').set({ requesterId: 'alice', targetUserId: 'bob', type: 'new_prompt', processed: false });
+        await db.doc('notificationDeliveries/fromBob').set({ ...retry, userId: 'alice', data: { requesterId: 'bob' } });
+        await db.doc('notificationDeliveries/aboutPair').set({ ...retry, userId: 'bob', data: { partnershipId: 'pair' } });
+        await db.doc('notificationDeliveries/unrelated').set({ ...retry, userId: 'alice', data: { requesterId: 'carol' } });
+
+        await handleUserBlock(await blockBob(), context);
+
+        for (const id of ['fromBob', 'fromAlice']) {
+            expect(await getData(`notificationQueue/${id}`)).toMatchObject({ processed: true, rejected: true, error: 'blocked' });
+        }
+        for (const id of ['fromBob', 'aboutPair']) {
+            const delivery = await getData(`notificationDeliveries/${id}`);
+            expect(delivery).toMatchObject({ status: 'cancelled', pendingTokens: [] });
+            expect(delivery.nextAttemptAt).toBeUndefined();
+        }
+        expect((await getData('notificationDeliveries/unrelated')).status).toBe('retrying');
+    });
+
+    it('leaves the pair\'s other partnerships with third parties alone', async () => {
+        await seedPals();
+        await seedPals({ partnershipId: 'withCarol', user1Id: 'alice', user2Id: 'carol' });
+
+        await handleUserBlock(await blockBob(), context);
+
+        expect((await getData('partnerships/withCarol')).status).toBe('active');
+    });
+});
+
+describe('handleUserUnblock', () => {
+    const handleUserBlock = wrapTrigger(myFunctions.handleUserBlock);
+    const handleUserUnblock = wrapTrigger(myFunctions.handleUserUnblock);
+
+    beforeEach(resetAll);
+
+    it('shows the stories again but leaves the partnership blocked', async () => {
+        await seedPals();
+        await seedStory('pair', '2026-01-01', 'bob', { text: 'A day at the Magic Kingdom' });
+        const snap = await blockBob();
+
+        await handleUserBlock(snap, context);
+        await db.doc(blockPath('alice', 'bob')).delete();
+        await handleUserUnblock(snap, context);
+
+        expect((await getData('partnerships/pair')).status).toBe('blocked');
+        expect((await getData('partnerships/pair/stories/2026-01-01')).hiddenFor).toEqual([]);
+    });
+
+    it('keeps stories hidden from a user who still blocks the author', async () => {
+        await seedPals();
+        await seedStory('pair', '2026-01-01', 'bob', { text: 'A day at the Magic Kingdom' });
+        await seedStory('pair', '2026-01-02', 'alice', { text: 'Dinner at Be Our Guest' });
+        const aliceBlocksBob = await blockBob();
+        const bobBlocksAlice = await createDocument(blockPath('bob', 'alice'), { blockedAt: admin.firestore.Timestamp.now() });
+        const reverse = { params: { userId: 'bob', blockedUserId: 'alice' } };
+
+        await handleUserBlock(aliceBlocksBob, context);
+        await handleUserBlock(bobBlocksAlice, reverse);
+        await handleUserUnblock(aliceBlocksBob, context);
+
+        expect((await getData('partnerships/pair/stories/2026-01-01')).hiddenFor).toEqual([]);
+        expect((await getData('partnerships/pair/stories/2026-01-02')).hiddenFor).toEqual(['bob']);
+    });
+});
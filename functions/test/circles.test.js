@@ -0,0 +1,174 @@
+const { test, admin, myFunctions, messaging, resetAll, signedInAs, createDocument, updateDocument, getData, wrapTrigger, wrapCallable } = require('./helpers');
+const { seedUser, seedCircle, seedStory, seedBlock, storyData } = require('./fixtures');
+
+const STORY_TEXT = 'We rode Soarin\' twice and shared a Dole Whip while the fireworks started.';
+
+describe('createCircle', () => {
+    const createCircle = wrapCallable(myFunctions.createCircle);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('starts a circle with the caller as its only owner', async () => {
+        await seedUser('alice');
+
+        const { circleId } = await createCircle({ name: '  Park Hoppers ' }, await signedInAs('alice'));
+
+        expect(await getData(`partnerships/${circleId}`)).toMatchObject({
+            kind: 'circle',
+            name: 'Park Hoppers',
+            memberIds: ['alice'],
+            roles: { alice: 'owner' },
+            nextAuthorId: 'alice',
+            status: 'active'
+        });
+    });
+
+    it('needs a profile and a sensible name', async () => {
+        await expect(createCircle({ name: 'Park Hoppers' }, await signedInAs('ghost'))).rejects.toMatchObject({ code: 'failed-precondition' });
+
+        await seedUser('alice');
+        await expect(createCircle({ name: '   ' }, await signedInAs('alice'))).rejects.toMatchObject({ code: 'invalid-argument' });
+        await expect(createCircle({ name: 'x'.repeat(51) }, await signedInAs('alice'))).rejects.toMatchObject({ code: 'invalid-argument' });
+    });
+});
+
+describe('joining a circle by invitation', () => {
+    const createInvitation = wrapCallable(myFunctions.createInvitation);
+    const redeemInvitation = wrapCallable(myFunctions.redeemInvitation);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('adds the redeemer as a member and tells everyone else', async () => {
+        const { tokens } = await seedCircle({ memberIds: ['alice', 'bob'] });
+        await seedUser('carol');
+
+        const { invitationCode, circleId } = await createInvitation({ circleId: 'circle' }, await signedInAs('alice'));
+        const result = await redeemInvitation({ code: invitationCode }, await signedInAs('carol'));
+
+        expect(circleId).toBe('circle');
+        expect(result).toEqual({ partnershipId: 'circle', circleId: 'circle', circleName: 'Park Hoppers' });
+        expect(await getData('partnerships/circle')).toMatchObject({
+            memberIds: ['alice', 'bob', 'carol'],
+            roles: { alice: 'owner', bob: 'member', carol: 'member' }
+        });
+        expect(messaging.sentTo(tokens.alice)[0].data).toMatchObject({ type: 'circle_member_joined', partnershipId: 'circle' });
+        expect(messaging.sentTo(tokens.bob)).toHaveLength(1);
+    });
+
+    it('lets only owners invite', async () => {
+        await seedCircle();
+
+        await expect(createInvitation({ circleId: 'circle' }, await signedInAs('bob'))).rejects.toMatchObject({ code: 'permission-denied' });
+    });
+
+    it('refuses anyone blocked by a member', async () => {
+        await seedCircle();
+        await seedUser('dave');
+        await seedBlock('carol', 'dave');
+
+        const { invitationCode } = await createInvitation({ circleId: 'circle' }, await signedInAs('alice'));
+
+        await expect(redeemInvitation({ code: invitationCode }, await signedInAs('dave'))).rejects.toMatchObject({ code: 'not-found' });
+        expect((await getData('partnerships/circle')).memberIds).not.toContain('dave');
+    });
+});
+
+describe('managing circle members', () => {
+    const removeCircleMember = wrapCallable(myFunctions.removeCircleMember);
+    const setCircleRole = wrapCallable(myFunctions.setCircleRole);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('lets owners remove members and members only remove themselves', async () => {
+        await seedCircle();
+
+        await expect(removeCircleMember({ circleId: 'circle', userId: 'carol' }, await signedInAs('bob')))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+
+        await removeCircleMember({ circleId: 'circle', userId: 'carol' }, await signedInAs('alice'));
+        await removeCircleMember({ circleId: 'circle' }, await signedInAs('bob'));
+
+        const circle = await getData('partnerships/circle');
+        expect(circle.memberIds).toEqual(['alice']);
+        expect(circle.roles).toEqual({ alice: 'owner' });
+    });
+
+    it('hands ownership and the next turn on when the last owner leaves', async () => {
+        await seedCircle();
+
+        await removeCircleMember({ circleId: 'circle' }, await signedInAs('alice'));
+
+        expect(await getData('partnerships/circle')).toMatchObject({
+            memberIds: ['bob', 'carol'],
+            roles: { bob: 'owner', carol: 'member' },
+            nextAuthorId: 'bob'
+        });
+    });
+
+    it('always keeps an owner', async () => {
+        await seedCircle();
+
+        await expect(setCircleRole({ circleId: 'circle', userId: 'alice', role: 'member' }, await signedInAs('alice')))
+            .rejects.toMatchObject({ code: 'failed-precondition' });
+
+        await setCircleRole({ circleId: 'circle', userId: 'bob', role: 'owner' }, await signedInAs('alice'));
+        await setCircleRole({ circleId: 'circle', userId: 'alice', role: 'member' }, await signedInAs('alice'));
+
+        expect((await getData('partnerships/circle')).roles).toEqual({ alice: 'member', bob: 'owner', carol: 'member' });
+    });
+});
+
+describe('circle stories', () => {
+    const onStoryCompleted = wrapTrigger(myFunctions.onStoryCompleted);
+    const setCircleNotifications = wrapCallable(myFunctions.setCircleNotifications);
+    const ensureDailyPrompt = wrapCallable(myFunctions.ensureDailyPrompt);
+    const storyPath = 'partnerships/circle/stories/2026-03-01';
+    const context = { params: { partnershipId: 'circle', storyId: '2026-03-01' } };
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('tells every other member about a finished story, unless they muted the circle', async () => {
+        const { tokens } = await seedCircle();
+        await setCircleNotifications({ circleId: 'circle', muted: true }, await signedInAs('carol'));
+        const before = storyData('alice');
+
+        await onStoryCompleted(await updateDocument(storyPath, before, { ...before, text: STORY_TEXT }), context);
+
+        expect(messaging.sentTo(tokens.bob)[0].data).toMatchObject({ type: 'story_completed', partnershipId: 'circle' });
+        expect(messaging.sentTo(tokens.carol)).toHaveLength(0);
+    });
+
+    it('takes turns in member order', async () => {
+        await seedCircle({ nextAuthorId: null });
+        await seedStory('circle', '2000-01-01', 'bob', { text: STORY_TEXT });
+
+        const prompt = await ensureDailyPrompt({ partnershipId: 'circle' }, await signedInAs('alice'));
+
+        expect(prompt.authorId).toBe('carol');
+        expect((await getData('partnerships/circle')).nextAuthorId).toBe('alice');
+    });
+});
+
+describe('circles and safety', () => {
+    const handleUserBlock = wrapTrigger(myFunctions.handleUserBlock);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('hides stories both ways between members who block each other', async () => {
+        await seedCircle();
+        await seedStory('circle', '2026-01-01', 'bob', { text: 'A day at the Magic Kingdom' });
+        await seedStory('circle', '2026-01-02', 'carol', { text: 'Dinner at Be Our Guest' });
+
+        await handleUserBlock(await createDocument('users/carol/blockedUsers/bob', { blockedAt: admin.firestore.Timestamp.now() }),
+            { params: { userId: 'carol', blockedUserId: 'bob' } });
+
+        expect((await getData('partnerships/circle/stories/2026-01-01')).hiddenFor).toEqual(['carol']);
+        expect((await getData('partnerships/circle/stories/2026-01-02')).hiddenFor).toEqual(['bob']);
+        expect((await getData('partnerships/circle')).status).toBe('active');
+    });
+});
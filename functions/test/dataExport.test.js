@@ -0,0 +1,128 @@
+const { test, admin, db, myFunctions, storage, resetAll, signedInAs, getData, queryData, wrapCallable, wrapScheduled } = require('./helpers');
+const { seedPals, seedStory, seedSettings, daysFromNow } = require('./fixtures');
+
+function savedExport(userId) {
+    const [name] = [...storage.files.keys()].filter(file => file.startsWith(`dataExports/${userId}/`) && file.endsWith('data.json'));
+    return JSON.parse(storage.files.get(name).contents);
+}
+
+describe('exportUserData', () => {
+    const exportUserData = wrapCallable(myFunctions.exportUserData);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('exports everything about the caller with short-lived links', async () => {
+        await seedPals();
+        await seedSettings('alice');
+        await seedStory('pair', '2026-03-01', 'alice', { text: 'Fireworks from the ferry boat.' });
+        await db.doc('contentReports/aboutAlice').set({ reporterId: 'bob', reportedUserId: 'alice', reason: 'spam', reviewedBy: 'mod1' });
+
+        const result = await exportUserData({}, await signedInAs('alice'));
+
+        expect(result.dataUrl).toContain(`dataExports/alice/${result.exportId}/data.json`);
+        expect(result.storyBookUrl).toContain(`dataExports/alice/${result.exportId}/storybook.md`);
+        expect(Date.parse(result.expiresAt)).toBeGreaterThan(Date.now());
+
+        const exported = savedExport('alice');
+        expect(exported.profile.displayName).toBe('Alice');
+        expect(exported.partnerships[0]).toMatchObject({ id: 'pair', palDisplayName: 'Bob' });
+        expect(exported.partnerships[0].stories[0]).toMatchObject({ id: '2026-03-01', text: 'Fireworks from the ferry boat.' });
+        // Device tokens and the people who reported the user are left out
+        expect(exported.devices[0].token).toBeUndefined();
+        expect(exported.reports.aboutYou[0]).toMatchObject({ id: 'aboutAlice', reason: 'spam' });
+        expect(exported.reports.aboutYou[0].reporterId).toBeUndefined();
+        expect(exported.reports.aboutYou[0].reviewedBy).toBeUndefined();
+
+        const storyBook = storage.files.get(`dataExports/alice/${result.exportId}/storybook.md`).contents;
+        expect(storyBook).toContain('## Stories with Bob');
+        expect(storyBook).toContain('Fireworks from the ferry boat.');
+
+        const [incident] = await queryData('securityIncidents', 'type', 'user_data_export');
+        expect(incident).toMatchObject({ userId: 'alice', exportId: result.exportId });
+        expect(await getData(`dataExports/${result.exportId}`)).toMatchObject({ userId: 'alice', path: `dataExports/alice/${result.exportId}` });
+    });
+
+    it('only exports the caller\'s own data', async () => {
+        await seedPals();
+        await seedPals({ partnershipId: 'other', user1Id: 'carol', user2Id: 'dave' });
+
+        await exportUserData({}, await signedInAs('alice'));
+
+        expect(savedExport('alice').partnerships.map(partnership => partnership.id)).toEqual(['pair']);
+        expect([...storage.files.keys()].every(name => name.startsWith('dataExports/alice/'))).toBe(true);
+    });
+
+    it('leaves out anything that would reveal a block', async () => {
+        await seedPals();
+        await seedStory('pair', '2026-03-01', 'bob', { text: 'Bob\'s daydream.', hiddenFor: ['alice'] });
+        await seedStory('pair', '2026-03-02', 'alice', { text: 'Alice\'s daydream.', hiddenFor: ['bob'] });
+        await db.collection('securityIncidents').add({ type: 'notification_rejected', reason: 'blocked', requesterId: 'alice', targetUserId: 'bob' });
+        await db.collection('securityIncidents').add({ type: 'notification_rejected', reason: 'rate_limited', requesterId: 'alice' });
+        await db.collection('securityIncidents').add({ type: 'blocked_invitation_redeem', userId: 'alice', inviterId: 'bob' });
+
+        await exportUserData({}, await signedInAs('alice'));
+
+        const exported = savedExport('alice');
+        expect(exported.partnerships[0].stories).toEqual([expect.objectContaining({ id: '2026-03-02', authorId: 'alice' })]);
+        expect(exported.partnerships[0].stories[0].hiddenFor).toBeUndefined();
+        expect(exported.securityIncidents.map(incident => incident.reason)).toEqual(['rate_limited']);
+    });
+
+    it('keeps moderators anonymous and pals\' moderation outcomes private', async () => {
+        await seedPals();
+        await seedStory('pair', '2026-03-01', 'bob', { text: 'Bob\'s daydream.', moderationStatus: 'approved', moderationScore: 0.1, moderatedBy: 'mod1' });
+        await seedStory('pair', '2026-03-02', 'bob', { text: 'Held for review.', moderationStatus: 'flagged' });
+        await seedStory('pair', '2026-03-03', 'alice', { text: 'Alice\'s daydream.', moderationStatus: 'removed', moderatedBy: 'mod1' });
+        await db.doc('contentReports/filed').set({ reporterId: 'alice', reportedUserId: 'mallory', reason: 'spam', reviewedBy: 'mod1' });
+        await db.doc('moderationQueue/item').set({ userId: 'alice', status: 'approved', resolvedBy: 'mod1', escalatedBy: 'mod2' });
+        await db.doc('userStrikes/alice/strikes/item').set({ points: 1, voided: true, voidedBy: 'mod1' });
+
+        await exportUserData({}, await signedInAs('alice'));
+
+        const exported = savedExport('alice');
+        const [palStory, ownStory] = exported.partnerships[0].stories;
+        expect(exported.partnerships[0].stories.map(story => story.id)).toEqual(['2026-03-01', '2026-03-03']);
+        expect(palStory.text).toBe('Bob\'s daydream.');
+        expect(palStory.moderationStatus).toBeUndefined();
+        expect(palStory.moderationScore).toBeUndefined();
+        expect(ownStory.moderationStatus).toBe('removed');
+        expect(JSON.stringify(exported)).not.toMatch(/mod1|mod2/);
+    });
+
+    it('limits exports per day and audits the refusal', async () => {
+        await seedPals();
+        const context = await signedInAs('alice');
+
+        for (let i = 0; i < 3; i++) {
+            await exportUserData({}, context);
+        }
+
+        await expect(exportUserData({}, context)).rejects.toMatchObject({ code: 'resource-exhausted' });
+        expect(await queryData('securityIncidents', 'type', 'user_data_export_rate_limited')).toHaveLength(1);
+    });
+
+    it('requires a signed-in user', async () => {
+        await expect(exportUserData({}, {})).rejects.toMatchObject({ code: 'unauthenticated' });
+    });
+});
+
+describe('purgeExpiredDataExports', () => {
+    const purgeExpiredDataExports = wrapScheduled(myFunctions.purgeExpiredDataExports);
+
+    beforeEach(resetAll);
+
+    it('deletes archives past their retention and keeps recent ones', async () => {
+        for (const [exportId, deleteAfter] of [['old', daysFromNow(-1)], ['recent', daysFromNow(1)]]) {
+            const path = `dataExports/alice/${exportId}`;
+            await storage.bucket().file(`${path}/data.json`).save('{}', {});
+            await db.doc(`dataExports/${exportId}`).set({ userId: 'alice', path, deleteAfter, createdAt: admin.firestore.Timestamp.now() });
+        }
+
+        await purgeExpiredDataExports({});
+
+        expect(await getData('dataExports/old')).toBeUndefined();
+        expect(await getData('dataExports/recent')).toBeDefined();
+        expect([...storage.files.keys()]).toEqual(['dataExports/alice/recent/data.json']);
+    });
+});
@@ -0,0 +1,173 @@
+const { admin, db } = require('./helpers');
+
+// ===== FIXTURES =====
+//
+// Seed data shaped like what the app and the functions write. Every fixture takes
+// overrides so a test only spells out what it cares about.
+
+const FIXTURE_TIME_ZONE = 'America/New_York';
+
+function daysFromNow(days) {
+    return admin.firestore.Timestamp.fromMillis(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+function localDateKey(date, timeZone) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+function localHour(date, timeZone) {
+    return Number(new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(date));
+}
+
+// A fixed-offset zone where the local hour is currently in [fromHour, toHour]
+function timeZoneAtLocalHour(fromHour, toHour) {
+    const now = new Date();
+    for (let offset = -12; offset <= 14; offset++) {
+        // Etc/GMT zone names have the sign reversed
+        const timeZone = offset === 0 ? 'Etc/GMT' : `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+        const hour = localHour(now, timeZone);
+        if (hour >= fromHour && hour <= toHour) {
+            return timeZone;
+        }
+    }
+    throw new Error(`No time zone is between ${fromHour}:00 and ${toHour}:59 right now`);
+}
+
+async function seedUser(uid, overrides = {}) {
+    const user = {
+        id: uid,
+        displayName: `${uid.charAt(0).toUpperCase()}${uid.slice(1)}`,
+        email: `${uid}@example.com`,
+        achievements: [],
+        connectionIds: [],
+        preferences: { privacy: { profileVisibility: 'connectionsOnly' } },
+        ...overrides
+    };
+    await db.collection('users').doc(uid).set(user);
+    return user;
+}
+
+// Register a push token for one of the user's devices; returns the token
+async function seedDevice(uid, deviceId = 'phone') {
+    const token = `token-${uid}-${deviceId}`;
+    await db.collection('users').doc(uid).collection('fcmTokens').doc(deviceId).set({
+        token,
+        deviceId,
+        updatedAt: admin.firestore.Timestamp.now()
+    });
+    return token;
+}
+
+async function seedSettings(uid, overrides = {}) {
+    await db.collection('userSettings').doc(uid).set({ timeZone: FIXTURE_TIME_ZONE, dailyReminders: true, ...overrides });
+}
+
+async function seedPartnership(partnershipId, user1Id, user2Id, overrides = {}) {
+    const partnership = {
+        id: partnershipId,
+        user1Id,
+        user2Id,
+        status: 'active',
+        enabledCategories: ['park', 'ride', 'food'],
+        nextAuthorId: user1Id,
+        createdAt: admin.firestore.Timestamp.now(),
+        ...overrides
+    };
+    await db.collection('partnerships').doc(partnershipId).set(partnership);
+    return partnership;
+}
+
+// Stories are keyed by the author's local date, like the app does
+function storyData(authorId, overrides = {}) {
+    return {
+        authorId,
+        authorName: `${authorId.charAt(0).toUpperCase()}${authorId.slice(1)}`,
+        items: { park: 'Epcot', ride: 'Soarin\'', food: 'Dole Whip' },
+        text: '',
+        isFavorite: false,
+        date: admin.firestore.Timestamp.now(),
+        ...overrides
+    };
+}
+
+async function seedStory(partnershipId, storyId, authorId, overrides = {}) {
+    const story = { partnershipId, ...storyData(authorId, overrides) };
+    await db.collection('partnerships').doc(partnershipId).collection('stories').doc(storyId).set(story);
+    return story;
+}
+
+async function seedInvitation(invitationId, fromUserId, overrides = {}) {
+    const invitation = {
+        id: invitationId,
+        fromUserId,
+        fromUserName: fromUserId,
+        fromUserEmail: `${fromUserId}@example.com`,
+        invitationCode: 'ABC234',
+        status: 'pending',
+        createdAt: admin.firestore.Timestamp.now(),
+        expiresAt: daysFromNow(7),
+        ...overrides
+    };
+    await db.collection('palInvitations').doc(invitationId).set(invitation);
+    return invitation;
+}
+
+async function seedBlock(userId, blockedUserId) {
+    await db.collection('users').doc(userId).collection('blockedUsers').doc(blockedUserId).set({
+        blockedAt: admin.firestore.Timestamp.now()
+    });
+}
+
+// Two pals with a device each and an active partnership: the starting point for most tests
+async function seedPals({ partnershipId = 'pair', user1Id = 'alice', user2Id = 'bob' } = {}) {
+    await seedUser(user1Id, { connectionIds: [user2Id] });
+    await seedUser(user2Id, { connectionIds: [user1Id] });
+    const tokens = {
+        [user1Id]: await seedDevice(user1Id),
+        [user2Id]: await seedDevice(user2Id)
+    };
+    const partnership = await seedPartnership(partnershipId, user1Id, user2Id);
+    return { partnershipId, partnership, tokens };
+}
+
+// A story circle owned by its first member, everyone with a profile and a device
+async function seedCircle({ circleId = 'circle', memberIds = ['alice', 'bob', 'carol'], ...overrides } = {}) {
+    const tokens = {};
+    for (const uid of memberIds) {
+        await seedUser(uid, { connectionIds: memberIds.filter(other => other !== uid) });
+        tokens[uid] = await seedDevice(uid);
+    }
+    const circle = {
+        id: circleId,
+        kind: 'circle',
+        name: 'Park Hoppers',
+        memberIds,
+        roles: Object.fromEntries(memberIds.map((uid, index) => [uid, index === 0 ? 'owner' : 'member'])),
+        mutedBy: [],
+        createdBy: memberIds[0],
+        status: 'active',
+        enabledCategories: ['park', 'ride', 'food'],
+        nextAuthorId: memberIds[0],
+        createdAt: admin.firestore.Timestamp.now(),
+        ...overrides
+    };
+    await db.collection('partnerships').doc(circleId).set(circle);
+    return { circleId, circle, tokens };
+}
+
+module.exports = {
+    FIXTURE_TIME_ZONE,
+    daysFromNow,
+    localDateKey,
+    timeZoneAtLocalHour,
+    seedUser,
+    seedDevice,
+    seedSettings,
+    seedPartnership,
+    storyData,
+    seedStory,
+    seedInvitation,
+    seedBlock,
+    seedPals,
+    seedCircle
+};
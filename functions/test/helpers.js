@@ -0,0 +1,194 @@
+// ===== TEST HARNESS =====
+//
+// Tests run against the Firestore and Auth emulators (see `npm test`). Functions are
+// called directly through firebase-functions-test, so no functions emulator is needed and
+// writes made by a test never fire other triggers. FCM and Cloud Storage are replaced with
+// in-memory fakes that record what would have been sent or stored.
+
+const PROJECT_ID = 'demo-wdwdaydreams';
+
+// firebase-functions-test has to be set up before index.js calls admin.initializeApp()
+const test = require('firebase-functions-test')({ projectId: PROJECT_ID });
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+
+const db = admin.firestore();
+
+async function clearEmulator(host, path) {
+    if (!host) {
+        throw new Error('Run the tests through `npm test` so the emulators are started');
+    }
+    const response = await fetch(`http://${host}/emulator/v1/projects/${PROJECT_ID}/${path}`, { method: 'DELETE' });
+    if (!response.ok) {
+        throw new Error(`Could not clear ${path}: ${response.status}`);
+    }
+}
+
+async function clearFirestore() {
+    await clearEmulator(process.env.FIRESTORE_EMULATOR_HOST, 'databases/(default)/documents');
+}
+
+async function clearAuth() {
+    await clearEmulator(process.env.FIREBASE_AUTH_EMULATOR_HOST, 'accounts');
+}
+
+// ===== FAKE MESSAGING =====
+
+// Records every multicast. Set `failures[token]` to an FCM error code to make that device fail.
+function createFakeMessaging() {
+    const messaging = {
+        sent: [],
+        failures: {},
+        async sendEachForMulticast(message) {
+            messaging.sent.push(message);
+            const responses = message.tokens.map(token => (messaging.failures[token]
+                ? { success: false, error: { code: messaging.failures[token], message: `Fake ${messaging.failures[token]}` } }
+                : { success: true, messageId: `fake-${messaging.sent.length}-${token}` }));
+            return {
+                responses,
+                successCount: responses.filter(response => response.success).length,
+                failureCount: responses.filter(response => !response.success).length
+            };
+        },
+        // Messages that included a device token
+        sentTo(token) {
+            return messaging.sent.filter(message => message.tokens.includes(token));
+        },
+        reset() {
+            messaging.sent = [];
+            messaging.failures = {};
+        }
+    };
+    return messaging;
+}
+
+// ===== FAKE STORAGE =====
+
+// Keeps saved files in memory and hands out fake signed URLs
+function createFakeStorage() {
+    const storage = {
+        files: new Map(),
+        bucket() {
+            return {
+                file(name) {
+                    return {
+                        async save(contents, options) {
+                            storage.files.set(name, { contents: String(contents), contentType: options && options.contentType });
+                        },
+                        async getSignedUrl({ expires }) {
+                            return [`https://storage.test/${name}?expires=${expires}`];
+                        }
+                    };
+                },
+                async deleteFiles({ prefix }) {
+                    for (const name of [...storage.files.keys()]) {
+                        if (name.startsWith(prefix)) {
+                            storage.files.delete(name);
+                        }
+                    }
+                }
+            };
+        },
+        reset() {
+            storage.files.clear();
+        }
+    };
+    return storage;
+}
+
+const messaging = createFakeMessaging();
+const storage = createFakeStorage();
+
+// admin.messaging and admin.storage are getters on the namespace, so shadow them
+Object.defineProperty(admin, 'messaging', { value: () => messaging, configurable: true });
+Object.defineProperty(admin, 'storage', { value: () => storage, configurable: true });
+
+// ===== WRAPPED FUNCTIONS =====
+//
+// v2 functions take a single event or request. These wrappers keep the tests' (data,
+// context) call style: triggers get the snapshot or Change as event.data plus the path
+// params, callables get the payload as request.data plus the signed-in auth.
+
+// Pass the same eventId twice to replay a retried event
+function wrapTrigger(fn) {
+    const wrapped = test.wrap(fn);
+    return (data, { params, eventId } = {}) => wrapped({ data, params, ...(eventId ? { id: eventId } : {}) });
+}
+
+function wrapCallable(fn) {
+    const wrapped = test.wrap(fn);
+    return (data, context = {}) => wrapped({ ...context, data });
+}
+
+// Scheduled functions ignore their event, so run them with the current time
+function wrapScheduled(fn) {
+    return () => fn.run({ scheduleTime: new Date().toISOString() });
+}
+
+// ===== CONTEXTS AND SNAPSHOTS =====
+
+// Callable context for a user. Custom claims are set on the Auth emulator account and read
+// back, the same way they reach request.auth.token in production.
+async function signedInAs(uid, claims = {}) {
+    try {
+        await admin.auth().createUser({ uid });
+    } catch (error) {
+        if (error.code !== 'auth/uid-already-exists') {
+            throw error;
+        }
+    }
+    await admin.auth().setCustomUserClaims(uid, claims);
+    const user = await admin.auth().getUser(uid);
+    return { auth: { uid, token: { uid, ...(user.customClaims || {}) } } };
+}
+
+// Write a document and return the snapshot a trigger would receive for it
+async function createDocument(path, data) {
+    await db.doc(path).set(data);
+    return test.firestore.makeDocumentSnapshot(data, path);
+}
+
+// Write `after` over `before` and return the Change an update trigger would receive
+async function updateDocument(path, before, after) {
+    await db.doc(path).set(after);
+    return test.makeChange(
+        test.firestore.makeDocumentSnapshot(before, path),
+        test.firestore.makeDocumentSnapshot(after, path)
+    );
+}
+
+async function getData(path) {
+    const doc = await db.doc(path).get();
+    return doc.exists ? doc.data() : undefined;
+}
+
+async function queryData(collection, field, value) {
+    const snapshot = await db.collection(collection).where(field, '==', value).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+async function resetAll() {
+    messaging.reset();
+    storage.reset();
+    await clearFirestore();
+    await clearAuth();
+}
+
+module.exports = {
+    PROJECT_ID,
+    test,
+    admin,
+    db,
+    myFunctions,
+    messaging,
+    storage,
+    resetAll,
+    wrapTrigger,
+    wrapCallable,
+    wrapScheduled,
+    signedInAs,
+    createDocument,
+    updateDocument,
+    getData,
+    queryData
+};
@@ -0,0 +1,184 @@
+const { test, admin, myFunctions, resetAll, signedInAs, getData, queryData, wrapCallable, wrapScheduled } = require('./helpers');
+const { daysFromNow, seedUser, seedPartnership, seedInvitation, seedBlock } = require('./fixtures');
+
+describe('createInvitation', () => {
+    const createInvitation = wrapCallable(myFunctions.createInvitation);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('creates a pending invitation with a short code', async () => {
+        await seedUser('alice');
+
+        const result = await createInvitation({}, await signedInAs('alice'));
+
+        expect(result.invitationCode).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+        expect(Date.parse(result.expiresAt) - Date.parse(result.createdAt)).toBe(7 * 24 * 60 * 60 * 1000);
+        expect(await getData(`palInvitations/${result.invitationId}`)).toMatchObject({
+            fromUserId: 'alice',
+            fromUserName: 'Alice',
+            invitationCode: result.invitationCode,
+            status: 'pending'
+        });
+    });
+
+    it('limits how many invitations can be created in an hour', async () => {
+        await seedUser('alice');
+        const context = await signedInAs('alice');
+
+        for (let i = 0; i < 5; i++) {
+            await createInvitation({}, context);
+        }
+
+        await expect(createInvitation({}, context)).rejects.toMatchObject({ code: 'resource-exhausted' });
+        expect(await queryData('palInvitations', 'fromUserId', 'alice')).toHaveLength(5);
+    });
+
+    it('limits how many live invitations can be pending', async () => {
+        await seedUser('alice');
+        const context = await signedInAs('alice');
+        for (let i = 0; i < 9; i++) {
+            await seedInvitation(`pending${i}`, 'alice', { invitationCode: `CODE${i}A` });
+        }
+        // Expired invitations don't count toward the limit
+        await seedInvitation('stale', 'alice', { invitationCode: 'OLD234', expiresAt: daysFromNow(-1) });
+
+        await createInvitation({}, context);
+
+        await expect(createInvitation({}, context)).rejects.toMatchObject({ code: 'resource-exhausted' });
+    });
+
+    it('requires a signed-in user with a profile', async () => {
+        await expect(createInvitation({}, {})).rejects.toMatchObject({ code: 'unauthenticated' });
+        await expect(createInvitation({}, await signedInAs('ghost'))).rejects.toMatchObject({ code: 'failed-precondition' });
+    });
+});
+
+describe('redeemInvitation', () => {
+    const redeemInvitation = wrapCallable(myFunctions.redeemInvitation);
+
+    beforeEach(resetAll);
+
+    it('creates the partnership and connects both pals', async () => {
+        await seedUser('alice');
+        await seedUser('bob');
+        await seedInvitation('invite', 'alice');
+
+        const result = await redeemInvitation({ code: 'abc234 ' }, await signedInAs('bob'));
+
+        expect(result).toMatchObject({ palId: 'alice', palName: 'Alice' });
+        expect(await getData(`partnerships/${result.partnershipId}`)).toMatchObject({
+            user1Id: 'alice',
+            user2Id: 'bob',
+            status: 'active',
+            nextAuthorId: 'alice',
+            invitationId: 'invite'
+        });
+        expect(await getData('palInvitations/invite')).toMatchObject({ status: 'accepted', toUserId: 'bob', partnershipId: result.partnershipId });
+        expect((await getData('users/alice')).connectionIds).toContain('bob');
+        expect((await getData('users/bob')).connectionIds).toContain('alice');
+    });
+
+    it('cannot redeem the same code twice', async () => {
+        await seedUser('alice');
+        await seedUser('bob');
+        await seedUser('carol');
+        await seedInvitation('invite', 'alice');
+
+        await redeemInvitation({ code: 'ABC234' }, await signedInAs('bob'));
+
+        await expect(redeemInvitation({ code: 'ABC234' }, await signedInAs('carol'))).rejects.toMatchObject({ code: 'not-found' });
+        expect(await queryData('partnerships', 'user1Id', 'alice')).toHaveLength(1);
+    });
+
+    it('marks expired invitations and refuses them', async () => {
+        await seedUser('alice');
+        await seedUser('bob');
+        await seedInvitation('invite', 'alice', { expiresAt: daysFromNow(-1) });
+
+        await expect(redeemInvitation({ code: 'ABC234' }, await signedInAs('bob'))).rejects.toMatchObject({ code: 'not-found' });
+        expect((await getData('palInvitations/invite')).status).toBe('expired');
+    });
+
+    it('refuses your own invitation', async () => {
+        await seedUser('alice');
+        await seedInvitation('invite', 'alice');
+
+        await expect(redeemInvitation({ code: 'ABC234' }, await signedInAs('alice'))).rejects.toMatchObject({ code: 'failed-precondition' });
+    });
+
+    it('hides blocks behind a not-found error and audits the attempt', async () => {
+        await seedUser('alice');
+        await seedUser('bob');
+        await seedInvitation('invite', 'alice');
+        await seedBlock('alice', 'bob');
+
+        await expect(redeemInvitation({ code: 'ABC234' }, await signedInAs('bob'))).rejects.toMatchObject({ code: 'not-found' });
+
+        expect((await getData('palInvitations/invite')).status).toBe('pending');
+        const [incident] = await queryData('securityIncidents', 'type', 'blocked_invitation_redeem');
+        expect(incident).toMatchObject({ userId: 'bob', inviterId: 'alice', invitationId: 'invite' });
+    });
+
+    it('refuses pals who already share an active partnership', async () => {
+        await seedUser('alice');
+        await seedUser('bob');
+        await seedPartnership('pair', 'bob', 'alice');
+        await seedInvitation('invite', 'alice');
+
+        await expect(redeemInvitation({ code: 'ABC234' }, await signedInAs('bob'))).rejects.toMatchObject({ code: 'already-exists' });
+    });
+
+    it('lets pals pair up again after a block was lifted', async () => {
+        await seedUser('alice');
+        await seedUser('bob');
+        await seedPartnership('old', 'alice', 'bob', { status: 'blocked', blockedBy: 'alice' });
+        await seedInvitation('invite', 'alice');
+
+        const result = await redeemInvitation({ code: 'ABC234' }, await signedInAs('bob'));
+
+        expect(result.partnershipId).not.toBe('old');
+        expect((await getData('partnerships/old')).status).toBe('blocked');
+    });
+
+    it('stops a caller who keeps trying codes that don\'t work', async () => {
+        await seedUser('alice');
+        await seedUser('bob');
+        await seedInvitation('invite', 'alice');
+        const bob = await signedInAs('bob');
+
+        for (let i = 0; i < 10; i++) {
+            await expect(redeemInvitation({ code: 'ZZZ999' }, bob)).rejects.toMatchObject({ code: 'not-found' });
+        }
+
+        await expect(redeemInvitation({ code: 'ABC234' }, bob)).rejects.toMatchObject({ code: 'resource-exhausted' });
+        expect((await getData('palInvitations/invite')).status).toBe('pending');
+        expect((await getData('invitationRateLimits/bob')).redeemFailures.count).toBe(10);
+        await expect(redeemInvitation({ code: 'ABC234' }, await signedInAs('carol'))).resolves.toMatchObject({ palId: 'alice' });
+    });
+
+    it('rejects malformed codes and anonymous callers', async () => {
+        await expect(redeemInvitation({ code: 'ABC' }, await signedInAs('bob'))).rejects.toMatchObject({ code: 'invalid-argument' });
+        await expect(redeemInvitation({}, await signedInAs('bob'))).rejects.toMatchObject({ code: 'invalid-argument' });
+        await expect(redeemInvitation({ code: 'ABC234' }, {})).rejects.toMatchObject({ code: 'unauthenticated' });
+    });
+});
+
+describe('expireInvitations', () => {
+    const expireInvitations = wrapScheduled(myFunctions.expireInvitations);
+
+    beforeEach(resetAll);
+
+    it('expires pending invitations past their expiry and nothing else', async () => {
+        await seedInvitation('stale', 'alice', { expiresAt: daysFromNow(-1) });
+        await seedInvitation('fresh', 'alice', { invitationCode: 'XYZ789' });
+        await seedInvitation('accepted', 'alice', { invitationCode: 'QRS456', status: 'accepted', expiresAt: daysFromNow(-1) });
+
+        await expireInvitations({});
+
+        expect(await getData('palInvitations/stale')).toMatchObject({ status: 'expired' });
+        expect((await getData('palInvitations/stale')).expiredAt).toBeInstanceOf(admin.firestore.Timestamp);
+        expect((await getData('palInvitations/fresh')).status).toBe('pending');
+        expect((await getData('palInvitations/accepted')).status).toBe('accepted');
+    });
+});
@@ -0,0 +1,41 @@
+const { test, db, myFunctions, resetAll, updateDocument, getData, wrapTrigger, wrapScheduled } = require('./helpers');
+const { seedPals, storyData } = require('./fixtures');
+const { metricsDateKey } = require('../services/metrics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('daily metrics', () => {
+    const moderateStoryContent = wrapTrigger(myFunctions.moderateStoryContent);
+    const finalizeDailyMetrics = wrapScheduled(myFunctions.finalizeDailyMetrics);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('counts moderated and flagged stories for the day', async () => {
+        await seedPals();
+
+        for (const [storyId, text] of [['2026-03-01', 'A churro on Main Street.'], ['2026-03-02', 'Email me at someone@example.com for xxx pictures']]) {
+            const path = `partnerships/pair/stories/${storyId}`;
+            const before = storyData('alice');
+            await moderateStoryContent(await updateDocument(path, before, { ...before, text }), { params: { partnershipId: 'pair', storyId } });
+        }
+
+        expect(await getData(`metrics/${metricsDateKey()}`)).toMatchObject({ storiesModerated: 2, storiesFlagged: 1 });
+    });
+
+    it('finalizes yesterday with rates and zeroes for quiet counters', async () => {
+        const yesterday = metricsDateKey(new Date(Date.now() - DAY_MS));
+        await db.doc(`metrics/${yesterday}`).set({ storiesModerated: 4, storiesFlagged: 1, notificationsSent: 9, notificationsFailed: 1 });
+
+        await finalizeDailyMetrics();
+
+        expect(await getData(`metrics/${yesterday}`)).toMatchObject({
+            date: yesterday,
+            storiesModerated: 4,
+            flaggedRate: 0.25,
+            notificationFailureRate: 0.1,
+            deletionsCompleted: 0,
+            finalized: true
+        });
+    });
+});
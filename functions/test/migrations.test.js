@@ -0,0 +1,117 @@
+const { test, admin, db, myFunctions, resetAll, signedInAs, getData, queryData, wrapCallable, wrapTrigger } = require('./helpers');
+const { seedUser, seedPals, seedSettings, seedStory, seedBlock } = require('./fixtures');
+
+const ALIASES = { Jon: 'alice', Carolyn: 'bob' };
+
+function at(iso) {
+    return admin.firestore.Timestamp.fromDate(new Date(iso));
+}
+
+// Legacy stories as the pre-partnership app wrote them
+async function seedLegacyStories() {
+    await db.doc('sharedStories/first').set({ author: 'Jon', date: at('2024-05-01T15:00:00Z'), items: { park: 'Epcot' }, text: 'Our first daydream.' });
+    await db.doc('sharedStories/second').set({ authorId: 'legacy_carolyn', date: at('2024-05-02T15:00:00Z'), items: { ride: 'Soarin\'' }, text: 'Soaring together.', isFavorite: true });
+    await db.doc('sharedStories/sameDay').set({ authorId: 'bob', authorName: 'Carolyn', date: at('2024-05-02T20:00:00Z'), items: {}, text: 'A second one.' });
+    await db.doc('sharedStories/stranger').set({ author: 'Mickey', date: at('2024-05-03T15:00:00Z'), text: 'Who wrote this?' });
+}
+
+describe('migrateSharedStories', () => {
+    const migrateSharedStories = wrapCallable(myFunctions.migrateSharedStories);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('is admin-only and validates the author aliases', async () => {
+        await expect(migrateSharedStories({ authorAliases: ALIASES }, await signedInAs('alice')))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(migrateSharedStories({ authorAliases: { Jon: 42 } }, await signedInAs('root', { admin: true })))
+            .rejects.toMatchObject({ code: 'invalid-argument' });
+    });
+
+    it('reports what would move without writing anything on a dry run', async () => {
+        await seedUser('alice');
+        await seedUser('bob');
+        await seedLegacyStories();
+
+        const report = await migrateSharedStories({ dryRun: true, authorAliases: ALIASES }, await signedInAs('root', { admin: true }));
+
+        expect(report).toMatchObject({ dryRun: true, done: true, scanned: 4, migrated: 3, partnershipsCreated: 1, skipped: { unresolved_author: 1 } });
+        expect(report.entries.find(entry => entry.legacyId === 'sameDay').storyId).toBe('2024-05-02_sameDay');
+        expect(await queryData('partnerships', 'user1Id', 'alice')).toEqual([]);
+        expect((await getData('sharedStories/first')).migration).toBeUndefined();
+        expect(await getData('migrationJobs/sharedStories')).toBeUndefined();
+    });
+
+    it('creates the partnership, preserves authors and dates, and marks each legacy story', async () => {
+        await seedUser('alice');
+        await seedUser('bob');
+        await seedSettings('alice');
+        await seedLegacyStories();
+
+        const report = await migrateSharedStories({ authorAliases: ALIASES }, await signedInAs('root', { admin: true }));
+
+        expect(report).toMatchObject({ done: true, migrated: 3, partnershipsCreated: 1, totals: { migrated: 3 } });
+        expect(await getData('partnerships/legacy_alice_bob')).toMatchObject({ user1Id: 'alice', user2Id: 'bob', status: 'active', migratedFrom: 'sharedStories' });
+        expect(await getData('partnerships/legacy_alice_bob/stories/2024-05-01')).toMatchObject({
+            authorId: 'alice',
+            authorName: 'Alice',
+            text: 'Our first daydream.',
+            date: at('2024-05-01T15:00:00Z'),
+            migratedFrom: { collection: 'sharedStories', id: 'first' }
+        });
+        expect(await getData('partnerships/legacy_alice_bob/stories/2024-05-02')).toMatchObject({ authorId: 'bob', isFavorite: true });
+        expect(await getData('partnerships/legacy_alice_bob/stories/2024-05-02_sameDay')).toMatchObject({ authorId: 'bob', authorName: 'Carolyn' });
+        expect((await getData('users/alice')).connectionIds).toContain('bob');
+
+        expect((await getData('sharedStories/first')).migration).toMatchObject({ partnershipId: 'legacy_alice_bob', storyId: '2024-05-01' });
+        expect((await getData('sharedStories/stranger')).migration).toBeUndefined();
+        expect(await getData('migrationJobs/sharedStories')).toMatchObject({ status: 'completed' });
+    });
+
+    it('uses an existing partnership and never migrates a story twice', async () => {
+        await seedPals();
+        await seedStory('pair', '2024-05-01', 'alice', { text: 'Already here.' });
+        await seedLegacyStories();
+        const rootAdmin = await signedInAs('root', { admin: true });
+
+        await migrateSharedStories({ authorAliases: ALIASES }, rootAdmin);
+        const rerun = await migrateSharedStories({ restart: true }, rootAdmin);
+
+        expect(rerun).toMatchObject({ migrated: 0, alreadyMigrated: 3 });
+        expect(await getData('partnerships/legacy_alice_bob')).toBeUndefined();
+        expect(await getData('partnerships/pair/stories/2024-05-01')).toMatchObject({ text: 'Already here.' });
+        expect(await getData('partnerships/pair/stories/2024-05-01_first')).toMatchObject({ text: 'Our first daydream.' });
+    });
+
+    it('migrates stories already approved, so moderation leaves years-old text alone', async () => {
+        const moderateStoryContent = wrapTrigger(myFunctions.moderateStoryContent);
+        const storyPath = 'partnerships/legacy_alice_bob/stories/2024-05-01';
+        await seedUser('alice');
+        await seedUser('bob');
+        await seedSettings('alice');
+        await db.doc('sharedStories/old').set({ author: 'Jon', date: at('2024-05-01T15:00:00Z'), text: 'Email me at someone@example.com for xxx pictures' });
+
+        await migrateSharedStories({ authorAliases: ALIASES }, await signedInAs('root', { admin: true }));
+        const migrated = await getData(storyPath);
+        await moderateStoryContent(test.makeChange(
+            test.firestore.makeDocumentSnapshot({}, storyPath),
+            test.firestore.makeDocumentSnapshot(migrated, storyPath)
+        ), { params: { partnershipId: 'legacy_alice_bob', storyId: '2024-05-01' } });
+
+        expect(migrated).toMatchObject({ moderationStatus: 'approved', moderatedBy: 'legacy_migration' });
+        expect(await queryData('moderationQueue', 'userId', 'alice')).toEqual([]);
+        expect((await getData(storyPath)).moderationStatus).toBe('approved');
+    });
+
+    it('does not pair up users who have blocked each other', async () => {
+        await seedUser('alice');
+        await seedUser('bob');
+        await seedBlock('bob', 'alice');
+        await seedLegacyStories();
+
+        const report = await migrateSharedStories({ authorAliases: ALIASES }, await signedInAs('root', { admin: true }));
+
+        expect(report).toMatchObject({ migrated: 0, skipped: { blocked: 3, unresolved_author: 1 } });
+        expect(await getData('partnerships/legacy_alice_bob')).toBeUndefined();
+    });
+});
@@ -0,0 +1,363 @@
+const { test, admin, db, myFunctions, messaging, resetAll, signedInAs, createDocument, updateDocument, getData, queryData, wrapTrigger, wrapCallable, wrapScheduled } = require('./helpers');
+const { seedPals, seedUser, seedDevice, seedStory, storyData, daysFromNow } = require('./fixtures');
+
+const CLEAN_TEXT = 'We watched the fireworks over Cinderella Castle with a Mickey pretzel.';
+// Scores above the block threshold
+const BLOCKED_TEXT = 'Email me at someone@example.com for xxx pictures';
+// A spooky story that has to get through
+const SPOOKY_TEXT = 'The ghost host in the Haunted Mansion said we would die laughing, and I\'d kill for a Dole Whip.';
+
+async function strikeIds(userId) {
+    const strikes = await db.collection('userStrikes').doc(userId).collection('strikes').get();
+    return strikes.docs.map(doc => doc.id);
+}
+
+describe('moderateStoryContent', () => {
+    const moderateStoryContent = wrapTrigger(myFunctions.moderateStoryContent);
+    const storyPath = 'partnerships/pair/stories/2026-03-01';
+    const context = { params: { partnershipId: 'pair', storyId: '2026-03-01' } };
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    async function writeStory(text, overrides = {}) {
+        const before = storyData('alice');
+        return moderateStoryContent(await updateDocument(storyPath, before, { ...before, text, ...overrides }), context);
+    }
+
+    it('approves clean stories, including park-themed spooky ones', async () => {
+        await seedPals();
+
+        await writeStory(CLEAN_TEXT);
+        expect(await getData(storyPath)).toMatchObject({ moderationStatus: 'approved', moderationReasons: null });
+
+        await writeStory(SPOOKY_TEXT);
+        expect((await getData(storyPath)).moderationStatus).toBe('approved');
+
+        expect(await queryData('moderationQueue', 'userId', 'alice')).toEqual([]);
+        expect(messaging.sent).toHaveLength(0);
+    });
+
+    it('removes blocked content, queues it, records a strike and tells the author', async () => {
+        const { tokens } = await seedPals();
+
+        await writeStory(BLOCKED_TEXT);
+
+        const story = await getData(storyPath);
+        expect(story.moderationStatus).toBe('removed');
+        expect(story.moderationReasons).toEqual(expect.arrayContaining(['personal_info', 'profanity']));
+
+        const [item] = await queryData('moderationQueue', 'userId', 'alice');
+        expect(item).toMatchObject({ contentType: 'story', contentId: 'pair/2026-03-01', decision: 'block', priority: 'high', autoFlagged: true });
+        expect(await strikeIds('alice')).toEqual([item.id]);
+        expect(messaging.sentTo(tokens.alice)[0].data).toMatchObject({ type: 'moderation_review', contentType: 'story' });
+    });
+
+    it('keeps a hidden story hidden when it is edited clean, and refreshes its queue item', async () => {
+        await seedPals();
+        await writeStory(BLOCKED_TEXT);
+        const removed = await getData(storyPath);
+
+        await moderateStoryContent(await updateDocument(storyPath, removed, { ...removed, text: CLEAN_TEXT }), context);
+
+        expect(await getData(storyPath)).toMatchObject({ moderationStatus: 'removed', moderationReasons: removed.moderationReasons });
+        const items = await queryData('moderationQueue', 'userId', 'alice');
+        expect(items).toHaveLength(1);
+        expect(items[0]).toMatchObject({ status: 'pending', content: CLEAN_TEXT, decision: 'allow', flagReasons: [] });
+    });
+
+    it('supersedes the open queue item when an edit is flagged again', async () => {
+        await seedPals();
+        await writeStory(BLOCKED_TEXT);
+        const removed = await getData(storyPath);
+        const [first] = await queryData('moderationQueue', 'userId', 'alice');
+        const editedText = `${BLOCKED_TEXT}, and a little more`;
+
+        await moderateStoryContent(await updateDocument(storyPath, removed, { ...removed, text: editedText }), context);
+
+        const items = await queryData('moderationQueue', 'userId', 'alice');
+        const second = items.find(item => item.id !== first.id);
+        expect(second).toMatchObject({ status: 'pending', content: editedText });
+        expect(items.find(item => item.id === first.id)).toMatchObject({ status: 'superseded', supersededBy: second.id });
+        expect((await getData(storyPath)).moderationStatus).toBe('removed');
+    });
+
+    it('moves the strike to the latest queue item, so approving the edit clears it', async () => {
+        await seedPals();
+        await writeStory(BLOCKED_TEXT);
+        const removed = await getData(storyPath);
+        const [first] = await queryData('moderationQueue', 'userId', 'alice');
+
+        await moderateStoryContent(await updateDocument(storyPath, removed, { ...removed, text: `${BLOCKED_TEXT}, and a little more` }), context);
+        const second = (await queryData('moderationQueue', 'userId', 'alice')).find(item => item.id !== first.id);
+        expect(await getData(`userStrikes/alice/strikes/${first.id}`)).toMatchObject({ voided: true, voidedBy: 'system' });
+
+        await wrapCallable(myFunctions.approveModerationItem)({ itemId: second.id }, await signedInAs('mod1', { moderator: true }));
+
+        expect(await getData(`userStrikes/alice/strikes/${second.id}`)).toMatchObject({ voided: true });
+        expect(await getData('userRestrictions/alice')).toMatchObject({ activePoints: 0 });
+    });
+
+    it('skips stories without text, already moderated stories and deletions', async () => {
+        await seedPals();
+        const before = storyData('alice');
+
+        await writeStory('   ');
+        // Already moderated and the text didn't change, e.g. the pal favorited it
+        const moderated = storyData('alice', { text: BLOCKED_TEXT, moderationStatus: 'approved' });
+        await moderateStoryContent(await updateDocument(storyPath, moderated, { ...moderated, isFavorite: true }), context);
+        await moderateStoryContent(test.makeChange(
+            test.firestore.makeDocumentSnapshot(before, storyPath),
+            test.firestore.makeDocumentSnapshot({}, storyPath)
+        ), context);
+
+        expect(await queryData('moderationQueue', 'userId', 'alice')).toEqual([]);
+        expect((await getData(storyPath)).moderationStatus).toBe('approved');
+    });
+});
+
+describe('moderateUserProfile', () => {
+    const moderateUserProfile = wrapTrigger(myFunctions.moderateUserProfile);
+    const context = { params: { userId: 'alice' } };
+
+    beforeEach(resetAll);
+
+    it('approves a clean display name', async () => {
+        const before = await seedUser('alice');
+
+        await moderateUserProfile(await updateDocument('users/alice', before, { ...before, displayName: 'Tinker Belle' }), context);
+
+        expect(await getData('users/alice')).toMatchObject({ moderationStatus: 'approved' });
+    });
+
+    it('flags a bio with personal information and notifies the user', async () => {
+        const before = await seedUser('alice');
+        const token = await seedDevice('alice');
+
+        await moderateUserProfile(await updateDocument('users/alice', before, { ...before, bio: 'Call me at 407-555-0123' }), context);
+
+        const profile = await getData('users/alice');
+        expect(profile.moderationStatus).toBe('flagged');
+        expect(profile.moderationReasons).toEqual(['bio_personal_info']);
+        expect(messaging.sentTo(token)[0].data).toMatchObject({ type: 'moderation_review', contentType: 'profile' });
+        expect(await queryData('moderationQueue', 'userId', 'alice')).toHaveLength(1);
+    });
+
+    it('removes a blocked bio and display name from the profile', async () => {
+        const before = await seedUser('alice');
+
+        await moderateUserProfile(await updateDocument('users/alice', before, { ...before, bio: BLOCKED_TEXT }), context);
+
+        const profile = await getData('users/alice');
+        expect(profile.moderationStatus).toBe('removed');
+        expect(profile.bio).toBeUndefined();
+        expect(profile.displayName).toBe(before.displayName);
+        const [item] = await queryData('moderationQueue', 'userId', 'alice');
+        expect(item.content).toBe(BLOCKED_TEXT);
+
+        const named = await getData('users/alice');
+        await moderateUserProfile(await updateDocument('users/alice', named, { ...named, displayName: BLOCKED_TEXT }), context);
+        expect((await getData('users/alice')).displayName).toBe('Disney Pal');
+    });
+
+    it('leaves its own redaction alone', async () => {
+        const before = await seedUser('alice');
+        await moderateUserProfile(await updateDocument('users/alice', before, { ...before, bio: BLOCKED_TEXT }), context);
+        const removed = await getData('users/alice');
+
+        // Removing the bio is a profile write of its own, which runs the function again
+        await moderateUserProfile(test.makeChange(
+            test.firestore.makeDocumentSnapshot({ ...before, bio: BLOCKED_TEXT }, 'users/alice'),
+            test.firestore.makeDocumentSnapshot(removed, 'users/alice')
+        ), context);
+
+        expect((await getData('users/alice')).moderationStatus).toBe('removed');
+    });
+
+    it('ignores updates that leave the name and bio alone', async () => {
+        const before = await seedUser('alice');
+
+        await moderateUserProfile(await updateDocument('users/alice', before, { ...before, lastActiveAt: admin.firestore.Timestamp.now() }), context);
+
+        expect((await getData('users/alice')).moderationStatus).toBeUndefined();
+    });
+});
+
+describe('handleContentReport', () => {
+    const handleContentReport = wrapTrigger(myFunctions.handleContentReport);
+
+    beforeEach(resetAll);
+
+    it('queues user reports with high priority', async () => {
+        const snap = await createDocument('contentReports/report1', {
+            reporterId: 'bob',
+            reportedUserId: 'alice',
+            contentType: 'story',
+            contentId: 'pair/2026-03-01',
+            reason: 'harassment',
+            createdAt: admin.firestore.Timestamp.now()
+        });
+
+        await handleContentReport(snap, { params: { reportId: 'report1' } });
+
+        const [item] = await queryData('moderationQueue', 'reportId', 'report1');
+        expect(item).toMatchObject({ userId: 'alice', reporterId: 'bob', priority: 'high', userReported: true, status: 'pending' });
+        expect((await getData('contentReports/report1')).status).toBe('queued');
+    });
+
+    it('ignores incomplete reports', async () => {
+        const snap = await createDocument('contentReports/report1', { reporterId: 'bob', contentType: 'story' });
+
+        await handleContentReport(snap, { params: { reportId: 'report1' } });
+
+        expect((await db.collection('moderationQueue').get()).size).toBe(0);
+    });
+});
+
+describe('moderator review API', () => {
+    const listModerationQueue = wrapCallable(myFunctions.listModerationQueue);
+    const claimModerationItem = wrapCallable(myFunctions.claimModerationItem);
+    const approveModerationItem = wrapCallable(myFunctions.approveModerationItem);
+    const rejectModerationItem = wrapCallable(myFunctions.rejectModerationItem);
+    const escalateModerationItem = wrapCallable(myFunctions.escalateModerationItem);
+
+    beforeEach(resetAll);
+
+    // A user report against alice's story, as handleContentReport queues it
+    async function seedReportedStory() {
+        const { tokens } = await seedPals();
+        await seedStory('pair', '2026-03-01', 'alice', { text: CLEAN_TEXT, moderationStatus: 'approved' });
+        await db.doc('contentReports/report1').set({ reporterId: 'bob', reportedUserId: 'alice', status: 'queued' });
+        await db.doc('moderationQueue/item1').set({
+            contentType: 'story',
+            contentId: 'pair/2026-03-01',
+            userId: 'alice',
+            reporterId: 'bob',
+            reportId: 'report1',
+            reportReason: 'harassment',
+            status: 'pending',
+            priority: 'high',
+            userReported: true,
+            autoFlagged: false,
+            createdAt: admin.firestore.Timestamp.now()
+        });
+        return tokens;
+    }
+
+    it('is only available to moderators and admins', async () => {
+        await seedReportedStory();
+        const user = await signedInAs('bob');
+
+        await expect(listModerationQueue({}, user)).rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(claimModerationItem({ itemId: 'item1' }, user)).rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(rejectModerationItem({ itemId: 'item1' }, user)).rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(listModerationQueue({}, {})).rejects.toMatchObject({ code: 'unauthenticated' });
+
+        const { items } = await listModerationQueue({}, await signedInAs('root', { admin: true }));
+        expect(items.map(item => item.id)).toEqual(['item1']);
+    });
+
+    it('lets one moderator claim an item at a time', async () => {
+        await seedReportedStory();
+        const first = await signedInAs('mod1', { moderator: true });
+        const second = await signedInAs('mod2', { moderator: true });
+
+        await claimModerationItem({ itemId: 'item1' }, first);
+
+        await expect(claimModerationItem({ itemId: 'item1' }, second)).rejects.toMatchObject({ code: 'failed-precondition' });
+        await expect(approveModerationItem({ itemId: 'item1' }, second)).rejects.toMatchObject({ code: 'failed-precondition' });
+        expect(await getData('moderationQueue/item1')).toMatchObject({ status: 'in_review', claimedBy: 'mod1' });
+    });
+
+    it('upholding a report removes the content and strikes the author', async () => {
+        const tokens = await seedReportedStory();
+
+        const result = await rejectModerationItem({ itemId: 'item1', note: 'Confirmed' }, await signedInAs('mod1', { moderator: true }));
+
+        expect(result).toEqual({ itemId: 'item1', status: 'rejected', resolution: 'content_removed' });
+        expect((await getData('partnerships/pair/stories/2026-03-01')).moderationStatus).toBe('removed');
+        expect(await getData('contentReports/report1')).toMatchObject({ status: 'resolved', reviewedBy: 'mod1' });
+        expect(await strikeIds('alice')).toEqual(['item1']);
+        // An upheld report is enough points for a story suspension
+        expect((await getData('userRestrictions/alice')).storiesSuspendedUntil.toMillis()).toBeGreaterThan(Date.now());
+
+        const types = messaging.sentTo(tokens.alice).map(message => message.data.type);
+        expect(types).toEqual(expect.arrayContaining(['account_restricted', 'moderation_resolved']));
+    });
+
+    it('approving an automatic flag restores the content and voids its strike', async () => {
+        const { tokens } = await seedPals();
+        await seedStory('pair', '2026-03-01', 'alice', { text: 'Some text', moderationStatus: 'flagged' });
+        await db.doc('moderationQueue/item1').set({
+            contentType: 'story',
+            contentId: 'pair/2026-03-01',
+            userId: 'alice',
+            status: 'pending',
+            autoFlagged: true,
+            createdAt: admin.firestore.Timestamp.now()
+        });
+        await db.doc('userStrikes/alice/strikes/item1').set({
+            source: 'auto_moderation',
+            decision: 'review',
+            points: 1,
+            voided: false,
+            createdAt: admin.firestore.Timestamp.now(),
+            expiresAt: daysFromNow(90)
+        });
+
+        await approveModerationItem({ itemId: 'item1' }, await signedInAs('mod1', { moderator: true }));
+
+        expect((await getData('partnerships/pair/stories/2026-03-01')).moderationStatus).toBe('approved');
+        expect(await getData('userStrikes/alice/strikes/item1')).toMatchObject({ voided: true, voidedBy: 'mod1' });
+        expect(messaging.sentTo(tokens.alice).map(message => message.data.type)).toContain('moderation_resolved');
+    });
+
+    it('dismissing a report about visible content doesn\'t tell the author', async () => {
+        const tokens = await seedReportedStory();
+
+        await approveModerationItem({ itemId: 'item1' }, await signedInAs('mod1', { moderator: true }));
+
+        expect(await getData('contentReports/report1')).toMatchObject({ status: 'dismissed' });
+        expect(messaging.sentTo(tokens.alice)).toHaveLength(0);
+    });
+
+    it('escalates without touching the content, and refuses to resolve an item twice', async () => {
+        await seedReportedStory();
+        const moderator = await signedInAs('mod1', { moderator: true });
+
+        await escalateModerationItem({ itemId: 'item1', note: 'Needs a second look' }, moderator);
+        expect(await getData('moderationQueue/item1')).toMatchObject({ status: 'escalated', escalatedBy: 'mod1' });
+        expect((await getData('partnerships/pair/stories/2026-03-01')).moderationStatus).toBe('approved');
+
+        await approveModerationItem({ itemId: 'item1' }, moderator);
+        await expect(rejectModerationItem({ itemId: 'item1' }, moderator)).rejects.toMatchObject({ code: 'failed-precondition' });
+        await expect(approveModerationItem({ itemId: 'missing' }, moderator)).rejects.toMatchObject({ code: 'not-found' });
+        await expect(approveModerationItem({}, moderator)).rejects.toMatchObject({ code: 'invalid-argument' });
+    });
+});
+
+describe('liftExpiredRestrictions', () => {
+    const liftExpiredRestrictions = wrapScheduled(myFunctions.liftExpiredRestrictions);
+
+    beforeEach(resetAll);
+
+    it('lifts restrictions whose time has passed and keeps the rest', async () => {
+        await db.doc('userRestrictions/alice').set({
+            restricted: true,
+            restrictedUntil: daysFromNow(-1),
+            storiesSuspendedUntil: daysFromNow(-1)
+        });
+        await db.doc('userRestrictions/bob').set({
+            restricted: true,
+            restrictedUntil: daysFromNow(2),
+            storiesSuspendedUntil: daysFromNow(2)
+        });
+
+        await liftExpiredRestrictions({});
+
+        const alice = await getData('userRestrictions/alice');
+        expect(alice.restricted).toBe(false);
+        expect(alice.storiesSuspendedUntil).toBeUndefined();
+        expect(await getData('userRestrictions/bob')).toMatchObject({ restricted: true });
+    });
+});
@@ -0,0 +1,206 @@
+const { test, admin, db, myFunctions, messaging, resetAll, createDocument, getData, queryData, wrapTrigger, wrapScheduled } = require('./helpers');
+const { seedPals, seedUser, seedDevice, seedBlock } = require('./fixtures');
+
+let queueCount = 0;
+
+// A queue item as the app writes it; returns the snapshot processNotificationQueue receives
+async function queueNotification(overrides = {}) {
+    queueCount++;
+    return createDocument(`notificationQueue/request${queueCount}`, {
+        requesterId: 'alice',
+        targetUserId: 'bob',
+        type: 'story_completed',
+        createdAt: admin.firestore.Timestamp.now(),
+        processed: false,
+        ...overrides
+    });
+}
+
+async function rejectionReasons() {
+    const incidents = await queryData('securityIncidents', 'type', 'notification_rejected');
+    return incidents.map(incident => incident.reason);
+}
+
+describe('processNotificationQueue', () => {
+    const processNotificationQueue = wrapTrigger(myFunctions.processNotificationQueue);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('sends the templated push to the pal and records the delivery', async () => {
+        const { tokens } = await seedPals();
+        const snap = await queueNotification();
+
+        await processNotificationQueue(snap);
+
+        const [push] = messaging.sentTo(tokens.bob);
+        expect(push.notification.body).toBe('Alice just finished their Disney Daydream! Read it now!');
+        expect(push.data).toEqual({ type: 'story_completed', requesterId: 'alice', partnershipId: 'pair' });
+
+        expect(await getData(`notificationQueue/${snap.id}`)).toMatchObject({ processed: true, delivered: true, deliveryId: snap.id });
+        expect(await getData(`notificationDeliveries/${snap.id}`)).toMatchObject({ userId: 'bob', status: 'delivered', deliveredCount: 1 });
+    });
+
+    it('skips items that were already processed', async () => {
+        await seedPals();
+
+        await processNotificationQueue(await queueNotification({ processed: true }));
+
+        expect(messaging.sent).toHaveLength(0);
+    });
+
+    it('rejects raw tokens and client-written text', async () => {
+        await seedPals();
+        const snap = await queueNotification({ targetToken: 'stolen-token', title: 'Hi', body: 'Click here' });
+
+        await processNotificationQueue(snap);
+
+        expect(messaging.sent).toHaveLength(0);
+        expect(await getData(`notificationQueue/${snap.id}`)).toMatchObject({ processed: true, rejected: true, error: 'raw_token_request' });
+        expect(await rejectionReasons()).toEqual(['raw_token_request']);
+    });
+
+    it('rejects requests to yourself and unknown types', async () => {
+        await seedPals();
+
+        await processNotificationQueue(await queueNotification({ targetUserId: 'alice' }));
+        await processNotificationQueue(await queueNotification({ type: 'free_money' }));
+
+        expect(messaging.sent).toHaveLength(0);
+        expect((await rejectionReasons()).sort()).toEqual(['invalid_participants', 'unknown_type']);
+    });
+
+    it('rejects users who are not pals', async () => {
+        await seedPals();
+        await seedUser('mallory');
+        const malloryToken = await seedDevice('mallory');
+
+        await processNotificationQueue(await queueNotification({ targetUserId: 'mallory' }));
+
+        expect(messaging.sentTo(malloryToken)).toHaveLength(0);
+        expect(await rejectionReasons()).toEqual(['not_partners']);
+    });
+
+    it('rejects pals who have blocked each other, in either direction', async () => {
+        await seedPals();
+        await seedBlock('bob', 'alice');
+
+        await processNotificationQueue(await queueNotification());
+        await processNotificationQueue(await queueNotification({ requesterId: 'bob', targetUserId: 'alice' }));
+
+        expect(messaging.sent).toHaveLength(0);
+        expect(await rejectionReasons()).toEqual(['blocked', 'blocked']);
+    });
+
+    it('rate limits each requester', async () => {
+        const { tokens } = await seedPals();
+
+        for (let i = 0; i < 4; i++) {
+            await processNotificationQueue(await queueNotification());
+        }
+
+        expect(messaging.sentTo(tokens.bob)).toHaveLength(3);
+        expect(await rejectionReasons()).toEqual(['rate_limited']);
+        expect((await getData('notificationRateLimits/alice')).minute.count).toBe(3);
+    });
+
+    it('rate limits requests before checking who they are for', async () => {
+        await seedPals();
+        await seedUser('mallory');
+
+        for (let i = 0; i < 5; i++) {
+            await processNotificationQueue(await queueNotification({ targetUserId: 'mallory' }));
+        }
+
+        expect(messaging.sent).toHaveLength(0);
+        expect((await rejectionReasons()).sort()).toEqual(['not_partners', 'not_partners', 'not_partners', 'rate_limited', 'rate_limited']);
+    });
+});
+
+describe('retryNotificationDeliveries', () => {
+    const processNotificationQueue = wrapTrigger(myFunctions.processNotificationQueue);
+    const retryNotificationDeliveries = wrapScheduled(myFunctions.retryNotificationDeliveries);
+
+    beforeEach(resetAll);
+
+    // Make a retrying delivery due now instead of after its backoff
+    async function makeDue(deliveryId) {
+        await db.collection('notificationDeliveries').doc(deliveryId).update({
+            nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() - 1000)
+        });
+    }
+
+    it('retries devices that failed with a transient error', async () => {
+        const { tokens } = await seedPals();
+        messaging.failures[tokens.bob] = 'messaging/server-unavailable';
+        const snap = await queueNotification();
+
+        await processNotificationQueue(snap);
+
+        const retrying = await getData(`notificationDeliveries/${snap.id}`);
+        expect(retrying).toMatchObject({ status: 'retrying', attemptCount: 1, pendingTokens: [tokens.bob] });
+        expect(retrying.nextAttemptAt.toMillis()).toBeGreaterThan(Date.now());
+
+        delete messaging.failures[tokens.bob];
+        await makeDue(snap.id);
+        await retryNotificationDeliveries({});
+
+        const delivered = await getData(`notificationDeliveries/${snap.id}`);
+        expect(delivered).toMatchObject({ status: 'delivered', attemptCount: 2, deliveredCount: 1, pendingTokens: [] });
+        expect(delivered.nextAttemptAt).toBeUndefined();
+        expect((await db.collection('notificationDeliveries').doc(snap.id).collection('attempts').get()).size).toBe(2);
+    });
+
+    it('leaves deliveries alone until their backoff has passed', async () => {
+        const { tokens } = await seedPals();
+        messaging.failures[tokens.bob] = 'messaging/internal-error';
+        const snap = await queueNotification();
+        await processNotificationQueue(snap);
+
+        await retryNotificationDeliveries({});
+
+        expect(messaging.sentTo(tokens.bob)).toHaveLength(1);
+        expect(await getData(`notificationDeliveries/${snap.id}`)).toMatchObject({ attemptCount: 1 });
+    });
+
+    it('prunes dead tokens instead of retrying them', async () => {
+        const { tokens } = await seedPals();
+        messaging.failures[tokens.bob] = 'messaging/registration-token-not-registered';
+        const snap = await queueNotification();
+
+        await processNotificationQueue(snap);
+
+        expect(await getData('users/bob/fcmTokens/phone')).toBeUndefined();
+        expect(await getData(`notificationDeliveries/${snap.id}`)).toMatchObject({ status: 'dead_letter', pendingTokens: [] });
+    });
+
+    it('moves a delivery to the dead letter state after the last attempt', async () => {
+        const { tokens } = await seedPals();
+        messaging.failures[tokens.bob] = 'messaging/server-unavailable';
+        const snap = await queueNotification();
+        await processNotificationQueue(snap);
+
+        for (let attempt = 2; attempt <= 6; attempt++) {
+            await makeDue(snap.id);
+            await retryNotificationDeliveries({});
+        }
+
+        const delivery = await getData(`notificationDeliveries/${snap.id}`);
+        expect(delivery).toMatchObject({ status: 'dead_letter', attemptCount: 6 });
+        expect(delivery.nextAttemptAt).toBeUndefined();
+    });
+
+    it('drops devices that were unregistered since the failed attempt', async () => {
+        const { tokens } = await seedPals();
+        messaging.failures[tokens.bob] = 'messaging/server-unavailable';
+        const snap = await queueNotification();
+        await processNotificationQueue(snap);
+
+        await db.doc('users/bob/fcmTokens/phone').delete();
+        await makeDue(snap.id);
+        await retryNotificationDeliveries({});
+
+        expect(messaging.sent).toHaveLength(1);
+        expect(await getData(`notificationDeliveries/${snap.id}`)).toMatchObject({ status: 'dead_letter', pendingTokens: [] });
+    });
+});
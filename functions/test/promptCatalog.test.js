@@ -0,0 +1,115 @@
+const admin = require('firebase-admin');
+const { test, db, myFunctions, resetAll, signedInAs, getData, wrapCallable } = require('./helpers');
+const { FIXTURE_TIME_ZONE, localDateKey, seedPals } = require('./fixtures');
+const { CATEGORY_CATALOG } = require('../catalog');
+const { catalogEntryId } = require('../services/promptCatalog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isoDaysFromNow(days) {
+    return new Date(Date.now() + days * DAY_MS).toISOString();
+}
+
+describe('prompt catalog', () => {
+    const getPromptCatalog = wrapCallable(myFunctions.getPromptCatalog);
+    const addPromptCatalogEntry = wrapCallable(myFunctions.addPromptCatalogEntry);
+    const retirePromptCatalogEntry = wrapCallable(myFunctions.retirePromptCatalogEntry);
+    const schedulePromptCatalogEntry = wrapCallable(myFunctions.schedulePromptCatalogEntry);
+    const listPromptCatalogEntries = wrapCallable(myFunctions.listPromptCatalogEntries);
+    const ensureDailyPrompt = wrapCallable(myFunctions.ensureDailyPrompt);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('serves the bundled lists until an admin changes the catalog', async () => {
+        await seedPals();
+
+        const catalog = await getPromptCatalog({ partnershipId: 'pair' }, await signedInAs('bob'));
+
+        expect(catalog).toMatchObject({ schemaVersion: 1, version: 0, refreshAfter: null });
+        expect(Object.keys(catalog.categories).sort()).toEqual(['food', 'park', 'ride']);
+        expect(catalog.categories.ride).toEqual(CATEGORY_CATALOG.ride);
+        await expect(getPromptCatalog({ partnershipId: 'pair' }, await signedInAs('mallory'))).rejects.toMatchObject({ code: 'permission-denied' });
+    });
+
+    it('adds, retires and schedules entries, bumping the version each time', async () => {
+        await seedPals();
+        const rootAdmin = await signedInAs('root', { admin: true });
+        const alice = await signedInAs('alice');
+        const partyStarts = isoDaysFromNow(10);
+
+        const added = await addPromptCatalogEntry({ category: 'ride', name: 'Tiana\'s Bayou Adventure' }, rootAdmin);
+        await retirePromptCatalogEntry({ entryId: catalogEntryId('ride', 'Space Mountain') }, rootAdmin);
+        const party = await addPromptCatalogEntry({
+            category: 'food',
+            name: 'Pumpkin Spice Churro',
+            availableFrom: partyStarts,
+            availableUntil: isoDaysFromNow(40)
+        }, rootAdmin);
+
+        const catalog = await getPromptCatalog({ partnershipId: 'pair' }, alice);
+        expect(catalog.version).toBe(3);
+        expect(catalog.categories.ride).toContain('Tiana\'s Bayou Adventure');
+        expect(catalog.categories.ride).not.toContain('Space Mountain');
+        expect(catalog.categories.food).not.toContain('Pumpkin Spice Churro');
+        expect(catalog.refreshAfter).toBe(partyStarts);
+
+        await schedulePromptCatalogEntry({ entryId: party.entryId, availableFrom: null, availableUntil: isoDaysFromNow(40) }, rootAdmin);
+        const scheduled = await getPromptCatalog({ partnershipId: 'pair' }, alice);
+        expect(scheduled.version).toBe(4);
+        expect(scheduled.categories.food).toContain('Pumpkin Spice Churro');
+
+        const { entries } = await listPromptCatalogEntries({}, rootAdmin);
+        expect(entries).toContainEqual(expect.objectContaining({ entryId: added.entryId, status: 'active', bundled: false }));
+        expect(entries).toContainEqual(expect.objectContaining({ entryId: catalogEntryId('ride', 'Space Mountain'), status: 'retired', bundled: true }));
+        expect(await getData(`promptCatalogEntries/${party.entryId}`)).toMatchObject({ schemaVersion: 1, updatedBy: 'root', availableFrom: null });
+    });
+
+    it('is only changed by admins, with valid entries', async () => {
+        const rootAdmin = await signedInAs('root', { admin: true });
+
+        await expect(addPromptCatalogEntry({ category: 'ride', name: 'Tiana\'s Bayou Adventure' }, await signedInAs('alice')))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(addPromptCatalogEntry({ category: 'ride', name: 'Space Mountain' }, rootAdmin)).rejects.toMatchObject({ code: 'already-exists' });
+        await expect(addPromptCatalogEntry({ category: 'castle', name: 'Cinderella Castle' }, rootAdmin)).rejects.toMatchObject({ code: 'invalid-argument' });
+        await expect(addPromptCatalogEntry({ category: 'food', name: 'Churro', availableFrom: isoDaysFromNow(5), availableUntil: isoDaysFromNow(1) }, rootAdmin))
+            .rejects.toMatchObject({ code: 'invalid-argument' });
+        await expect(retirePromptCatalogEntry({ entryId: 'ride__nope' }, rootAdmin)).rejects.toMatchObject({ code: 'not-found' });
+        await expect(retirePromptCatalogEntry({ entryId: 'ride__space/mountain' }, rootAdmin)).rejects.toMatchObject({ code: 'invalid-argument' });
+        await expect(schedulePromptCatalogEntry({ entryId: '../promptCatalog/current', availableFrom: null, availableUntil: null }, rootAdmin))
+            .rejects.toMatchObject({ code: 'invalid-argument' });
+        expect(await getData('promptCatalog/current')).toBeUndefined();
+    });
+
+    it('falls back to the bundled list without its retired entries when nothing is live', async () => {
+        await seedPals();
+        const rootAdmin = await signedInAs('root', { admin: true });
+        const [retiredFood, ...liveFood] = CATEGORY_CATALOG.food;
+        await retirePromptCatalogEntry({ entryId: catalogEntryId('food', retiredFood) }, rootAdmin);
+        // The only other food entries are outside their window
+        for (const name of liveFood) {
+            await schedulePromptCatalogEntry({ entryId: catalogEntryId('food', name), availableFrom: isoDaysFromNow(5), availableUntil: null }, rootAdmin);
+        }
+
+        const catalog = await getPromptCatalog({ partnershipId: 'pair' }, await signedInAs('alice'));
+
+        expect(catalog.categories.food).toEqual(liveFood);
+    });
+
+    it('builds daily prompts from the live catalog', async () => {
+        await seedPals();
+        const batch = db.batch();
+        for (const name of CATEGORY_CATALOG.ride.filter(ride => ride !== 'Haunted Mansion')) {
+            batch.set(db.collection('promptCatalogEntries').doc(catalogEntryId('ride', name)), { schemaVersion: 1, category: 'ride', name, status: 'retired' });
+        }
+        // An entry from a newer schema is ignored rather than misread
+        batch.set(db.collection('promptCatalogEntries').doc('ride__hyperloop'), { schemaVersion: 2, category: 'ride', name: 'Hyperloop', status: 'active' });
+        batch.set(db.doc('promptCatalog/current'), { schemaVersion: 1, version: 7, updatedAt: admin.firestore.Timestamp.now() });
+        await batch.commit();
+
+        await ensureDailyPrompt({ partnershipId: 'pair' }, await signedInAs('alice'));
+
+        const story = await getData(`partnerships/pair/stories/${localDateKey(new Date(), FIXTURE_TIME_ZONE)}`);
+        expect(story).toMatchObject({ catalogVersion: 7, items: expect.objectContaining({ ride: 'Haunted Mansion' }) });
+    });
+});
@@ -0,0 +1,165 @@
+const { test, admin, db, myFunctions, messaging, resetAll, signedInAs, getData, queryData, wrapCallable, wrapScheduled } = require('./helpers');
+const { FIXTURE_TIME_ZONE, localDateKey, timeZoneAtLocalHour, seedPals, seedCircle, seedBlock, seedSettings, seedStory } = require('./fixtures');
+
+async function storyIds(partnershipId) {
+    const stories = await db.collection('partnerships').doc(partnershipId).collection('stories').get();
+    return stories.docs.map(doc => doc.id);
+}
+
+describe('generateDailyPrompts', () => {
+    const generateDailyPrompts = wrapScheduled(myFunctions.generateDailyPrompts);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('creates today\'s prompt for the next author and notifies them', async () => {
+        const { tokens } = await seedPals();
+        await seedSettings('alice');
+
+        await generateDailyPrompts({});
+
+        const today = localDateKey(new Date(), FIXTURE_TIME_ZONE);
+        const story = await getData(`partnerships/pair/stories/${today}`);
+        expect(story).toMatchObject({ authorId: 'alice', authorName: 'Alice', generatedBy: 'server', timeZone: FIXTURE_TIME_ZONE });
+        expect(Object.keys(story.items).sort()).toEqual(['food', 'park', 'ride']);
+
+        expect(await getData('partnerships/pair')).toMatchObject({ nextAuthorId: 'bob', lastPromptDate: today });
+        expect(messaging.sentTo(tokens.alice)[0].data).toMatchObject({ type: 'new_prompt', storyId: today });
+        expect(messaging.sentTo(tokens.bob)).toHaveLength(0);
+    });
+
+    it('creates one prompt per day however often it runs', async () => {
+        const { tokens } = await seedPals();
+
+        await generateDailyPrompts({});
+        await generateDailyPrompts({});
+
+        expect(await storyIds('pair')).toHaveLength(1);
+        expect(messaging.sentTo(tokens.alice)).toHaveLength(1);
+    });
+
+    it('skips partnerships that are no longer active', async () => {
+        await seedPals();
+        await db.doc('partnerships/pair').update({ status: 'blocked' });
+
+        await generateDailyPrompts({});
+
+        expect(await storyIds('pair')).toEqual([]);
+        expect(messaging.sent).toHaveLength(0);
+    });
+});
+
+describe('ensureDailyPrompt', () => {
+    const ensureDailyPrompt = wrapCallable(myFunctions.ensureDailyPrompt);
+
+    beforeEach(resetAll);
+
+    it('creates the prompt on demand and only notifies the pal', async () => {
+        const { tokens } = await seedPals();
+
+        const bobResult = await ensureDailyPrompt({ partnershipId: 'pair' }, await signedInAs('bob'));
+        const aliceResult = await ensureDailyPrompt({ partnershipId: 'pair' }, await signedInAs('alice'));
+
+        expect(bobResult).toMatchObject({ created: true, authorId: 'alice' });
+        expect(aliceResult).toMatchObject({ created: false, storyId: bobResult.storyId, authorId: 'alice' });
+        expect(messaging.sentTo(tokens.alice)).toHaveLength(1);
+    });
+
+    it('does not push to the caller when they are the author', async () => {
+        await seedPals();
+
+        const result = await ensureDailyPrompt({ partnershipId: 'pair' }, await signedInAs('alice'));
+
+        expect(result).toMatchObject({ created: true, authorId: 'alice' });
+        expect(messaging.sent).toHaveLength(0);
+    });
+
+    it('hides a new circle story from members blocked either way', async () => {
+        await seedCircle({ memberIds: ['alice', 'bob', 'carol', 'dave'] });
+        await seedBlock('carol', 'alice');
+        await seedBlock('alice', 'dave');
+
+        const result = await ensureDailyPrompt({ partnershipId: 'circle' }, await signedInAs('bob'));
+
+        expect(result).toMatchObject({ created: true, authorId: 'alice' });
+        expect((await getData(`partnerships/circle/stories/${result.storyId}`)).hiddenFor.sort()).toEqual(['carol', 'dave']);
+    });
+
+    it('rejects callers outside the partnership and bad input', async () => {
+        await seedPals();
+
+        await expect(ensureDailyPrompt({ partnershipId: 'pair' }, await signedInAs('mallory')))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(ensureDailyPrompt({ partnershipId: 'missing' }, await signedInAs('alice')))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(ensureDailyPrompt({}, await signedInAs('alice')))
+            .rejects.toMatchObject({ code: 'invalid-argument' });
+        await expect(ensureDailyPrompt({ partnershipId: 'pair' }, {}))
+            .rejects.toMatchObject({ code: 'unauthenticated' });
+        expect(await storyIds('pair')).toEqual([]);
+    });
+});
+
+describe('sendDailyReminders', () => {
+    const sendDailyReminders = wrapScheduled(myFunctions.sendDailyReminders);
+
+    beforeEach(resetAll);
+
+    // Today's unwritten prompt for alice, in a zone where it's currently evening
+    async function seedEveningPrompt(settings = {}) {
+        const timeZone = timeZoneAtLocalHour(17, 21);
+        const { tokens } = await seedPals();
+        await seedSettings('alice', { timeZone, ...settings });
+        await seedStory('pair', localDateKey(new Date(), timeZone), 'alice');
+        return tokens;
+    }
+
+    it('reminds the author once per stage', async () => {
+        const tokens = await seedEveningPrompt();
+
+        await sendDailyReminders({});
+        await sendDailyReminders({});
+
+        const reminders = messaging.sentTo(tokens.alice);
+        expect(reminders).toHaveLength(1);
+        expect(reminders[0].data).toMatchObject({ type: 'daily_reminder', partnershipId: 'pair' });
+        expect(messaging.sentTo(tokens.bob)).toHaveLength(0);
+
+        const [log] = await queryData('reminderLog', 'userId', 'alice');
+        expect(log).toMatchObject({ partnershipId: 'pair', status: 'sent', delivered: true });
+    });
+
+    it('sends a reminder again after a failed or abandoned send', async () => {
+        const tokens = await seedEveningPrompt();
+        const dateKey = (await db.collection('partnerships').doc('pair').collection('stories').get()).docs[0].id;
+        const [gentle, palWaiting] = ['gentle', 'pal_waiting'].map(stage => db.doc(`reminderLog/pair_${dateKey}_${stage}`));
+        await gentle.set({ userId: 'alice', status: 'failed' });
+        await palWaiting.set({ userId: 'alice', status: 'sending', claimedAt: admin.firestore.Timestamp.fromMillis(Date.now() - 60 * 60 * 1000) });
+
+        await sendDailyReminders({});
+
+        expect(messaging.sentTo(tokens.alice)).toHaveLength(1);
+        const statuses = [(await gentle.get()).data().status, (await palWaiting.get()).data().status];
+        expect(statuses).toContain('sent');
+    });
+
+    it('respects the reminder setting and quiet hours', async () => {
+        const tokens = await seedEveningPrompt({ dailyReminders: false });
+
+        await sendDailyReminders({});
+        await seedSettings('alice', { timeZone: timeZoneAtLocalHour(17, 21), quietHoursStart: 0, quietHoursEnd: 23 });
+        await sendDailyReminders({});
+
+        expect(messaging.sentTo(tokens.alice)).toHaveLength(0);
+    });
+
+    it('does not remind about a story that was already written', async () => {
+        const tokens = await seedEveningPrompt();
+        const [story] = (await db.collection('partnerships').doc('pair').collection('stories').get()).docs;
+        await story.ref.update({ text: 'Already written!' });
+
+        await sendDailyReminders({});
+
+        expect(messaging.sentTo(tokens.alice)).toHaveLength(0);
+    });
+});
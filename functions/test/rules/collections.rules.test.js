@@ -0,0 +1,234 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { doc, getDoc, setDoc, updateDoc, deleteDoc, serverTimestamp } = require('firebase/firestore');
+const { createRulesEnvironment, seed, hoursFromNow } = require('./helpers');
+
+let testEnv;
+
+function as(uid) {
+    return uid ? testEnv.authenticatedContext(uid).firestore() : testEnv.unauthenticatedContext().firestore();
+}
+
+beforeAll(async () => {
+    testEnv = await createRulesEnvironment();
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(() => testEnv.clearFirestore());
+
+describe('palInvitations/{invitationId}', () => {
+    const invitation = {
+        code: 'ABC234',
+        fromUserId: 'alice',
+        toUserId: 'bob',
+        status: 'pending',
+        expiresAt: hoursFromNow(24)
+    };
+
+    beforeEach(() => seed(testEnv, { 'palInvitations/invite': invitation }));
+
+    it('is readable by its sender and recipient only', async () => {
+        await assertSucceeds(getDoc(doc(as('alice'), 'palInvitations/invite')));
+        await assertSucceeds(getDoc(doc(as('bob'), 'palInvitations/invite')));
+
+        await assertFails(getDoc(doc(as('mallory'), 'palInvitations/invite')));
+        await assertFails(getDoc(doc(as(null), 'palInvitations/invite')));
+    });
+
+    it('can only be created through createInvitation', async () => {
+        await assertFails(setDoc(doc(as('alice'), 'palInvitations/direct'), { ...invitation, code: 'XYZ789' }));
+    });
+
+    it('can only be withdrawn by its sender while pending', async () => {
+        await assertFails(updateDoc(doc(as('bob'), 'palInvitations/invite'), { status: 'declined' }));
+        await assertFails(updateDoc(doc(as('alice'), 'palInvitations/invite'), { status: 'accepted' }));
+        await assertFails(updateDoc(doc(as('alice'), 'palInvitations/invite'), { status: 'declined', toUserId: 'mallory' }));
+
+        await assertSucceeds(updateDoc(doc(as('alice'), 'palInvitations/invite'), { status: 'declined' }));
+        await assertFails(updateDoc(doc(as('alice'), 'palInvitations/invite'), { status: 'declined' }));
+    });
+
+    it('can only be deleted by its sender', async () => {
+        await assertFails(deleteDoc(doc(as('bob'), 'palInvitations/invite')));
+        await assertSucceeds(deleteDoc(doc(as('alice'), 'palInvitations/invite')));
+    });
+});
+
+describe('owner-only collections', () => {
+    const ownerOnly = [
+        ['userStories', 'userStories/alice/favorites/2026-03-01', { partnershipId: 'pair' }],
+        ['userSettings', 'userSettings/alice', { timeZone: 'America/New_York' }],
+        ['connectionTest', 'connectionTest/alice', { ok: true }]
+    ];
+
+    it.each(ownerOnly)('%s is readable and writable by the owner only', async (name, path, data) => {
+        await assertSucceeds(setDoc(doc(as('alice'), path), data));
+        await assertSucceeds(getDoc(doc(as('alice'), path)));
+
+        await assertFails(getDoc(doc(as('bob'), path)));
+        await assertFails(setDoc(doc(as('bob'), path), data));
+        await assertFails(getDoc(doc(as(null), path)));
+    });
+});
+
+describe('notificationQueue/{queueId}', () => {
+    function request(overrides = {}) {
+        return {
+            requesterId: 'alice',
+            targetUserId: 'bob',
+            type: 'new_prompt',
+            createdAt: serverTimestamp(),
+            processed: false,
+            ...overrides
+        };
+    }
+
+    it('accepts a well-formed request from the signed-in requester', async () => {
+        await assertSucceeds(setDoc(doc(as('alice'), 'notificationQueue/ok'), request()));
+    });
+
+    it('rejects spoofed, malformed and pre-processed requests', async () => {
+        const queued = doc(as('alice'), 'notificationQueue/bad');
+
+        await assertFails(setDoc(queued, request({ requesterId: 'bob', targetUserId: 'alice' })));
+        await assertFails(setDoc(queued, request({ targetUserId: 'alice' })));
+        await assertFails(setDoc(queued, request({ targetToken: 'token-mallory' })));
+        await assertFails(setDoc(queued, request({ createdAt: hoursFromNow(-1) })));
+        await assertFails(setDoc(queued, request({ processed: true })));
+
+        const untyped = request();
+        delete untyped.type;
+        await assertFails(setDoc(queued, untyped));
+        await assertFails(setDoc(doc(as(null), 'notificationQueue/anonymous'), request()));
+    });
+
+    it('is hidden from clients once queued', async () => {
+        await seed(testEnv, { 'notificationQueue/queued': { requesterId: 'alice', targetUserId: 'bob', type: 'new_prompt', processed: false } });
+
+        await assertFails(getDoc(doc(as('alice'), 'notificationQueue/queued')));
+        await assertFails(updateDoc(doc(as('alice'), 'notificationQueue/queued'), { processed: true }));
+        await assertFails(deleteDoc(doc(as('alice'), 'notificationQueue/queued')));
+    });
+});
+
+describe('sharedStories/{storyId}', () => {
+    it('is readable by signed-in users and closed to writes', async () => {
+        await seed(testEnv, { 'sharedStories/legacy': { authorId: 'alice', text: 'From before partnerships.' } });
+
+        await assertSucceeds(getDoc(doc(as('bob'), 'sharedStories/legacy')));
+        await assertFails(getDoc(doc(as(null), 'sharedStories/legacy')));
+
+        await assertFails(setDoc(doc(as('alice'), 'sharedStories/new'), { authorId: 'alice', text: 'New story' }));
+        await assertFails(updateDoc(doc(as('alice'), 'sharedStories/legacy'), { text: 'Edited' }));
+    });
+});
+
+describe('contentReports/{reportId}', () => {
+    function report(overrides = {}) {
+        return {
+            reporterId: 'alice',
+            contentType: 'story',
+            contentId: 'partnerships/pair/stories/2026-03-01',
+            reportedUserId: 'mallory',
+            reason: 'harassment',
+            createdAt: serverTimestamp(),
+            ...overrides
+        };
+    }
+
+    it('accepts reports filed as the signed-in user', async () => {
+        await assertSucceeds(setDoc(doc(as('alice'), 'contentReports/report'), report()));
+
+        await assertFails(setDoc(doc(as('alice'), 'contentReports/spoofed'), report({ reporterId: 'bob' })));
+        await assertFails(setDoc(doc(as('alice'), 'contentReports/stale'), report({ createdAt: hoursFromNow(-1) })));
+
+        const incomplete = report();
+        delete incomplete.reason;
+        await assertFails(setDoc(doc(as('alice'), 'contentReports/incomplete'), incomplete));
+    });
+
+    it('lets reporters read their own reports but never change them', async () => {
+        await seed(testEnv, { 'contentReports/report': { reporterId: 'alice', reportedUserId: 'mallory', status: 'pending' } });
+
+        await assertSucceeds(getDoc(doc(as('alice'), 'contentReports/report')));
+        await assertFails(getDoc(doc(as('mallory'), 'contentReports/report')));
+
+        await assertFails(updateDoc(doc(as('alice'), 'contentReports/report'), { status: 'dismissed' }));
+        await assertFails(deleteDoc(doc(as('alice'), 'contentReports/report')));
+    });
+});
+
+describe('server-maintained user records', () => {
+    const ownerReadable = [
+        ['userStats', 'userStats/alice', { totalStories: 3 }],
+        ['userRestrictions', 'userRestrictions/alice', { restricted: true, storiesSuspendedUntil: hoursFromNow(24) }]
+    ];
+
+    it.each(ownerReadable)('%s is readable by its owner and written only by Cloud Functions', async (name, path, data) => {
+        await seed(testEnv, { [path]: data });
+
+        await assertSucceeds(getDoc(doc(as('alice'), path)));
+        await assertFails(getDoc(doc(as('bob'), path)));
+
+        await assertFails(updateDoc(doc(as('alice'), path), { restricted: false }));
+        await assertFails(deleteDoc(doc(as('alice'), path)));
+    });
+});
+
+describe('metrics', () => {
+    const path = 'metrics/2026-03-01';
+
+    it('is readable by admins only and never writable', async () => {
+        await seed(testEnv, { [path]: { storiesModerated: 3 } });
+        const rootAdmin = testEnv.authenticatedContext('root', { admin: true }).firestore();
+
+        await assertSucceeds(getDoc(doc(rootAdmin, path)));
+        await assertFails(getDoc(doc(as('alice'), path)));
+        await assertFails(getDoc(doc(as(null), path)));
+        await assertFails(setDoc(doc(rootAdmin, path), { storiesModerated: 0 }));
+    });
+});
+
+describe('prompt catalog', () => {
+    const paths = ['promptCatalog/current', 'promptCatalogEntries/ride__space-mountain'];
+
+    it.each(paths)('%s is readable by admins only and never writable', async (path) => {
+        await seed(testEnv, { [path]: { schemaVersion: 1 } });
+        const rootAdmin = testEnv.authenticatedContext('root', { admin: true }).firestore();
+
+        await assertSucceeds(getDoc(doc(rootAdmin, path)));
+        await assertFails(getDoc(doc(as('alice'), path)));
+        await assertFails(setDoc(doc(as('alice'), path), { schemaVersion: 1 }));
+        await assertFails(setDoc(doc(rootAdmin, path), { schemaVersion: 2 }));
+    });
+});
+
+describe('admin-only collections', () => {
+    const adminOnly = [
+        'notificationRateLimits/alice',
+        'notificationDeliveries/push',
+        'notificationDeliveries/push/attempts/1',
+        'moderationQueue/item',
+        'moderationConfig/rules',
+        'dataExports/export1',
+        'dataExportLimits/alice',
+        'invitationRateLimits/alice',
+        'accountDeletionJobs/alice',
+        'migrationJobs/sharedStories',
+        'partnerships/pair/stories/2026-03-01/revisions/r1',
+        'userStrikes/alice',
+        'userStrikes/alice/strikes/1',
+        'reminderLog/alice_2026-03-01',
+        'storyShares/share1',
+        'sessionRevocations/alice',
+        'securityIncidents/incident'
+    ];
+
+    it.each(adminOnly)('%s is closed to clients', async (path) => {
+        await seed(testEnv, { [path]: { userId: 'alice' } });
+
+        await assertFails(getDoc(doc(as('alice'), path)));
+        await assertFails(setDoc(doc(as('alice'), path), { userId: 'alice' }));
+        await assertFails(deleteDoc(doc(as('alice'), path)));
+    });
+});
@@ -0,0 +1,61 @@
+// ===== RULES TEST HARNESS =====
+//
+// firestore.rules is loaded into the Firestore emulator under its own project id, and
+// requests are made with the client SDK as a given user. Seed data is written with rules
+// disabled, the same way Cloud Functions write with admin privileges.
+
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+const { Timestamp, doc, setDoc } = require('firebase/firestore');
+
+const RULES_PROJECT_ID = 'demo-wdwdaydreams-rules';
+
+async function createRulesEnvironment() {
+    return initializeTestEnvironment({
+        projectId: RULES_PROJECT_ID,
+        firestore: {
+            rules: fs.readFileSync(path.resolve(__dirname, '../../../firestore.rules'), 'utf8')
+        }
+    });
+}
+
+// Seed documents with rules disabled: { 'users/alice': { ... }, ... }
+async function seed(testEnv, documents) {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        for (const [docPath, data] of Object.entries(documents)) {
+            await setDoc(doc(db, docPath), data);
+        }
+    });
+}
+
+function hoursFromNow(hours) {
+    return Timestamp.fromMillis(Date.now() + hours * 60 * 60 * 1000);
+}
+
+// Members of partnerships/pair are alice and bob; mallory is an outsider
+const PAIR = {
+    'partnerships/pair': { user1Id: 'alice', user2Id: 'bob', status: 'active' }
+};
+
+// partnerships/circle is owned by alice, with bob and carol as members
+const CIRCLE = {
+    'partnerships/circle': {
+        kind: 'circle',
+        name: 'Park Hoppers',
+        memberIds: ['alice', 'bob', 'carol'],
+        roles: { alice: 'owner', bob: 'member', carol: 'member' },
+        mutedBy: [],
+        status: 'active'
+    }
+};
+
+module.exports = {
+    RULES_PROJECT_ID,
+    createRulesEnvironment,
+    seed,
+    hoursFromNow,
+    PAIR,
+    CIRCLE
+};
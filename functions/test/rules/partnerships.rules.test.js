@@ -0,0 +1,195 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { doc, getDoc, setDoc, updateDoc, deleteDoc } = require('firebase/firestore');
+const { createRulesEnvironment, seed, hoursFromNow, PAIR, CIRCLE } = require('./helpers');
+
+let testEnv;
+
+function as(uid) {
+    return uid ? testEnv.authenticatedContext(uid).firestore() : testEnv.unauthenticatedContext().firestore();
+}
+
+function story(authorId, overrides = {}) {
+    return {
+        authorId,
+        authorName: authorId,
+        items: { park: 'Epcot', ride: 'Soarin\'' },
+        text: '',
+        ...overrides
+    };
+}
+
+beforeAll(async () => {
+    testEnv = await createRulesEnvironment();
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed(testEnv, PAIR);
+});
+
+describe('partnerships/{partnershipId}', () => {
+    it('is visible to its members only', async () => {
+        await assertSucceeds(getDoc(doc(as('alice'), 'partnerships/pair')));
+        await assertSucceeds(getDoc(doc(as('bob'), 'partnerships/pair')));
+
+        await assertFails(getDoc(doc(as('mallory'), 'partnerships/pair')));
+        await assertFails(getDoc(doc(as(null), 'partnerships/pair')));
+    });
+
+    it('can only be created by redeeming an invitation', async () => {
+        await assertFails(setDoc(doc(as('alice'), 'partnerships/new'), { user1Id: 'alice', user2Id: 'bob', status: 'active' }));
+        await assertFails(setDoc(doc(as('mallory'), 'partnerships/forced'), { user1Id: 'mallory', user2Id: 'bob', status: 'active' }));
+    });
+
+    it('can be updated and deleted by its members only', async () => {
+        await assertSucceeds(updateDoc(doc(as('bob'), 'partnerships/pair'), { enabledCategories: ['park', 'food'] }));
+
+        await assertFails(updateDoc(doc(as('mallory'), 'partnerships/pair'), { user2Id: 'mallory' }));
+        await assertFails(deleteDoc(doc(as('mallory'), 'partnerships/pair')));
+
+        await assertSucceeds(deleteDoc(doc(as('alice'), 'partnerships/pair')));
+    });
+
+    it('keeps the pair, its status and the turn out of members\' hands', async () => {
+        const pair = doc(as('alice'), 'partnerships/pair');
+
+        await assertFails(updateDoc(pair, { user2Id: 'mallory' }));
+        await assertFails(updateDoc(pair, { user1Id: 'mallory' }));
+        await assertFails(updateDoc(pair, { status: 'inactive' }));
+        await assertFails(updateDoc(pair, { nextAuthorId: 'alice' }));
+        await assertFails(updateDoc(pair, { createdAt: hoursFromNow(-24) }));
+    });
+});
+
+describe('partnerships/{partnershipId} as a story circle', () => {
+    beforeEach(() => seed(testEnv, {
+        ...CIRCLE,
+        'partnerships/circle/stories/2026-03-01': story('carol')
+    }));
+
+    it('is visible to its members and their stories too', async () => {
+        await assertSucceeds(getDoc(doc(as('carol'), 'partnerships/circle')));
+        await assertSucceeds(getDoc(doc(as('bob'), 'partnerships/circle/stories/2026-03-01')));
+
+        await assertFails(getDoc(doc(as('mallory'), 'partnerships/circle')));
+        await assertFails(getDoc(doc(as('mallory'), 'partnerships/circle/stories/2026-03-01')));
+    });
+
+    it('lets owners rename it but keeps membership with Cloud Functions', async () => {
+        await assertSucceeds(updateDoc(doc(as('alice'), 'partnerships/circle'), { name: 'Epcot Explorers' }));
+        await assertSucceeds(updateDoc(doc(as('alice'), 'partnerships/circle'), { sharedTripDate: hoursFromNow(24 * 30) }));
+
+        await assertFails(updateDoc(doc(as('bob'), 'partnerships/circle'), { name: 'Bob\'s Circle' }));
+        await assertFails(updateDoc(doc(as('bob'), 'partnerships/circle'), { 'roles.bob': 'owner' }));
+        await assertFails(updateDoc(doc(as('alice'), 'partnerships/circle'), { memberIds: ['alice', 'bob', 'carol', 'mallory'] }));
+        await assertFails(updateDoc(doc(as('alice'), 'partnerships/pair'), { kind: 'circle', memberIds: ['alice', 'bob', 'mallory'] }));
+    });
+
+    it('can only be deleted by an owner', async () => {
+        await assertFails(deleteDoc(doc(as('carol'), 'partnerships/circle')));
+        await assertSucceeds(deleteDoc(doc(as('alice'), 'partnerships/circle')));
+    });
+});
+
+describe('partnerships/{partnershipId}/stories/{storyId}', () => {
+    const storyPath = 'partnerships/pair/stories/2026-03-01';
+
+    it('is readable by members only', async () => {
+        await seed(testEnv, { [storyPath]: story('alice') });
+
+        await assertSucceeds(getDoc(doc(as('bob'), storyPath)));
+        await assertFails(getDoc(doc(as('mallory'), storyPath)));
+    });
+
+    it('is hidden from a member who blocked its author', async () => {
+        await seed(testEnv, { [storyPath]: story('bob', { hiddenFor: ['alice'] }) });
+
+        await assertFails(getDoc(doc(as('alice'), storyPath)));
+        await assertSucceeds(getDoc(doc(as('bob'), storyPath)));
+    });
+
+    it('is hidden from pals while moderation holds or removes it', async () => {
+        await seed(testEnv, {
+            [storyPath]: story('alice', { text: 'Removed text', moderationStatus: 'removed' }),
+            'partnerships/pair/stories/2026-03-02': story('alice', { text: 'Held text', moderationStatus: 'flagged' }),
+            'partnerships/pair/stories/2026-03-03': story('alice', { text: 'Fine text', moderationStatus: 'approved' })
+        });
+
+        await assertFails(getDoc(doc(as('bob'), storyPath)));
+        await assertFails(getDoc(doc(as('bob'), 'partnerships/pair/stories/2026-03-02')));
+        await assertSucceeds(getDoc(doc(as('bob'), 'partnerships/pair/stories/2026-03-03')));
+        await assertSucceeds(getDoc(doc(as('alice'), storyPath)));
+    });
+
+    it('can only be created by its author, without hiddenFor', async () => {
+        await assertSucceeds(setDoc(doc(as('alice'), storyPath), story('alice')));
+
+        await assertFails(setDoc(doc(as('alice'), 'partnerships/pair/stories/2026-03-02'), story('bob')));
+        await assertFails(setDoc(doc(as('mallory'), 'partnerships/pair/stories/2026-03-02'), story('mallory')));
+        await assertFails(setDoc(doc(as('alice'), 'partnerships/pair/stories/2026-03-02'), story('alice', { hiddenFor: [] })));
+    });
+
+    it('can only be written by its author, who cannot hand it off or unhide it', async () => {
+        await seed(testEnv, { [storyPath]: story('bob', { hiddenFor: ['alice'] }) });
+
+        await assertSucceeds(updateDoc(doc(as('bob'), storyPath), { text: 'Once upon a time at Epcot...' }));
+
+        await assertFails(updateDoc(doc(as('alice'), storyPath), { text: 'Written for Bob' }));
+        await assertFails(updateDoc(doc(as('bob'), storyPath), { authorId: 'alice' }));
+        await assertFails(updateDoc(doc(as('bob'), storyPath), { hiddenFor: [] }));
+    });
+
+    it('leaves moderation results to moderation', async () => {
+        await seed(testEnv, { [storyPath]: story('alice', { text: 'Removed text', moderationStatus: 'removed', moderationReasons: ['profanity'] }) });
+
+        await assertFails(updateDoc(doc(as('alice'), storyPath), { moderationStatus: 'approved' }));
+        await assertFails(updateDoc(doc(as('alice'), storyPath), { moderationReasons: null, moderationScore: 0 }));
+        await assertFails(updateDoc(doc(as('alice'), storyPath), { moderatedAt: hoursFromNow(0), moderatedBy: 'alice' }));
+        await assertFails(setDoc(doc(as('alice'), 'partnerships/pair/stories/2026-03-02'), story('alice', { text: 'Hi', moderationStatus: 'approved' })));
+        await assertSucceeds(updateDoc(doc(as('alice'), storyPath), { text: 'Rewritten text' }));
+    });
+
+    it('pauses story text while the author is suspended', async () => {
+        await seed(testEnv, {
+            [storyPath]: story('alice'),
+            'userRestrictions/alice': { restricted: true, storiesSuspendedUntil: hoursFromNow(24) }
+        });
+
+        await assertFails(updateDoc(doc(as('alice'), storyPath), { text: 'Trying anyway' }));
+        await assertFails(setDoc(doc(as('alice'), 'partnerships/pair/stories/2026-03-02'), story('alice', { text: 'New story' })));
+        // Prompts (no text yet) and favorites still work
+        const prompt = story('alice');
+        delete prompt.text;
+        await assertSucceeds(setDoc(doc(as('alice'), 'partnerships/pair/stories/2026-03-02'), prompt));
+        await assertSucceeds(updateDoc(doc(as('alice'), storyPath), { isFavorite: true }));
+    });
+
+    it('can only be deleted by its author', async () => {
+        await seed(testEnv, { [storyPath]: story('alice') });
+
+        await assertFails(deleteDoc(doc(as('bob'), storyPath)));
+        await assertFails(deleteDoc(doc(as('mallory'), storyPath)));
+        await assertSucceeds(deleteDoc(doc(as('alice'), storyPath)));
+    });
+});
+
+describe('partnershipStats/{partnershipId}', () => {
+    beforeEach(() => seed(testEnv, {
+        'partnershipStats/pair': { totalStories: 3 },
+        'partnershipStats/pair/countedStories/2026-03-01': { authorId: 'alice' }
+    }));
+
+    it('is readable by members and written only by Cloud Functions', async () => {
+        await assertSucceeds(getDoc(doc(as('alice'), 'partnershipStats/pair')));
+
+        await assertFails(getDoc(doc(as('mallory'), 'partnershipStats/pair')));
+        await assertFails(updateDoc(doc(as('alice'), 'partnershipStats/pair'), { totalStories: 100 }));
+    });
+
+    it('keeps the counted-story ledger private', async () => {
+        await assertFails(getDoc(doc(as('alice'), 'partnershipStats/pair/countedStories/2026-03-01')));
+        await assertFails(deleteDoc(doc(as('alice'), 'partnershipStats/pair/countedStories/2026-03-01')));
+    });
+});
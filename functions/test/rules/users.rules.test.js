@@ -0,0 +1,164 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { doc, getDoc, setDoc, updateDoc, deleteDoc, serverTimestamp, Timestamp } = require('firebase/firestore');
+const { createRulesEnvironment, seed, hoursFromNow } = require('./helpers');
+
+let testEnv;
+
+function as(uid) {
+    return uid ? testEnv.authenticatedContext(uid).firestore() : testEnv.unauthenticatedContext().firestore();
+}
+
+// A context whose ID token comes from a sign-in at `authTime` (seconds)
+function signedInAt(uid, authTime) {
+    return testEnv.authenticatedContext(uid, { auth_time: authTime }).firestore();
+}
+
+function profile(overrides = {}) {
+    return {
+        displayName: 'Alice',
+        bio: 'Loves Epcot',
+        achievements: [],
+        connectionIds: ['bob'],
+        preferences: { privacy: { profileVisibility: 'connectionsOnly' } },
+        ...overrides
+    };
+}
+
+beforeAll(async () => {
+    testEnv = await createRulesEnvironment();
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(() => testEnv.clearFirestore());
+
+describe('users/{userId}', () => {
+    it('lets users read their own profile and profiles shared with them', async () => {
+        await seed(testEnv, {
+            'users/alice': profile(),
+            'users/public': profile({ preferences: { privacy: { profileVisibility: 'everyone' } } }),
+            'users/hidden': profile({ connectionIds: [], preferences: { privacy: { profileVisibility: 'private' } } })
+        });
+
+        await assertSucceeds(getDoc(doc(as('alice'), 'users/alice')));
+        await assertSucceeds(getDoc(doc(as('bob'), 'users/alice')));
+        await assertSucceeds(getDoc(doc(as('mallory'), 'users/public')));
+        await assertSucceeds(getDoc(doc(as(null), 'users/public')));
+
+        await assertFails(getDoc(doc(as('mallory'), 'users/alice')));
+        await assertFails(getDoc(doc(as(null), 'users/alice')));
+        await assertFails(getDoc(doc(as('bob'), 'users/hidden')));
+    });
+
+    it('lets users create only their own profile, without badges', async () => {
+        await assertSucceeds(setDoc(doc(as('alice'), 'users/alice'), profile()));
+
+        await assertFails(setDoc(doc(as('mallory'), 'users/bob'), profile()));
+        await assertFails(setDoc(doc(as('mallory'), 'users/mallory'), profile({ achievements: ['daily_master'] })));
+        await assertFails(setDoc(doc(as(null), 'users/anonymous'), profile()));
+    });
+
+    it('keeps badges and other users\' profiles out of reach', async () => {
+        await seed(testEnv, { 'users/alice': profile(), 'users/bob': profile({ displayName: 'Bob' }) });
+
+        await assertSucceeds(updateDoc(doc(as('alice'), 'users/alice'), { displayName: 'Alice in Wonderland' }));
+
+        await assertFails(updateDoc(doc(as('alice'), 'users/alice'), { achievements: ['first_story'] }));
+        await assertFails(updateDoc(doc(as('alice'), 'users/bob'), { displayName: 'Not Bob' }));
+    });
+
+    it('keeps moderation results out of the owner\'s hands', async () => {
+        await seed(testEnv, { 'users/alice': profile({ moderationStatus: 'removed', moderationReasons: ['bio_profanity'] }) });
+
+        await assertFails(updateDoc(doc(as('alice'), 'users/alice'), { moderationStatus: 'approved' }));
+        await assertFails(updateDoc(doc(as('alice'), 'users/alice'), { moderationReasons: [] }));
+        await assertFails(updateDoc(doc(as('alice'), 'users/alice'), { moderatedAt: serverTimestamp() }));
+        await assertFails(setDoc(doc(as('bob'), 'users/bob'), profile({ moderationStatus: 'approved' })));
+    });
+
+    it('blocks profile text edits while profile edits are suspended', async () => {
+        await seed(testEnv, {
+            'users/alice': profile(),
+            'userRestrictions/alice': { restricted: true, profileEditsSuspendedUntil: hoursFromNow(24) }
+        });
+
+        await assertFails(updateDoc(doc(as('alice'), 'users/alice'), { bio: 'New bio' }));
+        await assertFails(updateDoc(doc(as('alice'), 'users/alice'), { displayName: 'New name' }));
+        await assertSucceeds(updateDoc(doc(as('alice'), 'users/alice'), { lastActiveAt: serverTimestamp() }));
+    });
+
+    it('allows edits again once the suspension has passed', async () => {
+        await seed(testEnv, {
+            'users/alice': profile(),
+            'userRestrictions/alice': { restricted: true, profileEditsSuspendedUntil: hoursFromNow(-1) }
+        });
+
+        await assertSucceeds(updateDoc(doc(as('alice'), 'users/alice'), { bio: 'New bio' }));
+    });
+
+    it('lets users delete only their own profile', async () => {
+        await seed(testEnv, { 'users/alice': profile(), 'users/bob': profile() });
+
+        await assertSucceeds(deleteDoc(doc(as('alice'), 'users/alice')));
+        await assertFails(deleteDoc(doc(as('alice'), 'users/bob')));
+    });
+});
+
+describe('users/{userId} subcollections', () => {
+    const ownerOnly = [
+        ['private', 'users/alice/private/notifications', { fcmToken: 'token' }],
+        ['fcmTokens', 'users/alice/fcmTokens/phone', { token: 'token', deviceId: 'phone' }],
+        ['blockedUsers', 'users/alice/blockedUsers/mallory', { blockedAt: new Date() }]
+    ];
+
+    it.each(ownerOnly)('%s is readable and writable by the owner only', async (name, path, data) => {
+        await assertSucceeds(setDoc(doc(as('alice'), path), data));
+        await assertSucceeds(getDoc(doc(as('alice'), path)));
+        await assertSucceeds(deleteDoc(doc(as('alice'), path)));
+
+        await seed(testEnv, { [path]: data });
+        await assertFails(getDoc(doc(as('bob'), path)));
+        await assertFails(setDoc(doc(as('bob'), path), data));
+        await assertFails(deleteDoc(doc(as('bob'), path)));
+        await assertFails(getDoc(doc(as(null), path)));
+    });
+
+    it('sessions are managed by their owner only', async () => {
+        const session = {
+            deviceId: 'phone',
+            deviceName: 'Alice\'s iPhone',
+            deviceModel: 'iPhone',
+            osVersion: 'iOS 18.0',
+            appVersion: '2.0',
+            lastActiveAt: serverTimestamp(),
+            createdAt: serverTimestamp(),
+            isActive: true
+        };
+
+        await assertSucceeds(setDoc(doc(as('alice'), 'users/alice/sessions/phone'), session));
+        await assertSucceeds(updateDoc(doc(as('alice'), 'users/alice/sessions/phone'), { isActive: false }));
+
+        await assertFails(getDoc(doc(as('bob'), 'users/alice/sessions/phone')));
+        await assertFails(updateDoc(doc(as('bob'), 'users/alice/sessions/phone'), { isActive: true }));
+        await assertFails(setDoc(doc(as('bob'), 'users/alice/sessions/tablet'), session));
+    });
+
+    it('keeps revoked sessions ended until the device signs in again', async () => {
+        const path = 'users/alice/sessions/phone';
+        await seed(testEnv, { [path]: { deviceId: 'phone', isActive: false, revokedAt: Timestamp.fromMillis(2000 * 1000) } });
+
+        await assertFails(updateDoc(doc(signedInAt('alice', 1000), path), { isActive: true }));
+        await assertSucceeds(updateDoc(doc(signedInAt('alice', 1000), path), { endedAt: serverTimestamp() }));
+        await assertFails(updateDoc(doc(signedInAt('alice', 3000), path), { revokedAt: null }));
+        await assertSucceeds(updateDoc(doc(signedInAt('alice', 3000), path), { isActive: true }));
+    });
+
+    it('refuses writes from tokens issued before the user\'s sessions were revoked', async () => {
+        await seed(testEnv, { 'users/alice': profile(), 'sessionRevocations/alice': { validAfterSeconds: 2000 } });
+
+        await assertSucceeds(getDoc(doc(signedInAt('alice', 1000), 'users/alice')));
+        await assertFails(updateDoc(doc(signedInAt('alice', 1000), 'users/alice'), { bio: 'Stolen phone' }));
+        await assertFails(setDoc(doc(signedInAt('alice', 1000), 'users/alice/fcmTokens/thief'), { token: 'thief' }));
+        await assertSucceeds(updateDoc(doc(signedInAt('alice', 2000), 'users/alice'), { bio: 'Signed in again' }));
+    });
+});
@@ -0,0 +1,125 @@
+const { test, admin, db, myFunctions, resetAll, signedInAs, updateDocument, getData, wrapTrigger, wrapCallable, wrapScheduled } = require('./helpers');
+const { seedDevice } = require('./fixtures');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sessionData(deviceId, overrides = {}) {
+    return {
+        deviceId,
+        deviceName: `Alice's ${deviceId}`,
+        deviceModel: 'iPhone',
+        osVersion: 'iOS 18.0',
+        appVersion: '2.0',
+        isActive: true,
+        createdAt: admin.firestore.Timestamp.now(),
+        lastActiveAt: admin.firestore.Timestamp.now(),
+        ...overrides
+    };
+}
+
+async function seedSession(uid, deviceId, overrides = {}) {
+    await db.collection('users').doc(uid).collection('sessions').doc(deviceId).set(sessionData(deviceId, overrides));
+    await seedDevice(uid, deviceId);
+}
+
+describe('session revocation', () => {
+    const revokeSession = wrapCallable(myFunctions.revokeSession);
+    const revokeOtherSessions = wrapCallable(myFunctions.revokeOtherSessions);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('revokes the user\'s tokens and ends the session', async () => {
+        const alice = await signedInAs('alice');
+        await seedSession('alice', 'phone');
+        await seedSession('alice', 'stolen');
+
+        const result = await revokeSession({ sessionId: 'stolen' }, alice);
+
+        expect(result).toMatchObject({ revokedSessions: 1, reauthenticationRequired: true });
+        const user = await admin.auth().getUser('alice');
+        const revocation = await getData('sessionRevocations/alice');
+        expect(revocation.validAfterSeconds).toBe(Math.floor(Date.parse(user.tokensValidAfterTime) / 1000));
+        expect(await getData('users/alice/sessions/stolen')).toMatchObject({ isActive: false, revokedBy: 'alice', revokeReason: 'revoked' });
+        expect(await getData('users/alice/fcmTokens/stolen')).toBeUndefined();
+        expect(await getData('users/alice/sessions/phone')).toMatchObject({ isActive: true });
+        expect(await getData('users/alice/fcmTokens/phone')).toBeDefined();
+
+        await expect(revokeSession({ sessionId: 'nope' }, alice)).rejects.toMatchObject({ code: 'not-found' });
+    });
+
+    it('signs out every other device', async () => {
+        const alice = await signedInAs('alice');
+        await seedSession('alice', 'phone');
+        await seedSession('alice', 'tablet');
+        await seedSession('alice', 'laptop');
+
+        const result = await revokeOtherSessions({ currentSessionId: 'phone' }, alice);
+
+        expect(result.revokedSessions).toBe(2);
+        expect(await getData('users/alice/sessions/phone')).toMatchObject({ isActive: true });
+        expect(await getData('users/alice/sessions/tablet')).toMatchObject({ isActive: false, revokeReason: 'revoked' });
+        expect(await getData('users/alice/sessions/laptop')).toMatchObject({ isActive: false, revokeReason: 'revoked' });
+    });
+});
+
+describe('enforceSessionLimit', () => {
+    const enforceSessionLimit = wrapTrigger(myFunctions.enforceSessionLimit);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('ends the least recently used sessions past the limit', async () => {
+        for (let index = 0; index < 5; index++) {
+            await seedSession('alice', `device${index}`, { lastActiveAt: admin.firestore.Timestamp.fromMillis(Date.now() - (index + 1) * DAY_MS) });
+        }
+        const newDevice = sessionData('new');
+
+        await enforceSessionLimit(await updateDocument('users/alice/sessions/new', { ...newDevice, isActive: false }, newDevice), {
+            params: { userId: 'alice', sessionId: 'new' }
+        });
+
+        const evicted = await getData('users/alice/sessions/device4');
+        expect(evicted).toMatchObject({ isActive: false, revokedBy: 'system', revokeReason: 'session_limit' });
+        expect(evicted.revokedAt).toBeInstanceOf(admin.firestore.Timestamp);
+        expect(await getData('users/alice/fcmTokens/device4')).toBeUndefined();
+        for (const deviceId of ['device0', 'device3', 'new']) {
+            expect(await getData(`users/alice/sessions/${deviceId}`)).toMatchObject({ isActive: true });
+        }
+    });
+
+    it('leaves sessions alone when an active session is only updated', async () => {
+        for (let index = 0; index < 6; index++) {
+            await seedSession('alice', `device${index}`);
+        }
+        const device = sessionData('device0');
+
+        await enforceSessionLimit(await updateDocument('users/alice/sessions/device0', device, device), {
+            params: { userId: 'alice', sessionId: 'device0' }
+        });
+
+        const active = await db.collection('users').doc('alice').collection('sessions').where('isActive', '==', true).get();
+        expect(active.size).toBe(6);
+    });
+});
+
+describe('sweepStaleSessions', () => {
+    const sweepStaleSessions = wrapScheduled(myFunctions.sweepStaleSessions);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('ends idle sessions and deletes old ones', async () => {
+        await seedSession('alice', 'phone');
+        await seedSession('alice', 'idle', { lastActiveAt: admin.firestore.Timestamp.fromMillis(Date.now() - 40 * DAY_MS) });
+        await seedSession('bob', 'ancient', { isActive: false, lastActiveAt: admin.firestore.Timestamp.fromMillis(Date.now() - 100 * DAY_MS) });
+
+        await sweepStaleSessions();
+
+        expect(await getData('users/alice/sessions/phone')).toMatchObject({ isActive: true });
+        expect(await getData('users/alice/sessions/idle')).toMatchObject({ isActive: false, endReason: 'inactive' });
+        expect(await getData('users/alice/fcmTokens/idle')).toBeUndefined();
+        expect(await getData('users/alice/fcmTokens/phone')).toBeDefined();
+        expect(await getData('users/bob/sessions/ancient')).toBeUndefined();
+    });
+});
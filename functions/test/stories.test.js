@@ -0,0 +1,136 @@
+const { test, db, myFunctions, messaging, resetAll, signedInAs, updateDocument, getData, queryData, wrapTrigger, wrapCallable } = require('./helpers');
+const { seedPals, seedUser, seedStory, storyData } = require('./fixtures');
+
+const STORY_TEXT = 'We rode Soarin\' twice and shared a Dole Whip while the fireworks started.';
+
+describe('onStoryCompleted', () => {
+    const onStoryCompleted = wrapTrigger(myFunctions.onStoryCompleted);
+    const storyPath = 'partnerships/pair/stories/2026-03-01';
+    const context = { params: { partnershipId: 'pair', storyId: '2026-03-01' } };
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('notifies the pal when the story is written, before it is counted', async () => {
+        const { tokens } = await seedPals();
+        const before = storyData('alice');
+
+        await onStoryCompleted(await updateDocument(storyPath, before, { ...before, text: STORY_TEXT }), context);
+
+        const [palPush] = messaging.sentTo(tokens.bob);
+        expect(palPush.data).toMatchObject({ type: 'story_completed', authorId: 'alice', partnershipId: 'pair' });
+        expect(palPush.apns.payload.aps.badge).toBe(1);
+        // Stats wait for moderation
+        expect(await getData('userStats/alice')).toBeUndefined();
+    });
+
+    it('counts the story and awards a first badge once moderation approves it', async () => {
+        const { tokens } = await seedPals();
+        const before = storyData('alice', { text: STORY_TEXT });
+
+        await onStoryCompleted(await updateDocument(storyPath, before, { ...before, moderationStatus: 'approved' }), context);
+
+        expect(await getData('userStats/alice')).toMatchObject({ totalStories: 1, storiesWritten: 1, currentStreak: 1 });
+        expect(await getData('userStats/bob')).toMatchObject({ totalStories: 1 });
+        expect(await getData('partnershipStats/pair')).toMatchObject({ totalStories: 1, lastStoryDate: '2026-03-01' });
+
+        expect((await getData('users/alice')).achievements).toEqual(['first_story']);
+        expect((await getData('users/bob')).achievements).toEqual([]);
+        expect(messaging.sentTo(tokens.alice)[0].data).toMatchObject({ type: 'achievement_unlocked', badgeId: 'first_story' });
+        expect(messaging.sentTo(tokens.bob)).toHaveLength(0);
+    });
+
+    it('never counts a story moderation removed', async () => {
+        await seedPals();
+        const before = storyData('alice', { text: STORY_TEXT });
+
+        await onStoryCompleted(await updateDocument(storyPath, before, { ...before, moderationStatus: 'removed' }), context);
+
+        expect(await getData('userStats/alice')).toBeUndefined();
+    });
+
+    it('does nothing more when the trigger is retried', async () => {
+        const { tokens } = await seedPals();
+        const before = storyData('alice');
+        const written = { ...before, text: STORY_TEXT };
+        const completion = await updateDocument(storyPath, before, written);
+        const approval = await updateDocument(storyPath, written, { ...written, moderationStatus: 'approved' });
+
+        await onStoryCompleted(completion, context);
+        await onStoryCompleted(completion, context);
+        await onStoryCompleted(approval, context);
+        await onStoryCompleted(approval, context);
+
+        expect(messaging.sentTo(tokens.bob)).toHaveLength(1);
+        expect(messaging.sentTo(tokens.alice)).toHaveLength(1);
+        expect(await getData('userStats/alice')).toMatchObject({ totalStories: 1 });
+    });
+
+    it('ignores edits to a story that was already written', async () => {
+        const { tokens } = await seedPals();
+        const before = storyData('alice', { text: STORY_TEXT });
+
+        await onStoryCompleted(await updateDocument(storyPath, before, { ...before, text: `${STORY_TEXT} Again!` }), context);
+
+        expect(messaging.sentTo(tokens.bob)).toHaveLength(0);
+        expect(await getData('userStats/alice')).toBeUndefined();
+    });
+
+    it('rejects completions by someone outside the partnership', async () => {
+        await seedPals();
+        await seedUser('mallory');
+        const before = storyData('mallory');
+
+        await onStoryCompleted(await updateDocument(storyPath, before, { ...before, text: STORY_TEXT }), context);
+
+        expect(messaging.sent).toHaveLength(0);
+        expect(await getData('userStats/mallory')).toBeUndefined();
+        const incidents = await queryData('securityIncidents', 'type', 'unauthorized_story_update');
+        expect(incidents).toHaveLength(1);
+        expect(incidents[0]).toMatchObject({ authorId: 'mallory', partnershipId: 'pair' });
+    });
+
+    it('stops when the partnership does not exist', async () => {
+        await seedUser('alice');
+        const before = storyData('alice');
+
+        await onStoryCompleted(await updateDocument('partnerships/missing/stories/2026-03-01', before, { ...before, text: STORY_TEXT }),
+            { params: { partnershipId: 'missing', storyId: '2026-03-01' } });
+
+        expect(messaging.sent).toHaveLength(0);
+        expect(await getData('userStats/alice')).toBeUndefined();
+    });
+});
+
+describe('backfillStoryStats', () => {
+    const backfillStoryStats = wrapCallable(myFunctions.backfillStoryStats);
+
+    beforeEach(resetAll);
+
+    it('rebuilds streaks from story history and awards missed badges', async () => {
+        await seedPals();
+        const days = ['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06', '2026-03-07'];
+        for (const [index, day] of days.entries()) {
+            await seedStory('pair', day, index % 2 === 0 ? 'alice' : 'bob', { text: STORY_TEXT, moderationStatus: 'approved' });
+        }
+        // Prompts nobody has written yet and stories moderation removed don't count
+        await seedStory('pair', '2026-03-08', 'bob');
+        await seedStory('pair', '2026-03-09', 'alice', { text: STORY_TEXT, moderationStatus: 'removed' });
+
+        const summary = await backfillStoryStats({}, await signedInAs('root', { admin: true }));
+
+        expect(summary).toMatchObject({ partnerships: 1, stories: 7, users: 2 });
+        expect(await getData('userStats/alice')).toMatchObject({ totalStories: 7, storiesWritten: 4, longestStreak: 7 });
+        expect((await getData('users/alice')).achievements).toEqual(expect.arrayContaining(['first_story', 'week_streak']));
+        expect((await db.collection('partnershipStats').doc('pair').collection('countedStories').get()).size).toBe(7);
+        // Backfilled badges are awarded quietly
+        expect(messaging.sent).toHaveLength(0);
+    });
+
+    it('is admin-only', async () => {
+        await expect(backfillStoryStats({}, await signedInAs('mod', { moderator: true })))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(backfillStoryStats({}, {}))
+            .rejects.toMatchObject({ code: 'unauthenticated' });
+    });
+});
@@ -0,0 +1,154 @@
+const { test, admin, db, myFunctions, messaging, resetAll, signedInAs, updateDocument, getData, wrapTrigger, wrapCallable } = require('./helpers');
+const { seedPals, seedSettings, seedStory, seedBlock, storyData } = require('./fixtures');
+
+const STORY_TEXT = 'We rode Soarin\' twice and shared a Dole Whip while the fireworks started.';
+const EDITED_TEXT = 'We rode Soarin\' three times and shared two Dole Whips before the fireworks.';
+const BLOCKED_TEXT = 'Email me at someone@example.com for xxx pictures';
+
+const storyPath = 'partnerships/pair/stories/2026-03-01';
+const context = { params: { partnershipId: 'pair', storyId: '2026-03-01' } };
+
+async function revisionsOf(path) {
+    const snapshot = await db.doc(path).collection('revisions').get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+describe('trackStoryRevisions', () => {
+    const trackStoryRevisions = wrapTrigger(myFunctions.trackStoryRevisions);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    async function editStory(beforeText, afterText, eventId) {
+        const before = storyData('alice', { text: beforeText });
+        return trackStoryRevisions(await updateDocument(storyPath, before, { ...before, text: afterText }), { ...context, eventId });
+    }
+
+    it('keeps the previous text and tells the pal about the edit', async () => {
+        const { tokens } = await seedPals();
+
+        await editStory(STORY_TEXT, EDITED_TEXT, 'edit1');
+
+        expect(await revisionsOf(storyPath)).toEqual([expect.objectContaining({ id: 'edit1', text: STORY_TEXT, reason: 'edit', meaningful: true })]);
+        expect(await getData(storyPath)).toMatchObject({ revisionCount: 1 });
+        expect(messaging.sentTo(tokens.bob)[0].data).toMatchObject({ type: 'story_revised', storyId: '2026-03-01', revisionId: 'edit1' });
+    });
+
+    it('records a retried event once', async () => {
+        const { tokens } = await seedPals();
+        const before = storyData('alice', { text: STORY_TEXT });
+        const change = await updateDocument(storyPath, before, { ...before, text: EDITED_TEXT });
+
+        await trackStoryRevisions(change, { ...context, eventId: 'edit1' });
+        await trackStoryRevisions(change, { ...context, eventId: 'edit1' });
+
+        expect(await revisionsOf(storyPath)).toHaveLength(1);
+        expect(await getData(storyPath)).toMatchObject({ revisionCount: 1 });
+        expect(messaging.sentTo(tokens.bob)).toHaveLength(1);
+    });
+
+    it('keeps whitespace-only edits quiet', async () => {
+        const { tokens } = await seedPals();
+
+        await editStory(STORY_TEXT, `  ${STORY_TEXT.replace(' twice', '  twice')}\n`, 'tidy');
+
+        expect(await revisionsOf(storyPath)).toEqual([expect.objectContaining({ meaningful: false })]);
+        expect(messaging.sentTo(tokens.bob)).toHaveLength(0);
+    });
+
+    it('ignores completions and skips the push when the pal opted out or is blocked', async () => {
+        const { tokens } = await seedPals();
+        const empty = storyData('alice');
+        await trackStoryRevisions(await updateDocument(storyPath, empty, { ...empty, text: STORY_TEXT }), context);
+        expect(await revisionsOf(storyPath)).toEqual([]);
+
+        await seedSettings('bob', { storyRevisionNotifications: false });
+        await editStory(STORY_TEXT, EDITED_TEXT, 'optedOut');
+        await seedSettings('bob');
+        await seedBlock('bob', 'alice');
+        await editStory(EDITED_TEXT, STORY_TEXT, 'blocked');
+
+        expect(await revisionsOf(storyPath)).toHaveLength(2);
+        expect(messaging.sentTo(tokens.bob)).toHaveLength(0);
+    });
+});
+
+describe('moderateStoryContent on edits', () => {
+    const moderateStoryContent = wrapTrigger(myFunctions.moderateStoryContent);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('re-moderates meaningful edits to an approved story', async () => {
+        await seedPals();
+        const before = storyData('alice', { text: STORY_TEXT, moderationStatus: 'approved' });
+
+        await moderateStoryContent(await updateDocument(storyPath, before, { ...before, text: `${STORY_TEXT}  ` }), context);
+        expect((await getData(storyPath)).moderationStatus).toBe('approved');
+
+        await moderateStoryContent(await updateDocument(storyPath, before, { ...before, text: BLOCKED_TEXT }), context);
+        expect((await getData(storyPath)).moderationStatus).toBe('removed');
+    });
+});
+
+describe('story revision callables', () => {
+    const listStoryRevisions = wrapCallable(myFunctions.listStoryRevisions);
+    const restoreStoryRevision = wrapCallable(myFunctions.restoreStoryRevision);
+    const deleteStoryRevisions = wrapTrigger(myFunctions.deleteStoryRevisions);
+    const request = { partnershipId: 'pair', storyId: '2026-03-01' };
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    async function seedRevisions() {
+        await seedPals();
+        await seedStory('pair', '2026-03-01', 'alice', { text: EDITED_TEXT, revisionCount: 2 });
+        const revisions = db.doc(storyPath).collection('revisions');
+        await revisions.doc('first').set({ text: STORY_TEXT, reason: 'edit', meaningful: true, moderationStatus: 'approved', revisedAt: admin.firestore.Timestamp.fromMillis(Date.now() - 60000) });
+        await revisions.doc('removed').set({ text: BLOCKED_TEXT, reason: 'edit', meaningful: true, moderationStatus: 'removed', revisedAt: admin.firestore.Timestamp.now() });
+        await revisions.doc('flagged').set({ text: BLOCKED_TEXT, reason: 'edit', meaningful: true, moderationStatus: 'flagged', revisedAt: admin.firestore.Timestamp.now() });
+    }
+
+    it('lists earlier versions to both pals, without flagged or removed ones', async () => {
+        await seedRevisions();
+
+        const { revisions } = await listStoryRevisions(request, await signedInAs('bob'));
+
+        expect(revisions).toEqual([expect.objectContaining({ revisionId: 'first', text: STORY_TEXT })]);
+        await expect(listStoryRevisions(request, await signedInAs('mallory')))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+    });
+
+    it('lets only the author restore a version', async () => {
+        await seedRevisions();
+
+        await expect(restoreStoryRevision({ ...request, revisionId: 'first' }, await signedInAs('bob')))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(restoreStoryRevision({ ...request, revisionId: 'removed' }, await signedInAs('alice')))
+            .rejects.toMatchObject({ code: 'not-found' });
+        await expect(restoreStoryRevision({ ...request, revisionId: 'flagged' }, await signedInAs('alice')))
+            .rejects.toMatchObject({ code: 'not-found' });
+
+        expect(await restoreStoryRevision({ ...request, revisionId: 'first' }, await signedInAs('alice')))
+            .toEqual({ restored: true, revisionId: 'first' });
+        expect(await getData(storyPath)).toMatchObject({ text: STORY_TEXT, restoredFrom: 'first' });
+    });
+
+    it('refuses restores while the author is suspended', async () => {
+        await seedRevisions();
+        await db.doc('userRestrictions/alice').set({ restricted: true, storiesSuspendedUntil: admin.firestore.Timestamp.fromMillis(Date.now() + 60000) });
+
+        await expect(restoreStoryRevision({ ...request, revisionId: 'first' }, await signedInAs('alice')))
+            .rejects.toMatchObject({ code: 'failed-precondition' });
+    });
+
+    it('deletes the history along with the story', async () => {
+        await seedRevisions();
+        const snap = await db.doc(storyPath).get();
+        await db.doc(storyPath).delete();
+
+        await deleteStoryRevisions(snap, context);
+
+        expect(await revisionsOf(storyPath)).toEqual([]);
+    });
+});
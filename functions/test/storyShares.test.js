@@ -0,0 +1,104 @@
+const { test, myFunctions, resetAll, signedInAs, getData, wrapCallable } = require('./helpers');
+const { seedPals, seedStory } = require('./fixtures');
+
+process.env.SHARE_LINK_SECRET = 'test-share-link-secret';
+
+const STORY_TEXT = 'We rode Soarin\' twice and shared a Dole Whip while the <fireworks> started.';
+const request = { partnershipId: 'pair', storyId: '2026-03-01' };
+
+// Just enough of an Express response for sharedStory
+function fakeResponse() {
+    const res = { statusCode: 200, headers: {}, body: null };
+    res.set = (name, value) => {
+        res.headers[name.toLowerCase()] = value;
+        return res;
+    };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.type = (type) => res.set('content-type', type);
+    res.send = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+}
+
+// Request the part of a share URL after the function name
+async function visit(url, method = 'GET') {
+    const res = fakeResponse();
+    await myFunctions.sharedStory({ method, path: url.slice(url.indexOf('/sharedStory') + '/sharedStory'.length), headers: {} }, res);
+    return res;
+}
+
+async function seedApprovedStory(overrides = {}) {
+    await seedPals();
+    await seedStory('pair', '2026-03-01', 'alice', { text: STORY_TEXT, moderationStatus: 'approved', ...overrides });
+}
+
+describe('story share links', () => {
+    const createStoryShareLink = wrapCallable(myFunctions.createStoryShareLink);
+    const listStoryShareLinks = wrapCallable(myFunctions.listStoryShareLinks);
+    const revokeStoryShareLink = wrapCallable(myFunctions.revokeStoryShareLink);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('shares an approved story with a page, a preview card and a view count', async () => {
+        await seedApprovedStory();
+
+        const link = await createStoryShareLink(request, await signedInAs('bob'));
+
+        expect(Date.parse(link.expiresAt) - Date.now()).toBeGreaterThan(6 * 24 * 60 * 60 * 1000);
+        const page = await visit(link.url);
+        expect(page.statusCode).toBe(200);
+        expect(page.body).toContain('<meta property="og:title" content="A Disney Daydream by Alice">');
+        expect(page.body).toContain(`<meta property="og:image" content="${link.imageUrl}">`);
+        expect(page.body).toContain('&lt;fireworks&gt;');
+        expect(page.body).not.toContain('<fireworks>');
+        expect(page.body).not.toContain('Bob');
+
+        const card = await visit(link.imageUrl);
+        expect(card.headers['content-type']).toBe('png');
+        expect(card.body.subarray(1, 4).toString()).toBe('PNG');
+
+        expect(await getData(`storyShares/${link.shareId}`)).toMatchObject({ createdBy: 'bob', authorId: 'alice', viewCount: 1 });
+    });
+
+    it('only shares finished, approved stories with members', async () => {
+        await seedApprovedStory({ moderationStatus: 'pending_review' });
+
+        await expect(createStoryShareLink(request, await signedInAs('alice'))).rejects.toMatchObject({ code: 'failed-precondition' });
+        await expect(createStoryShareLink(request, await signedInAs('mallory'))).rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(createStoryShareLink({ ...request, expiresInDays: 90 }, await signedInAs('alice'))).rejects.toMatchObject({ code: 'invalid-argument' });
+    });
+
+    it('stops working once revoked, and only the sharer or author can revoke', async () => {
+        await seedApprovedStory();
+        const link = await createStoryShareLink(request, await signedInAs('bob'));
+        expect((await listStoryShareLinks(request, await signedInAs('bob'))).links).toEqual([
+            expect.objectContaining({ shareId: link.shareId, url: link.url })
+        ]);
+
+        await expect(revokeStoryShareLink({ shareId: link.shareId }, await signedInAs('mallory'))).rejects.toMatchObject({ code: 'permission-denied' });
+        await revokeStoryShareLink({ shareId: link.shareId }, await signedInAs('alice'));
+
+        expect((await visit(link.url)).statusCode).toBe(404);
+        expect((await visit(link.imageUrl)).statusCode).toBe(404);
+        expect((await listStoryShareLinks(request, await signedInAs('bob'))).links).toEqual([]);
+    });
+
+    it('rejects tampered tokens and stories that lost their approval', async () => {
+        await seedApprovedStory();
+        const link = await createStoryShareLink(request, await signedInAs('alice'));
+
+        const [shareId, expiry, signature] = link.url.split('/').pop().split('.');
+        const stretched = (parseInt(expiry, 36) + 365 * 24 * 60 * 60 * 1000).toString(36);
+        expect((await visit(link.url.replace(`${expiry}.${signature}`, `${stretched}.${signature}`))).statusCode).toBe(404);
+        expect((await visit(`/sharedStory/${shareId}`)).statusCode).toBe(404);
+
+        await seedStory('pair', '2026-03-01', 'alice', { text: 'An edit waiting for review', moderationStatus: 'pending_review' });
+        expect((await visit(link.url)).statusCode).toBe(404);
+    });
+});
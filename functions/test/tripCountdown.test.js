@@ -0,0 +1,87 @@
+const { test, myFunctions, messaging, resetAll, signedInAs, getData, wrapCallable, wrapScheduled } = require('./helpers');
+const { daysFromNow, localDateKey, timeZoneAtLocalHour, seedPals, seedSettings, seedPartnership } = require('./fixtures');
+const { PROMPT_THEMES } = require('../catalog');
+
+// Both pals somewhere it's currently daytime, so milestones are due
+async function seedDaytimePals(tripOverrides) {
+    const { tokens } = await seedPals();
+    await seedPartnership('pair', 'alice', 'bob', tripOverrides);
+    const timeZone = timeZoneAtLocalHour(9, 21);
+    await seedSettings('alice', { timeZone });
+    await seedSettings('bob', { timeZone });
+    return { tokens, timeZone };
+}
+
+describe('sendTripMilestones', () => {
+    const sendTripMilestones = wrapScheduled(myFunctions.sendTripMilestones);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('sends the one-week milestone to both pals once', async () => {
+        const { tokens, timeZone } = await seedDaytimePals({ sharedTripDate: daysFromNow(7) });
+
+        await sendTripMilestones();
+        await sendTripMilestones();
+
+        expect(messaging.sentTo(tokens.alice)).toHaveLength(1);
+        expect(messaging.sentTo(tokens.bob)).toHaveLength(1);
+        expect(messaging.sentTo(tokens.alice)[0].data).toMatchObject({
+            type: 'trip_milestone',
+            milestone: 'days_7',
+            partnershipId: 'pair',
+            tripDate: localDateKey(daysFromNow(7).toDate(), timeZone)
+        });
+        expect(messaging.sentTo(tokens.alice)[0].notification.body).toContain('Bob');
+    });
+
+    it('welcomes everyone home the day after the trip', async () => {
+        const { tokens } = await seedDaytimePals({ sharedTripDate: daysFromNow(-6), sharedTripEndDate: daysFromNow(-1) });
+
+        await sendTripMilestones();
+
+        expect(messaging.sentTo(tokens.bob)[0].data).toMatchObject({ milestone: 'welcome_home' });
+    });
+
+    it('stays quiet between milestones, without a trip date or when turned off', async () => {
+        const { tokens } = await seedDaytimePals({ sharedTripDate: daysFromNow(12) });
+        await sendTripMilestones();
+
+        await seedPartnership('pair', 'alice', 'bob', { sharedTripDate: daysFromNow(30) });
+        await seedSettings('bob', { timeZone: timeZoneAtLocalHour(9, 21), tripCountdownNotifications: false });
+        await sendTripMilestones();
+
+        expect(messaging.sentTo(tokens.alice)).toHaveLength(1);
+        expect(messaging.sentTo(tokens.bob)).toHaveLength(0);
+    });
+});
+
+describe('themed daily prompts', () => {
+    const ensureDailyPrompt = wrapCallable(myFunctions.ensureDailyPrompt);
+
+    beforeEach(resetAll);
+    afterAll(() => test.cleanup());
+
+    it('switches to packing prompts in the last days before the trip', async () => {
+        const { tokens } = await seedPals();
+        await seedPartnership('pair', 'alice', 'bob', { sharedTripDate: daysFromNow(2) });
+        await seedSettings('alice');
+
+        const prompt = await ensureDailyPrompt({ partnershipId: 'pair' }, await signedInAs('bob'));
+
+        expect(prompt.theme).toBe('packing');
+        const story = await getData(`partnerships/pair/stories/${prompt.storyId}`);
+        expect(PROMPT_THEMES.packing).toContain(story.themePrompt);
+        expect(messaging.sentTo(tokens.alice)[0].notification.body).toContain(story.themePrompt);
+    });
+
+    it('keeps ordinary prompts away from the trip', async () => {
+        await seedPals();
+        await seedSettings('alice');
+
+        const prompt = await ensureDailyPrompt({ partnershipId: 'pair' }, await signedInAs('alice'));
+
+        expect(prompt.theme).toBeNull();
+        expect(await getData(`partnerships/pair/stories/${prompt.storyId}`)).not.toHaveProperty('theme');
+    });
+});
@@ -0,0 +1,195 @@
+// Exercises the notification service with in-memory clients; no emulator needed.
+
+const admin = require('firebase-admin');
+const { createNotificationService, DELIVERY_STATUS, DELIVERY_RETRY } = require('../../services/notifications');
+
+function isDelete(value) {
+    return value && typeof value.isEqual === 'function' && value.isEqual(admin.firestore.FieldValue.delete());
+}
+
+// Just enough of Firestore for the notification service: documents, batches and transactions
+function createMemoryDb() {
+    const docs = new Map();
+
+    function ref(path) {
+        return {
+            id: path.split('/').pop(),
+            path,
+            collection: (name) => collection(`${path}/${name}`),
+            async get() {
+                return { id: path.split('/').pop(), exists: docs.has(path), data: () => docs.get(path) };
+            },
+            async create(data) {
+                if (docs.has(path)) {
+                    throw Object.assign(new Error('Document already exists'), { code: 6 });
+                }
+                docs.set(path, { ...data });
+            },
+            async set(data) {
+                docs.set(path, { ...data });
+            },
+            async update(data) {
+                const updated = { ...docs.get(path) };
+                for (const [key, value] of Object.entries(data)) {
+                    if (isDelete(value)) {
+                        delete updated[key];
+                    } else {
+                        updated[key] = value;
+                    }
+                }
+                docs.set(path, updated);
+            },
+            async delete() {
+                docs.delete(path);
+            }
+        };
+    }
+
+    let autoId = 0;
+    function collection(path) {
+        return { doc: (id) => ref(`${path}/${id || `auto${++autoId}`}`) };
+    }
+
+    return {
+        docs,
+        collection,
+        batch() {
+            const writes = [];
+            return {
+                set: (docRef, data) => writes.push(() => docRef.set(data)),
+                update: (docRef, data) => writes.push(() => docRef.update(data)),
+                commit: () => Promise.all(writes.map(write => write()))
+            };
+        },
+        runTransaction(updateFunction) {
+            return updateFunction({
+                get: (docRef) => docRef.get(),
+                update: (docRef, data) => docRef.update(data)
+            });
+        }
+    };
+}
+
+function createMemoryMessaging() {
+    const messaging = {
+        sent: [],
+        failures: {},
+        async sendEachForMulticast(message) {
+            messaging.sent.push(message);
+            return {
+                responses: message.tokens.map(token => (messaging.failures[token]
+                    ? { success: false, error: { code: messaging.failures[token] } }
+                    : { success: true }))
+            };
+        }
+    };
+    return messaging;
+}
+
+// Adds up counters instead of writing metrics/{day}
+function createMemoryMetrics() {
+    const metrics = {
+        counts: {},
+        async increment(counters) {
+            for (const [name, amount] of Object.entries(counters)) {
+                metrics.counts[name] = (metrics.counts[name] || 0) + amount;
+            }
+        }
+    };
+    return metrics;
+}
+
+function setup(tokens) {
+    const db = createMemoryDb();
+    const messaging = createMemoryMessaging();
+    const metrics = createMemoryMetrics();
+    const deviceDocs = tokens.map(token => `users/bob/fcmTokens/${token}`);
+    deviceDocs.forEach((path, index) => db.docs.set(path, { token: tokens[index] }));
+
+    const users = {
+        async getDeviceTokens() {
+            return deviceDocs
+                .filter(path => db.docs.has(path))
+                .map(path => ({ token: db.docs.get(path).token, ref: db.collection('users/bob/fcmTokens').doc(path.split('/').pop()), legacy: false }));
+        }
+    };
+
+    return { db, messaging, metrics, notifications: createNotificationService({ db, messaging, users, metrics }) };
+}
+
+describe('notification service', () => {
+    it('delivers to every device and records the attempt', async () => {
+        const { db, messaging, notifications } = setup(['phone', 'tablet']);
+
+        const delivered = await notifications.send('bob', { title: 'Hi', body: 'There' }, { type: 'new_prompt', count: 2 }, { deliveryId: 'push' });
+
+        expect(delivered).toBe(true);
+        expect(messaging.sent[0].tokens).toEqual(['phone', 'tablet']);
+        expect(messaging.sent[0].data).toEqual({ type: 'new_prompt', count: '2' });
+        expect(db.docs.get('notificationDeliveries/push')).toMatchObject({ status: DELIVERY_STATUS.DELIVERED, deliveredCount: 2, attemptCount: 1 });
+        expect(db.docs.get('notificationDeliveries/push/attempts/1')).toMatchObject({ tokenCount: 2, successCount: 2 });
+    });
+
+    it('prunes dead tokens and schedules a retry for transient failures', async () => {
+        const { db, messaging, metrics, notifications } = setup(['phone', 'tablet', 'watch']);
+        messaging.failures = { tablet: 'messaging/registration-token-not-registered', watch: 'messaging/server-unavailable' };
+
+        await notifications.send('bob', { title: 'Hi', body: 'There' }, {}, { deliveryId: 'push' });
+
+        expect(db.docs.has('users/bob/fcmTokens/tablet')).toBe(false);
+        const delivery = db.docs.get('notificationDeliveries/push');
+        expect(delivery).toMatchObject({ status: DELIVERY_STATUS.RETRYING, pendingTokens: ['watch'] });
+        expect(delivery.nextAttemptAt.toMillis()).toBeGreaterThanOrEqual(Date.now() + DELIVERY_RETRY.baseDelayMs - 1000);
+        expect(metrics.counts).toEqual({ notificationsSent: 1, notificationsFailed: 2 });
+    });
+
+    it('sends a delivery id only once', async () => {
+        const { messaging, notifications } = setup(['phone']);
+
+        expect(await notifications.send('bob', { title: 'Hi', body: 'There' }, {}, { deliveryId: 'push' })).toBe(true);
+        expect(await notifications.send('bob', { title: 'Hi', body: 'There' }, {}, { deliveryId: 'push' })).toBe(false);
+        expect(messaging.sent).toHaveLength(1);
+    });
+
+    it('retries only the devices that failed, once the backoff has passed', async () => {
+        const { db, messaging, notifications } = setup(['phone', 'watch']);
+        messaging.failures = { watch: 'messaging/server-unavailable' };
+        await notifications.send('bob', { title: 'Hi', body: 'There' }, {}, { deliveryId: 'push' });
+
+        const deliveryRef = db.collection('notificationDeliveries').doc('push');
+        await notifications.retry(deliveryRef);
+        expect(messaging.sent).toHaveLength(1);
+
+        messaging.failures = {};
+        await deliveryRef.update({ nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() - 1000) });
+        await notifications.retry(deliveryRef);
+
+        expect(messaging.sent[1].tokens).toEqual(['watch']);
+        expect(db.docs.get('notificationDeliveries/push')).toMatchObject({ status: DELIVERY_STATUS.DELIVERED, deliveredCount: 2, attemptCount: 2 });
+    });
+
+    it('takes over a delivery whose sender died once its lease runs out', async () => {
+        const { db, messaging, notifications } = setup(['phone']);
+        const batch = db.batch;
+        db.batch = () => {
+            throw new Error('Function timed out');
+        };
+
+        await expect(notifications.send('bob', { title: 'Hi', body: 'There' }, {}, { deliveryId: 'push' })).rejects.toThrow('Function timed out');
+        db.batch = batch;
+
+        const deliveryRef = db.collection('notificationDeliveries').doc('push');
+        const leased = db.docs.get('notificationDeliveries/push');
+        expect(leased).toMatchObject({ status: DELIVERY_STATUS.SENDING, pendingTokens: ['phone'] });
+        expect(leased.nextAttemptAt.toMillis()).toBeGreaterThanOrEqual(Date.now() + DELIVERY_RETRY.sendingLeaseMs - 1000);
+
+        await notifications.retry(deliveryRef);
+        expect(messaging.sent).toHaveLength(1);
+
+        await deliveryRef.update({ nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() - 1000) });
+        await notifications.retry(deliveryRef);
+
+        expect(messaging.sent[1].tokens).toEqual(['phone']);
+        expect(db.docs.get('notificationDeliveries/push')).toMatchObject({ status: DELIVERY_STATUS.DELIVERED, deliveredCount: 1, attemptCount: 1 });
+    });
+});
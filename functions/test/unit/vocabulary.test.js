@@ -0,0 +1,15 @@
+// Phrase masking runs before profanity matching; no emulator needed.
+
+const { PARK_VOCABULARY, IDIOM_PHRASES, canonicalize, maskPhrases } = require('../../moderation/vocabulary');
+
+describe('maskPhrases', () => {
+    it('masks whole phrases only', () => {
+        expect(maskPhrases('we killed it on the skilled itinerary', IDIOM_PHRASES)).toBe('we   on the skilled itinerary');
+        expect(maskPhrases('a shell of a castle', IDIOM_PHRASES)).toBe('a shell of a castle');
+    });
+
+    it('masks phrases that start or end with punctuation', () => {
+        const text = canonicalize('Beignets (Port Orleans) and a Not‑So‑Scary night');
+        expect(maskPhrases(text, PARK_VOCABULARY)).toBe('  and a   night');
+    });
+});
@@ -0,0 +1,141 @@
+const functions = require('firebase-functions/v1');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { DELETION_JOB_STATUS, summarizeDeletionJob } = require('../services/accountDeletion');
+const { getServices } = require('../services');
+const { log, annotate, instrument } = require('../logging');
+const { REGION } = require('../params');
+const { assertAdmin, requireString } = require('./guards');
+
+// ===== ACCOUNT DELETION CLEANUP =====
+
+// Leave a minute of the function timeout for checkpointing before pausing a job
+const DELETION_RUN_TIMEOUT_SECONDS = 540;
+const DELETION_RUN_MARGIN_MS = 60 * 1000;
+const DELETION_RESUME_BATCH_SIZE = 10;
+const DELETION_STATUS_LIST_MAX = 100;
+
+function deletionDeadline() {
+    return Date.now() + DELETION_RUN_TIMEOUT_SECONDS * 1000 - DELETION_RUN_MARGIN_MS;
+}
+
+// Run a deletion job and record the outcome in securityIncidents for the audit trail
+async function runAccountDeletion(userId, deadline) {
+    const { accountDeletion, securityIncidents, metrics } = getServices();
+
+    try {
+        const status = await accountDeletion.runDeletionJob(userId, deadline);
+
+        if (status === DELETION_JOB_STATUS.COMPLETED) {
+            const jobDoc = await accountDeletion.deletionJobsRef().doc(userId).get();
+            const summary = summarizeDeletionJob(jobDoc);
+            const processed = Object.fromEntries(summary.phases.map(phase => [phase.name, phase.processed]));
+            log.info('Account deletion completed', { userId, outcome: 'completed', processed });
+            await metrics.increment({ deletionsCompleted: 1 });
+
+            await securityIncidents.record('user_account_deleted', {
+                userId: userId,
+                cleanupCompleted: true,
+                details: processed
+            });
+        } else if (status === DELETION_JOB_STATUS.PENDING) {
+            log.info('Account deletion paused until the next scheduled run', { userId });
+        }
+
+        return status;
+    } catch (error) {
+        log.error('Account deletion failed', { userId }, error);
+
+        // Log the error for investigation; the job resumes from its last checkpoint
+        await securityIncidents.record('user_deletion_cleanup_error', {
+            userId: userId,
+            error: error.message,
+            stack: error.stack
+        });
+        return null;
+    }
+}
+
+// Start a resumable cleanup job when a user account is deleted. Auth deletion events
+// only exist as 1st gen triggers, so this one stays on the v1 API.
+exports.onUserDelete = functions
+    .region(REGION)
+    .runWith({ timeoutSeconds: DELETION_RUN_TIMEOUT_SECONDS, memory: '512MB' })
+    .auth.user().onDelete(instrument('onUserDelete', async (user) => {
+        const userId = user.uid;
+
+        annotate({ userId });
+        log.info('Starting account deletion cleanup');
+
+        await getServices().accountDeletion.createDeletionJob(userId);
+        await runAccountDeletion(userId, deletionDeadline());
+
+        // Don't throw - the account deletion proceeds and the job resumes on its own
+        return null;
+    }));
+
+// Pick up deletion jobs that timed out, failed, or lost their lease
+exports.resumeAccountDeletions = onSchedule({
+    schedule: 'every 15 minutes',
+    timeZone: 'UTC',
+    region: REGION,
+    memory: '512MiB',
+    timeoutSeconds: DELETION_RUN_TIMEOUT_SECONDS
+}, instrument('resumeAccountDeletions', async () => {
+    const deadline = deletionDeadline();
+    const jobs = await getServices().accountDeletion.deletionJobsRef()
+        .where('status', 'in', [
+            DELETION_JOB_STATUS.PENDING,
+            DELETION_JOB_STATUS.RUNNING
+        ])
+        .limit(DELETION_RESUME_BATCH_SIZE)
+        .get();
+
+    log.info('Resuming account deletion jobs', { jobCount: jobs.size });
+
+    for (const jobDoc of jobs.docs) {
+        if (Date.now() >= deadline) {
+            break;
+        }
+        await runAccountDeletion(jobDoc.id, deadline);
+    }
+}));
+
+// Admin-only: status of one deletion job, or of every job that hasn't completed
+exports.getAccountDeletionStatus = onCall({ region: REGION, memory: '256MiB', timeoutSeconds: 60 }, instrument('getAccountDeletionStatus', async (request) => {
+    assertAdmin(request);
+    const { accountDeletion } = getServices();
+
+    const userId = request.data && request.data.userId;
+    if (userId) {
+        const jobDoc = await accountDeletion.deletionJobsRef().doc(userId).get();
+        if (!jobDoc.exists) {
+            throw new HttpsError('not-found', 'No deletion job for this user.');
+        }
+        return { jobs: [summarizeDeletionJob(jobDoc)] };
+    }
+
+    const jobs = await accountDeletion.deletionJobsRef()
+        .where('status', 'in', [
+            DELETION_JOB_STATUS.PENDING,
+            DELETION_JOB_STATUS.RUNNING,
+            DELETION_JOB_STATUS.STALLED
+        ])
+        .limit(DELETION_STATUS_LIST_MAX)
+        .get();
+    return { jobs: jobs.docs.map(summarizeDeletionJob) };
+}));
+
+// Admin-only: give a stalled deletion job a fresh set of attempts
+exports.restartAccountDeletion = onCall({ region: REGION, memory: '256MiB', timeoutSeconds: 60 }, instrument('restartAccountDeletion', async (request) => {
+    const adminId = assertAdmin(request);
+    const userId = requireString(request.data, 'userId');
+
+    const restarted = await getServices().accountDeletion.restartDeletionJob(userId);
+    if (!restarted) {
+        throw new HttpsError('failed-precondition', 'Only stalled deletion jobs can be restarted.');
+    }
+
+    log.info('Deletion job restarted', { userId, adminId });
+    return { restarted: true };
+}));
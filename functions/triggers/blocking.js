@@ -0,0 +1,130 @@
+const { onDocumentCreated, onDocumentDeleted } = require('firebase-functions/v2/firestore');
+const admin = require('firebase-admin');
+const { getServices } = require('../services');
+const { isActivePartnership } = require('../repositories/partnerships');
+const { REGION } = require('../params');
+const { log, annotate, instrument } = require('../logging');
+
+// ===== BLOCKING =====
+//
+// A block (users/{uid}/blockedUsers/{blockedUserId}) ends any active partnership between
+// the pair, removes invitations addressed between them in both directions, stops
+// notifications that are still queued or retrying, and hides the blocked user's stories
+// from the blocker via the story's `hiddenFor` list. Invitation codes carry no recipient
+// until redeemed, so redeemInvitation refuses a code from either of the pair, as
+// processNotificationQueue refuses their pushes. Both check blocks on every call, so
+// removing the block document restores eligibility to pair again. The old partnership
+// stays blocked; the pair has to send a new invitation.
+//
+// A circle the two share carries on for everyone else. Both stay members, but each one's
+// stories are hidden from the other and circle pushes skip the pair (see
+// services/circles.js) until the block is lifted. Prompts created later start out hidden
+// the same way (see createDailyPrompt).
+
+// Handle user blocking. Every write here is safe to repeat, so failed runs are retried.
+exports.handleUserBlock = onDocumentCreated({
+    document: 'users/{userId}/blockedUsers/{blockedUserId}',
+    region: REGION,
+    memory: '512MiB',
+    timeoutSeconds: 300,
+    retry: true,
+    concurrency: 10
+}, instrument('handleUserBlock', async (event) => {
+    const { userId, blockedUserId } = event.params;
+    const { db, partnerships, stories, notifications } = getServices();
+    const writer = db.bulkWriter();
+
+    annotate({ userId, blockedUserId });
+
+    // End any active partnership between these users
+    const partnershipDocs = await partnerships.between(userId, blockedUserId);
+    const circleDocs = await partnerships.circlesWith(userId, blockedUserId);
+    for (const doc of partnershipDocs) {
+        if (isActivePartnership(doc.data())) {
+            log.info('Blocking partnership', { partnershipId: doc.id });
+            writer.update(doc.ref, {
+                status: 'blocked',
+                blockedAt: admin.firestore.FieldValue.serverTimestamp(),
+                blockedBy: userId
+            });
+        }
+    }
+
+    await stories.setHidden(writer, partnershipDocs, blockedUserId, userId, true);
+    await stories.setHidden(writer, circleDocs, blockedUserId, userId, true);
+    await stories.setHidden(writer, circleDocs, userId, blockedUserId, true);
+
+    let invitationsRemoved = 0;
+    let notificationsStopped = 0;
+    const partnershipIds = partnershipDocs.map(doc => doc.id);
+
+    for (const [fromId, toId] of [[userId, blockedUserId], [blockedUserId, userId]]) {
+        // Remove invitations between these users (accepted ones stay as partnership history)
+        const invitations = await db.collection('palInvitations')
+            .where('fromUserId', '==', fromId)
+            .where('toUserId', '==', toId)
+            .get();
+        for (const doc of invitations.docs) {
+            if (doc.data().status !== 'accepted') {
+                writer.delete(doc.ref);
+                invitationsRemoved++;
+            }
+        }
+
+        // Stop queue items that haven't been processed yet
+        const queued = await db.collection('notificationQueue')
+            .where('requesterId', '==', fromId)
+            .where('targetUserId', '==', toId)
+            .where('processed', '==', false)
+            .get();
+        for (const doc of queued.docs) {
+            writer.update(doc.ref, {
+                processed: true,
+                rejected: true,
+                error: 'blocked',
+                processedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            notificationsStopped++;
+        }
+
+        // Cancel pushes about the pair that are waiting for a retry
+        notificationsStopped += await notifications.cancelRetrying(writer, toId,
+            data => data.requesterId === fromId || data.authorId === fromId || partnershipIds.includes(data.partnershipId));
+    }
+
+    await writer.close();
+
+    log.info('Block applied', { partnershipCount: partnershipDocs.length, circleCount: circleDocs.length, invitationsRemoved, notificationsStopped });
+    return null;
+}));
+
+// Lift a block: the pair can pair up and notify each other again, and the blocked user's
+// stories reappear. The partnership itself isn't restored. In shared circles both members'
+// stories reappear, unless the other one still blocks back.
+exports.handleUserUnblock = onDocumentDeleted({
+    document: 'users/{userId}/blockedUsers/{blockedUserId}',
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 300,
+    retry: true,
+    concurrency: 10
+}, instrument('handleUserUnblock', async (event) => {
+    const { userId, blockedUserId } = event.params;
+    const { db, users, partnerships, stories } = getServices();
+    const writer = db.bulkWriter();
+
+    annotate({ userId, blockedUserId });
+
+    const partnershipDocs = await partnerships.between(userId, blockedUserId);
+    await stories.setHidden(writer, partnershipDocs, blockedUserId, userId, false);
+
+    const blockedBack = (await users.blockRef(blockedUserId, userId).get()).exists;
+    if (!blockedBack) {
+        const circleDocs = await partnerships.circlesWith(userId, blockedUserId);
+        await stories.setHidden(writer, circleDocs, blockedUserId, userId, false);
+        await stories.setHidden(writer, circleDocs, userId, blockedUserId, false);
+    }
+    await writer.close();
+
+    return null;
+}));
@@ -0,0 +1,87 @@
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getServices } = require('../services');
+const { CIRCLE_NAME_MAX_LENGTH } = require('../services/circles');
+const { CIRCLE_ROLES } = require('../repositories/partnerships');
+const { REGION } = require('../params');
+const { log, annotate, instrument } = require('../logging');
+const { assertSignedIn, requireString } = require('./guards');
+
+// ===== STORY CIRCLES =====
+
+const CIRCLE_CALLABLE_OPTIONS = { region: REGION, memory: '256MiB', timeoutSeconds: 60, concurrency: 80 };
+
+// Circle service failures -> [HttpsError code, message]
+const CIRCLE_ERRORS = {
+    not_found: ['not-found', 'Story circle not found.'],
+    inactive: ['failed-precondition', 'This story circle has been closed.'],
+    not_owner: ['permission-denied', 'Only circle owners can do that.'],
+    not_member: ['not-found', 'That person is not in this circle.'],
+    last_owner: ['failed-precondition', 'A circle needs at least one owner. Make someone else an owner first.']
+};
+
+function throwIfFailed(result) {
+    if (result.error) {
+        const [code, message] = CIRCLE_ERRORS[result.error];
+        throw new HttpsError(code, message);
+    }
+    return result;
+}
+
+// Start a circle with the caller as its owner; members join through createInvitation
+exports.createCircle = onCall(CIRCLE_CALLABLE_OPTIONS, instrument('createCircle', async (request) => {
+    const userId = assertSignedIn(request);
+    const name = requireString(request.data, 'name').trim();
+    if (name.length === 0 || name.length > CIRCLE_NAME_MAX_LENGTH) {
+        throw new HttpsError('invalid-argument', `Circle names are 1 to ${CIRCLE_NAME_MAX_LENGTH} characters.`);
+    }
+
+    const { users, circles } = getServices();
+    if (!await users.get(userId)) {
+        throw new HttpsError('failed-precondition', 'Set up your profile before starting a circle.');
+    }
+
+    const circle = await circles.create(userId, name);
+    annotate({ partnershipId: circle.id });
+    log.info('Circle created');
+    return { circleId: circle.id, name };
+}));
+
+// Owners remove members; leave out userId (or pass your own) to leave the circle
+exports.removeCircleMember = onCall(CIRCLE_CALLABLE_OPTIONS, instrument('removeCircleMember', async (request) => {
+    const userId = assertSignedIn(request);
+    const circleId = requireString(request.data, 'circleId');
+    const memberId = request.data.userId || userId;
+    annotate({ partnershipId: circleId });
+
+    throwIfFailed(await getServices().circles.removeMember(circleId, userId, memberId));
+    log.info(memberId === userId ? 'Member left circle' : 'Member removed from circle', { memberId });
+    return { circleId, removed: memberId };
+}));
+
+exports.setCircleRole = onCall(CIRCLE_CALLABLE_OPTIONS, instrument('setCircleRole', async (request) => {
+    const userId = assertSignedIn(request);
+    const circleId = requireString(request.data, 'circleId');
+    const memberId = requireString(request.data, 'userId');
+    const role = request.data.role;
+    if (!Object.values(CIRCLE_ROLES).includes(role)) {
+        throw new HttpsError('invalid-argument', 'role must be owner or member.');
+    }
+    annotate({ partnershipId: circleId });
+
+    throwIfFailed(await getServices().circles.setRole(circleId, userId, memberId, role));
+    log.info('Circle role changed', { memberId, role });
+    return { circleId, userId: memberId, role };
+}));
+
+// Each member decides whether the circle's pushes reach them
+exports.setCircleNotifications = onCall(CIRCLE_CALLABLE_OPTIONS, instrument('setCircleNotifications', async (request) => {
+    const userId = assertSignedIn(request);
+    const circleId = requireString(request.data, 'circleId');
+    if (typeof request.data.muted !== 'boolean') {
+        throw new HttpsError('invalid-argument', 'muted must be true or false.');
+    }
+    annotate({ partnershipId: circleId });
+
+    throwIfFailed(await getServices().circles.setMuted(circleId, userId, request.data.muted));
+    return { circleId, muted: request.data.muted };
+}));
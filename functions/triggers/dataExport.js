@@ -0,0 +1,85 @@
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const admin = require('firebase-admin');
+const { getServices } = require('../services');
+const { log, instrument } = require('../logging');
+const { REGION, DATA_EXPORTS_PER_DAY, paramValue } = require('../params');
+const { assertSignedIn } = require('./guards');
+
+// ===== USER DATA EXPORT =====
+
+// Exports are expensive and contain everything about a user, so each user gets a few a
+// day; how many is a deployment param
+const DATA_EXPORT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Returns true if the export may go ahead, counting it against the user's window
+async function consumeDataExportQuota(userId) {
+    const { db } = getServices();
+    const limitRef = db.collection('dataExportLimits').doc(userId);
+    const now = Date.now();
+
+    return db.runTransaction(async (transaction) => {
+        const limitDoc = await transaction.get(limitRef);
+        const current = limitDoc.exists ? limitDoc.data() : {};
+        const inWindow = current.windowStart && now - current.windowStart < DATA_EXPORT_WINDOW_MS;
+        const count = inWindow ? current.count || 0 : 0;
+
+        if (count >= paramValue(DATA_EXPORTS_PER_DAY)) {
+            return false;
+        }
+
+        transaction.set(limitRef, {
+            windowStart: inWindow ? current.windowStart : now,
+            count: count + 1,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+    });
+}
+
+// Assemble a complete export of the caller's data and return short-lived download links
+exports.exportUserData = onCall({
+    region: REGION,
+    memory: '512MiB',
+    timeoutSeconds: 300,
+    concurrency: 4
+}, instrument('exportUserData', async (request) => {
+    const userId = assertSignedIn(request);
+    const { securityIncidents, dataExport } = getServices();
+
+    if (!(await consumeDataExportQuota(userId))) {
+        await securityIncidents.record('user_data_export_rate_limited', { userId });
+        throw new HttpsError('resource-exhausted', 'You have requested too many exports today. Please try again tomorrow.');
+    }
+
+    log.info('Building data export');
+
+    const exportData = await dataExport.buildUserExport(userId);
+    const result = await dataExport.writeExport(userId, exportData);
+
+    // SECURITY: Audit every export of personal data
+    await securityIncidents.record('user_data_export', {
+        userId,
+        exportId: result.exportId,
+        details: {
+            partnerships: exportData.partnerships.length,
+            stories: exportData.partnerships.reduce((total, partnership) => total + partnership.stories.length, 0),
+            reportsAboutUser: exportData.reports.aboutYou.length
+        }
+    });
+
+    log.info('Data export ready', { exportId: result.exportId });
+    return result;
+}));
+
+// Remove export archives once their retention period has passed
+exports.purgeExpiredDataExports = onSchedule({
+    schedule: 'every 60 minutes',
+    timeZone: 'UTC',
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 300
+}, instrument('purgeExpiredDataExports', async () => {
+    const purged = await getServices().dataExport.purgeExpiredExports();
+    log.info('Purged expired data exports', { purged });
+}));
@@ -0,0 +1,49 @@
+const { HttpsError } = require('firebase-functions/v2/https');
+const { annotate } = require('../logging');
+
+// ===== CALLABLE GUARDS =====
+//
+// Shared checks for onCall functions, given the callable request. Each returns the caller's
+// uid or the checked value, and throws the HttpsError the app expects otherwise. The
+// caller's uid is added to the invocation's log fields as userId.
+
+function assertSignedIn(request) {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in.');
+    }
+    annotate({ userId: request.auth.uid });
+    return request.auth.uid;
+}
+
+// Callables for the moderation dashboard require a `moderator` or `admin` custom claim
+function assertModerator(request) {
+    const uid = assertSignedIn(request);
+    const token = request.auth.token || {};
+    if (token.moderator !== true && token.admin !== true) {
+        throw new HttpsError('permission-denied', 'Moderator access is required.');
+    }
+    return uid;
+}
+
+function assertAdmin(request) {
+    const uid = assertSignedIn(request);
+    if ((request.auth.token || {}).admin !== true) {
+        throw new HttpsError('permission-denied', 'Admin access is required.');
+    }
+    return uid;
+}
+
+function requireString(data, field) {
+    const value = data && data[field];
+    if (typeof value !== 'string' || value.length === 0) {
+        throw new HttpsError('invalid-argument', `${field} is required.`);
+    }
+    return value;
+}
+
+module.exports = {
+    assertSignedIn,
+    assertModerator,
+    assertAdmin,
+    requireString
+};
@@ -0,0 +1,419 @@
+const crypto = require('crypto');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const admin = require('firebase-admin');
+const { getServices } = require('../services');
+const { CIRCLE_ROLES, isActivePartnership, isCircle, isMember, memberIds, roleOf } = require('../repositories/partnerships');
+const { DEFAULT_PROMPT_CATEGORIES } = require('../services/prompts');
+const {
+    REGION,
+    INVITATIONS_MAX_PENDING,
+    INVITATIONS_PER_HOUR,
+    INVITATION_REDEEM_FAILURES_PER_HOUR,
+    CIRCLE_MAX_MEMBERS,
+    paramValue
+} = require('../params');
+const { log, annotate, instrument } = require('../logging');
+const { assertSignedIn } = require('./guards');
+
+// ===== PAL INVITATIONS =====
+
+// Invitations are created and redeemed only through these callables, so limits and the
+// checks around who can become pals or join a circle are enforced on the server. An
+// invitation with a circleId adds the redeemer to that circle instead of creating a pair.
+const INVITATION_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No ambiguous characters
+const INVITATION_CODE_LENGTH = 6;
+const INVITATION_CODE_ATTEMPTS = 5;
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const INVITATION_EXPIRY_PAGE_SIZE = 200;
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+
+function generateInvitationCode() {
+    let code = '';
+    for (let i = 0; i < INVITATION_CODE_LENGTH; i++) {
+        code += INVITATION_CODE_ALPHABET[crypto.randomInt(INVITATION_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+function isLiveInvitation(invitation, now) {
+    return invitation.status === 'pending' && invitation.expiresAt && invitation.expiresAt.toMillis() > now;
+}
+
+// Both limits share invitationRateLimits/{uid}: creations in windowStart/count, failed
+// redeems in redeemFailures
+function invitationLimitRef(userId) {
+    return getServices().db.collection('invitationRateLimits').doc(userId);
+}
+
+// Failed redeems in the current window, so guessing codes is cut off after a few tries
+async function redeemFailureCount(userId, now) {
+    const limitDoc = await invitationLimitRef(userId).get();
+    const failures = (limitDoc.exists && limitDoc.data().redeemFailures) || {};
+    return failures.windowStart && now - failures.windowStart < RATE_LIMIT_WINDOW_MS ? failures.count || 0 : 0;
+}
+
+async function recordRedeemFailure(userId, now) {
+    const { db } = getServices();
+    const limitRef = invitationLimitRef(userId);
+
+    await db.runTransaction(async (transaction) => {
+        const limitDoc = await transaction.get(limitRef);
+        const failures = (limitDoc.exists && limitDoc.data().redeemFailures) || {};
+        const inWindow = failures.windowStart && now - failures.windowStart < RATE_LIMIT_WINDOW_MS;
+        transaction.set(limitRef, {
+            redeemFailures: {
+                windowStart: inWindow ? failures.windowStart : now,
+                count: (inWindow ? failures.count || 0 : 0) + 1
+            },
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    });
+}
+
+exports.createInvitation = onCall({ region: REGION, memory: '256MiB', timeoutSeconds: 60, concurrency: 80 }, instrument('createInvitation', async (request) => {
+    const userId = assertSignedIn(request);
+    const { db, users, partnerships } = getServices();
+    const maxPending = paramValue(INVITATIONS_MAX_PENDING);
+    const perHour = paramValue(INVITATIONS_PER_HOUR);
+
+    const profile = await users.get(userId);
+    if (!profile) {
+        throw new HttpsError('failed-precondition', 'Set up your profile before inviting pals.');
+    }
+
+    // Owners invite people into their circle; without a circleId the invitation is for a pair
+    const circleId = (request.data && request.data.circleId) || null;
+    let circle = null;
+    if (circleId) {
+        circle = await partnerships.get(circleId);
+        if (!circle || !isCircle(circle) || roleOf(circle, userId) !== CIRCLE_ROLES.OWNER) {
+            throw new HttpsError('permission-denied', 'Only circle owners can invite new members.');
+        }
+        if (!isActivePartnership(circle) || memberIds(circle).length >= paramValue(CIRCLE_MAX_MEMBERS)) {
+            throw new HttpsError('failed-precondition', 'This circle is not taking new members.');
+        }
+        annotate({ partnershipId: circleId });
+    }
+
+    const limitRef = invitationLimitRef(userId);
+    const invitationRef = db.collection('palInvitations').doc();
+    const now = Date.now();
+
+    const result = await db.runTransaction(async (transaction) => {
+        const [limitDoc, pending] = await Promise.all([
+            transaction.get(limitRef),
+            transaction.get(db.collection('palInvitations')
+                .where('fromUserId', '==', userId)
+                .where('status', '==', 'pending'))
+        ]);
+
+        const pendingCount = pending.docs.filter(doc => isLiveInvitation(doc.data(), now)).length;
+        if (pendingCount >= maxPending) {
+            return { error: 'too_many_pending' };
+        }
+
+        const limit = limitDoc.exists ? limitDoc.data() : {};
+        const inWindow = limit.windowStart && now - limit.windowStart < RATE_LIMIT_WINDOW_MS;
+        const hourlyCount = inWindow ? limit.count || 0 : 0;
+        if (hourlyCount >= perHour) {
+            return { error: 'hourly_limit' };
+        }
+
+        // Codes only need to be unique among invitations that can still be redeemed
+        let invitationCode = null;
+        for (let attempt = 0; attempt < INVITATION_CODE_ATTEMPTS && !invitationCode; attempt++) {
+            const candidate = generateInvitationCode();
+            const clash = await transaction.get(db.collection('palInvitations')
+                .where('invitationCode', '==', candidate)
+                .where('status', '==', 'pending')
+                .limit(1));
+            if (clash.empty) {
+                invitationCode = candidate;
+            }
+        }
+        if (!invitationCode) {
+            throw new Error('Could not generate a unique invitation code');
+        }
+
+        const expiresAt = admin.firestore.Timestamp.fromMillis(now + INVITATION_TTL_MS);
+        transaction.set(invitationRef, {
+            id: invitationRef.id,
+            fromUserId: userId,
+            fromUserName: profile.displayName || '',
+            fromUserEmail: profile.email || '',
+            invitationCode,
+            status: 'pending',
+            createdAt: admin.firestore.Timestamp.fromMillis(now),
+            expiresAt,
+            ...(circle ? { circleId, circleName: circle.name || '' } : {})
+        });
+        transaction.set(limitRef, {
+            windowStart: inWindow ? limit.windowStart : now,
+            count: hourlyCount + 1,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        return { invitationCode, expiresAt };
+    });
+
+    if (result.error === 'too_many_pending') {
+        throw new HttpsError('resource-exhausted',
+            `You have reached the maximum of ${maxPending} pending invitations. Please wait for some to be accepted or expire before creating more.`);
+    }
+    if (result.error === 'hourly_limit') {
+        throw new HttpsError('resource-exhausted',
+            `You can only create ${perHour} invitations per hour. Please try again later.`);
+    }
+
+    log.info('Invitation created', { invitationId: invitationRef.id });
+    return {
+        invitationId: invitationRef.id,
+        invitationCode: result.invitationCode,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: result.expiresAt.toDate().toISOString(),
+        circleId
+    };
+}));
+
+// Redeem failures -> [HttpsError code, message]. Blocks look like a bad code to the caller.
+const REDEEM_ERRORS = {
+    not_found: ['not-found', 'Invalid or expired invitation code'],
+    expired: ['not-found', 'Invalid or expired invitation code'],
+    blocked: ['not-found', 'Invalid or expired invitation code'],
+    self_invite: ['failed-precondition', 'You cannot accept your own invitation'],
+    already_partners: ['already-exists', 'You are already story pals'],
+    already_member: ['already-exists', 'You are already in this story circle'],
+    circle_closed: ['failed-precondition', 'This circle is not taking new members']
+};
+
+// Add the redeemer to the invitation's circle, as part of the redeem transaction. Anyone
+// blocked by or blocking a member can't join, the same as for a pair.
+async function joinCircle(transaction, invitationDoc, userId) {
+    const { users, partnerships } = getServices();
+    const invitation = invitationDoc.data();
+    const circleRef = partnerships.ref(invitation.circleId);
+
+    const [circleDoc, redeemerDoc] = await Promise.all([
+        transaction.get(circleRef),
+        transaction.get(users.ref(userId))
+    ]);
+    if (!circleDoc.exists || !isCircle(circleDoc.data())) {
+        return { error: 'not_found' };
+    }
+    const circle = circleDoc.data();
+    if (isMember(circle, userId)) {
+        return { error: 'already_member' };
+    }
+    if (!isActivePartnership(circle) || !isMember(circle, invitation.fromUserId) ||
+        memberIds(circle).length >= paramValue(CIRCLE_MAX_MEMBERS)) {
+        return { error: 'circle_closed' };
+    }
+
+    const blocks = await Promise.all(memberIds(circle).flatMap(memberId => [
+        transaction.get(users.blockRef(memberId, userId)),
+        transaction.get(users.blockRef(userId, memberId))
+    ]));
+    if (blocks.some(block => block.exists)) {
+        return { error: 'blocked', invitationId: invitationDoc.id, inviterId: invitation.fromUserId };
+    }
+
+    transaction.update(circleRef, {
+        memberIds: admin.firestore.FieldValue.arrayUnion(userId),
+        [`roles.${userId}`]: CIRCLE_ROLES.MEMBER,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.update(invitationDoc.ref, {
+        status: 'accepted',
+        toUserId: userId,
+        acceptedAt: admin.firestore.FieldValue.serverTimestamp(),
+        partnershipId: circleRef.id
+    });
+
+    return {
+        circleId: circleRef.id,
+        circle: { ...circle, memberIds: [...memberIds(circle), userId] },
+        memberName: (redeemerDoc.exists && redeemerDoc.data().displayName) || 'Someone new'
+    };
+}
+
+// Redeem an invitation code: validates it and creates the partnership, or joins the circle,
+// in one transaction
+exports.redeemInvitation = onCall({ region: REGION, memory: '256MiB', timeoutSeconds: 60, concurrency: 80 }, instrument('redeemInvitation', async (request) => {
+    const userId = assertSignedIn(request);
+    const code = String((request.data && request.data.code) || '').trim().toUpperCase();
+    if (code.length !== INVITATION_CODE_LENGTH) {
+        throw new HttpsError('invalid-argument', 'Invalid or expired invitation code');
+    }
+
+    const { db, users, partnerships, circles, securityIncidents } = getServices();
+    const partnershipRef = db.collection('partnerships').doc();
+    const now = Date.now();
+
+    if (await redeemFailureCount(userId, now) >= paramValue(INVITATION_REDEEM_FAILURES_PER_HOUR)) {
+        annotate({ outcome: 'rate_limited' });
+        throw new HttpsError('resource-exhausted', 'Too many invitation codes tried. Please try again later.');
+    }
+
+    const outcome = await db.runTransaction(async (transaction) => {
+        const matches = await transaction.get(db.collection('palInvitations')
+            .where('invitationCode', '==', code)
+            .where('status', '==', 'pending'));
+        if (matches.empty) {
+            return { error: 'not_found' };
+        }
+
+        const invitationDoc = matches.docs[0];
+        const invitation = invitationDoc.data();
+        const inviterId = invitation.fromUserId;
+
+        if (!isLiveInvitation(invitation, now)) {
+            transaction.update(invitationDoc.ref, { status: 'expired' });
+            return { error: 'expired' };
+        }
+        if (inviterId === userId) {
+            return { error: 'self_invite' };
+        }
+        if (invitation.circleId) {
+            return joinCircle(transaction, invitationDoc, userId);
+        }
+
+        const [forwardQuery, reverseQuery] = partnerships.queriesBetween(inviterId, userId);
+        const [inviterBlocked, redeemerBlocked, forward, reverse, inviterDoc, redeemerDoc] = await Promise.all([
+            transaction.get(users.blockRef(inviterId, userId)),
+            transaction.get(users.blockRef(userId, inviterId)),
+            transaction.get(forwardQuery),
+            transaction.get(reverseQuery),
+            transaction.get(users.ref(inviterId)),
+            transaction.get(users.ref(userId))
+        ]);
+
+        if (inviterBlocked.exists || redeemerBlocked.exists) {
+            return { error: 'blocked', invitationId: invitationDoc.id, inviterId };
+        }
+        if ([...forward.docs, ...reverse.docs].some(doc => isActivePartnership(doc.data()))) {
+            return { error: 'already_partners' };
+        }
+        if (!inviterDoc.exists) {
+            return { error: 'not_found' };
+        }
+
+        // The inviter writes the first story, as before
+        transaction.set(partnershipRef, {
+            id: partnershipRef.id,
+            user1Id: inviterId,
+            user2Id: userId,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            enabledCategories: DEFAULT_PROMPT_CATEGORIES,
+            nextAuthorId: inviterId,
+            status: 'active',
+            invitationId: invitationDoc.id
+        });
+        transaction.update(invitationDoc.ref, {
+            status: 'accepted',
+            toUserId: userId,
+            acceptedAt: admin.firestore.FieldValue.serverTimestamp(),
+            partnershipId: partnershipRef.id
+        });
+        transaction.update(inviterDoc.ref, {
+            connectionIds: admin.firestore.FieldValue.arrayUnion(userId)
+        });
+        if (redeemerDoc.exists) {
+            transaction.update(redeemerDoc.ref, {
+                connectionIds: admin.firestore.FieldValue.arrayUnion(inviterId)
+            });
+        }
+
+        return { palId: inviterId, palName: inviterDoc.data().displayName || invitation.fromUserName || null };
+    });
+
+    if (outcome.error === 'blocked') {
+        // SECURITY: Don't reveal the block to the caller, but keep a record of the attempt
+        await securityIncidents.record('blocked_invitation_redeem', {
+            userId,
+            inviterId: outcome.inviterId,
+            invitationId: outcome.invitationId
+        });
+    }
+    if (outcome.error) {
+        const [code, message] = REDEEM_ERRORS[outcome.error];
+        log.info('Invitation not redeemed', { reason: outcome.error });
+        await recordRedeemFailure(userId, now);
+        throw new HttpsError(code, message);
+    }
+
+    if (outcome.circleId) {
+        annotate({ partnershipId: outcome.circleId });
+        log.info('Circle invitation redeemed', { memberCount: outcome.circle.memberIds.length });
+        await circles.notifyMembers(outcome.circle, userId, {}, {
+            title: 'New Circle Member 👋',
+            body: `${outcome.memberName} joined ${outcome.circle.name || 'your story circle'}!`
+        }, {
+            type: 'circle_member_joined',
+            partnershipId: outcome.circleId,
+            memberId: userId
+        }, { deliveryId: `circle_joined_${outcome.circleId}_${userId}` });
+        return {
+            partnershipId: outcome.circleId,
+            circleId: outcome.circleId,
+            circleName: outcome.circle.name || null
+        };
+    }
+
+    annotate({ partnershipId: partnershipRef.id });
+    log.info('Invitation redeemed', { palId: outcome.palId });
+    return {
+        partnershipId: partnershipRef.id,
+        palId: outcome.palId,
+        palName: outcome.palName
+    };
+}));
+
+// Mark pending invitations as expired once they pass expiresAt
+exports.expireInvitations = onSchedule({
+    schedule: 'every 60 minutes',
+    timeZone: 'UTC',
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 300
+}, instrument('expireInvitations', async () => {
+    const { db } = getServices();
+    const now = Date.now();
+    let lastDoc = null;
+    let expired = 0;
+
+    for (;;) {
+        let query = db.collection('palInvitations')
+            .where('status', '==', 'pending')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(INVITATION_EXPIRY_PAGE_SIZE);
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+
+        const page = await query.get();
+        if (page.empty) {
+            break;
+        }
+
+        const batch = db.batch();
+        let batchCount = 0;
+        for (const doc of page.docs) {
+            if (!isLiveInvitation(doc.data(), now)) {
+                batch.update(doc.ref, {
+                    status: 'expired',
+                    expiredAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                batchCount++;
+            }
+        }
+        if (batchCount > 0) {
+            await batch.commit();
+            expired += batchCount;
+        }
+
+        lastDoc = page.docs[page.docs.length - 1];
+    }
+
+    log.info('Expired pal invitations', { expired });
+}));
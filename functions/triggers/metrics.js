@@ -0,0 +1,23 @@
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { getServices } = require('../services');
+const { metricsDateKey } = require('../services/metrics');
+const { log, instrument } = require('../logging');
+const { REGION } = require('../params');
+
+// ===== DAILY METRICS =====
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shortly after midnight UTC, add the rates to yesterday's counters for the admin dashboard
+exports.finalizeDailyMetrics = onSchedule({
+    schedule: '30 0 * * *',
+    timeZone: 'UTC',
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 60
+}, instrument('finalizeDailyMetrics', async () => {
+    const dateKey = metricsDateKey(new Date(Date.now() - DAY_MS));
+    const summary = await getServices().metrics.finalizeDay(dateKey);
+
+    log.info('Daily metrics finalized', summary);
+}));
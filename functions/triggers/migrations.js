@@ -0,0 +1,65 @@
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getServices } = require('../services');
+const { REGION } = require('../params');
+const { log, instrument } = require('../logging');
+const { assertAdmin } = require('./guards');
+
+// ===== LEGACY DATA MIGRATION =====
+
+// Leave a minute of the function timeout for checkpointing before pausing the job
+const MIGRATION_RUN_TIMEOUT_SECONDS = 540;
+const MIGRATION_RUN_MARGIN_MS = 60 * 1000;
+
+// { Jon: uid, Carolyn: uid } - legacy author names (or legacy_* ids) to real uids
+function readAuthorAliases(data) {
+    const aliases = (data && data.authorAliases) || {};
+    const valid = typeof aliases === 'object' && !Array.isArray(aliases) &&
+        Object.values(aliases).every(uid => typeof uid === 'string' && uid.length > 0);
+    if (!valid) {
+        throw new HttpsError('invalid-argument', 'authorAliases must map legacy author names to user ids.');
+    }
+    return aliases;
+}
+
+// Admin-only: move sharedStories into partnerships/{id}/stories. With dryRun nothing is
+// written and the report shows what would happen. Otherwise the job migrates until it
+// finishes or runs short on time; call again to resume, or pass restart to re-check
+// stories that were skipped.
+exports.migrateSharedStories = onCall({
+    region: REGION,
+    memory: '512MiB',
+    timeoutSeconds: MIGRATION_RUN_TIMEOUT_SECONDS,
+    concurrency: 1
+}, instrument('migrateSharedStories', async (request) => {
+    const adminId = assertAdmin(request);
+    const data = request.data || {};
+    const aliases = readAuthorAliases(data);
+    const deadline = Date.now() + MIGRATION_RUN_TIMEOUT_SECONDS * 1000 - MIGRATION_RUN_MARGIN_MS;
+    const { legacyMigration, securityIncidents } = getServices();
+
+    if (data.dryRun) {
+        log.info('sharedStories migration dry run', { adminId });
+        return legacyMigration.dryRun(aliases, data.startAfter || null, deadline);
+    }
+
+    log.info('sharedStories migration run', { adminId });
+    const report = await legacyMigration.migrate(aliases, { restart: data.restart === true, deadline });
+    if (!report) {
+        throw new HttpsError('failed-precondition', 'The migration is already running.');
+    }
+
+    // Audit every run that changed data
+    await securityIncidents.record('shared_stories_migrated', {
+        adminId,
+        migrated: report.migrated,
+        partnershipsCreated: report.partnershipsCreated,
+        done: report.done
+    });
+
+    log.info('sharedStories migration finished a run', {
+        migrated: report.migrated,
+        skipped: report.skipped,
+        done: report.done
+    });
+    return report;
+}));
@@ -0,0 +1,288 @@
+const { onDocumentWritten, onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const admin = require('firebase-admin');
+const { MODERATION_STATUS_BY_DECISION, HIDDEN_CONTENT_STATUSES } = require('../moderation/pipeline');
+const { DECISIONS } = require('../moderation');
+const { getServices } = require('../services');
+const { isMeaningfulEdit } = require('../services/storyRevisions');
+const { REGION } = require('../params');
+const { log, annotate, instrument } = require('../logging');
+
+// ===== CONTENT MODERATION =====
+
+// Stands in for a display name moderation removed; the app needs one to show
+const REMOVED_DISPLAY_NAME = 'Disney Pal';
+
+function sameTimestamp(a, b) {
+    return a && b ? a.isEqual(b) : a === b;
+}
+
+// Moderate story content when created, and again whenever its text is edited. An edit can
+// hide a story further but never bring a hidden one back; that takes a moderator, who then
+// reviews the edited text. Not retried: a failed run would queue the same content twice.
+exports.moderateStoryContent = onDocumentWritten({
+    document: 'partnerships/{partnershipId}/stories/{storyId}',
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 60,
+    retry: false,
+    concurrency: 80
+}, instrument('moderateStoryContent', async (event) => {
+    const change = event.data;
+    // Skip if document was deleted
+    if (!change.after.exists) {
+        return null;
+    }
+
+    const storyData = change.after.data();
+    const storyText = (storyData.text || '').trim();
+
+    // Only moderate if there's actual text content
+    if (!storyText || storyText.length === 0) {
+        return null;
+    }
+
+    // Skip if already moderated, unless the text was meaningfully edited since. Only the
+    // server can create a story that is already moderated (the legacy migration does).
+    const previousText = change.before.exists ? (change.before.data().text || '') : '';
+    if (storyData.moderationStatus && (!change.before.exists || !isMeaningfulEdit(previousText, storyText))) {
+        return null;
+    }
+
+    const { moderation, notifications, metrics } = getServices();
+    const { partnershipId, storyId } = event.params;
+    const authorId = storyData.authorId;
+
+    annotate({ userId: authorId, partnershipId, storyId });
+
+    const moderationResult = await moderation.moderateContent(
+        storyText,
+        'story',
+        authorId,
+        `${partnershipId}/${storyId}`
+    );
+
+    const previousStatus = storyData.moderationStatus;
+    const status = MODERATION_STATUS_BY_DECISION[moderationResult.decision];
+    const stillHidden = HIDDEN_CONTENT_STATUSES.indexOf(previousStatus) > HIDDEN_CONTENT_STATUSES.indexOf(status);
+
+    // Update story with moderation status
+    await change.after.ref.update({
+        moderationStatus: stillHidden ? previousStatus : status,
+        moderationScore: moderationResult.score,
+        moderatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        moderationReasons: moderationResult.approved
+            ? (stillHidden ? storyData.moderationReasons || null : null)
+            : moderationResult.reasons.map(r => r.reason)
+    });
+    await metrics.increment({ storiesModerated: 1, storiesFlagged: moderationResult.approved ? 0 : 1 });
+
+    if (previousStatus) {
+        const updated = await moderation.updateOpenQueueItems('story', `${partnershipId}/${storyId}`, storyText, moderationResult);
+        if (updated > 0) {
+            log.info('Queue items updated for edited story', { updated, superseded: Boolean(moderationResult.queueItemId) });
+        }
+    }
+
+    // If flagged, send notification to user
+    if (!moderationResult.approved) {
+        annotate({ outcome: 'flagged' });
+        log.info('Story flagged for review', { decision: moderationResult.decision });
+
+        // Optionally notify the user their content is under review
+        await notifications.send(authorId, {
+            title: 'Content Under Review',
+            body: 'Your story is being reviewed by our moderation team.'
+        }, {
+            type: 'moderation_review',
+            contentType: 'story',
+            contentId: storyId
+        });
+    }
+
+    return null;
+}));
+
+// Moderate user profile content (displayName, bio) when created or updated
+exports.moderateUserProfile = onDocumentWritten({
+    document: 'users/{userId}',
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 60,
+    retry: false,
+    concurrency: 80
+}, instrument('moderateUserProfile', async (event) => {
+    const change = event.data;
+    // Skip if document was deleted
+    if (!change.after.exists) {
+        return null;
+    }
+
+    const userData = change.after.data();
+    const { userId } = event.params;
+
+    // Check if profile data changed
+    const oldData = change.before.exists ? change.before.data() : {};
+    const displayNameChanged = userData.displayName !== oldData.displayName;
+    const bioChanged = userData.bio !== oldData.bio;
+
+    // Skip the writes moderation makes itself (only Cloud Functions set moderatedAt), so
+    // removing blocked text doesn't get the profile approved again
+    if ((!displayNameChanged && !bioChanged) || !sameTimestamp(userData.moderatedAt, oldData.moderatedAt)) {
+        return null;
+    }
+
+    const { moderation, notifications } = getServices();
+
+    annotate({ userId });
+
+    let flagged = false;
+    let blocked = false;
+    const flagReasons = [];
+    // Blocked text comes out of the profile; the queue item keeps it for the moderator
+    const removedText = {};
+
+    // Moderate display name
+    if (displayNameChanged && userData.displayName) {
+        const displayNameResult = await moderation.moderateContent(
+            userData.displayName,
+            'displayName',
+            userId,
+            userId
+        );
+        if (!displayNameResult.approved) {
+            flagged = true;
+            if (displayNameResult.decision === DECISIONS.BLOCK) {
+                blocked = true;
+                removedText.displayName = REMOVED_DISPLAY_NAME;
+            }
+            flagReasons.push(...displayNameResult.reasons.map(r => `displayName_${r.reason}`));
+        }
+    }
+
+    // Moderate bio
+    if (bioChanged && userData.bio) {
+        const bioResult = await moderation.moderateContent(
+            userData.bio,
+            'bio',
+            userId,
+            userId
+        );
+        if (!bioResult.approved) {
+            flagged = true;
+            if (bioResult.decision === DECISIONS.BLOCK) {
+                blocked = true;
+                removedText.bio = admin.firestore.FieldValue.delete();
+            }
+            flagReasons.push(...bioResult.reasons.map(r => `bio_${r.reason}`));
+        }
+    }
+
+    // Update profile with moderation status. Blocked text is taken out of the profile;
+    // text held for review stays until a moderator decides.
+    if (flagged) {
+        annotate({ outcome: 'flagged' });
+        log.info('Profile flagged for review', { reasons: flagReasons, blocked });
+
+        await change.after.ref.update({
+            ...removedText,
+            moderationStatus: MODERATION_STATUS_BY_DECISION[blocked ? DECISIONS.BLOCK : DECISIONS.REVIEW],
+            moderatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            moderationReasons: flagReasons
+        });
+
+        // Notify user
+        await notifications.send(userId, {
+            title: 'Profile Under Review',
+            body: 'Your profile information is being reviewed by our moderation team.'
+        }, {
+            type: 'moderation_review',
+            contentType: 'profile'
+        });
+    } else {
+        // Approved - clear any previous flags
+        await change.after.ref.update({
+            moderationStatus: 'approved',
+            moderatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            moderationReasons: admin.firestore.FieldValue.delete()
+        });
+    }
+
+    return null;
+}));
+
+// Handle user content reports
+exports.handleContentReport = onDocumentCreated({
+    document: 'contentReports/{reportId}',
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 60,
+    retry: false,
+    concurrency: 80
+}, instrument('handleContentReport', async (event) => {
+    const snap = event.data;
+    const reportData = snap.data();
+    const { reportId } = event.params;
+
+    annotate({ reportId });
+
+    // Validate report data
+    if (!reportData.reporterId || !reportData.contentType || !reportData.contentId) {
+        annotate({ outcome: 'invalid' });
+        log.warn('Invalid report data');
+        return null;
+    }
+
+    // Add to moderation queue with higher priority (user-reported)
+    await getServices().db.collection('moderationQueue').add({
+        contentType: reportData.contentType,
+        userId: reportData.reportedUserId,
+        contentId: reportData.contentId,
+        reporterId: reportData.reporterId,
+        reportReason: reportData.reason,
+        reportDetails: reportData.details,
+        status: 'pending',
+        priority: 'high', // User reports get high priority
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        reportId,
+        autoFlagged: false,
+        userReported: true
+    });
+
+    // Update report status
+    await snap.ref.update({
+        status: 'queued',
+        queuedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    log.info('Report added to moderation queue', { contentType: reportData.contentType });
+    return null;
+}));
+
+// Lift strike-based restrictions once their suspension period has passed
+exports.liftExpiredRestrictions = onSchedule({
+    schedule: 'every 60 minutes',
+    timeZone: 'UTC',
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 300
+}, instrument('liftExpiredRestrictions', async () => {
+    const expired = await getServices().db
+        .collection('userRestrictions')
+        .where('restricted', '==', true)
+        .where('restrictedUntil', '<=', admin.firestore.Timestamp.now())
+        .get();
+
+    log.info('Checking expired restrictions', { expired: expired.size });
+
+    for (const doc of expired.docs) {
+        try {
+            const lifted = await getServices().strikes.liftRestrictionsIfExpired(doc.id);
+            if (lifted.length > 0) {
+                log.info('Lifted restrictions', { userId: doc.id, lifted });
+            }
+        } catch (error) {
+            log.error('Could not lift restrictions', { userId: doc.id }, error);
+        }
+    }
+}));
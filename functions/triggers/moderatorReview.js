@@ -0,0 +1,298 @@
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const admin = require('firebase-admin');
+const { STRIKE_SOURCES } = require('../moderation/strikes');
+const { HIDDEN_CONTENT_STATUSES, OPEN_QUEUE_STATUSES } = require('../moderation/pipeline');
+const { getServices } = require('../services');
+const { REGION } = require('../params');
+const { log, annotate, instrument } = require('../logging');
+const { assertModerator, requireString } = require('./guards');
+
+// ===== MODERATOR REVIEW API =====
+
+// A claim expires after this long so abandoned reviews go back to the pool
+const MODERATION_CLAIM_TIMEOUT_MS = 30 * 60 * 1000;
+const MODERATION_LIST_MAX = 100;
+const MODERATOR_CALLABLE_OPTIONS = { region: REGION, memory: '256MiB', timeoutSeconds: 60, concurrency: 40 };
+
+const MODERATION_RESOLUTIONS = {
+    approve: {
+        itemStatus: 'approved',
+        contentStatus: 'approved',
+        reportStatus: 'dismissed',
+        resolution: 'content_approved',
+        notification: {
+            title: 'Content Approved',
+            body: 'Good news! Our moderation team reviewed your content and it is visible again.'
+        }
+    },
+    reject: {
+        itemStatus: 'rejected',
+        contentStatus: 'removed',
+        reportStatus: 'resolved',
+        resolution: 'content_removed',
+        notification: {
+            title: 'Content Removed',
+            body: 'Our moderation team removed content that goes against the community guidelines.'
+        }
+    }
+};
+
+function moderationQueueRef() {
+    return getServices().db.collection('moderationQueue');
+}
+
+function isClaimedByAnother(item, moderatorId) {
+    if (!item.claimedBy || item.claimedBy === moderatorId || !item.claimedAt) {
+        return false;
+    }
+    return Date.now() - item.claimedAt.toMillis() < MODERATION_CLAIM_TIMEOUT_MS;
+}
+
+// Resolve the story or profile document a queue item points at
+function moderationContentRef(item) {
+    const { users, stories } = getServices();
+
+    if (item.contentType === 'story') {
+        return stories.refFromContentId(item.contentId);
+    }
+
+    if (['profile', 'displayName', 'bio'].includes(item.contentType)) {
+        const userId = item.userId || item.contentId;
+        return userId ? users.ref(userId) : null;
+    }
+
+    return null;
+}
+
+function serializeModerationItem(doc) {
+    const item = doc.data();
+    const toMillis = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : null);
+
+    return {
+        id: doc.id,
+        contentType: item.contentType,
+        contentId: item.contentId,
+        userId: item.userId || null,
+        content: item.content || null,
+        flagReasons: item.flagReasons || [],
+        score: typeof item.score === 'number' ? item.score : null,
+        decision: item.decision || null,
+        reportId: item.reportId || null,
+        reportReason: item.reportReason || null,
+        reportDetails: item.reportDetails || null,
+        priority: item.priority || 'normal',
+        status: item.status,
+        claimedBy: item.claimedBy || null,
+        claimedAt: toMillis(item.claimedAt),
+        createdAt: toMillis(item.createdAt)
+    };
+}
+
+// List moderation queue items by status, oldest first
+exports.listModerationQueue = onCall(MODERATOR_CALLABLE_OPTIONS, instrument('listModerationQueue', async (request) => {
+    assertModerator(request);
+    const data = request.data || {};
+
+    const status = data.status || 'pending';
+    const limit = Math.min(Number(data.limit) || 50, MODERATION_LIST_MAX);
+
+    let query = moderationQueueRef()
+        .where('status', '==', status)
+        .orderBy('createdAt', 'asc')
+        .limit(limit);
+
+    if (data.startAfterId) {
+        const cursor = await moderationQueueRef().doc(data.startAfterId).get();
+        if (cursor.exists) {
+            query = query.startAfter(cursor);
+        }
+    }
+
+    const snapshot = await query.get();
+    return { items: snapshot.docs.map(serializeModerationItem) };
+}));
+
+// Claim an item so two moderators don't review the same content
+exports.claimModerationItem = onCall(MODERATOR_CALLABLE_OPTIONS, instrument('claimModerationItem', async (request) => {
+    const moderatorId = assertModerator(request);
+    const data = request.data || {};
+    const itemId = requireString(data, 'itemId');
+    const itemRef = moderationQueueRef().doc(itemId);
+
+    await getServices().db.runTransaction(async (transaction) => {
+        const itemDoc = await transaction.get(itemRef);
+        if (!itemDoc.exists) {
+            throw new HttpsError('not-found', 'Moderation item not found.');
+        }
+
+        const item = itemDoc.data();
+        if (!OPEN_QUEUE_STATUSES.includes(item.status)) {
+            throw new HttpsError('failed-precondition', `Item is already ${item.status}.`);
+        }
+        if (isClaimedByAnother(item, moderatorId)) {
+            throw new HttpsError('failed-precondition', 'Item is claimed by another moderator.');
+        }
+
+        transaction.update(itemRef, {
+            status: 'in_review',
+            claimedBy: moderatorId,
+            claimedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    });
+
+    log.info('Moderation item claimed', { itemId });
+    return { itemId, status: 'in_review' };
+}));
+
+// Apply a moderator decision to the queue item, the content and the originating report
+async function resolveModerationItem(itemId, action, moderatorId, note) {
+    const { db, moderation, notifications, strikes } = getServices();
+    const itemRef = moderationQueueRef().doc(itemId);
+    const outcome = MODERATION_RESOLUTIONS[action];
+
+    const { item: resolvedItem, wasHidden } = await db.runTransaction(async (transaction) => {
+        const itemDoc = await transaction.get(itemRef);
+        if (!itemDoc.exists) {
+            throw new HttpsError('not-found', 'Moderation item not found.');
+        }
+
+        const item = itemDoc.data();
+        if (!OPEN_QUEUE_STATUSES.includes(item.status)) {
+            throw new HttpsError('failed-precondition', `Item is already ${item.status}.`);
+        }
+        if (isClaimedByAnother(item, moderatorId)) {
+            throw new HttpsError('failed-precondition', 'Item is claimed by another moderator.');
+        }
+
+        // Reads must happen before writes inside a transaction
+        const contentRef = moderationContentRef(item);
+        const contentDoc = contentRef ? await transaction.get(contentRef) : null;
+        const reportRef = item.reportId ? db.collection('contentReports').doc(item.reportId) : null;
+        const reportDoc = reportRef ? await transaction.get(reportRef) : null;
+
+        transaction.update(itemRef, {
+            status: outcome.itemStatus,
+            resolution: outcome.resolution,
+            resolvedBy: moderatorId,
+            resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+            moderatorNote: note || null,
+            claimedBy: admin.firestore.FieldValue.delete(),
+            claimedAt: admin.firestore.FieldValue.delete(),
+            actions: admin.firestore.FieldValue.arrayUnion({
+                action,
+                moderatorId,
+                note: note || null,
+                at: admin.firestore.Timestamp.now()
+            })
+        });
+
+        if (contentDoc && contentDoc.exists) {
+            transaction.update(contentRef, {
+                moderationStatus: outcome.contentStatus,
+                moderatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                moderatedBy: moderatorId
+            });
+        } else {
+            log.warn('Moderated content no longer exists', { itemId });
+        }
+
+        if (reportDoc && reportDoc.exists) {
+            transaction.update(reportRef, {
+                status: outcome.reportStatus,
+                reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+                reviewedBy: moderatorId,
+                resolution: outcome.resolution
+            });
+        }
+
+        return {
+            item,
+            wasHidden: Boolean(contentDoc && contentDoc.exists && HIDDEN_CONTENT_STATUSES.includes(contentDoc.data().moderationStatus))
+        };
+    });
+
+    annotate({ outcome: action });
+    log.info('Moderation item resolved', { itemId, action });
+
+    // Upheld reports count against the author; approving an auto-flag takes its strike back
+    if (action === 'reject' && resolvedItem.userReported) {
+        await moderation.recordStrike(resolvedItem.userId, itemId, {
+            source: STRIKE_SOURCES.UPHELD_REPORT,
+            reasons: [resolvedItem.reportReason].filter(Boolean),
+            contentType: resolvedItem.contentType,
+            contentId: resolvedItem.contentId
+        });
+    } else if (action === 'approve' && resolvedItem.autoFlagged && resolvedItem.userId) {
+        try {
+            await strikes.voidStrike(resolvedItem.userId, itemId, moderatorId);
+        } catch (error) {
+            log.error('Could not void strike', { itemId, authorId: resolvedItem.userId }, error);
+        }
+    }
+
+    // Let the author know what happened to their content. Approving content that was never
+    // hidden (a dismissed report) stays silent, so authors don't learn they were reported.
+    if (resolvedItem.userId && (action === 'reject' || wasHidden)) {
+        await notifications.send(resolvedItem.userId, outcome.notification, {
+            type: 'moderation_resolved',
+            contentType: String(resolvedItem.contentType || ''),
+            contentId: String(resolvedItem.contentId || ''),
+            resolution: outcome.resolution
+        });
+    }
+
+    return { itemId, status: outcome.itemStatus, resolution: outcome.resolution };
+}
+
+exports.approveModerationItem = onCall(MODERATOR_CALLABLE_OPTIONS, instrument('approveModerationItem', async (request) => {
+    const moderatorId = assertModerator(request);
+    const data = request.data || {};
+    return resolveModerationItem(requireString(data, 'itemId'), 'approve', moderatorId, data.note);
+}));
+
+exports.rejectModerationItem = onCall(MODERATOR_CALLABLE_OPTIONS, instrument('rejectModerationItem', async (request) => {
+    const moderatorId = assertModerator(request);
+    const data = request.data || {};
+    return resolveModerationItem(requireString(data, 'itemId'), 'reject', moderatorId, data.note);
+}));
+
+// Escalate an item to senior review without changing the content
+exports.escalateModerationItem = onCall(MODERATOR_CALLABLE_OPTIONS, instrument('escalateModerationItem', async (request) => {
+    const moderatorId = assertModerator(request);
+    const data = request.data || {};
+    const itemId = requireString(data, 'itemId');
+    const itemRef = moderationQueueRef().doc(itemId);
+
+    await getServices().db.runTransaction(async (transaction) => {
+        const itemDoc = await transaction.get(itemRef);
+        if (!itemDoc.exists) {
+            throw new HttpsError('not-found', 'Moderation item not found.');
+        }
+
+        const item = itemDoc.data();
+        if (!['pending', 'in_review'].includes(item.status)) {
+            throw new HttpsError('failed-precondition', `Item is already ${item.status}.`);
+        }
+        if (isClaimedByAnother(item, moderatorId)) {
+            throw new HttpsError('failed-precondition', 'Item is claimed by another moderator.');
+        }
+
+        transaction.update(itemRef, {
+            status: 'escalated',
+            priority: 'high',
+            escalatedBy: moderatorId,
+            escalatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            claimedBy: admin.firestore.FieldValue.delete(),
+            claimedAt: admin.firestore.FieldValue.delete(),
+            actions: admin.firestore.FieldValue.arrayUnion({
+                action: 'escalate',
+                moderatorId,
+                note: data.note || null,
+                at: admin.firestore.Timestamp.now()
+            })
+        });
+    });
+
+    log.info('Moderation item escalated', { itemId });
+    return { itemId, status: 'escalated' };
+}));
@@ -0,0 +1,205 @@
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const admin = require('firebase-admin');
+const { getServices } = require('../services');
+const { REGION, NOTIFICATIONS_PER_MINUTE, NOTIFICATIONS_PER_HOUR, paramValue } = require('../params');
+const { log, annotate, instrument } = require('../logging');
+
+// ===== NOTIFICATION QUEUE =====
+//
+// Clients can ask for a push to their pal by adding { requesterId, targetUserId, type }
+// to notificationQueue. They never supply tokens or text: the target must share an active
+// partnership with the requester, neither may have blocked the other, the wording comes
+// from NOTIFICATION_TEMPLATES, and each requester is rate limited.
+
+const NOTIFICATION_TEMPLATES = {
+    story_completed: {
+        title: () => 'Story Complete! ✨',
+        body: ({ requesterName }) => `${requesterName} just finished their Disney Daydream! Read it now!`
+    },
+    new_prompt: {
+        title: () => 'New Disney Daydream! ✨',
+        body: () => 'A new Disney Daydream prompt is ready. See whose turn it is to write!'
+    }
+};
+
+// Fixed windows per requester, stored in notificationRateLimits/{requesterId}. The
+// maximums are deployment params.
+function notificationRateLimits() {
+    return [
+        { window: 'minute', durationMs: 60 * 1000, max: paramValue(NOTIFICATIONS_PER_MINUTE) },
+        { window: 'hour', durationMs: 60 * 60 * 1000, max: paramValue(NOTIFICATIONS_PER_HOUR) }
+    ];
+}
+
+const DELIVERY_RETRY_BATCH_SIZE = 100;
+
+// Count a queued request against every window; returns the window that was exceeded, if
+// any. The queue item is marked as counted, so a retried trigger doesn't count it twice.
+async function consumeNotificationQuota(snap) {
+    const { db } = getServices();
+    const limitRef = db.collection('notificationRateLimits').doc(snap.data().requesterId);
+    const now = Date.now();
+
+    return db.runTransaction(async (transaction) => {
+        const [queueDoc, limitDoc] = await Promise.all([transaction.get(snap.ref), transaction.get(limitRef)]);
+        if (queueDoc.exists && queueDoc.data().quotaCountedAt) {
+            return null;
+        }
+        const current = limitDoc.exists ? limitDoc.data() : {};
+        const update = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+
+        for (const limit of notificationRateLimits()) {
+            const state = current[limit.window] || {};
+            const inWindow = state.windowStart && now - state.windowStart < limit.durationMs;
+            const windowStart = inWindow ? state.windowStart : now;
+            const count = inWindow ? state.count || 0 : 0;
+
+            if (count >= limit.max) {
+                return limit.window;
+            }
+            update[limit.window] = { windowStart, count: count + 1 };
+        }
+
+        transaction.set(limitRef, update, { merge: true });
+        transaction.update(snap.ref, { quotaCountedAt: admin.firestore.FieldValue.serverTimestamp() });
+        return null;
+    });
+}
+
+async function rejectQueuedNotification(snap, reason, details = {}) {
+    const data = snap.data();
+    annotate({ userId: data.requesterId, outcome: reason });
+    log.warn('SECURITY: Rejected queued notification', { queueId: snap.id, reason });
+
+    await Promise.all([
+        snap.ref.update({
+            processed: true,
+            rejected: true,
+            error: reason,
+            processedAt: admin.firestore.FieldValue.serverTimestamp()
+        }),
+        getServices().securityIncidents.record('notification_rejected', {
+            reason,
+            queueId: snap.id,
+            requesterId: data.requesterId || null,
+            targetUserId: data.targetUserId || null,
+            notificationType: data.type || null,
+            ...details
+        })
+    ]);
+    return null;
+}
+
+// Process notification queue with security validation. Retried on failure: the processed
+// flag and the queue id as delivery id keep a retry from sending twice.
+exports.processNotificationQueue = onDocumentCreated({
+    document: 'notificationQueue/{queueId}',
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 60,
+    retry: true,
+    concurrency: 80
+}, instrument('processNotificationQueue', async (event) => {
+    const snap = event.data;
+    const data = snap.data();
+    const queueId = snap.id;
+
+    annotate({ queueId });
+
+    if (data.processed) {
+        annotate({ outcome: 'already_processed' });
+        return null;
+    }
+
+    // SECURITY: Raw tokens and client-written text are no longer accepted
+    if (data.targetToken || data.title || data.body) {
+        return rejectQueuedNotification(snap, 'raw_token_request');
+    }
+
+    if (!data.requesterId || !data.targetUserId || data.requesterId === data.targetUserId) {
+        return rejectQueuedNotification(snap, 'invalid_participants');
+    }
+
+    const template = NOTIFICATION_TEMPLATES[data.type];
+    if (!template) {
+        return rejectQueuedNotification(snap, 'unknown_type');
+    }
+
+    // Checked before the lookups below, so a flood of bad requests is cut off after a few
+    // incidents and reads rather than costing one of each per request
+    const exceededWindow = await consumeNotificationQuota(snap);
+    if (exceededWindow) {
+        return rejectQueuedNotification(snap, 'rate_limited', { window: exceededWindow });
+    }
+
+    const { users, partnerships, notifications } = getServices();
+    const { requesterId, targetUserId } = data;
+
+    // SECURITY: Only pals in an active partnership can notify each other
+    const partnershipDoc = await partnerships.findActive(requesterId, targetUserId);
+    if (!partnershipDoc) {
+        return rejectQueuedNotification(snap, 'not_partners');
+    }
+
+    if (await users.isBlockedEitherWay(requesterId, targetUserId)) {
+        return rejectQueuedNotification(snap, 'blocked', { partnershipId: partnershipDoc.id });
+    }
+
+    annotate({ userId: requesterId, partnershipId: partnershipDoc.id });
+
+    const requesterName = await users.displayName(requesterId, 'Your Disney pal');
+
+    try {
+        const delivered = await notifications.send(targetUserId, {
+            title: template.title({ requesterName }),
+            body: template.body({ requesterName })
+        }, {
+            type: data.type,
+            requesterId,
+            partnershipId: partnershipDoc.id
+        }, { badge: 1, deliveryId: queueId });
+
+        // Failed devices are retried from notificationDeliveries/{queueId}
+        await snap.ref.update({
+            processed: true,
+            delivered,
+            deliveryId: queueId,
+            processedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error) {
+        annotate({ outcome: 'send_failed' });
+        log.error('Could not send queued notification', { targetUserId }, error);
+        await snap.ref.update({
+            processed: true,
+            error: error.message,
+            processedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    return null;
+}));
+
+// ===== NOTIFICATION DELIVERY RETRIES =====
+
+// Re-send pushes that failed with a retryable error once their backoff has passed
+exports.retryNotificationDeliveries = onSchedule({
+    schedule: 'every 5 minutes',
+    timeZone: 'UTC',
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 300
+}, instrument('retryNotificationDeliveries', async () => {
+    const { notifications } = getServices();
+    const due = await notifications.dueForRetry(DELIVERY_RETRY_BATCH_SIZE);
+
+    log.info('Retrying notification deliveries', { due: due.length });
+
+    for (const doc of due) {
+        try {
+            await notifications.retry(doc.ref);
+        } catch (error) {
+            log.error('Could not retry notification delivery', { deliveryId: doc.id }, error);
+        }
+    }
+}));
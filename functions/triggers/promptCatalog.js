@@ -0,0 +1,138 @@
+const admin = require('firebase-admin');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getServices } = require('../services');
+const { CATEGORIES } = require('../catalog');
+const { DEFAULT_PROMPT_CATEGORIES } = require('../services/prompts');
+const { PROMPT_CATALOG_SCHEMA_VERSION, CATALOG_NAME_MAX_LENGTH, catalogEntryId } = require('../services/promptCatalog');
+const { isMember } = require('../repositories/partnerships');
+const { REGION } = require('../params');
+const { log, annotate, instrument } = require('../logging');
+const { assertSignedIn, assertAdmin, requireString } = require('./guards');
+
+// ===== PROMPT CATALOG =====
+
+const CATALOG_CALLABLE_OPTIONS = { region: REGION, memory: '256MiB', timeoutSeconds: 60, concurrency: 80 };
+
+// Catalog service failures -> [HttpsError code, message]
+const CATALOG_ERRORS = {
+    already_exists: ['already-exists', 'That name is already in the catalog.'],
+    not_found: ['not-found', 'Catalog entry not found.'],
+    invalid_entry_id: ['invalid-argument', 'entryId is not a catalog entry id.']
+};
+
+function throwIfFailed(result) {
+    if (result.error) {
+        const [code, message] = CATALOG_ERRORS[result.error];
+        throw new HttpsError(code, message);
+    }
+    return result;
+}
+
+function toIso(timestamp) {
+    return timestamp ? timestamp.toDate().toISOString() : null;
+}
+
+// availableFrom / availableUntil as ISO 8601 strings; either may be left out or null
+function readWindow(data) {
+    const window = {};
+    for (const field of ['availableFrom', 'availableUntil']) {
+        const value = data[field];
+        if (value === undefined || value === null) {
+            window[field] = null;
+            continue;
+        }
+        const millis = typeof value === 'string' ? Date.parse(value) : NaN;
+        if (Number.isNaN(millis)) {
+            throw new HttpsError('invalid-argument', `${field} must be an ISO 8601 date.`);
+        }
+        window[field] = admin.firestore.Timestamp.fromMillis(millis);
+    }
+    if (window.availableFrom && window.availableUntil && window.availableFrom.toMillis() >= window.availableUntil.toMillis()) {
+        throw new HttpsError('invalid-argument', 'availableUntil must be after availableFrom.');
+    }
+    return window;
+}
+
+// The live lists for the categories a partnership has turned on, for devices that show or
+// pick prompts themselves. Call again after refreshAfter or when version changes.
+exports.getPromptCatalog = onCall(CATALOG_CALLABLE_OPTIONS, instrument('getPromptCatalog', async (request) => {
+    const userId = assertSignedIn(request);
+    const partnershipId = requireString(request.data, 'partnershipId');
+    const { partnerships, promptCatalog } = getServices();
+
+    const partnership = await partnerships.get(partnershipId);
+    if (!partnership || !isMember(partnership, userId)) {
+        throw new HttpsError('permission-denied', 'You are not a member of this partnership.');
+    }
+
+    const enabled = (partnership.enabledCategories || []).filter(category => CATEGORIES.includes(category));
+    const catalog = await promptCatalog.activeCatalog(new Date(), enabled.length > 0 ? enabled : DEFAULT_PROMPT_CATEGORIES);
+    return {
+        schemaVersion: PROMPT_CATALOG_SCHEMA_VERSION,
+        version: catalog.version,
+        categories: catalog.categories,
+        refreshAfter: catalog.refreshAt ? catalog.refreshAt.toISOString() : null
+    };
+}));
+
+// Admin-only: every entry, bundled ones included, with its status and window
+exports.listPromptCatalogEntries = onCall(CATALOG_CALLABLE_OPTIONS, instrument('listPromptCatalogEntries', async (request) => {
+    assertAdmin(request);
+
+    const { version, entries } = await getServices().promptCatalog.listEntries();
+    return {
+        version,
+        entries: entries.map(entry => ({
+            entryId: entry.id,
+            category: entry.category,
+            name: entry.name,
+            status: entry.status,
+            bundled: entry.bundled,
+            availableFrom: toIso(entry.availableFrom),
+            availableUntil: toIso(entry.availableUntil)
+        }))
+    };
+}));
+
+// Admin-only: add a ride, food, etc. Seasonal and event items pass a window; new prompts
+// only use them inside it.
+exports.addPromptCatalogEntry = onCall(CATALOG_CALLABLE_OPTIONS, instrument('addPromptCatalogEntry', async (request) => {
+    const adminId = assertAdmin(request);
+    const category = requireString(request.data, 'category');
+    const name = requireString(request.data, 'name').trim();
+    if (!CATEGORIES.includes(category)) {
+        throw new HttpsError('invalid-argument', `category must be one of: ${CATEGORIES.join(', ')}.`);
+    }
+    if (name.length > CATALOG_NAME_MAX_LENGTH || !catalogEntryId(category, name)) {
+        throw new HttpsError('invalid-argument', `name must have letters or numbers and at most ${CATALOG_NAME_MAX_LENGTH} characters.`);
+    }
+    const window = readWindow(request.data);
+
+    const { entryId } = throwIfFailed(await getServices().promptCatalog.addEntry(adminId, category, name, window));
+    annotate({ entryId });
+    log.info('Prompt catalog entry added', { category, seasonal: Boolean(window.availableFrom || window.availableUntil) });
+    return { entryId };
+}));
+
+// Admin-only: stop using an entry in new prompts. Existing stories keep their items.
+exports.retirePromptCatalogEntry = onCall(CATALOG_CALLABLE_OPTIONS, instrument('retirePromptCatalogEntry', async (request) => {
+    const adminId = assertAdmin(request);
+    const entryId = requireString(request.data, 'entryId');
+    annotate({ entryId });
+
+    throwIfFailed(await getServices().promptCatalog.retireEntry(adminId, entryId));
+    log.info('Prompt catalog entry retired');
+    return { entryId, retired: true };
+}));
+
+// Admin-only: set or clear an entry's window
+exports.schedulePromptCatalogEntry = onCall(CATALOG_CALLABLE_OPTIONS, instrument('schedulePromptCatalogEntry', async (request) => {
+    const adminId = assertAdmin(request);
+    const entryId = requireString(request.data, 'entryId');
+    const window = readWindow(request.data);
+    annotate({ entryId });
+
+    throwIfFailed(await getServices().promptCatalog.scheduleEntry(adminId, entryId, window));
+    log.info('Prompt catalog entry scheduled');
+    return { entryId, availableFrom: toIso(window.availableFrom), availableUntil: toIso(window.availableUntil) };
+}));
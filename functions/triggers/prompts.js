@@ -0,0 +1,87 @@
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getServices } = require('../services');
+const { isMember } = require('../repositories/partnerships');
+const { REGION } = require('../params');
+const { log, instrument } = require('../logging');
+const { assertSignedIn, requireString } = require('./guards');
+
+// ===== DAILY PROMPTS =====
+
+// Runs hourly so each partnership gets its prompt shortly after midnight in the author's time zone
+exports.generateDailyPrompts = onSchedule({
+    schedule: '5 * * * *',
+    timeZone: 'UTC',
+    region: REGION,
+    memory: '512MiB',
+    timeoutSeconds: 540
+}, instrument('generateDailyPrompts', async () => {
+    const { partnerships, prompts } = getServices();
+    let created = 0;
+
+    await partnerships.forEachActive(async (doc) => {
+        try {
+            const prompt = await prompts.createDailyPrompt(doc.id);
+            if (prompt.created) {
+                created++;
+                await prompts.notifyPromptAuthor(doc.id, prompt);
+            }
+        } catch (error) {
+            log.error('Could not generate daily prompt', { partnershipId: doc.id }, error);
+        }
+    });
+
+    log.info('Created daily prompts', { created });
+}));
+
+// Lets the app ask for today's prompt right away instead of waiting for the next scheduled run
+exports.ensureDailyPrompt = onCall({ region: REGION, memory: '256MiB', timeoutSeconds: 60, concurrency: 80 }, instrument('ensureDailyPrompt', async (request) => {
+    const userId = assertSignedIn(request);
+    const partnershipId = requireString(request.data, 'partnershipId');
+    const { partnerships, prompts } = getServices();
+
+    const partnership = await partnerships.get(partnershipId);
+    if (!partnership || !isMember(partnership, userId)) {
+        throw new HttpsError('permission-denied', 'You are not a member of this partnership.');
+    }
+
+    const prompt = await prompts.createDailyPrompt(partnershipId);
+
+    // The caller is already looking at the app; only their pal needs a push
+    if (prompt.created && prompt.authorId !== userId) {
+        await prompts.notifyPromptAuthor(partnershipId, prompt);
+    }
+
+    return {
+        created: prompt.created,
+        storyId: prompt.storyId || null,
+        authorId: prompt.authorId || null,
+        theme: prompt.theme || null
+    };
+}));
+
+// ===== DAILY REMINDERS =====
+
+exports.sendDailyReminders = onSchedule({
+    schedule: '15 * * * *',
+    timeZone: 'UTC',
+    region: REGION,
+    memory: '512MiB',
+    timeoutSeconds: 540
+}, instrument('sendDailyReminders', async () => {
+    const { partnerships, reminders } = getServices();
+    const now = new Date();
+    let sent = 0;
+
+    await partnerships.forEachActive(async (doc) => {
+        try {
+            if (await reminders.sendDailyReminder(doc.id, doc.data(), now)) {
+                sent++;
+            }
+        } catch (error) {
+            log.error('Could not send daily reminder', { partnershipId: doc.id }, error);
+        }
+    });
+
+    log.info('Sent daily reminders', { sent });
+}));
@@ -0,0 +1,83 @@
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { getServices } = require('../services');
+const { REGION } = require('../params');
+const { log, annotate, instrument } = require('../logging');
+const { assertSignedIn, requireString } = require('./guards');
+
+// ===== SESSIONS =====
+
+const SESSION_CALLABLE_OPTIONS = { region: REGION, memory: '256MiB', timeoutSeconds: 60, concurrency: 80 };
+
+function revocationResponse(result) {
+    return {
+        revokedSessions: result.revokedSessions,
+        validAfter: result.validAfter.toISOString(),
+        // Firebase revokes per user, so this device has to sign in again too
+        reauthenticationRequired: true
+    };
+}
+
+// Sign a lost or stolen device out. Its refresh tokens stop working and its writes are
+// refused straight away, without waiting for its ID token to expire.
+exports.revokeSession = onCall(SESSION_CALLABLE_OPTIONS, instrument('revokeSession', async (request) => {
+    const userId = assertSignedIn(request);
+    const sessionId = requireString(request.data, 'sessionId');
+    annotate({ sessionId });
+
+    const result = await getServices().sessions.revokeSession(userId, sessionId);
+    if (result.error) {
+        throw new HttpsError('not-found', 'Session not found.');
+    }
+
+    log.info('Session revoked');
+    return revocationResponse(result);
+}));
+
+// "Sign out everywhere else": revoke every active session but currentSessionId
+exports.revokeOtherSessions = onCall(SESSION_CALLABLE_OPTIONS, instrument('revokeOtherSessions', async (request) => {
+    const userId = assertSignedIn(request);
+    const currentSessionId = requireString(request.data, 'currentSessionId');
+
+    const result = await getServices().sessions.revokeOtherSessions(userId, currentSessionId);
+    log.info('Other sessions revoked', { revokedSessions: result.revokedSessions });
+    return revocationResponse(result);
+}));
+
+// When a session starts (or comes back), end the least recently used ones past the limit.
+// Ended devices lose their push tokens and can't reactivate the session without signing in
+// again (see services/sessions.js).
+exports.enforceSessionLimit = onDocumentWritten({
+    document: 'users/{userId}/sessions/{sessionId}',
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 60,
+    retry: true,
+    concurrency: 80
+}, instrument('enforceSessionLimit', async (event) => {
+    const { userId, sessionId } = event.params;
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+    if (!after || after.isActive !== true || (before && before.isActive === true)) {
+        return;
+    }
+    annotate({ userId, sessionId });
+
+    const ended = await getServices().sessions.enforceSessionLimit(userId, sessionId);
+    if (ended.length > 0) {
+        log.info('Ended sessions over the concurrent limit', { ended: ended.length });
+    }
+}));
+
+exports.sweepStaleSessions = onSchedule({
+    schedule: '45 3 * * *',
+    timeZone: 'UTC',
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 540
+}, instrument('sweepStaleSessions', async () => {
+    const summary = await getServices().sessions.sweepStaleSessions();
+
+    log.info('Stale sessions swept', summary);
+}));
@@ -0,0 +1,160 @@
+const { onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const { onCall } = require('firebase-functions/v2/https');
+const { BADGES, isCountableStory } = require('../services/achievements');
+const { getServices } = require('../services');
+const { memberIds, isMember } = require('../repositories/partnerships');
+const { REGION } = require('../params');
+const { log, annotate, instrument } = require('../logging');
+const { assertAdmin } = require('./guards');
+
+// ===== STORY COMPLETION =====
+
+// Update stats for a completed story and push any badges it unlocked. Stats failures are
+// logged but never block the story notification.
+async function recordStoryStats(partnershipId, storyId, story, partnership) {
+    if (!isCountableStory(story)) {
+        return;
+    }
+
+    try {
+        const { duplicate, awarded } = await getServices().achievements.recordCompletedStory(partnershipId, storyId, story, memberIds(partnership));
+        if (duplicate) {
+            log.info('Story already counted in stats', { partnershipId, storyId });
+            return;
+        }
+
+        for (const [userId, badgeIds] of Object.entries(awarded)) {
+            await notifyAchievementsUnlocked(userId, badgeIds);
+        }
+    } catch (error) {
+        log.error('Could not update story stats', { partnershipId, storyId }, error);
+    }
+}
+
+async function notifyAchievementsUnlocked(userId, badgeIds) {
+    const { notifications } = getServices();
+
+    for (const badgeId of badgeIds) {
+        const badge = BADGES.find(candidate => candidate.id === badgeId);
+        if (!badge) {
+            continue;
+        }
+
+        log.info('Achievement unlocked', { recipientId: userId, badgeId: badge.id });
+        await notifications.send(userId, {
+            title: 'Achievement Unlocked! 🏆',
+            body: `You earned the ${badge.name} badge: ${badge.description}`
+        }, {
+            type: 'achievement_unlocked',
+            badgeId: badge.id
+        }, { deliveryId: `achievement_${userId}_${badge.id}` });
+    }
+}
+
+// Notification when story is completed in a partnership, and stats once moderation approves
+// it (moderateStoryContent or a moderator writes moderationStatus back to the story), so
+// removed stories never count. Retries are safe: stats skip stories already counted and
+// the push uses a deterministic delivery id.
+exports.onStoryCompleted = onDocumentUpdated({
+    document: 'partnerships/{partnershipId}/stories/{storyId}',
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 60,
+    retry: true,
+    concurrency: 40
+}, instrument('onStoryCompleted', async (event) => {
+    const newData = event.data.after.data();
+    const oldData = event.data.before.data();
+
+    // Only trigger when story text is actually added (story completion)
+    const oldText = (oldData.text || '').trim();
+    const newText = (newData.text || '').trim();
+    const approved = newData.moderationStatus === 'approved' && oldData.moderationStatus !== 'approved';
+
+    if (oldText === '' && newText.length > 0) {
+        const { partnerships, circles, securityIncidents } = getServices();
+        const authorId = newData.authorId;
+        const authorName = newData.authorName || 'Your partner';
+        const { partnershipId, storyId } = event.params;
+
+        annotate({ userId: authorId, partnershipId, storyId });
+
+        // SECURITY: Get and verify the partnership FIRST
+        const partnership = await partnerships.get(partnershipId);
+
+        if (!partnership) {
+            annotate({ outcome: 'partnership_not_found' });
+            log.error('SECURITY: Partnership not found');
+            return null;
+        }
+
+        // SECURITY: Verify the author is actually part of this partnership
+        if (!isMember(partnership, authorId)) {
+            annotate({ outcome: 'unauthorized' });
+            log.error('SECURITY VIOLATION: Unauthorized story update attempt', { members: memberIds(partnership) });
+
+            // Log security incident for audit
+            await securityIncidents.record('unauthorized_story_update', {
+                authorId: authorId,
+                partnershipId: partnershipId,
+                storyId: storyId,
+                memberIds: memberIds(partnership)
+            });
+
+            return null;
+        }
+
+        await recordStoryStats(partnershipId, storyId, newData, partnership);
+
+        const storyPrompt = Object.entries(newData.items || {})
+            .map(([key, value]) => `${key}: ${value}`)
+            .join(', ');
+
+        // Tell every other member of the pair or circle, on every device they registered
+        const delivered = await circles.notifyMembers(partnership, authorId, newData, {
+            title: 'New Disney Story! ✨',
+            body: `${authorName} just wrote a magical Disney Daydream! Check it out!`
+        }, {
+            type: 'story_completed',
+            authorId: authorId,
+            authorName: authorName,
+            prompt: storyPrompt,
+            partnershipId: partnershipId,
+            storyId: storyId
+        }, { badge: 1, deliveryId: `story_completed_${partnershipId}_${storyId}` });
+
+        log.info('Story completion notifications sent', { delivered });
+    } else if (approved) {
+        const { partnershipId, storyId } = event.params;
+        annotate({ userId: newData.authorId, partnershipId, storyId, outcome: 'approved' });
+
+        const partnership = await getServices().partnerships.get(partnershipId);
+        if (partnership && isMember(partnership, newData.authorId)) {
+            await recordStoryStats(partnershipId, storyId, newData, partnership);
+        }
+    } else if (oldText !== '' && newText !== oldText) {
+        // Edits are handled by trackStoryRevisions
+        annotate({ outcome: 'edited' });
+    } else {
+        annotate({ outcome: 'no_completion' });
+    }
+
+    return null;
+}));
+
+// Admin-only: rebuild all stats from story history and award badges that were missed.
+// Backfilled badges don't send pushes.
+exports.backfillStoryStats = onCall({
+    region: REGION,
+    memory: '1GiB',
+    timeoutSeconds: 540,
+    concurrency: 1
+}, instrument('backfillStoryStats', async (request) => {
+    const adminId = assertAdmin(request);
+    log.info('Stats backfill started', { adminId });
+
+    const summary = await getServices().achievements.rebuildAllStats();
+
+    log.info('Stats backfill complete', { summary });
+    return summary;
+}));
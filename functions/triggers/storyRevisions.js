@@ -0,0 +1,144 @@
+const { onDocumentUpdated, onDocumentDeleted } = require('firebase-functions/v2/firestore');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getServices } = require('../services');
+const { storyText } = require('../services/storyRevisions');
+const { HIDDEN_CONTENT_STATUSES } = require('../moderation/pipeline');
+const { isActivePartnership, isMember } = require('../repositories/partnerships');
+const { REGION } = require('../params');
+const { log, annotate, instrument } = require('../logging');
+const { assertSignedIn, requireString } = require('./guards');
+
+// ===== STORY REVISIONS =====
+
+// Keep the previous text whenever a completed story is edited, and tell the other members
+// about meaningful edits. moderateStoryContent re-moderates the new text on its own. Retries are
+// safe: the revision id is the event id, and the push uses a deterministic delivery id.
+exports.trackStoryRevisions = onDocumentUpdated({
+    document: 'partnerships/{partnershipId}/stories/{storyId}',
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 60,
+    retry: true,
+    concurrency: 40
+}, instrument('trackStoryRevisions', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+
+    // Completing a story isn't a revision; neither is a write that leaves the text alone
+    if (storyText(before) === '' || (before.text || '') === (after.text || '')) {
+        return null;
+    }
+
+    const { partnershipId, storyId } = event.params;
+    const { partnerships, storyRevisions } = getServices();
+    annotate({ userId: after.authorId, partnershipId, storyId });
+
+    const revision = await storyRevisions.recordRevision(partnershipId, storyId, event.id, before, after);
+    if (!revision) {
+        annotate({ outcome: 'duplicate' });
+        return null;
+    }
+    log.info('Story revision recorded', { revisionId: revision.id, reason: revision.reason, meaningful: revision.meaningful });
+
+    if (!revision.meaningful || storyText(after) === '') {
+        return null;
+    }
+
+    const partnership = await partnerships.get(partnershipId);
+    if (!partnership || !isActivePartnership(partnership) || !isMember(partnership, after.authorId)) {
+        return null;
+    }
+
+    const notified = await storyRevisions.notifyMembers(partnership, partnershipId, storyId, revision.id, after);
+    if (notified > 0) {
+        annotate({ outcome: 'members_notified' });
+    }
+    return null;
+}));
+
+// Deleting a story deletes its earlier versions too
+exports.deleteStoryRevisions = onDocumentDeleted({
+    document: 'partnerships/{partnershipId}/stories/{storyId}',
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 120,
+    retry: true,
+    concurrency: 40
+}, instrument('deleteStoryRevisions', async (event) => {
+    const { partnershipId, storyId } = event.params;
+    annotate({ partnershipId, storyId });
+
+    const deleted = await getServices().storyRevisions.deleteAll(partnershipId, storyId);
+    if (deleted > 0) {
+        log.info('Story revisions deleted', { deleted });
+    }
+    return null;
+}));
+
+// Check the caller can see the story and return it with its partnership
+async function loadVisibleStory(userId, partnershipId, storyId) {
+    const { partnerships, stories } = getServices();
+
+    const partnership = await partnerships.get(partnershipId);
+    if (!partnership || !isMember(partnership, userId)) {
+        throw new HttpsError('permission-denied', 'You are not a member of this partnership.');
+    }
+
+    const storyDoc = await stories.ref(partnershipId, storyId).get();
+    if (!storyDoc.exists || (storyDoc.data().hiddenFor || []).includes(userId)) {
+        throw new HttpsError('not-found', 'Story not found.');
+    }
+    annotate({ partnershipId, storyId });
+    return { partnership, story: storyDoc.data() };
+}
+
+function revisionToResponse(revision) {
+    return {
+        revisionId: revision.id,
+        text: revision.text,
+        reason: revision.reason,
+        meaningful: revision.meaningful,
+        moderationStatus: revision.moderationStatus,
+        revisedAt: revision.revisedAt ? revision.revisedAt.toDate().toISOString() : null
+    };
+}
+
+// Every member can look through a story's earlier versions, newest first. Versions that
+// moderation flagged or removed are left out.
+exports.listStoryRevisions = onCall({ region: REGION, memory: '256MiB', timeoutSeconds: 60, concurrency: 80 }, instrument('listStoryRevisions', async (request) => {
+    const userId = assertSignedIn(request);
+    const partnershipId = requireString(request.data, 'partnershipId');
+    const storyId = requireString(request.data, 'storyId');
+    await loadVisibleStory(userId, partnershipId, storyId);
+
+    const revisions = await getServices().storyRevisions.list(partnershipId, storyId);
+    return {
+        revisions: revisions
+            .filter(revision => !HIDDEN_CONTENT_STATUSES.includes(revision.moderationStatus))
+            .map(revisionToResponse)
+    };
+}));
+
+// Only the author can restore an earlier version, and not while their stories are suspended
+exports.restoreStoryRevision = onCall({ region: REGION, memory: '256MiB', timeoutSeconds: 60, concurrency: 80 }, instrument('restoreStoryRevision', async (request) => {
+    const userId = assertSignedIn(request);
+    const partnershipId = requireString(request.data, 'partnershipId');
+    const storyId = requireString(request.data, 'storyId');
+    const revisionId = requireString(request.data, 'revisionId');
+    const { story } = await loadVisibleStory(userId, partnershipId, storyId);
+
+    if (story.authorId !== userId) {
+        throw new HttpsError('permission-denied', 'Only the author can restore this story.');
+    }
+    if (await getServices().strikes.isRestricted(userId, 'stories')) {
+        throw new HttpsError('failed-precondition', 'Story writing is suspended for your account.');
+    }
+
+    const restored = await getServices().storyRevisions.restore(partnershipId, storyId, revisionId);
+    if (!restored) {
+        throw new HttpsError('not-found', 'Revision not found.');
+    }
+
+    log.info('Story revision restored', { revisionId });
+    return { restored: true, revisionId };
+}));
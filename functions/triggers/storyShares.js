@@ -0,0 +1,161 @@
+const { onCall, onRequest, HttpsError } = require('firebase-functions/v2/https');
+const { getServices } = require('../services');
+const {
+    SHARE_LINK_DEFAULT_DAYS,
+    SHARE_LINK_MAX_DAYS,
+    signShareToken,
+    verifyShareToken
+} = require('../services/storyShares');
+const { renderStoryPage, renderUnavailablePage, renderStoryCard } = require('../services/sharePages');
+const { REGION, SHARE_LINK_BASE_URL, SHARE_LINK_SECRET, paramValue } = require('../params');
+const { log, annotate, instrument } = require('../logging');
+const { assertSignedIn, requireString } = require('./guards');
+
+// ===== STORY SHARE LINKS =====
+
+const SHARE_CALLABLE_OPTIONS = { region: REGION, memory: '256MiB', timeoutSeconds: 60, concurrency: 80, secrets: [SHARE_LINK_SECRET] };
+const CARD_PATH = 'card.png';
+
+// Share service failures -> [HttpsError code, message]
+const SHARE_ERRORS = {
+    not_member: ['permission-denied', 'You are not a member of this partnership.'],
+    inactive: ['failed-precondition', 'Stories can\'t be shared from this partnership right now.'],
+    not_found: ['not-found', 'Story not found.'],
+    not_shareable: ['failed-precondition', 'Only finished stories that passed moderation can be shared.'],
+    not_allowed: ['permission-denied', 'Only the person who shared the link or the story\'s author can turn it off.']
+};
+
+function throwIfFailed(result) {
+    if (result.error) {
+        const [code, message] = SHARE_ERRORS[result.error];
+        throw new HttpsError(code, message);
+    }
+    return result;
+}
+
+// Where sharedStory is reachable: SHARE_LINK_BASE_URL (e.g. a Hosting rewrite on the app's
+// domain), else the function's own URL
+function shareBaseUrl() {
+    const configured = paramValue(SHARE_LINK_BASE_URL);
+    if (configured) {
+        return configured.replace(/\/+$/, '');
+    }
+    return `https://${paramValue(REGION)}-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/sharedStory`;
+}
+
+function shareToResponse(share, token) {
+    const url = `${shareBaseUrl()}/${token}`;
+    return {
+        shareId: share.id,
+        url,
+        imageUrl: `${url}/${CARD_PATH}`,
+        expiresAt: share.expiresAt.toDate().toISOString(),
+        viewCount: share.viewCount || 0
+    };
+}
+
+function shareSecret() {
+    const secret = SHARE_LINK_SECRET.value();
+    if (!secret) {
+        throw new HttpsError('failed-precondition', 'Story sharing is not configured.');
+    }
+    return secret;
+}
+
+// Make a link to one of the partnership's approved stories. Links last
+// SHARE_LINK_DEFAULT_DAYS unless the caller asks for 1 to SHARE_LINK_MAX_DAYS.
+exports.createStoryShareLink = onCall(SHARE_CALLABLE_OPTIONS, instrument('createStoryShareLink', async (request) => {
+    const userId = assertSignedIn(request);
+    const partnershipId = requireString(request.data, 'partnershipId');
+    const storyId = requireString(request.data, 'storyId');
+    const days = request.data.expiresInDays === undefined ? SHARE_LINK_DEFAULT_DAYS : request.data.expiresInDays;
+    if (!Number.isInteger(days) || days < 1 || days > SHARE_LINK_MAX_DAYS) {
+        throw new HttpsError('invalid-argument', `expiresInDays must be a whole number from 1 to ${SHARE_LINK_MAX_DAYS}.`);
+    }
+    const secret = shareSecret();
+    annotate({ partnershipId, storyId });
+
+    const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    const { share } = throwIfFailed(await getServices().storyShares.create(userId, partnershipId, storyId, expiresAt));
+
+    log.info('Story share link created', { shareId: share.id, expiresInDays: days });
+    return shareToResponse(share, signShareToken(secret, share.id, expiresAt));
+}));
+
+// The caller's working links for a story, so the app can show and revoke them
+exports.listStoryShareLinks = onCall(SHARE_CALLABLE_OPTIONS, instrument('listStoryShareLinks', async (request) => {
+    const userId = assertSignedIn(request);
+    const partnershipId = requireString(request.data, 'partnershipId');
+    const storyId = requireString(request.data, 'storyId');
+    const secret = shareSecret();
+
+    const shares = await getServices().storyShares.listForStory(userId, partnershipId, storyId);
+    return {
+        links: shares.map(share => shareToResponse(share, signShareToken(secret, share.id, share.expiresAt.toDate())))
+    };
+}));
+
+exports.revokeStoryShareLink = onCall(SHARE_CALLABLE_OPTIONS, instrument('revokeStoryShareLink', async (request) => {
+    const userId = assertSignedIn(request);
+    const shareId = requireString(request.data, 'shareId');
+
+    const revoked = throwIfFailed(await getServices().storyShares.revoke(shareId, userId));
+    annotate({ partnershipId: revoked.partnershipId, storyId: revoked.storyId });
+    log.info('Story share link revoked', { shareId });
+    return { shareId, revoked: true };
+}));
+
+// The public page behind a link: GET /{token} renders the story, GET /{token}/card.png its
+// preview image. Every page view counts toward the link's viewCount. Nothing is cached, so
+// revoking a link takes effect right away.
+exports.sharedStory = onRequest({
+    region: REGION,
+    memory: '256MiB',
+    timeoutSeconds: 30,
+    concurrency: 80,
+    secrets: [SHARE_LINK_SECRET]
+}, instrument('sharedStory', async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Robots-Tag', 'noindex');
+    res.set('Referrer-Policy', 'no-referrer');
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.set('Allow', 'GET, HEAD');
+        res.status(405).send('Method Not Allowed');
+        return;
+    }
+
+    const segments = req.path.split('/').filter(Boolean);
+    const wantsCard = segments[segments.length - 1] === CARD_PATH;
+    const token = wantsCard ? segments[segments.length - 2] : segments[segments.length - 1];
+
+    const { storyShares } = getServices();
+    const verified = verifyShareToken(SHARE_LINK_SECRET.value(), token);
+    const shared = verified ? await storyShares.resolve(verified.shareId) : null;
+    if (!shared) {
+        annotate({ outcome: 'unavailable' });
+        res.status(404).type('html').send(renderUnavailablePage());
+        return;
+    }
+
+    const { share, story } = shared;
+    annotate({ partnershipId: share.partnershipId, storyId: share.storyId });
+
+    if (wantsCard) {
+        annotate({ outcome: 'card' });
+        res.status(200).type('png').send(renderStoryCard(story, share.id));
+        return;
+    }
+
+    if (req.method === 'GET') {
+        try {
+            await storyShares.recordView(share.id);
+        } catch (error) {
+            log.warn('Could not count share link view', { shareId: share.id }, error);
+        }
+    }
+
+    const pageUrl = `${shareBaseUrl()}/${token}`;
+    res.set('Content-Security-Policy', 'default-src \'none\'; style-src \'unsafe-inline\'');
+    res.status(200).type('html').send(renderStoryPage({ story, pageUrl, imageUrl: `${pageUrl}/${CARD_PATH}` }));
+}));
@@ -0,0 +1,30 @@
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { getServices } = require('../services');
+const { REGION } = require('../params');
+const { log, instrument } = require('../logging');
+
+// ===== TRIP COUNTDOWN =====
+
+// Hourly, so every member hears about a milestone in their own morning. The daily prompts
+// pick up the trip's themed modes on their own (see promptTheme in services/prompts.js).
+exports.sendTripMilestones = onSchedule({
+    schedule: '5 * * * *',
+    timeZone: 'UTC',
+    region: REGION,
+    memory: '512MiB',
+    timeoutSeconds: 540
+}, instrument('sendTripMilestones', async () => {
+    const { partnerships, tripCountdown } = getServices();
+    const now = new Date();
+    let sent = 0;
+
+    await partnerships.forEachActive(async (doc) => {
+        try {
+            sent += await tripCountdown.sendMilestones(doc.id, doc.data(), now);
+        } catch (error) {
+            log.error('Could not send trip milestones', { partnershipId: doc.id }, error);
+        }
+    });
+
+    log.info('Sent trip milestones', { sent });
+}));